@@ -1,11 +1,14 @@
 // Controller for handling UAV analysis reports
 const mongoose = require('mongoose');
 const AnalysisReport = require('../models/AnalysisReport');
-const PDFDocument = require('pdfkit');
+const AnalysisJob = require('../models/AnalysisJob');
+const AnalysisJobQueue = require('../models/AnalysisJobQueue');
+const FlightData = require('../models/FlightData');
+const ReportPdfRenderer = require('../models/ReportPdfRenderer');
 
 class AnalysisController {
     /**
-     * Start analysis for a flight (fallback endpoint, use socket.io instead)
+     * Start analysis for a flight (fallback endpoint, use POST /jobs or socket.io instead)
      */
     static async startAnalysis(req, res) {
         try {
@@ -15,7 +18,7 @@ class AnalysisController {
             }
             return res.json({
                 success: true,
-                message: 'Use socket.io to start analysis',
+                message: 'Use POST /api/analysis/jobs or socket.io to start analysis',
                 flightId,
             });
         } catch (err) {
@@ -43,7 +46,8 @@ class AnalysisController {
     }
 
     /**
-     * Get a single report by ID
+     * Get a single report by ID. flightChanged is true when the flight was re-analyzed or deleted
+     * after the report was generated (null for reports from before snapshots).
      */
     static async getReport(req, res) {
         try {
@@ -53,7 +57,14 @@ class AnalysisController {
             if (!report) {
                 return res.status(404).json({success: false, message: 'Report not found'});
             }
-            res.json({success: true, report});
+
+            let flightChanged = null;
+            if (report.source?.analyzedAt) {
+                const flight = await FlightData.findById(report.flightId).select('analyzedAt createdAt').lean();
+                const analyzedAt = flight && (flight.analyzedAt || flight.createdAt);
+                flightChanged = !analyzedAt || new Date(analyzedAt).getTime() !== new Date(report.source.analyzedAt).getTime();
+            }
+            res.json({success: true, report, flightChanged});
         } catch (err) {
             res.status(500).json({success: false, message: err.message});
         }
@@ -76,8 +87,9 @@ class AnalysisController {
                 const headers = [
                     'Report ID', 'Flight ID', 'Flight Name',
                     'Avg Speed', 'Max Speed', 'Duration',
-                    'Error Rate', 'Created At'
+                    'Average Error (m)', 'Created At'
                 ];
+                const averageError = AnalysisReport.averageError(report);
                 const row = [
                     report._id,
                     report.flightId,
@@ -85,7 +97,7 @@ class AnalysisController {
                     report.avgSpeed != null ? report.avgSpeed : '',
                     report.maxSpeed != null ? report.maxSpeed : '',
                     report.duration != null ? report.duration : '',
-                    report.errorRate != null ? report.errorRate : '',
+                    averageError != null ? averageError : '',
                     report.createdAt ? report.createdAt.toISOString() : ''
                 ];
                 const csv = `${headers.join(',')}\n${row.join(',')}\n`;
@@ -96,29 +108,105 @@ class AnalysisController {
 
             // PDF export
             if (format === 'pdf') {
+                const flight = await AnalysisController.loadReportFlight(report, userId);
+
+                // Pages are buffered, so a rendering error still gets a JSON answer
+                const doc = ReportPdfRenderer.createDocument(`UAV Analysis Report - ${report.flightName || report._id}`);
+                ReportPdfRenderer.renderReport(doc, report, flight);
+                ReportPdfRenderer.addPageNumbers(doc);
+
                 res.setHeader('Content-Type', 'application/pdf');
                 res.setHeader('Content-Disposition', `attachment; filename=report_${report._id}.pdf`);
-
-                const doc = new PDFDocument({margin: 40});
+                doc.on('error', err => res.destroy(err));
                 doc.pipe(res);
-
-                doc.fontSize(18).text('UAV Analysis Report', {underline: true});
-                doc.moveDown();
-                doc.fontSize(12)
-                    .text(`Report ID: ${report._id}`)
-                    .text(`Flight ID: ${report.flightId}`)
-                    .text(`Flight Name: ${report.flightName || 'Unnamed Flight'}`)
-                    .text(`Created At: ${report.createdAt ? report.createdAt.toISOString() : 'N/A'}`)
-                    .text(`Average Speed: ${report.avgSpeed != null ? report.avgSpeed.toFixed(2) + ' m/s' : 'N/A'}`)
-                    .text(`Max Speed: ${report.maxSpeed != null ? report.maxSpeed.toFixed(2) + ' m/s' : 'N/A'}`)
-                    .text(`Duration: ${report.duration != null ? report.duration + ' s' : 'N/A'}`)
-                    .text(`Error Rate: ${report.errorRate != null ? report.errorRate.toFixed(1) + '%' : 'N/A'}`);
-
-                doc.end(); // Must be called after writing all content
+                doc.end();
                 return;
             }
 
             res.status(400).json({success: false, message: 'Invalid format (use pdf or csv)'});
+        } catch (err) {
+            console.error('Report export error:', err);
+            // A download that already started is cut short rather than answered twice
+            if (res.headersSent) return res.destroy(err);
+            res.status(500).json({success: false, message: err.message});
+        }
+    }
+
+    /**
+     * Queue an analysis job for a flight; progress is reported over socket.io
+     */
+    static async createJob(req, res) {
+        try {
+            const {job, error} = await AnalysisJobQueue.submit(req.user.userId, req.body?.flightId);
+            if (error) return res.status(error.status).json({success: false, message: error.message});
+            res.status(202).json({success: true, job});
+        } catch (err) {
+            res.status(500).json({success: false, message: err.message});
+        }
+    }
+
+    /**
+     * List the user's analysis jobs, optionally for one flight (?flightId=) or only unfinished ones (?active=true)
+     */
+    static async listJobs(req, res) {
+        try {
+            const userId = req.user?.userId;
+            if (!userId || !mongoose.isObjectIdOrHexString(userId)) {
+                return res.json({success: true, items: []});
+            }
+            const filter = {userId};
+            if (req.query.flightId) {
+                if (!mongoose.Types.ObjectId.isValid(req.query.flightId)) {
+                    return res.status(400).json({success: false, message: 'Invalid flightId'});
+                }
+                filter.flightId = req.query.flightId;
+            }
+            if (req.query.active === 'true') filter.status = {$in: ['queued', 'running']};
+
+            const items = await AnalysisJob.find(filter)
+                .sort({createdAt: -1})
+                .limit(50)
+                .lean();
+            res.json({success: true, items});
+        } catch (err) {
+            res.status(500).json({success: false, message: err.message});
+        }
+    }
+
+    /**
+     * Get the status of one analysis job
+     */
+    static async getJob(req, res) {
+        try {
+            const job = await AnalysisJobQueue.findUserJob(req.user.userId, req.params.jobId);
+            if (!job) return res.status(404).json({success: false, message: 'Job not found'});
+            res.json({success: true, job});
+        } catch (err) {
+            res.status(500).json({success: false, message: err.message});
+        }
+    }
+
+    /**
+     * Cancel a queued or running analysis job
+     */
+    static async cancelJob(req, res) {
+        try {
+            const {job, error} = await AnalysisJobQueue.cancel(req.user.userId, req.params.jobId);
+            if (error) return res.status(error.status).json({success: false, message: error.message});
+            res.json({success: true, job});
+        } catch (err) {
+            res.status(500).json({success: false, message: err.message});
+        }
+    }
+
+    /**
+     * Run a failed or cancelled analysis job again
+     */
+    static async retryJob(req, res) {
+        try {
+            const {job, error} = await AnalysisJobQueue.retry(req.user.userId, req.params.jobId);
+            if (error) return res.status(error.status).json({success: false, message: error.message});
+            res.status(202).json({success: true, job});
         } catch (err) {
             res.status(500).json({success: false, message: err.message});
         }
@@ -166,97 +254,38 @@ class AnalysisController {
                 return res.status(404).json({ success: false, message: 'Reports not found' });
             }
 
-
             res.writeHead(200, {
                 'Content-Type': 'application/pdf',
                 'Content-Disposition': 'attachment; filename="Selected_Flight_History.pdf"'
             });
 
-            const PDFDocument = require('pdfkit');
-            const doc = new PDFDocument({
-                margin: 50,
-                size: 'A4'
-            });
-
-
+            const doc = ReportPdfRenderer.createDocument('UAV Analysis Reports');
+            doc.on('error', err => res.destroy(err));
             doc.pipe(res);
 
-
-            doc.fontSize(24).text('UAV Analysis Reports', { align: 'center' });
-            doc.moveDown(2);
-
-            reports.forEach((report, index) => {
-                if (index > 0) {
-                    doc.addPage();
-                }
-
-
-                doc.fontSize(18)
-                    .fillColor('#2196F3')
-                    .text(`Flight Report ${index + 1}`, { underline: true });
-
-                doc.moveDown(1);
-
-
-                doc.fontSize(14).fillColor('black');
-
-                const details = [
-                    ['Flight Name:', report.flightName || 'Unnamed Flight'],
-                    ['Report ID:', report._id.toString()],
-                    ['Flight ID:', report.flightId.toString()],
-                    ['Created:', report.createdAt ? new Date(report.createdAt).toLocaleDateString() : 'N/A']
-                ];
-
-                details.forEach(([label, value]) => {
-                    doc.fontSize(12)
-                        .font('Helvetica-Bold').text(label, { continued: true })
-                        .font('Helvetica').text(' ' + value);
-                    doc.moveDown(0.3);
-                });
-
-                doc.moveDown(1);
-
-
-                doc.fontSize(14).fillColor('#4CAF50').text('Performance Metrics', { underline: true });
-                doc.moveDown(0.5);
-
-                const metrics = [
-                    ['Average Speed:', report.avgSpeed != null ? `${report.avgSpeed.toFixed(2)} m/s` : 'N/A'],
-                    ['Maximum Speed:', report.maxSpeed != null ? `${report.maxSpeed.toFixed(2)} m/s` : 'N/A'],
-                    ['Flight Duration:', report.duration != null ? `${report.duration} seconds` : 'N/A'],
-                    ['Error Rate:', report.errorRate != null ? `${report.errorRate.toFixed(2)}%` : 'N/A']
-                ];
-
-                metrics.forEach(([label, value]) => {
-                    doc.fontSize(12)
-                        .fillColor('black')
-                        .font('Helvetica-Bold').text(label, { continued: true })
-                        .font('Helvetica').text(' ' + value);
-                    doc.moveDown(0.3);
-                });
-
-                doc.moveDown(2);
-            });
-
-            const pages = doc.bufferedPageRange();
-            for (let i = 0; i < pages.count; i++) {
-                doc.switchToPage(i);
-                doc.fontSize(10)
-                    .fillColor('gray')
-                    .text(`Page ${i + 1} of ${pages.count}`, 50, doc.page.height - 50, { align: 'center' });
+            // One flight's points in memory at a time
+            for (const report of reports) {
+                const flight = await AnalysisController.loadReportFlight(report, userId);
+                ReportPdfRenderer.renderReport(doc, report, flight);
             }
 
-
+            ReportPdfRenderer.addPageNumbers(doc);
             doc.end();
             console.log('PDF stream completed');
 
         } catch (err) {
             console.error('PDF export error:', err);
-            if (!res.headersSent) {
-                res.status(500).json({ success: false, message: err.message });
-            }
+            if (res.headersSent) return res.destroy(err);
+            res.status(500).json({ success: false, message: err.message });
         }
     }
+
+    // Points and plan of a report's flight for the PDF charts; null when the flight was deleted
+    static loadReportFlight(report, userId) {
+        return FlightData.findOne({ _id: report.flightId, userId })
+            .select('positionData sequence trajectoryAnalysis.detailed.segmentAnalysis')
+            .lean();
+    }
 }
 
 module.exports = AnalysisController;
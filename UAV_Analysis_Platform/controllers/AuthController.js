@@ -1,4 +1,5 @@
 const User = require('../models/User');
+const UAVDataProcessor = require('../models/UAVDataProcessor');
 const jwt = require('jsonwebtoken');
 
 class AuthController {
@@ -136,14 +137,29 @@ class AuthController {
             const updateData = {};
             if (firstName !== undefined) updateData['profile.firstName'] = firstName;
             if (lastName !== undefined) updateData['profile.lastName'] = lastName;
+            const update = { $set: updateData };
             if (preferences) {
                 if (preferences.theme) updateData['profile.preferences.theme'] = preferences.theme;
                 if (preferences.units) updateData['profile.preferences.units'] = preferences.units;
+
+                // null clears the saved error calculation options
+                if (preferences.errorCalculation === null) {
+                    update.$unset = { 'profile.preferences.errorCalculation': '' };
+                } else if (preferences.errorCalculation !== undefined) {
+                    const { options, errors } = UAVDataProcessor.parseErrorOptions(preferences.errorCalculation);
+                    if (errors.length > 0) {
+                        return res.status(400).json({
+                            success: false,
+                            message: errors.join('; ')
+                        });
+                    }
+                    updateData['profile.preferences.errorCalculation'] = options || {};
+                }
             }
 
             const user = await User.findByIdAndUpdate(
                 req.user.userId,
-                { $set: updateData },
+                update,
                 { new: true, select: '-password' }
             );
 
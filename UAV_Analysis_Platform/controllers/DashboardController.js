@@ -17,8 +17,8 @@ class DashboardController {
                 });
             }
 
-            // Get total flights
-            const totalFlights = await FlightData.countDocuments({ userId });
+            // Get total flights; duplicates kept with onDuplicate=allow are not counted
+            const totalFlights = await FlightData.countDocuments({ userId, duplicateOf: { $exists: false } });
 
             // Get last 5 flights
             const recentFlights = await FlightData.find({ userId })
@@ -38,7 +38,7 @@ class DashboardController {
 
             if (totalFlights > 0) {
                 const flightStats = await FlightData.aggregate([
-                    { $match: { userId: userId } },
+                    { $match: { userId: userId, duplicateOf: { $exists: false } } },
                     {
                         $group: {
                             _id: null,
@@ -1,7 +1,81 @@
+const mongoose = require('mongoose');
+const { Readable, Transform } = require('stream');
 const FlightData = require('../models/FlightData');
+const User = require('../models/User');
+const ScoringProfile = require('../models/ScoringProfile');
 const UAVDataProcessor = require('../models/UAVDataProcessor');
+const TrajectoryAnalyzer = require('../models/TrajectoryAnalyzer');
+const FlightExporter = require('../models/FlightExporter');
+const FlightImporter = require('../models/FlightImporter');
+const FlightDataCleaner = require('../models/FlightDataCleaner');
+const TestSession = require('../models/TestSession');
+const UploadArchive = require('../models/UploadArchive');
+const RawFileStore = require('../models/RawFileStore');
+const FlightStreamIngest = require('../models/FlightStreamIngest');
+const FlightPointChunk = require('../models/FlightPointChunk');
+const TimeSeriesDownsampler = require('../models/TimeSeriesDownsampler');
 const multer = require('multer');
 const fs = require('fs');
+const path = require('path');
+
+// Files (or archives) in one batch upload
+const MAX_BATCH_FILES = 100;
+// Upload size limits: files read whole, and rf_test JSON logs streamed by FlightStreamIngest
+const MAX_FILE_SIZE = 50 * 1024 * 1024;
+const MAX_STREAMED_FILE_SIZE = 2 * 1024 * 1024 * 1024;
+// Points a flight read whole keeps in its own document (about 270 bytes each, which leaves room for the
+// analysis under MongoDB's 16 MB limit); longer rf_test logs are streamed into chunks instead
+const MAX_DOCUMENT_POINTS = 40000;
+// Chunks a zoomed-in view of a chunked flight reads at full resolution (CHUNK_SIZE points each); wider
+// windows are drawn from the flight's sample
+const MAX_DETAIL_CHUNKS = 40;
+// Series fields derived from the points on request (TrajectoryAnalyzer.analyzeVelocity) rather than stored
+const MOTION_FIELDS = ['speed', 'acceleration', 'jerk'];
+// What an upload that duplicates a stored flight does: refuse it, update the stored flight, or store it anyway
+const DUPLICATE_MODES = ['reject', 'merge', 'allow'];
+// Fields an upload produces, replaced on the stored flight by onDuplicate=merge
+const ANALYZED_FIELDS = [
+    'analysisVersion', 'analyzedAt', 'sourceFormat', 'fingerprint', 'firstCommandTime', 'rawFile', 'importOptions',
+    'sequence', 'pointStore', 'positionData', 'analysis', 'trajectoryAnalysis', 'performanceMetrics', 'networkAnalysis',
+    'accuracyCheck', 'dataQuality', 'qualityAssessment'
+];
+// Content-Type of a raw file download by extension
+const RAW_CONTENT_TYPES = {
+    '.json': 'application/json',
+    '.csv': 'text/csv; charset=utf-8',
+    '.log': 'text/plain; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8'
+};
+
+// Whether an upload may be an rf_test JSON log, the only format FlightStreamIngest streams
+const isJsonUpload = file =>
+    file.mimetype === 'application/json' || path.extname(file.originalname).toLowerCase() === '.json';
+
+/**
+ * Multer storage engine that stores files through storage, refusing with LIMIT_FILE_SIZE any file over
+ * limitOf(file) bytes. As with multer's own limit, the rest of an oversized file is read but not written.
+ */
+function sizeLimitedStorage(storage, limitOf) {
+    return {
+        _handleFile(req, file, cb) {
+            const limit = limitOf(file);
+            let size = 0;
+            const counted = new Transform({
+                transform(chunk, encoding, callback) {
+                    size += chunk.length;
+                    callback(null, size > limit ? undefined : chunk);
+                }
+            });
+            file.stream.pipe(counted);
+
+            storage._handleFile(req, { ...file, stream: counted }, (error, info) => {
+                if (error || size <= limit) return cb(error, info);
+                storage._removeFile(req, info, () => cb(new multer.MulterError('LIMIT_FILE_SIZE', file.fieldname)));
+            });
+        },
+        _removeFile: (req, file, cb) => storage._removeFile(req, file, cb)
+    };
+}
 
 class FlightController {
     constructor() {
@@ -20,20 +94,31 @@ class FlightController {
             },
             filename: (req, file, cb) => {
                 const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-                cb(null, 'flight-' + uniqueSuffix + '.json');
+                cb(null, 'flight-' + uniqueSuffix + path.extname(file.originalname).toLowerCase());
             }
         });
 
+        // Any extension a registered importer reads, plus ZIP archives for batch uploads
+        const extensions = FlightImporter.acceptedExtensions();
+        const fileFilter = allowed => (req, file, cb) => {
+            if (file.mimetype === 'application/json' || allowed.includes(path.extname(file.originalname).toLowerCase())) {
+                cb(null, true);
+            } else {
+                cb(new Error(`Only ${allowed.join(', ')} files are supported`), false);
+            }
+        };
+
+        // Only JSON files can be rf_test logs, the one format streamed; JSON over MAX_FILE_SIZE that
+        // turns out not to be one is refused after the upload
         this.upload = multer({
+            storage: sizeLimitedStorage(storage, file => (isJsonUpload(file) ? MAX_STREAMED_FILE_SIZE : MAX_FILE_SIZE)),
+            fileFilter: fileFilter(extensions),
+            limits: { fileSize: MAX_STREAMED_FILE_SIZE }
+        });
+        this.batchUpload = multer({
             storage,
-            fileFilter: (req, file, cb) => {
-                if (file.mimetype === 'application/json' || file.originalname.endsWith('.json')) {
-                    cb(null, true);
-                } else {
-                    cb(new Error('Only JSON files are supported'), false);
-                }
-            },
-            limits: { fileSize: 50 * 1024 * 1024 } // 50MB
+            fileFilter: fileFilter([...extensions, '.zip']),
+            limits: { fileSize: MAX_FILE_SIZE, files: MAX_BATCH_FILES }
         });
     }
 
@@ -47,58 +132,101 @@ class FlightController {
                 });
             }
 
-            const { flightName } = req.body;
             const filePath = req.file.path;
+            const context = await this.uploadContext(req);
+            if (context.error) {
+                fs.unlinkSync(filePath);
+                return res.status(400).json({
+                    success: false,
+                    message: context.error
+                });
+            }
 
-            // Read and parse JSON file
-            const fileContent = fs.readFileSync(filePath, 'utf8');
-            const jsonData = JSON.parse(fileContent);
+            // Large rf_test logs are streamed into chunked storage; everything else is read whole
+            let streamed = req.file.size > FlightStreamIngest.STREAM_THRESHOLD &&
+                await FlightImporter.formatOfFile(filePath, { ...context.importOptions, fileName: req.file.originalname }) ===
+                FlightStreamIngest.FORMAT;
+            if (!streamed && req.file.size > MAX_FILE_SIZE) {
+                fs.unlinkSync(filePath);
+                return res.status(413).json({
+                    success: false,
+                    message: `Files over ${MAX_FILE_SIZE / 1024 / 1024} MB must be rf_test JSON logs, which are read as a stream`
+                });
+            }
 
-            // Validate data
-            const validation = UAVDataProcessor.validateFlightData(jsonData);
-            if (!validation.valid) {
+            const fileContent = streamed ? null : fs.readFileSync(filePath);
+            let result = streamed ?
+                await this.ingestLargeFile(filePath, req.file.originalname, context, req.body.flightName) :
+                this.ingestFile(fileContent, req.file.originalname, context, req.body.flightName);
+            // An rf_test log under the size threshold can still have too many points for one document
+            if (result.overPointLimit && result.format === FlightStreamIngest.FORMAT) {
+                streamed = true;
+                result = await this.ingestLargeFile(filePath, req.file.originalname, context, req.body.flightName);
+            }
+            if (result.status === 'rejected') {
+                // Every validation problem is reported, not just the first
                 fs.unlinkSync(filePath);
                 return res.status(400).json({
                     success: false,
-                    message: validation.error
+                    message: result.message,
+                    errors: result.errors,
+                    truncated: result.truncated,
+                    format: result.format,
+                    warnings: result.warnings,
+                    dataQuality: result.dataQuality
                 });
             }
 
-            // Process data
-            const processedData = UAVDataProcessor.processFlightData(jsonData, {
-                flightName: flightName || `Flight_${jsonData.timestamp}`
-            });
-
-            // Save to database
-            const flightData = new FlightData({
-                userId: req.user.userId,
-                flightName: processedData.flightName,
-                timestamp: processedData.timestamp,
-                sequence: processedData.sequence,
-                positionData: processedData.positionData,
-                analysis: processedData.analysis,
-                trajectoryAnalysis: processedData.trajectoryAnalysis,
-                performanceMetrics: processedData.performanceMetrics,
-                networkAnalysis: processedData.networkAnalysis,
-                qualityAssessment: processedData.qualityAssessment
-            });
+            const resolution = await this.resolveDuplicate(result, context);
+            if (resolution.status === 'duplicate') {
+                fs.unlinkSync(filePath);
+                if (streamed) await this.discardLargeFile(result.flight);
+                return res.status(409).json({
+                    success: false,
+                    message: resolution.message,
+                    duplicateOf: resolution.duplicateOf,
+                    matchedBy: resolution.matchedBy
+                });
+            }
 
-            await flightData.save();
+            const { processedData } = result;
+            const flightData = resolution.flight;
+            if (streamed) await flightData.save();
+            else await this.saveWithRawFile(flightData, fileContent);
+            await this.settlePointChunks(flightData, result.flight._id, resolution);
+            await this.releaseRawFile(resolution.replacedChecksum);
 
             // Delete uploaded file
             fs.unlinkSync(filePath);
 
             res.json({
                 success: true,
-                message: 'Flight data uploaded and analyzed successfully',
+                message: resolution.status === 'merged' ?
+                    'Flight data merged into the existing flight and re-analyzed' :
+                    'Flight data uploaded and analyzed successfully',
                 flightId: flightData._id,
+                merged: resolution.status === 'merged',
+                duplicateOf: resolution.duplicateOf || null,
+                matchedBy: resolution.matchedBy || null,
                 summary: {
                     flightName: processedData.flightName,
                     totalPoints: processedData.analysis.totalPoints,
                     responseTime: processedData.analysis.responseTime,
                     averageError: processedData.analysis.positionAccuracy.overall.average,
                     qualityScore: processedData.qualityAssessment.overallScore,
-                    efficiencyRatio: processedData.trajectoryAnalysis.detailed.trajectoryEfficiency.efficiencyRatio
+                    efficiencyRatio: processedData.trajectoryAnalysis.detailed.trajectoryEfficiency.efficiencyRatio,
+                    // null when the upload has no position_accuracy block to check
+                    accuracyCheckPassed: processedData.accuracyCheck.agrees,
+                    accuracyMismatches: processedData.accuracyCheck.mismatches,
+                    errorOptions: processedData.analysis.errorOptions || null,
+                    importFormat: result.format,
+                    importWarnings: result.warnings,
+                    dataQuality: FlightDataCleaner.summarize(processedData.dataQuality),
+                    // Points kept in chunks, with the trajectory analysis run on every sampleStride-th point
+                    chunkedPoints: streamed ? {
+                        chunkCount: flightData.pointStore.chunkCount,
+                        sampleStride: flightData.pointStore.sampleStride
+                    } : null
                 }
             });
 
@@ -114,6 +242,503 @@ class FlightController {
         }
     }
 
+    /**
+     * Upload several flight files and/or ZIP archives of them. Every file is imported, validated and
+     * analyzed on its own; the accepted flights are grouped into one TestSession, which also keeps the
+     * per-file report (accepted, rejected with the reasons, or duplicate).
+     */
+    async uploadBatch(req, res) {
+        const uploads = req.files || [];
+        try {
+            if (uploads.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'No files uploaded'
+                });
+            }
+
+            const context = await this.uploadContext(req);
+            if (context.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: context.error
+                });
+            }
+
+            const session = new TestSession({ userId: req.user.userId });
+            const results = [];
+            // Flights to store: new ones, and stored ones updated by onDuplicate=merge
+            const accepted = [];
+
+            for (const upload of uploads) {
+                for (const file of await this.batchFiles(upload)) {
+                    const entry = { fileName: file.fileName };
+                    results.push(entry);
+                    if (file.error) {
+                        Object.assign(entry, { status: 'rejected', message: file.error });
+                        continue;
+                    }
+
+                    let result;
+                    try {
+                        result = this.ingestFile(file.content, file.fileName, context, this.nameFromFile(file.fileName));
+                    } catch (error) {
+                        result = { status: 'rejected', message: 'Processing failed: ' + error.message };
+                    }
+                    Object.assign(entry, {
+                        status: result.status,
+                        format: result.format,
+                        message: result.message,
+                        validationErrors: result.errors,
+                        warnings: result.warnings
+                    });
+                    if (result.status === 'rejected') continue;
+
+                    // A file repeated within this upload, then the stored flights
+                    const earlier = accepted.find(a => FlightData.duplicateMatch(a.identity, result.identity));
+                    const resolution = earlier ?
+                        this.resolveBatchDuplicate(result, earlier, context) :
+                        await this.resolveDuplicate(result, context);
+                    Object.assign(entry, {
+                        status: resolution.status,
+                        duplicateOf: resolution.duplicateOf?.id,
+                        matchedBy: resolution.matchedBy
+                    });
+                    if (resolution.status === 'duplicate') {
+                        entry.message = resolution.message;
+                        continue;
+                    }
+
+                    const { flight } = resolution;
+                    // Merged flights stay in the session they were first uploaded with
+                    if (resolution.status === 'accepted') flight.sessionId = session._id;
+                    accepted.push({
+                        flight,
+                        content: file.content,
+                        processedData: result.processedData,
+                        identity: result.identity,
+                        status: resolution.status,
+                        replacedChecksum: resolution.replacedChecksum
+                    });
+                    Object.assign(entry, {
+                        flightId: flight._id,
+                        flightName: flight.flightName,
+                        message: resolution.message || 'Accepted'
+                    });
+                }
+            }
+
+            const count = status => results.filter(r => r.status === status).length;
+            // Raw files are only stored for flights being saved, so a failure leaves none unreferenced
+            for (const { flight, content, replacedChecksum } of accepted) {
+                await this.saveWithRawFile(flight, content);
+                await this.releaseRawFile(replacedChecksum);
+            }
+            const added = accepted.filter(a => a.status === 'accepted');
+            if (added.length > 0) {
+                const times = added.flatMap(({ processedData }) => {
+                    const points = processedData.positionData;
+                    return points.length ? [points[0].time, points[points.length - 1].time] : [];
+                });
+                session.set({
+                    name: req.body.sessionName || this.sessionName(uploads, times),
+                    startTime: times.length ? new Date(Math.min(...times) * 1000) : undefined,
+                    endTime: times.length ? new Date(Math.max(...times) * 1000) : undefined,
+                    flightCount: added.length,
+                    fileCount: results.length,
+                    accepted: count('accepted'),
+                    rejected: count('rejected'),
+                    duplicates: count('duplicate'),
+                    merged: count('merged'),
+                    files: results
+                });
+                await session.save();
+            }
+
+            res.json({
+                success: true,
+                message: `${added.length} of ${results.length} files accepted` +
+                    (count('merged') ? `, ${count('merged')} merged into stored flights` : ''),
+                sessionId: added.length > 0 ? session._id : null,
+                session: added.length > 0 ? {
+                    id: session._id,
+                    name: session.name,
+                    startTime: session.startTime,
+                    endTime: session.endTime,
+                    flightCount: session.flightCount
+                } : null,
+                summary: {
+                    files: results.length,
+                    accepted: count('accepted'),
+                    rejected: count('rejected'),
+                    duplicates: count('duplicate'),
+                    merged: count('merged')
+                },
+                results
+            });
+
+        } catch (error) {
+            console.error('Batch upload error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Batch upload failed: ' + error.message
+            });
+        } finally {
+            uploads.filter(upload => fs.existsSync(upload.path)).forEach(upload => fs.unlinkSync(upload.path));
+        }
+    }
+
+    /**
+     * Options shared by every file of an upload: import options and onDuplicate from the form fields or query string,
+     * error calculation options (query string or the user's saved settings) and the scoring profile.
+     * Returns the context, or { error } when an option is invalid.
+     */
+    async uploadContext(req) {
+        const importSelection = FlightImporter.parseOptions({ ...req.query, ...req.body });
+        if (importSelection.errors.length > 0) {
+            return { error: importSelection.errors.join('; ') };
+        }
+        const cleaning = FlightDataCleaner.parseOptions({ ...req.query, ...req.body });
+        if (cleaning.errors.length > 0) {
+            return { error: cleaning.errors.join('; ') };
+        }
+        const onDuplicate = req.body.onDuplicate || req.query.onDuplicate || 'reject';
+        if (!DUPLICATE_MODES.includes(onDuplicate)) {
+            return { error: `onDuplicate must be one of ${DUPLICATE_MODES.join(', ')}` };
+        }
+
+        const errorSelection = UAVDataProcessor.selectErrorOptions(
+            req.query,
+            await User.getErrorCalculationSettings(req.user.userId)
+        );
+        if (errorSelection.errors.length > 0) {
+            return { error: errorSelection.errors.join('; ') };
+        }
+
+        // Grade against ?scoringProfile= (built-in id or a custom profile), the default profile otherwise
+        let scoringProfile = null;
+        if (req.query.scoringProfile) {
+            scoringProfile = await ScoringProfile.resolve(
+                req.query.scoringProfile,
+                req.user.userId,
+                await User.getOrganization(req.user.userId)
+            );
+            if (!scoringProfile) {
+                return { error: `Unknown scoring profile: ${req.query.scoringProfile}` };
+            }
+        }
+
+        return {
+            userId: req.user.userId,
+            importOptions: importSelection.options,
+            cleaning: cleaning.options,
+            onDuplicate,
+            errorOptions: errorSelection.options,
+            scoringProfile
+        };
+    }
+
+    /**
+     * Import, validate and analyze one uploaded file (a Buffer). Returns { status: 'accepted', flight (unsaved),
+     * processedData, identity, format, warnings } or { status: 'rejected', message, errors, truncated, format, warnings },
+     * with overPointLimit set when the log has more points than MAX_DOCUMENT_POINTS.
+     */
+    ingestFile(content, fileName, context, flightName) {
+        // Convert the log to the rf_test layout
+        const imported = FlightImporter.import(content.toString('utf8'), { ...context.importOptions, fileName });
+        if (imported.errors.length > 0) {
+            return {
+                status: 'rejected',
+                message: imported.errors.join('; '),
+                format: imported.format,
+                warnings: imported.warnings
+            };
+        }
+        // Inspect the points, and repair them when asked, before validation
+        const cleaned = FlightDataCleaner.clean(imported.data, context.cleaning);
+        const jsonData = cleaned.data;
+        const warnings = [...imported.warnings, ...cleaned.warnings];
+
+        const pointCount = Array.isArray(jsonData.position_data) ? jsonData.position_data.length : 0;
+        if (pointCount > MAX_DOCUMENT_POINTS) {
+            return {
+                status: 'rejected',
+                message: `The log has ${pointCount} points, over the ${MAX_DOCUMENT_POINTS} a flight can keep in one ` +
+                    'document; resample it on upload (clean=repair&resampleRate=<Hz>)',
+                overPointLimit: true,
+                format: imported.format,
+                warnings
+            };
+        }
+
+        const validation = UAVDataProcessor.validateFlightData(jsonData);
+        if (!validation.valid) {
+            return {
+                status: 'rejected',
+                message: validation.error,
+                errors: validation.errors,
+                truncated: validation.truncated,
+                format: imported.format,
+                warnings,
+                dataQuality: FlightDataCleaner.summarize(cleaned.report)
+            };
+        }
+
+        const processedData = UAVDataProcessor.processFlightData(jsonData, {
+            flightName: flightName || `Flight_${jsonData.timestamp}`,
+            dataQuality: cleaned.report
+        }, context.errorOptions, context.scoringProfile);
+
+        // What duplicate detection compares
+        const identity = {
+            fingerprint: FlightData.fingerprintOf(content),
+            timestamp: processedData.timestamp,
+            firstCommandTime: typeof jsonData.first_command_time === 'number' ? jsonData.first_command_time : undefined
+        };
+
+        const importOptions = FlightImporter.replayOptions(imported, context.importOptions);
+        const cleaning = FlightDataCleaner.replayOptions(context.cleaning);
+        if (cleaning) importOptions.cleaning = cleaning;
+
+        const flight = this.buildFlight(processedData, {
+            userId: context.userId,
+            format: imported.format,
+            identity,
+            rawFile: { checksum: identity.fingerprint, fileName, size: content.length },
+            importOptions
+        });
+
+        return { status: 'accepted', flight, processedData, identity, format: imported.format, warnings };
+    }
+
+    /**
+     * ingestFile for an rf_test log too large to read whole, streamed from disk by FlightStreamIngest into
+     * chunked point storage. The raw file is stored first, as its checksum is computed while it streams
+     * into RawFileStore. Resolves with the same results; discardLargeFile undoes an accepted one.
+     */
+    async ingestLargeFile(filePath, fileName, context, flightName) {
+        const stored = await RawFileStore.putFile(filePath);
+        const flightId = new mongoose.Types.ObjectId();
+        let ingested;
+        try {
+            ingested = await FlightStreamIngest.ingest(() => fs.createReadStream(filePath), {
+                flightId,
+                userId: context.userId,
+                flightName,
+                errorOptions: context.errorOptions,
+                scoringProfile: context.scoringProfile
+            });
+        } catch (error) {
+            await this.releaseRawFile(stored.checksum);
+            throw error;
+        }
+        // Streamed points are inspected but not repaired
+        const warnings = context.cleaning?.mode === 'repair' ?
+            ['Repairs and resampling are not applied to streamed logs; dataQuality reports the points as uploaded'] : [];
+        if (ingested.status === 'rejected') {
+            await this.releaseRawFile(stored.checksum);
+            return { ...ingested, format: FlightStreamIngest.FORMAT, warnings };
+        }
+
+        const { processedData, fields, pointStore } = ingested;
+        const identity = {
+            fingerprint: stored.checksum,
+            timestamp: processedData.timestamp,
+            firstCommandTime: typeof fields.first_command_time === 'number' ? fields.first_command_time : undefined
+        };
+        const flight = this.buildFlight(processedData, {
+            _id: flightId,
+            userId: context.userId,
+            format: FlightStreamIngest.FORMAT,
+            identity,
+            rawFile: { ...stored, fileName, storedAt: new Date() },
+            importOptions: { format: FlightStreamIngest.FORMAT },
+            pointStore
+        });
+
+        return { status: 'accepted', flight, processedData, identity, format: FlightStreamIngest.FORMAT, warnings };
+    }
+
+    // Drop what ingestLargeFile stored for an upload that is not kept
+    async discardLargeFile(flight) {
+        await FlightPointChunk.prune(flight._id);
+        await this.releaseRawFile(flight.rawFile.checksum);
+    }
+
+    // Unsaved FlightData for a processed upload
+    buildFlight(processedData, { _id, userId, format, identity, rawFile, importOptions, pointStore }) {
+        return new FlightData({
+            _id,
+            userId,
+            flightName: processedData.flightName,
+            analysisVersion: processedData.analysisVersion,
+            analyzedAt: new Date(),
+            sourceFormat: format,
+            fingerprint: identity.fingerprint,
+            firstCommandTime: identity.firstCommandTime,
+            rawFile,
+            importOptions,
+            timestamp: processedData.timestamp,
+            sequence: processedData.sequence,
+            pointStore,
+            positionData: processedData.positionData,
+            analysis: processedData.analysis,
+            trajectoryAnalysis: processedData.trajectoryAnalysis,
+            performanceMetrics: processedData.performanceMetrics,
+            networkAnalysis: processedData.networkAnalysis,
+            accuracyCheck: processedData.accuracyCheck,
+            dataQuality: processedData.dataQuality,
+            qualityAssessment: processedData.qualityAssessment
+        });
+    }
+
+    /**
+     * Apply context.onDuplicate to an accepted upload that may duplicate a stored flight. Resolves with
+     * { status: 'accepted' | 'merged', flight (unsaved), duplicateOf?, matchedBy?, message? } or
+     * { status: 'duplicate', duplicateOf, matchedBy, message }.
+     */
+    async resolveDuplicate(result, context) {
+        const duplicate = await FlightData.findDuplicate(context.userId, result.identity);
+        if (!duplicate) return { status: 'accepted', flight: result.flight };
+
+        const { flight: original, matchedBy } = duplicate;
+        const duplicateOf = { id: original._id, flightName: original.flightName, uploadDate: original.createdAt };
+        const what = matchedBy === 'fingerprint' ? 'the same file' : 'the same recording';
+
+        if (context.onDuplicate === 'merge') {
+            // The stored flight keeps its id, name and session and takes the new upload's data and analysis
+            const stored = await FlightData.findOne({ _id: original._id, userId: context.userId });
+            const replacedChecksum = stored.rawFile?.checksum;
+            const analyzed = result.flight.toObject();
+            ANALYZED_FIELDS.forEach(field => stored.set(field, analyzed[field]));
+            return {
+                status: 'merged',
+                flight: stored,
+                duplicateOf,
+                matchedBy,
+                replacedChecksum,
+                message: `Merged into "${original.flightName}"`
+            };
+        }
+        if (context.onDuplicate === 'allow') {
+            result.flight.duplicateOf = original._id;
+            return { status: 'accepted', flight: result.flight, duplicateOf, matchedBy, message: `Kept as a duplicate of "${original.flightName}"` };
+        }
+        return {
+            status: 'duplicate',
+            duplicateOf,
+            matchedBy,
+            message: `Duplicate of "${original.flightName}" (${what}); ` +
+                'upload with onDuplicate=merge or onDuplicate=allow to keep it'
+        };
+    }
+
+    // Keep the uploaded bytes in RawFileStore and record the compressed copy on the flight
+    async storeRawFile(flight, content) {
+        const stored = await RawFileStore.put(content);
+        flight.set('rawFile.checksum', stored.checksum);
+        flight.set('rawFile.size', stored.size);
+        flight.set('rawFile.compressedSize', stored.compressedSize);
+        flight.set('rawFile.storedAt', new Date());
+    }
+
+    // Store the raw file and save the flight, releasing the raw file again when the save fails
+    async saveWithRawFile(flight, content) {
+        await this.storeRawFile(flight, content);
+        try {
+            await flight.save();
+        } catch (error) {
+            await this.releaseRawFile(flight.rawFile.checksum);
+            throw error;
+        }
+    }
+
+    /**
+     * After a flight is saved: chunks a streamed upload wrote under its own id move to the stored flight
+     * it was merged into, and chunks the flight no longer uses are deleted
+     */
+    async settlePointChunks(flight, uploadId, resolution) {
+        const generation = flight.pointStore?.generation;
+        if (generation && !flight._id.equals(uploadId)) {
+            await FlightPointChunk.updateMany({ flightId: uploadId, generation }, { $set: { flightId: flight._id } });
+        }
+        if (resolution.status === 'merged') {
+            await FlightPointChunk.prune(flight._id, generation);
+        }
+    }
+
+    // Delete a stored raw file once no flight links to it
+    async releaseRawFile(checksum) {
+        if (!checksum || await FlightData.exists({ 'rawFile.checksum': checksum })) return;
+        await RawFileStore.remove(checksum);
+    }
+
+    // onDuplicate for a file repeating an earlier one of the same batch upload; only allow stores it again
+    resolveBatchDuplicate(result, earlier, context) {
+        const matchedBy = FlightData.duplicateMatch(earlier.identity, result.identity);
+        const duplicateOf = { id: earlier.flight._id, flightName: earlier.flight.flightName };
+        if (context.onDuplicate === 'allow') {
+            result.flight.duplicateOf = earlier.flight.duplicateOf || earlier.flight._id;
+            return { status: 'accepted', flight: result.flight, duplicateOf, matchedBy, message: `Kept as a duplicate of "${earlier.flight.flightName}"` };
+        }
+        return {
+            status: 'duplicate',
+            duplicateOf,
+            matchedBy,
+            message: `Repeats "${earlier.flight.flightName}" earlier in this upload`
+        };
+    }
+
+    /**
+     * Files of one batch upload as { fileName, content } or { fileName, error }; a ZIP archive gives its
+     * members, named archive.zip/member
+     */
+    async batchFiles(upload) {
+        if (!UploadArchive.isArchive(upload.originalname)) {
+            return [{ fileName: upload.originalname, content: fs.readFileSync(upload.path) }];
+        }
+
+        let members;
+        try {
+            members = await UploadArchive.read(upload.path);
+        } catch (error) {
+            return [{ fileName: upload.originalname, error: error.message }];
+        }
+        const extensions = FlightImporter.acceptedExtensions();
+        return members.map(member => {
+            const fileName = `${upload.originalname}/${member.name}`;
+            const extension = path.extname(member.name).toLowerCase();
+            if (member.error) return { fileName, error: member.error };
+            if (extension === '.zip') return { fileName, error: 'Archives inside archives are not supported' };
+            if (!extensions.includes(extension)) {
+                return { fileName, error: `Only ${extensions.join(', ')} files are supported` };
+            }
+            return { fileName, content: member.content };
+        });
+    }
+
+    // Flight name from a file name: the base name without folders or extension
+    nameFromFile(fileName) {
+        return path.basename(fileName, path.extname(fileName));
+    }
+
+    // Default session name: the archive's name when one archive was uploaded, else the first flight's start
+    sessionName(uploads, times) {
+        if (uploads.length === 1 && UploadArchive.isArchive(uploads[0].originalname)) {
+            return this.nameFromFile(uploads[0].originalname);
+        }
+        const start = times.length ? new Date(Math.min(...times) * 1000) : new Date();
+        return `Test session ${start.toISOString().slice(0, 16).replace('T', ' ')}`;
+    }
+
+    // Log formats the upload accepts
+    listImporters(req, res) {
+        res.json({
+            success: true,
+            importers: FlightImporter.list()
+        });
+    }
+
     // Get flight history with filters and pagination
     async getFlightHistory(req, res) {
         try {
@@ -131,6 +756,15 @@ class FlightController {
                 dayEnd.setDate(dayEnd.getDate() + 1);
                 filters.createdAt = { $gte: dayStart, $lt: dayEnd };
             }
+            if (req.query.sessionId) {
+                if (!mongoose.isObjectIdOrHexString(req.query.sessionId)) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Invalid session ID'
+                    });
+                }
+                filters.sessionId = req.query.sessionId;
+            }
 
             const total = await FlightData.countDocuments(filters);
 
@@ -146,6 +780,8 @@ class FlightController {
                     id: flight._id,
                     flightName: flight.flightName,
                     timestamp: flight.timestamp,
+                    sessionId: flight.sessionId || null,
+                    hasRawFile: Boolean(flight.rawFile?.checksum),
                     uploadDate: flight.createdAt,
                     totalPoints: flight.analysis?.totalPoints || 0,
                     responseTime: flight.analysis?.responseTime || 0,
@@ -153,7 +789,8 @@ class FlightController {
                     qualityScore: flight.qualityAssessment?.overallScore || 0,
                     qualityGrade: flight.qualityAssessment?.grade || 'N/A',
                     networkImpact: flight.networkAnalysis?.impactAssessment?.performanceImpact || 0,
-                    stabilityScore: flight.performanceMetrics?.communicationEfficiency?.reliability || 0
+                    stabilityScore: flight.trajectoryAnalysis?.detailed?.stabilityMetrics?.overallStabilityScore || 0,
+                    communicationReliability: flight.performanceMetrics?.communicationEfficiency?.reliability ?? null
                 })),
                 pagination: {
                     current: page,
@@ -200,6 +837,8 @@ class FlightController {
                     trajectoryAnalysis: flight.trajectoryAnalysis,
                     performanceMetrics: flight.performanceMetrics,
                     networkAnalysis: flight.networkAnalysis,
+                    accuracyCheck: flight.accuracyCheck,
+                    dataQuality: flight.dataQuality,
                     qualityAssessment: flight.qualityAssessment,
                     uploadDate: flight.createdAt
                 }
@@ -214,15 +853,23 @@ class FlightController {
         }
     }
 
-    // Get data for 3D visualization
+    // Get data for 3D visualization, downsampled to ?points= within an optional ?from=&to= time window
     async getVisualizationData(req, res) {
         try {
             const { flightId } = req.params;
+            const { options, errors } = TimeSeriesDownsampler.parseOptions(req.query, { method: 'dp' });
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: errors.join('; '),
+                    errors
+                });
+            }
 
             const flight = await FlightData.findOne({
                 _id: flightId,
                 userId: req.user.userId
-            });
+            }).lean();
 
             if (!flight) {
                 return res.status(404).json({
@@ -231,7 +878,8 @@ class FlightController {
                 });
             }
 
-            const visualizationData = UAVDataProcessor.generate3DVisualizationData(flight);
+            const { points, downsampling } = await this.seriesPoints(flight, options);
+            const visualizationData = UAVDataProcessor.generate3DVisualizationData(flight, points, downsampling);
 
             res.json({
                 success: true,
@@ -247,6 +895,127 @@ class FlightController {
         }
     }
 
+    // Get chosen point fields as columns for charts, downsampled like the visualization (?fields=error,z)
+    async getFlightSeries(req, res) {
+        try {
+            const { flightId } = req.params;
+            const { options, errors } = TimeSeriesDownsampler.parseOptions(req.query, { method: 'lttb' });
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: errors.join('; '),
+                    errors
+                });
+            }
+
+            const flight = await FlightData.findOne({
+                _id: flightId,
+                userId: req.user.userId
+            }).lean();
+
+            if (!flight) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Flight data not found'
+                });
+            }
+
+            const { points, downsampling } = await this.seriesPoints(flight, options);
+
+            res.json({
+                success: true,
+                flightId: flight._id,
+                flightName: flight.flightName,
+                series: TimeSeriesDownsampler.columns(points, options.fields),
+                downsampling
+            });
+
+        } catch (error) {
+            console.error('Get flight series error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get flight series: ' + error.message
+            });
+        }
+    }
+
+    /**
+     * The points of a flight to draw for downsampling options, with what was done to them:
+     * { method, resolution ('full', or 'sample' for the sample of a chunked flight), window, windowPoints,
+     * returnedPoints }. Time windows of chunked flights are read from the chunks when narrow enough.
+     */
+    async seriesPoints(flight, { points: target, from, to, method, fields = [] }) {
+        let source = null;
+        const store = flight.pointStore;
+        if (store?.chunked && (from !== undefined || to !== undefined)) {
+            source = await FlightPointChunk.between(flight._id, store.generation, from, to, MAX_DETAIL_CHUNKS);
+        }
+        const resolution = source || !store?.chunked ? 'full' : 'sample';
+        let windowed = source || TimeSeriesDownsampler.window(flight.positionData, from, to);
+        // Derived before downsampling, so the derivatives see neighbouring samples
+        if (fields.some(field => MOTION_FIELDS.includes(field))) windowed = this.withMotion(windowed);
+        const result = TimeSeriesDownsampler.downsample(windowed, { points: target, method });
+
+        return {
+            points: result.points,
+            downsampling: {
+                method,
+                resolution,
+                window: { from: windowed[0]?.time ?? null, to: windowed[windowed.length - 1]?.time ?? null },
+                windowPoints: windowed.length,
+                returnedPoints: result.points.length
+            }
+        };
+    }
+
+    // Copies of the points with their speed, acceleration and jerk magnitudes
+    withMotion(points) {
+        const { series } = TrajectoryAnalyzer.analyzeVelocity(points);
+        return points.map((point, i) => ({
+            ...point,
+            speed: series.speed[i] ?? null,
+            acceleration: series.acceleration[i] ?? null,
+            jerk: series.jerk[i] ?? null
+        }));
+    }
+
+    // Get per-waypoint segment breakdown
+    async getSegmentAnalysis(req, res) {
+        try {
+            const { flightId } = req.params;
+
+            const flight = await FlightData.findOne({
+                _id: flightId,
+                userId: req.user.userId
+            });
+
+            if (!flight) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Flight data not found'
+                });
+            }
+
+            // Recompute from the stored points so flights uploaded before segments existed work too
+            const flightInput = UAVDataProcessor.buildAnalysisInput(flight);
+            const segments = TrajectoryAnalyzer.analyzeSegments(flightInput.position_data, flightInput.sequence);
+
+            res.json({
+                success: true,
+                flightId: flight._id,
+                flightName: flight.flightName,
+                segments
+            });
+
+        } catch (error) {
+            console.error('Get segment analysis error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get segment analysis: ' + error.message
+            });
+        }
+    }
+
     // Generate flight report
     async generateReport(req, res) {
         try {
@@ -280,6 +1049,128 @@ class FlightController {
         }
     }
 
+    // Export the full time series of one flight (/:flightId/export) or a selection (/export?ids=a,b)
+    // as CSV, NDJSON, KML or GeoJSON, streamed one flight at a time
+    async exportFlights(req, res) {
+        try {
+            const source = req.method === 'POST' ? { ...req.query, ...req.body } : req.query;
+            const { options, errors } = FlightExporter.parseOptions(source);
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: errors.join('; '),
+                    errors
+                });
+            }
+
+            let ids = req.params.flightId ? [req.params.flightId] : source.ids || source.flightIds || [];
+            if (typeof ids === 'string') ids = ids.split(',').filter(Boolean);
+            if (!Array.isArray(ids) || ids.length === 0 || !ids.every(id => mongoose.Types.ObjectId.isValid(id))) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Provide the IDs of the flights to export'
+                });
+            }
+            if (ids.length > FlightExporter.MAX_EXPORT_FLIGHTS) {
+                return res.status(400).json({
+                    success: false,
+                    message: `At most ${FlightExporter.MAX_EXPORT_FLIGHTS} flights can be exported at once`
+                });
+            }
+
+            const userId = req.user.userId;
+            const found = await FlightData.find({ _id: { $in: ids }, userId }).select('_id flightName').lean();
+            if (found.length === 0) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Flight data not found'
+                });
+            }
+            // Keep the order the flights were selected in
+            const flights = ids.map(id => found.find(f => String(f._id) === String(id))).filter(Boolean);
+
+            const format = FlightExporter.FORMATS[options.format];
+            const baseName = flights.length === 1 ?
+                flights[0].flightName.replace(/\.json$/i, '').replace(/[^\w.-]+/g, '_') :
+                `uav_flights_export_${new Date().toISOString().split('T')[0]}`;
+            res.setHeader('Content-Type', format.contentType);
+            res.setHeader('Content-Disposition', `attachment; filename="${baseName}.${format.extension}"`);
+
+            const loadFlight = async id => {
+                const flight = await FlightData.findOne({ _id: id, userId }).select(FlightExporter.EXPORT_FIELDS).lean();
+                // Every point of a chunked flight, rather than its sample
+                if (flight?.pointStore?.chunked) {
+                    flight.pointChunks = FlightPointChunk.iterate(flight._id, flight.pointStore.generation);
+                }
+                return flight;
+            };
+            const stream = Readable.from(FlightExporter.generate(flights, options, loadFlight));
+            stream.on('error', error => {
+                // Headers are gone by now; cut the response short so the client sees a failed download
+                console.error('Export flights error:', error);
+                res.destroy(error);
+            });
+            stream.pipe(res);
+
+        } catch (error) {
+            console.error('Export flights error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Export failed: ' + error.message
+            });
+        }
+    }
+
+    // Download the file a flight was uploaded from, byte for byte
+    async downloadRawFile(req, res) {
+        try {
+            const { flightId } = req.params;
+            const flight = mongoose.isObjectIdOrHexString(flightId) ?
+                await FlightData.findOne({ _id: flightId, userId: req.user.userId }).select('flightName rawFile').lean() :
+                null;
+            if (!flight) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Flight data not found'
+                });
+            }
+            if (!flight.rawFile?.checksum) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'The original file of this flight was not kept; it was uploaded before raw files were stored'
+                });
+            }
+
+            const fileName = path.basename(flight.rawFile.fileName || `${flight.flightName}.json`).replace(/[^\w.-]+/g, '_');
+            const stream = RawFileStore.createReadStream(flight.rawFile.checksum);
+            // Headers go out with the first bytes, so a file missing from the store still gets a JSON answer
+            stream.once('data', () => res.set({
+                'Content-Type': RAW_CONTENT_TYPES[path.extname(fileName).toLowerCase()] || 'application/octet-stream',
+                ...(flight.rawFile.size ? { 'Content-Length': flight.rawFile.size } : {}),
+                'Content-Disposition': `attachment; filename="${fileName}"`,
+                'X-Checksum-SHA256': flight.rawFile.checksum
+            }));
+            stream.on('error', error => this.rawFileError(res, error));
+            res.on('close', () => stream.destroy());
+            stream.pipe(res);
+
+        } catch (error) {
+            this.rawFileError(res, error);
+        }
+    }
+
+    // A damaged stored copy only shows once it has been read to the end, after the rest was sent;
+    // that download is cut short so the client sees it fail
+    rawFileError(res, error) {
+        console.error('Raw file download error:', error);
+        if (res.headersSent) return res.destroy(error);
+        const missing = error.code === 'ENOENT' || error.code === 'ECHECKSUM';
+        res.status(missing ? 410 : 500).json({
+            success: false,
+            message: missing ? 'The stored original file is missing or damaged' : 'Download failed: ' + error.message
+        });
+    }
+
     // Update flight data (rename flightName)
     async updateFlight(req, res) {
         try {
@@ -341,6 +1232,17 @@ class FlightController {
                     message: 'Flight data not found'
                 });
             }
+            if (result.sessionId) {
+                await TestSession.updateOne({ _id: result.sessionId }, { $inc: { flightCount: -1 } });
+            }
+            // Copies kept with onDuplicate=allow would otherwise stay out of the counts and duplicate detection
+            if (!result.duplicateOf) {
+                await FlightData.promoteDuplicate(result._id);
+            }
+            if (result.pointStore?.chunked) {
+                await FlightPointChunk.prune(result._id);
+            }
+            await this.releaseRawFile(result.rawFile?.checksum);
 
             res.json({
                 success: true,
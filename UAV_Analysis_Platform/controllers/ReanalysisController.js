@@ -0,0 +1,129 @@
+// Controller for bulk re-analysis jobs
+// Per-flight results returned with a job, a page at a time
+const DEFAULT_RESULTS_LIMIT = 100;
+const MAX_RESULTS_LIMIT = 1000;
+const mongoose = require('mongoose');
+const ReanalysisJob = require('../models/ReanalysisJob');
+const ReanalysisResult = require('../models/ReanalysisResult');
+const FlightReanalyzer = require('../models/FlightReanalyzer');
+const UAVDataProcessor = require('../models/UAVDataProcessor');
+
+class ReanalysisController {
+    /**
+     * Start a re-analysis job. Body (all optional):
+     * { flightIds: [...], staleOnly: true, uploadedAfter, uploadedBefore, allUsers (admin only) }
+     */
+    static async startReanalysis(req, res) {
+        try {
+            const { scope, error } = ReanalysisController.parseScope(req.body || {}, req.user);
+            if (error) {
+                return res.status(error.status).json({ success: false, message: error.message });
+            }
+            if (!FlightReanalyzer.reserve()) {
+                return res.status(409).json({ success: false, message: 'A re-analysis job is already running' });
+            }
+
+            let job;
+            try {
+                job = await ReanalysisJob.create({ startedBy: String(req.user.userId), scope });
+            } catch (err) {
+                FlightReanalyzer.release();
+                throw err;
+            }
+            // Runs in the background; progress is reported over socket.io
+            FlightReanalyzer.run(job, req.app.get('io')).catch(err => {
+                console.error('Re-analysis job error:', err);
+            });
+
+            res.status(202).json({
+                success: true,
+                message: 'Re-analysis started',
+                jobId: job._id,
+                analysisVersion: UAVDataProcessor.ANALYSIS_VERSION,
+                // Emit watchReanalysis with this jobId to receive progress events
+                room: `reanalysis:${job._id}`
+            });
+        } catch (err) {
+            res.status(500).json({ success: false, message: err.message });
+        }
+    }
+
+    /**
+     * List the user's recent jobs without the per-flight results
+     */
+    static async listJobs(req, res) {
+        try {
+            const jobs = await ReanalysisJob.find({ startedBy: String(req.user.userId) })
+                .sort({ createdAt: -1 })
+                .limit(20)
+                .lean();
+            res.json({ success: true, analysisVersion: UAVDataProcessor.ANALYSIS_VERSION, jobs });
+        } catch (err) {
+            res.status(500).json({ success: false, message: err.message });
+        }
+    }
+
+    /**
+     * Get a job with a page of its per-flight before/after score diffs, ?offset=&limit= (default 100,
+     * up to 1000) in the order the flights were processed, or only the failed flights with ?failed=true
+     */
+    static async getJob(req, res) {
+        try {
+            const { jobId } = req.params;
+            if (!mongoose.Types.ObjectId.isValid(jobId)) {
+                return res.status(404).json({ success: false, message: 'Job not found' });
+            }
+
+            const job = await ReanalysisJob.findOne({ _id: jobId, startedBy: String(req.user.userId) }).lean();
+            if (!job) {
+                return res.status(404).json({ success: false, message: 'Job not found' });
+            }
+
+            const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+            const limit = Math.min(MAX_RESULTS_LIMIT,
+                Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_RESULTS_LIMIT));
+            const filter = { jobId: job._id };
+            if (req.query.failed === 'true') filter.error = { $exists: true };
+            const [results, total] = await Promise.all([
+                ReanalysisResult.find(filter).sort({ _id: 1 }).skip(offset).limit(limit).lean(),
+                ReanalysisResult.countDocuments(filter)
+            ]);
+            res.json({ success: true, job: { ...job, results }, results: { offset, limit, total } });
+        } catch (err) {
+            res.status(500).json({ success: false, message: err.message });
+        }
+    }
+
+    // Validate the request body into a job scope; users can only re-analyze their own flights
+    static parseScope(body, user) {
+        const fail = (status, message) => ({ scope: null, error: { status, message } });
+        const scope = { staleOnly: body.staleOnly !== false };
+
+        if (body.allUsers) {
+            if (user.role !== 'admin') return fail(403, 'Only admins can re-analyze all users\' flights');
+            scope.allUsers = true;
+        } else if (!mongoose.isObjectIdOrHexString(user.userId)) {
+            return fail(400, 'This account has no stored flights');
+        } else {
+            scope.userId = String(user.userId);
+        }
+
+        if (body.flightIds !== undefined) {
+            const validIds = Array.isArray(body.flightIds) &&
+                body.flightIds.every(id => mongoose.Types.ObjectId.isValid(id));
+            if (!validIds) return fail(400, 'flightIds must be an array of flight IDs');
+            scope.flightIds = body.flightIds.map(String);
+        }
+
+        for (const key of ['uploadedAfter', 'uploadedBefore']) {
+            if (body[key] === undefined) continue;
+            const date = new Date(body[key]);
+            if (Number.isNaN(date.getTime())) return fail(400, `${key} must be a date`);
+            scope[key] = date;
+        }
+
+        return { scope, error: null };
+    }
+}
+
+module.exports = ReanalysisController;
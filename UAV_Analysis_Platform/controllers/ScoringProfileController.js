@@ -0,0 +1,147 @@
+// Controller for quality scoring profiles and re-grading stored flights
+const mongoose = require('mongoose');
+const FlightData = require('../models/FlightData');
+const ScoringProfile = require('../models/ScoringProfile');
+const User = require('../models/User');
+const QualityScorer = require('../models/QualityScorer');
+const UAVDataProcessor = require('../models/UAVDataProcessor');
+
+// Fields the scorer reads from a stored flight
+const SCORING_FIELDS = 'flightName analysis.positionAccuracy trajectoryAnalysis.detailed.trajectoryEfficiency ' +
+    'networkAnalysis.impactAssessment qualityAssessment';
+
+class ScoringProfileController {
+    /**
+     * List the built-in profiles and the custom profiles visible to the user
+     */
+    static async listProfiles(req, res) {
+        try {
+            const organization = await User.getOrganization(req.user.userId);
+            const custom = await ScoringProfile.find(ScoringProfile.visibleTo(req.user.userId, organization))
+                .sort({ name: 1 })
+                .lean();
+
+            res.json({
+                success: true,
+                profiles: [
+                    ...QualityScorer.listBuiltInProfiles(),
+                    ...custom.map(p => QualityScorer.normalizeProfile({ ...p, id: p._id, builtIn: false }))
+                ]
+            });
+        } catch (err) {
+            res.status(500).json({ success: false, message: err.message });
+        }
+    }
+
+    /**
+     * Create a custom profile, shared with the creator's organization
+     */
+    static async createProfile(req, res) {
+        try {
+            const { profile, errors } = QualityScorer.validateProfile(req.body);
+            if (errors.length > 0) {
+                return res.status(400).json({ success: false, message: errors.join('; '), errors });
+            }
+
+            const organization = await User.getOrganization(req.user.userId);
+            const saved = await ScoringProfile.create({
+                name: profile.name,
+                description: profile.description,
+                factors: profile.factors,
+                grades: profile.grades,
+                improvementThreshold: profile.improvementThreshold,
+                createdBy: req.user.userId,
+                organization
+            });
+
+            res.status(201).json({
+                success: true,
+                profile: QualityScorer.normalizeProfile({ ...saved.toObject(), id: saved._id, builtIn: false })
+            });
+        } catch (err) {
+            res.status(500).json({ success: false, message: err.message });
+        }
+    }
+
+    /**
+     * Delete a custom profile; only its creator can
+     */
+    static async deleteProfile(req, res) {
+        try {
+            const { profileId } = req.params;
+            if (!mongoose.Types.ObjectId.isValid(profileId)) {
+                return res.status(404).json({ success: false, message: 'Scoring profile not found' });
+            }
+
+            const result = await ScoringProfile.deleteOne({ _id: profileId, createdBy: req.user.userId });
+            if (result.deletedCount === 0) {
+                return res.status(404).json({ success: false, message: 'Scoring profile not found' });
+            }
+            res.json({ success: true, message: 'Scoring profile deleted' });
+        } catch (err) {
+            res.status(500).json({ success: false, message: err.message });
+        }
+    }
+
+    /**
+     * Re-grade the user's stored flights (all, or body.flightIds) against a profile.
+     * body.dryRun returns the new grades without saving them.
+     */
+    static async regradeFlights(req, res) {
+        try {
+            const { profileId } = req.params;
+            const { flightIds, dryRun } = req.body || {};
+            const userId = req.user.userId;
+
+            const validIds = Array.isArray(flightIds) && flightIds.every(id => mongoose.Types.ObjectId.isValid(id));
+            if (flightIds !== undefined && !validIds) {
+                return res.status(400).json({ success: false, message: 'flightIds must be an array of flight IDs' });
+            }
+
+            const organization = await User.getOrganization(userId);
+            const profile = await ScoringProfile.resolve(profileId, userId, organization);
+            if (!profile) {
+                return res.status(404).json({ success: false, message: 'Scoring profile not found' });
+            }
+
+            const filter = { userId };
+            if (flightIds) filter._id = { $in: flightIds };
+            const flights = await FlightData.find(filter).select(SCORING_FIELDS);
+
+            const results = [];
+            for (const flight of flights) {
+                const previous = flight.qualityAssessment;
+                const qualityAssessment = UAVDataProcessor.calculateQualityScore(flight, profile);
+                if (!dryRun) {
+                    await FlightData.updateOne({ _id: flight._id }, { $set: { qualityAssessment } });
+                }
+                results.push({
+                    flightId: flight._id,
+                    flightName: flight.flightName,
+                    previous: {
+                        overallScore: previous?.overallScore ?? null,
+                        grade: previous?.grade || null,
+                        profile: previous?.profile?.id || null
+                    },
+                    current: {
+                        overallScore: qualityAssessment.overallScore,
+                        grade: qualityAssessment.grade,
+                        breakdown: qualityAssessment.breakdown
+                    }
+                });
+            }
+
+            res.json({
+                success: true,
+                profile: { id: String(profile.id), name: profile.name },
+                saved: !dryRun,
+                regraded: results.length,
+                results
+            });
+        } catch (err) {
+            res.status(500).json({ success: false, message: err.message });
+        }
+    }
+}
+
+module.exports = ScoringProfileController;
@@ -0,0 +1,104 @@
+// Controller for test sessions created by batch uploads
+const mongoose = require('mongoose');
+const TestSession = require('../models/TestSession');
+const FlightData = require('../models/FlightData');
+
+const MAX_NAME_LENGTH = 100;
+
+class TestSessionController {
+    /**
+     * List the user's sessions, newest first, without the per-file reports
+     */
+    static async listSessions(req, res) {
+        try {
+            const sessions = await TestSession.find({ userId: req.user.userId })
+                .select('-files')
+                .sort({ createdAt: -1 })
+                .lean();
+            res.json({ success: true, sessions });
+        } catch (err) {
+            res.status(500).json({ success: false, message: err.message });
+        }
+    }
+
+    /**
+     * Get a session with its per-file upload report and its flights in recorded order
+     */
+    static async getSession(req, res) {
+        try {
+            const session = await TestSessionController.findSession(req);
+            if (!session) {
+                return res.status(404).json({ success: false, message: 'Session not found' });
+            }
+
+            const flights = await FlightData.find({ userId: req.user.userId, sessionId: session._id })
+                .select('flightName timestamp analysis.totalPoints analysis.positionAccuracy.overall.average qualityAssessment.overallScore qualityAssessment.grade')
+                .sort({ timestamp: 1 })
+                .lean();
+
+            res.json({
+                success: true,
+                session,
+                flights: flights.map(flight => ({
+                    id: flight._id,
+                    flightName: flight.flightName,
+                    timestamp: flight.timestamp,
+                    totalPoints: flight.analysis?.totalPoints || 0,
+                    averageError: flight.analysis?.positionAccuracy?.overall?.average ?? null,
+                    qualityScore: flight.qualityAssessment?.overallScore ?? null,
+                    qualityGrade: flight.qualityAssessment?.grade || 'N/A'
+                }))
+            });
+        } catch (err) {
+            res.status(500).json({ success: false, message: err.message });
+        }
+    }
+
+    /**
+     * Rename a session. Body: { name }
+     */
+    static async renameSession(req, res) {
+        try {
+            const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+            if (!name || name.length > MAX_NAME_LENGTH) {
+                return res.status(400).json({ success: false, message: `name must be 1-${MAX_NAME_LENGTH} characters` });
+            }
+
+            const session = await TestSessionController.findSession(req);
+            if (!session) {
+                return res.status(404).json({ success: false, message: 'Session not found' });
+            }
+            await TestSession.updateOne({ _id: session._id }, { $set: { name } });
+            res.json({ success: true, message: 'Session renamed', session: { ...session, name } });
+        } catch (err) {
+            res.status(500).json({ success: false, message: err.message });
+        }
+    }
+
+    /**
+     * Delete a session; its flights are kept, no longer grouped
+     */
+    static async deleteSession(req, res) {
+        try {
+            const session = await TestSessionController.findSession(req);
+            if (!session) {
+                return res.status(404).json({ success: false, message: 'Session not found' });
+            }
+
+            await FlightData.updateMany({ userId: req.user.userId, sessionId: session._id }, { $unset: { sessionId: 1 } });
+            await TestSession.deleteOne({ _id: session._id });
+            res.json({ success: true, message: 'Session deleted' });
+        } catch (err) {
+            res.status(500).json({ success: false, message: err.message });
+        }
+    }
+
+    // The user's session named by :sessionId, or null
+    static async findSession(req) {
+        const { sessionId } = req.params;
+        if (!mongoose.isObjectIdOrHexString(sessionId)) return null;
+        return TestSession.findOne({ _id: sessionId, userId: req.user.userId }).lean();
+    }
+}
+
+module.exports = TestSessionController;
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Flight analysis job run by AnalysisJobQueue. Stored so clients can pick up progress after a
+// reconnect and so jobs interrupted by a restart are run again.
+const analysisJobSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    flightId: { type: mongoose.Schema.Types.ObjectId, ref: 'FlightData', required: true },
+    status: {
+        type: String,
+        enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+        default: 'queued'
+    },
+    stage: String, // stage currently running
+    progress: { type: Number, default: 0 }, // 0-100, from the stages completed so far
+    stages: [{
+        name: String,
+        startedAt: Date,
+        finishedAt: Date
+    }],
+    attempts: { type: Number, default: 0 },
+    cancelRequested: { type: Boolean, default: false },
+    error: String,
+    reportId: { type: mongoose.Schema.Types.ObjectId, ref: 'AnalysisReport' },
+    startedAt: Date,
+    finishedAt: Date
+}, {
+    timestamps: true
+});
+
+analysisJobSchema.index({ userId: 1, createdAt: -1 });
+analysisJobSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('AnalysisJob', analysisJobSchema);
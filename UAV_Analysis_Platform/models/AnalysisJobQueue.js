@@ -0,0 +1,247 @@
+// In-process queue for flight analysis jobs. Jobs run one at a time as a list of stages; progress is the
+// share of stage weight finished so far, and a cancel request stops a running job at the next stage boundary.
+// Progress and completion go to the owner's `user:<userId>` socket.io room.
+const mongoose = require('mongoose');
+const AnalysisJob = require('./AnalysisJob');
+const AnalysisReport = require('./AnalysisReport');
+const FlightData = require('./FlightData');
+const UAVDataProcessor = require('./UAVDataProcessor');
+
+// Weights are each stage's rough share of the run time
+const STAGES = [
+    {
+        name: 'load',
+        label: 'Loading flight data',
+        weight: 30,
+        run: async ctx => {
+            ctx.flight = await FlightData.findOne({ _id: ctx.job.flightId, userId: ctx.job.userId });
+            if (!ctx.flight) throw new Error('Flight data not found');
+        }
+    },
+    {
+        name: 'kinematics',
+        label: 'Computing speed and duration',
+        weight: 30,
+        run: async ctx => {
+            ctx.result = UAVDataProcessor.generateSimpleAnalysisResult(ctx.flight);
+        }
+    },
+    {
+        name: 'snapshot',
+        label: 'Collecting trajectory metrics',
+        weight: 20,
+        run: async ctx => {
+            ctx.snapshot = UAVDataProcessor.buildReportSnapshot(ctx.flight);
+        }
+    },
+    {
+        name: 'save',
+        label: 'Saving report',
+        weight: 20,
+        run: async ctx => {
+            ctx.report = await AnalysisReport.create({
+                flightId: ctx.flight._id,
+                userId: ctx.job.userId,
+                flightName: ctx.flight.flightName,
+                reportVersion: AnalysisReport.REPORT_VERSION,
+                ...ctx.result,
+                ...ctx.snapshot
+            });
+        }
+    }
+];
+const TOTAL_WEIGHT = STAGES.reduce((sum, stage) => sum + stage.weight, 0);
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+const pending = [];
+const cancelRequests = new Set();
+let activeJobId = null;
+let io = null;
+
+class AnalysisJobQueue {
+
+    static setSocketServer(server) {
+        io = server;
+    }
+
+    /**
+     * Queue an analysis of one of the user's flights. A flight that already has a queued or running
+     * job gets that job back. Returns { job } or { error: { status, message } }.
+     */
+    static async submit(userId, flightId) {
+        if (!mongoose.isObjectIdOrHexString(userId)) {
+            return { error: { status: 400, message: 'This account has no stored flights' } };
+        }
+        if (!flightId || !mongoose.Types.ObjectId.isValid(flightId)) {
+            return { error: { status: 400, message: 'A valid flightId is required' } };
+        }
+        if (!await FlightData.exists({ _id: flightId, userId })) {
+            return { error: { status: 404, message: 'Flight data not found' } };
+        }
+
+        const active = await AnalysisJob.findOne({ userId, flightId, status: { $in: ACTIVE_STATUSES } });
+        if (active) return { job: active };
+
+        const job = await AnalysisJob.create({ userId, flightId });
+        this.enqueue(job._id);
+        return { job };
+    }
+
+    /**
+     * Cancel a queued job right away, or ask a running one to stop after its current stage
+     */
+    static async cancel(userId, jobId) {
+        const job = await this.findUserJob(userId, jobId);
+        if (!job) return { error: { status: 404, message: 'Job not found' } };
+
+        if (job.status === 'queued') {
+            const index = pending.indexOf(String(job._id));
+            if (index !== -1) pending.splice(index, 1);
+            await this.finish(job, 'cancelled');
+        } else if (job.status === 'running') {
+            cancelRequests.add(String(job._id));
+            job.cancelRequested = true;
+            await job.save();
+        } else {
+            return { error: { status: 409, message: `Job is already ${job.status}` } };
+        }
+        return { job };
+    }
+
+    /**
+     * Queue a failed or cancelled job again from the first stage
+     */
+    static async retry(userId, jobId) {
+        const job = await this.findUserJob(userId, jobId);
+        if (!job) return { error: { status: 404, message: 'Job not found' } };
+        if (job.status !== 'failed' && job.status !== 'cancelled') {
+            return { error: { status: 409, message: 'Only failed or cancelled jobs can be retried' } };
+        }
+
+        job.status = 'queued';
+        job.progress = 0;
+        job.cancelRequested = false;
+        job.stage = undefined;
+        job.error = undefined;
+        job.finishedAt = undefined;
+        await job.save();
+        this.enqueue(job._id);
+        return { job };
+    }
+
+    /**
+     * Pick up the jobs a previous process left behind: running jobs start over (or are cancelled
+     * if that was requested) and queued jobs run in submission order
+     */
+    static async recover() {
+        await AnalysisJob.updateMany(
+            { status: 'running', cancelRequested: true },
+            { $set: { status: 'cancelled', finishedAt: new Date() } }
+        );
+        await AnalysisJob.updateMany(
+            { status: 'running' },
+            { $set: { status: 'queued', progress: 0 }, $unset: { stage: 1 } }
+        );
+
+        const jobs = await AnalysisJob.find({ status: 'queued' }).sort({ createdAt: 1 }).select('_id').lean();
+        jobs.forEach(job => this.enqueue(job._id));
+        return jobs.length;
+    }
+
+    static enqueue(jobId) {
+        const id = String(jobId);
+        if (id !== activeJobId && !pending.includes(id)) pending.push(id);
+        setImmediate(() => this.processNext());
+    }
+
+    static async processNext() {
+        if (activeJobId || pending.length === 0) return;
+
+        activeJobId = pending.shift();
+        try {
+            await this.runJob(activeJobId);
+        } catch (err) {
+            console.error('Analysis job error:', err);
+        } finally {
+            activeJobId = null;
+            setImmediate(() => this.processNext());
+        }
+    }
+
+    static async runJob(jobId) {
+        const job = await AnalysisJob.findById(jobId);
+        // Cancelled or removed while it was waiting
+        if (!job || job.status !== 'queued') return;
+
+        job.status = 'running';
+        job.attempts += 1;
+        job.startedAt = new Date();
+        job.progress = 0;
+        job.stages = [];
+        await job.save();
+
+        const ctx = { job };
+        let completedWeight = 0;
+        try {
+            for (const stage of STAGES) {
+                if (cancelRequests.has(String(job._id))) {
+                    await this.finish(job, 'cancelled');
+                    return;
+                }
+
+                job.stage = stage.name;
+                job.stages.push({ name: stage.name, startedAt: new Date() });
+                await job.save();
+                this.emit(job, 'analysisProgress', { message: `${stage.label}... ${job.progress}%` });
+
+                await stage.run(ctx);
+
+                job.stages[job.stages.length - 1].finishedAt = new Date();
+                completedWeight += stage.weight;
+                job.progress = Math.round((completedWeight / TOTAL_WEIGHT) * 100);
+            }
+
+            job.reportId = ctx.report._id;
+            await this.finish(job, 'completed', { report: ctx.report });
+        } catch (err) {
+            job.error = err.message;
+            await this.finish(job, 'failed');
+        }
+    }
+
+    // Store the final status and tell the owner; a failed job keeps the stage it failed in
+    static async finish(job, status, { report } = {}) {
+        job.status = status;
+        job.finishedAt = new Date();
+        if (status !== 'failed') job.stage = undefined;
+        cancelRequests.delete(String(job._id));
+        await job.save();
+
+        const messages = { completed: 'Analysis complete', cancelled: 'Analysis cancelled' };
+        this.emit(job, 'analysisComplete', {
+            success: status === 'completed',
+            message: messages[status] || job.error,
+            report
+        });
+    }
+
+    static emit(job, event, payload) {
+        io?.to(`user:${job.userId}`).emit(event, {
+            jobId: job._id,
+            flightId: job.flightId,
+            status: job.status,
+            stage: job.stage || null,
+            progress: job.progress,
+            ...payload
+        });
+    }
+
+    static findUserJob(userId, jobId) {
+        if (!mongoose.Types.ObjectId.isValid(jobId) || !mongoose.isObjectIdOrHexString(userId)) {
+            return Promise.resolve(null);
+        }
+        return AnalysisJob.findOne({ _id: jobId, userId });
+    }
+}
+
+module.exports = AnalysisJobQueue;
@@ -1,5 +1,26 @@
 const mongoose = require('mongoose');
 
+// Layout of the snapshot written by UAVDataProcessor.buildReportSnapshot. Reports without it were
+// created before snapshots and only have the speed, duration and errorRate fields.
+const REPORT_VERSION = 2;
+
+// Error statistics copied from analysis.positionAccuracy, in metres
+const accuracyStats = {
+    count: Number,
+    average: Number,
+    median: Number,
+    min: Number,
+    max: Number,
+    stdDev: Number,
+    rms: Number,
+    p50: Number,
+    p90: Number,
+    p95: Number,
+    p99: Number,
+    ci95Lower: Number,
+    ci95Upper: Number
+};
+
 const AnalysisReportSchema = new mongoose.Schema({
     flightId: { type: mongoose.Schema.Types.ObjectId, ref: 'FlightData', required: true },
     flightName: { type: String },
@@ -7,8 +28,149 @@ const AnalysisReportSchema = new mongoose.Schema({
     avgSpeed: Number,
     maxSpeed: Number,
     duration: Number,
+    // Average error in centimetres, written by reports before version 2; use accuracy.overall.average
     errorRate: Number,
+
+    reportVersion: Number,
+
+    // Flight and analysis the snapshot was taken from, so the report can be reproduced or
+    // recognised as out of date after the flight is re-analyzed
+    source: {
+        timestamp: String,
+        analysisVersion: Number,
+        analyzedAt: Date,
+        pointCount: Number,
+        waypointCount: Number
+    },
+
+    // Settings the analysis ran with
+    parameters: {
+        errorOptions: {
+            heightWeight: Number,
+            verticalMode: String,
+            excludeTransit: Boolean,
+            source: String
+        },
+        errorCalculation: {
+            method: String,
+            verticalMode: String
+        },
+        scoringProfile: {
+            id: String,
+            name: String
+        }
+    },
+
+    distance: Number, // metres flown
+
+    accuracy: {
+        overall: accuracyStats,
+        waypoint: accuracyStats,
+        transit: accuracyStats,
+        valid: accuracyStats,
+        xyPlane: accuracyStats,
+        height: accuracyStats
+    },
+
+    phases: {
+        waypoint: {
+            count: Number,
+            percentage: Number,
+            averageError: Number,
+            averageDwellTime: Number,
+            stabilizationRate: Number
+        },
+        transit: {
+            count: Number,
+            percentage: Number,
+            averageError: Number,
+            averageSpeed: Number,
+            smoothnessIndex: Number
+        },
+        transitions: {
+            count: Number,
+            averageError: Number
+        }
+    },
+
+    segments: [{
+        sequenceIndex: Number,
+        from: [Number],
+        to: [Number],
+        transitTime: Number,
+        holdTime: Number,
+        timeToStabilize: Number,
+        holdMeanError: Number,
+        holdMaxError: Number,
+        overshoot: Number,
+        pathEfficiency: Number
+    }],
+
+    efficiency: {
+        actualDistance: Number,
+        idealDistance: Number,
+        efficiencyRatio: Number,
+        excessDistance: Number,
+        totalFlightTime: Number,
+        activeFlightTime: Number,
+        idleTime: Number,
+        timeEfficiency: Number
+    },
+
+    stability: {
+        overallScore: Number,
+        stabilizationRatio: Number,
+        averageJitter: Number,
+        maxJitter: Number,
+        altitudeStability: Number,
+        smoothnessIndex: Number,
+        pathSmoothness: Number
+    },
+
+    communication: {
+        commandsSent: Number,
+        commandsDropped: Number,
+        totalAttempts: Number,
+        successRate: Number,
+        dropRate: Number,
+        commandRate: Number,
+        responseTime: Number,
+        averageNetworkQuality: Number,
+        qualitySource: String,
+        degradationEvents: Number,
+        performanceImpact: Number
+    },
+
+    battery: {
+        startVoltage: Number,
+        minimumRequired: Number,
+        estimated: Boolean,
+        batteryUtilization: Number,
+        energyPerMeter: Number,
+        projectedFlightTime: Number
+    },
+
+    quality: {
+        overallScore: Number,
+        grade: String,
+        breakdown: {
+            accuracy: Number,
+            stability: Number,
+            efficiency: Number,
+            adaptability: Number
+        }
+    },
+
     createdAt: { type: Date, default: Date.now }
 });
 
+AnalysisReportSchema.statics.REPORT_VERSION = REPORT_VERSION;
+
+// Average error in metres for current and pre-snapshot reports
+AnalysisReportSchema.statics.averageError = function(report) {
+    const average = report.accuracy?.overall?.average;
+    if (typeof average === 'number') return average;
+    return typeof report.errorRate === 'number' ? report.errorRate / 100 : null;
+};
+
 module.exports = mongoose.model('AnalysisReport', AnalysisReportSchema);
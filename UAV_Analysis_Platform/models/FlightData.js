@@ -1,4 +1,73 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Error statistics for one accuracy bucket (see UAVDataProcessor.calculateStats)
+const accuracyStats = {
+    count: Number,
+    average: Number,
+    median: Number,
+    min: Number,
+    max: Number,
+    stdDev: Number,
+    rms: Number,
+    p50: Number,
+    p90: Number,
+    p95: Number,
+    p99: Number,
+    confidence95: Number, // half-width of the normal-approximation interval
+    ci95Lower: Number, // bootstrap interval for the mean
+    ci95Upper: Number
+};
+
+// position_accuracy as written by the onboard error calculator (snake_case, as in the upload)
+const onboardAccuracyBucket = {
+    average: Number,
+    median: Number,
+    min: Number,
+    max: Number,
+    confidence_95: Number,
+    count: Number,
+    percentage: Number
+};
+const onboardAccuracy = {
+    overall: onboardAccuracyBucket,
+    waypoint_phase: onboardAccuracyBucket,
+    transit_phase: onboardAccuracyBucket,
+    valid_errors: onboardAccuracyBucket,
+    valid_xy: onboardAccuracyBucket,
+    valid_height: onboardAccuracyBucket,
+    stable_phase: onboardAccuracyBucket,
+    height: {
+        overall: onboardAccuracyBucket,
+        waypoint: onboardAccuracyBucket,
+        transit: onboardAccuracyBucket
+    },
+    xy_plane: {
+        overall: onboardAccuracyBucket,
+        waypoint: onboardAccuracyBucket,
+        transit: onboardAccuracyBucket
+    },
+    total_points: Number,
+    waypoint_points: Number,
+    transit_points: Number,
+    valid_points: Number,
+    excluded_points: Number,
+    average_error: Number,
+    median_error: Number,
+    max_error: Number,
+    min_error: Number,
+    confidence_95: Number,
+    config: {
+        height_weight: Number,
+        vertical_mode: String,
+        exclude_transit: Boolean
+    }
+};
+// FlightDataCleaner issue: how many points have it and the first indices
+const dataIssue = {
+    count: Number,
+    indices: [Number]
+};
 
 const flightDataSchema = new mongoose.Schema({
     userId: {
@@ -16,6 +85,40 @@ const flightDataSchema = new mongoose.Schema({
         type: String,
         required: true  // e.g., "20250513_194215"
     },
+
+    // Test session of a batch upload
+    sessionId: { type: mongoose.Schema.Types.ObjectId, ref: 'TestSession' },
+
+    // Duplicate detection (see findDuplicate): SHA-256 of the uploaded file, and the rf_test
+    // first_command_time, which together with timestamp identifies a recording
+    fingerprint: String,
+    firstCommandTime: Number,
+    // Original of a flight kept with onDuplicate=allow; such flights are left out of dashboard statistics
+    duplicateOf: { type: mongoose.Schema.Types.ObjectId, ref: 'FlightData' },
+
+    // Uploaded file as received, kept in RawFileStore under its checksum (the fingerprint)
+    rawFile: {
+        checksum: String,
+        fileName: String,
+        size: Number,
+        compressedSize: Number,
+        storedAt: Date
+    },
+    // FlightImporter options that reproduce the upload's import from the raw file; startTime is the
+    // effective start, so logs with time since boot re-import at the same time
+    importOptions: {
+        format: String,
+        columnMapping: String, // JSON
+        startTime: String,
+        arrivalRadius: Number,
+        // FlightDataCleaner repairs applied after the import, absent when the points were only inspected
+        cleaning: {
+            mode: String,
+            resampleRate: Number,
+            maxSpeed: Number
+        }
+    },
+
     uploadDate: {
         type: Date,
         default: Date.now
@@ -24,6 +127,26 @@ const flightDataSchema = new mongoose.Schema({
     // Flight sequence
     sequence: [[Number]], // e.g., [[0,0,0.5], [0.5,0.5,0.5]]
 
+    // UAVDataProcessor.ANALYSIS_VERSION the stored analysis was produced with; absent before versioning
+    analysisVersion: Number,
+    analyzedAt: Date,
+
+    // FlightImporter format the upload was read with (e.g. px4-csv); absent for uploads before importers
+    sourceFormat: String,
+
+    // Flights streamed in from large logs (see FlightStreamIngest) keep every point in FlightPointChunk
+    // documents, as one document cannot hold them; positionData then holds every sampleStride-th point
+    // (and the last) for charts, the 3D view and the trajectory analysis
+    pointStore: {
+        chunked: Boolean,
+        generation: mongoose.Schema.Types.ObjectId, // ingest that wrote the current chunks
+        chunkCount: Number,
+        pointCount: Number,
+        sampleStride: Number,
+        startTime: Number,
+        endTime: Number
+    },
+
     // Position data - core flight info
     positionData: [{
         x: Number,
@@ -37,8 +160,14 @@ const flightDataSchema = new mongoose.Schema({
         },
         phase: String, // 'transit' or 'waypoint'
         error: Number,
+        errorComputed: Boolean, // error was missing from the log and computed from the planned path
+        error_xy: Number, // Horizontal component of error
+        error_z: Number, // Vertical component of error
         networkQuality: Number,
-        stabilized: Boolean
+        stabilized: Boolean,
+        sequence_index: Number, // Index into sequence of the waypoint being flown to
+        position_index: Number,
+        transition_progress: Number // 0-1 progress along the current leg
     }],
 
     // Basic analysis results
@@ -49,19 +178,20 @@ const flightDataSchema = new mongoose.Schema({
         responseTime: Number,
 
         positionAccuracy: {
-            overall: {
-                average: Number,
-                median: Number,
-                min: Number,
-                max: Number
+            overall: accuracyStats,
+            waypoint: { ...accuracyStats, percentage: Number },
+            transit: { ...accuracyStats, percentage: Number },
+            // Points counted for the headline score: waypoint holds only with excludeTransit
+            valid: accuracyStats,
+            xyPlane: {
+                overall: accuracyStats,
+                waypoint: accuracyStats,
+                transit: accuracyStats
             },
-            waypoint: {
-                average: Number,
-                median: Number,
-                min: Number,
-                max: Number,
-                count: Number,
-                percentage: Number
+            height: {
+                overall: accuracyStats,
+                waypoint: accuracyStats,
+                transit: accuracyStats
             }
         },
 
@@ -74,6 +204,19 @@ const flightDataSchema = new mongoose.Schema({
             sent: Number,
             dropped: Number,
             totalAttempts: Number
+        },
+
+        errorCalculation: {
+            method: String,
+            verticalMode: String // 'path' or 'direct'
+        },
+
+        // Options the errors were re-scored with; absent when the logged errors were used as-is
+        errorOptions: {
+            heightWeight: Number,
+            verticalMode: String,
+            excludeTransit: Boolean,
+            source: String // 'query' or 'profile'
         }
     },
 
@@ -91,14 +234,28 @@ const flightDataSchema = new mongoose.Schema({
                 maxDeviation: Number,
                 minDeviation: Number,
                 deviationStdDev: Number,
+                averageCrossTrack: Number,
+                maxCrossTrack: Number,
+                averageAlongTrackLag: Number, // transit points only
+                averageDistanceToTarget: Number,
                 highDeviationPoints: [{
                     index: Number,
                     position: [Number],
                     target: [Number],
                     deviation: Number,
+                    crossTrack: Number,
+                    alongTrackLag: Number,
                     phase: String
                 }],
-                deviationTrend: String
+                deviationTrend: String, // 'increasing', 'decreasing' or 'stable'
+                // Computed deviation vs the error logged onboard
+                onboardComparison: {
+                    pointsCompared: Number,
+                    meanAbsDifference: Number,
+                    maxAbsDifference: Number,
+                    correlation: Number,
+                    agreementRate: Number
+                }
             },
             velocityAnalysis: {
                 averageVelocity: Number,
@@ -107,30 +264,88 @@ const flightDataSchema = new mongoose.Schema({
                 velocityVariation: Number,
                 averageAcceleration: Number,
                 maxAcceleration: Number,
-                smoothnessIndex: Number
+                averageJerk: Number,
+                maxJerk: Number,
+                rmsJerk: Number,
+                smoothnessIndex: Number, // 0-1, 1 is perfectly smooth
+                smoothingWindow: Number
             },
             altitudeProfile: {
                 minAltitude: Number,
                 maxAltitude: Number,
                 averageAltitude: Number,
                 altitudeRange: Number,
-                altitudeStability: Number,
-                verticalMovements: Number
+                altitudeStability: Number, // RMS altitude error (m) during waypoint holds
+                verticalMovements: Number,
+                holds: [{
+                    sequenceIndex: Number,
+                    startTime: Number,
+                    duration: Number,
+                    targetAltitude: Number,
+                    meanAltitude: Number,
+                    altitudeStdDev: Number,
+                    maxDeviation: Number
+                }],
+                stepResponses: [{
+                    sequenceIndex: Number,
+                    fromAltitude: Number,
+                    toAltitude: Number,
+                    stepSize: Number,
+                    riseTime: Number, // 10%-90% of the step, seconds
+                    overshoot: Number, // percent of the step size
+                    peakAltitude: Number,
+                    settlingTime: Number,
+                    settled: Boolean,
+                    duration: Number,
+                    finalError: Number
+                }]
             },
             turnAnalysis: {
                 totalTurns: Number,
                 sharpTurns: Number,
                 averageTurnRate: Number,
-                maxTurnRate: Number,
-                pathSmoothness: Number,
+                maxTurnRate: Number, // degrees per second
+                pathSmoothness: Number, // 0-1, 1 means no heading change beyond the plan
+                totalHeadingChange: Number,
+                plannedHeadingChange: Number,
                 turns: [{
                     index: Number,
+                    startIndex: Number,
+                    endIndex: Number,
                     position: [Number],
                     bearingChange: Number,
                     sharpness: Number,
+                    duration: Number,
+                    turnRate: Number,
                     phase: String
+                }],
+                corners: [{
+                    waypointIndex: Number,
+                    position: [Number],
+                    plannedAngle: Number,
+                    actualAngle: Number,
+                    angleError: Number,
+                    turnCount: Number
                 }]
             },
+            // One entry per sequence leg (sequence_index 1..n-1)
+            segmentAnalysis: [{
+                sequenceIndex: Number,
+                from: [Number],
+                to: [Number],
+                pointCount: Number,
+                startTime: Number,
+                transitTime: Number,
+                holdTime: Number,
+                timeToStabilize: Number,
+                holdMeanError: Number,
+                holdMaxError: Number,
+                overshoot: Number, // metres past the waypoint along the leg
+                overshootPercent: Number,
+                idealDistance: Number,
+                actualDistance: Number,
+                pathEfficiency: Number
+            }],
             stabilityMetrics: {
                 stabilizationRatio: Number,
                 jitterMetrics: {
@@ -191,6 +406,7 @@ const flightDataSchema = new mongoose.Schema({
                 transitAnalysis: {
                     count: Number,
                     averageError: Number,
+                    stabilizationRate: Number,
                     averageSpeed: Number,
                     smoothnessIndex: Number
                 },
@@ -236,13 +452,21 @@ const flightDataSchema = new mongoose.Schema({
             reliability: Number,
             commandsSent: Number,
             commandsDropped: Number,
-            totalAttempts: Number
+            totalAttempts: Number,
+            commandRate: Number, // commands per second
+            responseTime: Number // seconds from first command to first position
         },
         overallPerformanceScore: Number
     },
 
     // Network analysis
     networkAnalysis: {
+        qualitySource: String, // 'reported', 'rf-conditions' or 'sample-interval'
+        rfConditions: {
+            bandwidthKbps: Number,
+            latencyMs: Number,
+            packetLossRate: Number
+        },
         qualityStats: {
             average: Number,
             median: Number,
@@ -286,13 +510,69 @@ const flightDataSchema = new mongoose.Schema({
             performanceImpact: Number
         },
         recommendations: [{
-            type: String,
+            type: { type: String }, // nested so mongoose does not read it as the field type
             severity: String,
             message: String,
             suggestion: String
         }]
     },
 
+    // FlightDataCleaner report on the uploaded points, before any repair
+    dataQuality: {
+        pointCount: Number,
+        validPoints: Number,
+        expectedPoints: Number, // from the duration and the nominal rate
+        completeness: Number, // validPoints / expectedPoints, 0-1
+        duration: Number,
+        nominalInterval: Number, // median time step, seconds
+        nominalRate: Number, // Hz
+        maxSpeed: Number, // m/s; faster moves away from the track are spikes
+        issues: {
+            nonFinite: dataIssue,
+            duplicateTimes: dataIssue,
+            backwardsTimes: dataIssue,
+            spikes: dataIssue,
+            jumps: dataIssue
+        },
+        gaps: {
+            count: Number,
+            threshold: Number,
+            totalDuration: Number,
+            longest: Number,
+            list: [{
+                index: Number,
+                startTime: Number,
+                endTime: Number,
+                duration: Number,
+                missingPoints: Number
+            }]
+        },
+        cleaning: {
+            mode: String, // report or repair
+            removed: Number,
+            resampleRate: Number,
+            resampledPoints: Number
+        }
+    },
+
+    // Uploaded position_accuracy vs the server's recomputation from the points
+    accuracyCheck: {
+        method: String, // error_calculation.method, e.g. 'TrajectoryAwareErrorCalculator3D'
+        tolerance: Number,
+        agrees: Boolean, // null when the upload had no position_accuracy
+        onboard: onboardAccuracy,
+        recomputed: onboardAccuracy,
+        checkedBuckets: [String],
+        missingBuckets: [String],
+        mismatches: [{
+            bucket: String,
+            field: String,
+            onboard: Number,
+            server: Number,
+            difference: Number
+        }]
+    },
+
     // Quality assessment
     qualityAssessment: {
         overallScore: Number, // 0-100
@@ -303,7 +583,21 @@ const flightDataSchema = new mongoose.Schema({
             adaptability: Number
         },
         grade: String, // A, B, C, D, F
-        improvements: [String]
+        improvements: [String],
+        // Scoring profile the grade was computed with (built-in id or ScoringProfile _id)
+        profile: {
+            id: String,
+            name: String
+        },
+        factors: [{
+            factor: String,
+            metric: String,
+            unit: String,
+            value: Number, // null when the flight has no such metric
+            weight: Number,
+            score: Number
+        }],
+        gradedAt: Date
     }
 }, {
     timestamps: true
@@ -312,6 +606,9 @@ const flightDataSchema = new mongoose.Schema({
 // Index optimization
 flightDataSchema.index({ userId: 1, createdAt: -1 });
 flightDataSchema.index({ userId: 1, timestamp: 1 });
+flightDataSchema.index({ sessionId: 1 });
+flightDataSchema.index({ userId: 1, fingerprint: 1 });
+flightDataSchema.index({ 'rawFile.checksum': 1 });
 flightDataSchema.index({ 'qualityAssessment.overallScore': -1 });
 flightDataSchema.index({ 'analysis.positionAccuracy.overall.average': 1 });
 
@@ -356,10 +653,60 @@ flightDataSchema.methods.getPerformanceSummary = function() {
     };
 };
 
-// Static method: get user stats
+// SHA-256 of an uploaded file's bytes
+flightDataSchema.statics.fingerprintOf = function(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+};
+
+/**
+ * How upload b duplicates flight a: 'fingerprint' for the same file, 'identity' for the same recording
+ * (timestamp and first_command_time), null if it does not. Both take { fingerprint, timestamp, firstCommandTime }.
+ */
+flightDataSchema.statics.duplicateMatch = function(a, b) {
+    if (a.fingerprint && a.fingerprint === b.fingerprint) return 'fingerprint';
+    if (typeof a.firstCommandTime === 'number' && a.firstCommandTime === b.firstCommandTime && a.timestamp === b.timestamp) {
+        return 'identity';
+    }
+    return null;
+};
+
+/**
+ * The user's stored flight that an upload duplicates, ignoring flights that are themselves kept
+ * duplicates. Resolves with { flight: { _id, flightName, createdAt }, matchedBy } or null.
+ */
+flightDataSchema.statics.findDuplicate = async function(userId, upload) {
+    const identity = typeof upload.firstCommandTime === 'number' ?
+        [{ timestamp: upload.timestamp, firstCommandTime: upload.firstCommandTime }] : [];
+    const flight = await this.findOne({
+        userId,
+        duplicateOf: { $exists: false },
+        $or: [{ fingerprint: upload.fingerprint }, ...identity]
+    })
+        .select('flightName timestamp fingerprint firstCommandTime createdAt')
+        .sort({ createdAt: 1 })
+        .lean();
+    return flight ? { flight, matchedBy: this.duplicateMatch(flight, upload) } : null;
+};
+
+/**
+ * Once an original flight is deleted, its oldest kept duplicate becomes the original and the other
+ * duplicates point at it. Resolves with the promoted flight's id, or null when it had no duplicates.
+ */
+flightDataSchema.statics.promoteDuplicate = async function(originalId) {
+    const oldest = await this.findOne({ duplicateOf: originalId })
+        .select('_id')
+        .sort({ createdAt: 1, _id: 1 })
+        .lean();
+    if (!oldest) return null;
+    await this.updateOne({ _id: oldest._id }, { $unset: { duplicateOf: 1 } });
+    await this.updateMany({ duplicateOf: originalId }, { $set: { duplicateOf: oldest._id } });
+    return oldest._id;
+};
+
+// Static method: get user stats (kept duplicates excluded)
 flightDataSchema.statics.getUserStats = function(userId) {
     return this.aggregate([
-        { $match: { userId: mongoose.Types.ObjectId(userId) } },
+        { $match: { userId: mongoose.Types.ObjectId(userId), duplicateOf: { $exists: false } } },
         {
             $group: {
                 _id: null,
@@ -0,0 +1,287 @@
+// Preprocessing of position_data before validation and analysis. Every upload is inspected for points
+// without a finite time or position, repeated and backwards timestamps, spikes (points that leave the
+// track faster than maxSpeed and come back) and time gaps (steps over GAP_FACTOR times the median step;
+// the logger's pause at each change of sequence_index is not a gap), and the findings are kept on the flight as its dataQuality report. With mode 'repair' the flagged points
+// are dropped, and with a resampleRate the repaired series is then resampled to a uniform rate.
+const StreamingStats = require('./StreamingStats');
+
+const MODES = ['report', 'repair'];
+// m/s; faster than any vehicle the platform flies, slower than a motion-capture glitch
+const DEFAULT_MAX_SPEED = 20;
+const MAX_SPEED = 1000;
+const MAX_RESAMPLE_RATE = 1000;
+const MAX_RESAMPLED_POINTS = 1000000;
+const GAP_FACTOR = 5;
+// A run of points away from the track longer than this is a real move of the position, not a spike
+const MAX_SPIKE_POINTS = 5;
+// Point indices and gaps listed per issue in the report
+const MAX_LISTED = 20;
+// Long steps kept while the median step is not yet known
+const MAX_GAP_CANDIDATES = 10000;
+const ISSUES = ['nonFinite', 'duplicateTimes', 'backwardsTimes', 'spikes', 'jumps'];
+// Issues whose points repair drops; jumps are kept, as the vehicle really is elsewhere afterwards
+const REPAIRED_ISSUES = ['nonFinite', 'duplicateTimes', 'backwardsTimes', 'spikes'];
+// Point fields resampling interpolates; the others are held from the previous point
+const INTERPOLATED_FIELDS = ['x', 'y', 'z', 'error', 'error_xy', 'error_z', 'transition_progress'];
+
+class FlightDataCleaner {
+
+    static get MODES() {
+        return MODES;
+    }
+
+    /**
+     * Parse cleaning options from a query string or form body: clean (report, default, or repair),
+     * resampleRate (Hz, implies repair) and maxSpeed (m/s). Returns { options, errors }.
+     */
+    static parseOptions(source = {}) {
+        const errors = [];
+        const number = (key, max) => {
+            if (source[key] === undefined || source[key] === '') return undefined;
+            const value = Number(source[key]);
+            if (!Number.isFinite(value) || value <= 0 || value > max) {
+                errors.push(`${key} must be a number between 0 and ${max}`);
+            }
+            return value;
+        };
+
+        let mode = String(source.clean || 'report').toLowerCase();
+        if (!MODES.includes(mode)) {
+            errors.push(`clean must be one of ${MODES.join(', ')}`);
+        }
+        const resampleRate = number('resampleRate', MAX_RESAMPLE_RATE);
+        const maxSpeed = number('maxSpeed', MAX_SPEED) ?? DEFAULT_MAX_SPEED;
+        // Resampling needs the repaired series
+        if (resampleRate !== undefined) mode = 'repair';
+
+        return { options: errors.length ? null : { mode, resampleRate: resampleRate ?? null, maxSpeed }, errors };
+    }
+
+    /**
+     * Options to store with the flight so a re-import cleans the same way; null when nothing was changed
+     */
+    static replayOptions(options) {
+        return options?.mode === 'repair' ? { ...options } : null;
+    }
+
+    /**
+     * Inspect an rf_test document and apply the options. Returns { data, report, warnings }: data is the
+     * input unless points were repaired, and report is null when position_data is not an array (left to
+     * validation to reject).
+     */
+    static clean(data, options = {}) {
+        const { mode = 'report', resampleRate = null, maxSpeed = DEFAULT_MAX_SPEED } = options;
+        const warnings = [];
+        if (!data || !Array.isArray(data.position_data)) return { data, report: null, warnings };
+
+        const inspector = this.inspector({ maxSpeed, collect: mode === 'repair' });
+        data.position_data.forEach(point => inspector.add(point));
+        const report = inspector.finish();
+        if (mode !== 'repair') return { data, report, warnings };
+
+        const removed = inspector.flagged;
+        let points = data.position_data.filter((_, i) => !removed.has(i));
+        report.cleaning.mode = 'repair';
+        report.cleaning.removed = removed.size;
+
+        if (resampleRate && points.length > 1) {
+            const count = Math.floor((points[points.length - 1].time - points[0].time) * resampleRate) + 1;
+            if (count > MAX_RESAMPLED_POINTS) {
+                warnings.push(`Not resampled: ${resampleRate} Hz would give ${count} points, over the ${MAX_RESAMPLED_POINTS} limit`);
+            } else {
+                points = this.resample(points, resampleRate, report.gaps.threshold);
+                report.cleaning.resampleRate = resampleRate;
+                report.cleaning.resampledPoints = points.length;
+            }
+        }
+        return { data: { ...data, position_data: points }, report, warnings };
+    }
+
+    /**
+     * Data-quality report of a point series without changing it
+     */
+    static inspect(points, options = {}) {
+        const inspector = this.inspector(options);
+        (points || []).forEach(point => inspector.add(point));
+        return inspector.finish();
+    }
+
+    /**
+     * One-pass inspection, for series too long to hold (see FlightStreamIngest): add(point) for each point
+     * in order, then finish() returns the report. With collect, flagged holds the indices repair drops.
+     */
+    static inspector({ maxSpeed = DEFAULT_MAX_SPEED, collect = false } = {}) {
+        const issues = {};
+        ISSUES.forEach(issue => {
+            issues[issue] = { count: 0, indices: [] };
+        });
+        const flagged = new Set();
+        const record = (issue, index) => {
+            issues[issue].count++;
+            if (issues[issue].indices.length < MAX_LISTED) issues[issue].indices.push(index);
+            if (collect && REPAIRED_ISSUES.includes(issue)) flagged.add(index);
+        };
+
+        const steps = new StreamingStats();
+        let candidates = [];
+        let reference = 0; // running median step
+        let count = 0;
+        let firstTime = null;
+        let last = null; // last point with a usable time
+        // Steps at a change of sequence_index, where the logger pauses while the next waypoint is sent
+        let pauses = 0;
+        let pauseDuration = 0;
+        let onTrack = null; // last point taken as the true position
+        let away = []; // points since onTrack that left the track, until they come back or stay away
+
+        const distance = (a, b) => Math.hypot(b.x - a.x, b.y - a.y, b.z - a.z);
+        const checkSpeed = point => {
+            // Back on the track when reachable from it, and nearer to it than to where the points went
+            const reachable = !onTrack || distance(onTrack, point) <= maxSpeed * (point.time - onTrack.time);
+            if (reachable && (away.length === 0 || distance(onTrack, point) <= distance(away[away.length - 1], point))) {
+                away.forEach(p => record('spikes', p.index));
+                away = [];
+                onTrack = point;
+                return;
+            }
+            away.push(point);
+            if (away.length > MAX_SPIKE_POINTS) {
+                // Stayed away: the position really moved (e.g. a motion-capture re-lock)
+                const [moved, ...rest] = away;
+                record('jumps', moved.index);
+                onTrack = moved;
+                away = [];
+                rest.forEach(checkSpeed);
+            }
+        };
+
+        return {
+            flagged,
+            add: point => {
+                const index = count++;
+                if (!point || typeof point !== 'object' || ![point.time, point.x, point.y, point.z].every(Number.isFinite)) {
+                    record('nonFinite', index);
+                    return;
+                }
+                if (last && point.time <= last.time) {
+                    record(point.time === last.time ? 'duplicateTimes' : 'backwardsTimes', index);
+                    return;
+                }
+
+                const waypointChange = last && typeof point.sequence_index === 'number' &&
+                    typeof last.sequenceIndex === 'number' && point.sequence_index !== last.sequenceIndex;
+                if (waypointChange) {
+                    pauses++;
+                    pauseDuration += point.time - last.time;
+                } else if (last) {
+                    const step = point.time - last.time;
+                    steps.add(step);
+                    if (steps.count % 256 === 0) reference = steps.percentile(50);
+                    // Generous until the median is known; finish applies the real threshold
+                    if (step > GAP_FACTOR * reference / 2) {
+                        candidates.push({ index, startTime: last.time, endTime: point.time, duration: step });
+                        if (candidates.length > MAX_GAP_CANDIDATES) {
+                            candidates = candidates.filter(gap => gap.duration > GAP_FACTOR * reference);
+                        }
+                    }
+                } else {
+                    firstTime = point.time;
+                }
+                last = { time: point.time, index, sequenceIndex: point.sequence_index };
+                checkSpeed({ x: point.x, y: point.y, z: point.z, time: point.time, index });
+            },
+            finish: () => {
+                // A flight that ends away from its track
+                away.forEach(p => record('spikes', p.index));
+                away = [];
+
+                const nominalInterval = steps.count > 0 ? steps.percentile(50) : null;
+                const threshold = nominalInterval ? GAP_FACTOR * nominalInterval : null;
+                const gaps = threshold ? candidates.filter(gap => gap.duration > threshold) : [];
+                const duration = last ? last.time - firstTime : 0;
+                const invalid = REPAIRED_ISSUES.reduce((sum, issue) => sum + issues[issue].count, 0);
+                const validPoints = count - invalid;
+                // One point after each waypoint pause, however long it was
+                const expectedPoints = nominalInterval ?
+                    Math.round((duration - pauseDuration) / nominalInterval) + pauses + 1 : validPoints;
+
+                return {
+                    pointCount: count,
+                    validPoints,
+                    expectedPoints,
+                    completeness: expectedPoints > 0 ? Math.min(1, validPoints / expectedPoints) : 0,
+                    duration,
+                    nominalInterval,
+                    nominalRate: nominalInterval ? 1 / nominalInterval : null,
+                    maxSpeed,
+                    issues,
+                    gaps: {
+                        count: gaps.length,
+                        threshold,
+                        totalDuration: gaps.reduce((sum, gap) => sum + gap.duration, 0),
+                        longest: gaps.reduce((max, gap) => Math.max(max, gap.duration), 0),
+                        // The longest ones, in time order
+                        list: [...gaps].sort((a, b) => b.duration - a.duration).slice(0, MAX_LISTED)
+                            .sort((a, b) => a.startTime - b.startTime)
+                            .map(gap => ({ ...gap, missingPoints: Math.max(0, Math.round(gap.duration / nominalInterval) - 1) }))
+                    },
+                    cleaning: { mode: 'report', removed: 0, resampleRate: null, resampledPoints: null }
+                };
+            }
+        };
+    }
+
+    /**
+     * Resample time-ordered points to rate Hz from the first point's time. Positions and errors are
+     * interpolated linearly, other fields held from the previous point; nothing is made up inside gaps
+     * longer than gapThreshold seconds. The last point is kept when it falls between grid times.
+     */
+    static resample(points, rate, gapThreshold = null) {
+        const step = 1 / rate;
+        const start = points[0].time;
+        const end = points[points.length - 1].time;
+        const resampled = [];
+
+        let j = 0;
+        for (let k = 0; start + k * step <= end + 1e-9; k++) {
+            const time = Math.min(start + k * step, end);
+            while (j < points.length - 2 && points[j + 1].time <= time) j++;
+            const a = points[j];
+            const b = points[Math.min(j + 1, points.length - 1)];
+            if (gapThreshold && b.time - a.time > gapThreshold && time > a.time) continue;
+
+            const fraction = b.time > a.time ? Math.min(1, (time - a.time) / (b.time - a.time)) : 0;
+            const point = { ...a, time };
+            INTERPOLATED_FIELDS.forEach(field => {
+                if (Number.isFinite(a[field]) && Number.isFinite(b[field])) {
+                    point[field] = a[field] + (b[field] - a[field]) * fraction;
+                }
+            });
+            resampled.push(point);
+        }
+        if (resampled[resampled.length - 1].time < end) resampled.push({ ...points[points.length - 1] });
+        return resampled;
+    }
+
+    /**
+     * Headline numbers of a report, for upload summaries and flight reports
+     */
+    static summarize(report) {
+        if (!report) return null;
+        return {
+            completeness: report.completeness,
+            nominalRate: report.nominalRate,
+            gaps: report.gaps.count,
+            gapDuration: report.gaps.totalDuration,
+            spikes: report.issues.spikes.count,
+            jumps: report.issues.jumps.count,
+            duplicateTimes: report.issues.duplicateTimes.count,
+            backwardsTimes: report.issues.backwardsTimes.count,
+            nonFinite: report.issues.nonFinite.count,
+            removed: report.cleaning.removed,
+            resampleRate: report.cleaning.resampleRate
+        };
+    }
+}
+
+module.exports = FlightDataCleaner;
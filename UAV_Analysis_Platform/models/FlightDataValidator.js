@@ -0,0 +1,390 @@
+// Schema validator for rf_test flight logs.
+// Walks the whole document and collects every problem instead of stopping at the first one.
+
+const TIMESTAMP_PATTERN = /^\d{8}_\d{6}$/;
+const VALID_PHASES = ['waypoint', 'transit'];
+const VALID_VERTICAL_MODES = ['direct', 'path'];
+const ACCURACY_BUCKETS = ['overall', 'waypoint_phase', 'transit_phase', 'valid_errors', 'valid_height', 'valid_xy', 'stable_phase'];
+const NESTED_ACCURACY_BUCKETS = ['height', 'xy_plane'];
+const NESTED_ACCURACY_KEYS = ['overall', 'waypoint', 'transit'];
+const ACCURACY_COUNT_FIELDS = ['total_points', 'waypoint_points', 'transit_points', 'valid_points', 'excluded_points'];
+const MAX_ERRORS = 200;
+
+class FlightDataValidator {
+
+    /**
+     * Validate a parsed rf_test document.
+     * Returns { valid, errors: [{ path, message }], truncated }
+     */
+    static validate(data) {
+        const ctx = { errors: [], truncated: false };
+
+        if (!this.isPlainObject(data)) {
+            this.addError(ctx, '$', 'Flight data must be a JSON object');
+            return this.buildResult(ctx);
+        }
+
+        this.validateTimestamp(ctx, data.timestamp);
+        this.validateSequence(ctx, data.sequence);
+        this.validatePositionData(ctx, data.position_data, data.sequence);
+        this.validateFields(ctx, data);
+
+        return this.buildResult(ctx);
+    }
+
+    /**
+     * Validation of a log read as a stream (see FlightStreamIngest), given its top-level fields:
+     * checkPoint(point) as each point arrives, then finish(pointCount) returns what validate would
+     * for the whole document. truncated turns true once further errors would be dropped.
+     */
+    static streamValidator(fields) {
+        const ctx = { errors: [], truncated: false };
+        const state = {
+            index: 0,
+            previousTime: null,
+            sequenceLength: Array.isArray(fields.sequence) ? fields.sequence.length : null
+        };
+        return {
+            get truncated() {
+                return ctx.truncated;
+            },
+            get valid() {
+                return ctx.errors.length === 0;
+            },
+            checkPoint: point => this.validatePoint(ctx, point, state.index++, state),
+            finish: pointCount => {
+                // Same order as validate: timestamp and sequence before the points
+                const pointErrors = ctx.errors.splice(0);
+                this.validateTimestamp(ctx, fields.timestamp);
+                this.validateSequence(ctx, fields.sequence);
+                if (!fields.position_data) {
+                    this.addError(ctx, 'position_data', 'Missing required field');
+                } else if (pointCount === 0) {
+                    this.addError(ctx, 'position_data', 'Must contain at least one point');
+                }
+                const room = Math.max(0, MAX_ERRORS - ctx.errors.length);
+                if (pointErrors.length > room) ctx.truncated = true;
+                ctx.errors.push(...pointErrors.slice(0, room));
+                this.validateFields(ctx, fields);
+                return this.buildResult(ctx);
+            }
+        };
+    }
+
+    // Top-level fields other than timestamp, sequence and position_data
+    static validateFields(ctx, data) {
+        this.validateCommandStats(ctx, data.command_stats);
+        this.validateBattery(ctx, data.battery);
+        this.validateRfConditions(ctx, data.rf_conditions);
+        this.validatePositionAccuracy(ctx, data.position_accuracy);
+        this.validateErrorCalculation(ctx, data.error_calculation);
+
+        this.checkOptionalNumber(ctx, 'response_time', data.response_time, { min: 0 });
+        this.checkOptionalNumber(ctx, 'first_command_time', data.first_command_time);
+    }
+
+    static validateTimestamp(ctx, timestamp) {
+        if (timestamp === undefined || timestamp === null || timestamp === '') {
+            this.addError(ctx, 'timestamp', 'Missing required field');
+        } else if (typeof timestamp !== 'string') {
+            this.addError(ctx, 'timestamp', 'Must be a string');
+        } else if (!TIMESTAMP_PATTERN.test(timestamp)) {
+            this.addError(ctx, 'timestamp', 'Must use the YYYYMMDD_HHMMSS format');
+        }
+    }
+
+    static validateSequence(ctx, sequence) {
+        if (sequence === undefined) return;
+
+        if (!Array.isArray(sequence)) {
+            this.addError(ctx, 'sequence', 'Must be an array of [x, y, z] waypoints');
+            return;
+        }
+
+        sequence.forEach((waypoint, i) => {
+            const path = `sequence[${i}]`;
+            if (!Array.isArray(waypoint) || waypoint.length !== 3) {
+                this.addError(ctx, path, 'Must be an [x, y, z] array');
+                return;
+            }
+            waypoint.forEach((value, axis) => {
+                if (!this.isFiniteNumber(value)) {
+                    this.addError(ctx, `${path}[${axis}]`, 'Must be a finite number');
+                }
+            });
+        });
+    }
+
+    static validatePositionData(ctx, positions, sequence) {
+        if (positions === undefined || positions === null) {
+            this.addError(ctx, 'position_data', 'Missing required field');
+            return;
+        }
+        if (!Array.isArray(positions)) {
+            this.addError(ctx, 'position_data', 'Must be an array');
+            return;
+        }
+        if (positions.length === 0) {
+            this.addError(ctx, 'position_data', 'Must contain at least one point');
+            return;
+        }
+
+        const state = { previousTime: null, sequenceLength: Array.isArray(sequence) ? sequence.length : null };
+        positions.forEach((point, i) => this.validatePoint(ctx, point, i, state));
+    }
+
+    // One point of position_data; state carries the previous point's time and the sequence length
+    static validatePoint(ctx, point, i, state) {
+        const path = `position_data[${i}]`;
+        if (!this.isPlainObject(point)) {
+            this.addError(ctx, path, 'Must be an object');
+            return;
+        }
+
+        ['x', 'y', 'z', 'time'].forEach(field => {
+            if (point[field] === undefined || point[field] === null) {
+                this.addError(ctx, `${path}.${field}`, 'Missing required field');
+            } else if (!this.isFiniteNumber(point[field])) {
+                this.addError(ctx, `${path}.${field}`, 'Must be a finite number');
+            }
+        });
+
+        if (this.isFiniteNumber(point.time)) {
+            if (state.previousTime !== null && point.time < state.previousTime) {
+                this.addError(ctx, `${path}.time`, `Not monotonic (previous point at ${state.previousTime})`);
+            }
+            state.previousTime = point.time;
+        }
+
+        if (point.target !== undefined) {
+            this.checkVector(ctx, `${path}.target`, point.target);
+        }
+        if (point.phase !== undefined && !VALID_PHASES.includes(point.phase)) {
+            this.addError(ctx, `${path}.phase`, `Must be one of: ${VALID_PHASES.join(', ')}`);
+        }
+        if (point.stabilized !== undefined && typeof point.stabilized !== 'boolean') {
+            this.addError(ctx, `${path}.stabilized`, 'Must be a boolean');
+        }
+
+        ['error', 'error_xy', 'error_z'].forEach(field => {
+            this.checkOptionalNumber(ctx, `${path}.${field}`, point[field], { min: 0 });
+        });
+        this.checkOptionalNumber(ctx, `${path}.transition_progress`, point.transition_progress, { min: 0, max: 1 });
+        this.checkOptionalNumber(ctx, `${path}.networkQuality`, point.networkQuality, { min: 0, max: 100 });
+        this.checkOptionalInteger(ctx, `${path}.position_index`, point.position_index, { min: 0 });
+        this.checkOptionalInteger(ctx, `${path}.sequence_index`, point.sequence_index, { min: 0 });
+
+        if (state.sequenceLength !== null && Number.isInteger(point.sequence_index) && point.sequence_index >= state.sequenceLength) {
+            this.addError(ctx, `${path}.sequence_index`, `Out of range for a sequence of ${state.sequenceLength} waypoints`);
+        }
+    }
+
+    static validateCommandStats(ctx, stats) {
+        if (stats === undefined) return;
+        if (!this.isPlainObject(stats)) {
+            this.addError(ctx, 'command_stats', 'Must be an object');
+            return;
+        }
+
+        ['sent', 'dropped', 'total_attempts'].forEach(field => {
+            if (stats[field] === undefined) {
+                this.addError(ctx, `command_stats.${field}`, 'Missing required field');
+            } else {
+                this.checkOptionalInteger(ctx, `command_stats.${field}`, stats[field], { min: 0 });
+            }
+        });
+
+        if (Number.isInteger(stats.total_attempts)) {
+            ['sent', 'dropped'].forEach(field => {
+                if (Number.isInteger(stats[field]) && stats[field] > stats.total_attempts) {
+                    this.addError(ctx, `command_stats.${field}`, 'Cannot exceed total_attempts');
+                }
+            });
+        }
+    }
+
+    static validateBattery(ctx, battery) {
+        if (battery === undefined) return;
+        if (!this.isPlainObject(battery)) {
+            this.addError(ctx, 'battery', 'Must be an object');
+            return;
+        }
+
+        this.checkOptionalNumber(ctx, 'battery.start_voltage', battery.start_voltage, { min: 0 });
+        this.checkOptionalNumber(ctx, 'battery.minimum_required', battery.minimum_required, { min: 0 });
+    }
+
+    static validateRfConditions(ctx, rf) {
+        if (rf === undefined) return;
+        if (!this.isPlainObject(rf)) {
+            this.addError(ctx, 'rf_conditions', 'Must be an object');
+            return;
+        }
+
+        // The drone writes null when a condition was not simulated
+        this.checkOptionalNumber(ctx, 'rf_conditions.bandwidth_kbps', rf.bandwidth_kbps, { min: 0, nullable: true });
+        this.checkOptionalNumber(ctx, 'rf_conditions.latency_ms', rf.latency_ms, { min: 0, nullable: true });
+        this.checkOptionalNumber(ctx, 'rf_conditions.packet_loss_rate', rf.packet_loss_rate, { min: 0, max: 1, nullable: true });
+    }
+
+    static validatePositionAccuracy(ctx, accuracy) {
+        if (accuracy === undefined) return;
+        if (!this.isPlainObject(accuracy)) {
+            this.addError(ctx, 'position_accuracy', 'Must be an object');
+            return;
+        }
+
+        ACCURACY_BUCKETS.forEach(bucket => {
+            if (accuracy[bucket] !== undefined) {
+                this.checkAccuracyBucket(ctx, `position_accuracy.${bucket}`, accuracy[bucket]);
+            }
+        });
+
+        NESTED_ACCURACY_BUCKETS.forEach(group => {
+            if (accuracy[group] === undefined) return;
+            if (!this.isPlainObject(accuracy[group])) {
+                this.addError(ctx, `position_accuracy.${group}`, 'Must be an object');
+                return;
+            }
+            NESTED_ACCURACY_KEYS.forEach(key => {
+                if (accuracy[group][key] !== undefined) {
+                    this.checkAccuracyBucket(ctx, `position_accuracy.${group}.${key}`, accuracy[group][key]);
+                }
+            });
+        });
+
+        ACCURACY_COUNT_FIELDS.forEach(field => {
+            this.checkOptionalInteger(ctx, `position_accuracy.${field}`, accuracy[field], { min: 0 });
+        });
+
+        if (accuracy.config !== undefined) {
+            const config = accuracy.config;
+            if (!this.isPlainObject(config)) {
+                this.addError(ctx, 'position_accuracy.config', 'Must be an object');
+            } else {
+                this.checkOptionalNumber(ctx, 'position_accuracy.config.height_weight', config.height_weight, { min: 0 });
+                if (config.vertical_mode !== undefined && !VALID_VERTICAL_MODES.includes(config.vertical_mode)) {
+                    this.addError(ctx, 'position_accuracy.config.vertical_mode', `Must be one of: ${VALID_VERTICAL_MODES.join(', ')}`);
+                }
+                if (config.exclude_transit !== undefined && typeof config.exclude_transit !== 'boolean') {
+                    this.addError(ctx, 'position_accuracy.config.exclude_transit', 'Must be a boolean');
+                }
+            }
+        }
+    }
+
+    static validateErrorCalculation(ctx, errorCalculation) {
+        if (errorCalculation === undefined) return;
+        if (!this.isPlainObject(errorCalculation)) {
+            this.addError(ctx, 'error_calculation', 'Must be an object');
+            return;
+        }
+
+        if (errorCalculation.method !== undefined && typeof errorCalculation.method !== 'string') {
+            this.addError(ctx, 'error_calculation.method', 'Must be a string');
+        }
+        if (errorCalculation.vertical_mode !== undefined && !VALID_VERTICAL_MODES.includes(errorCalculation.vertical_mode)) {
+            this.addError(ctx, 'error_calculation.vertical_mode', `Must be one of: ${VALID_VERTICAL_MODES.join(', ')}`);
+        }
+    }
+
+    /**
+     * Check one { average, median, min, max, confidence_95, count, percentage } block
+     */
+    static checkAccuracyBucket(ctx, path, bucket) {
+        if (!this.isPlainObject(bucket)) {
+            this.addError(ctx, path, 'Must be an object');
+            return;
+        }
+
+        ['average', 'median', 'min', 'max'].forEach(field => {
+            if (bucket[field] === undefined) {
+                this.addError(ctx, `${path}.${field}`, 'Missing required field');
+            } else {
+                this.checkOptionalNumber(ctx, `${path}.${field}`, bucket[field], { min: 0 });
+            }
+        });
+        this.checkOptionalNumber(ctx, `${path}.confidence_95`, bucket.confidence_95, { min: 0 });
+        this.checkOptionalInteger(ctx, `${path}.count`, bucket.count, { min: 0 });
+        this.checkOptionalNumber(ctx, `${path}.percentage`, bucket.percentage, { min: 0, max: 100 });
+
+        const { min, max, average, median } = bucket;
+        if ([min, max, average, median].every(v => this.isFiniteNumber(v))) {
+            if (min > max) {
+                this.addError(ctx, path, 'min is greater than max');
+            } else {
+                if (average < min || average > max) this.addError(ctx, `${path}.average`, 'Outside the [min, max] range');
+                if (median < min || median > max) this.addError(ctx, `${path}.median`, 'Outside the [min, max] range');
+            }
+        }
+    }
+
+    static checkVector(ctx, path, vector) {
+        if (!this.isPlainObject(vector)) {
+            this.addError(ctx, path, 'Must be an object with x, y and z');
+            return;
+        }
+        ['x', 'y', 'z'].forEach(axis => {
+            if (!this.isFiniteNumber(vector[axis])) {
+                this.addError(ctx, `${path}.${axis}`, 'Must be a finite number');
+            }
+        });
+    }
+
+    static checkOptionalNumber(ctx, path, value, options = {}) {
+        if (value === undefined) return;
+        if (value === null && options.nullable) return;
+
+        if (!this.isFiniteNumber(value)) {
+            this.addError(ctx, path, 'Must be a finite number');
+            return;
+        }
+        if (options.min !== undefined && value < options.min) {
+            this.addError(ctx, path, `Must be >= ${options.min}`);
+        }
+        if (options.max !== undefined && value > options.max) {
+            this.addError(ctx, path, `Must be <= ${options.max}`);
+        }
+    }
+
+    static checkOptionalInteger(ctx, path, value, options = {}) {
+        if (value === undefined) return;
+
+        if (!Number.isInteger(value)) {
+            this.addError(ctx, path, 'Must be an integer');
+            return;
+        }
+        this.checkOptionalNumber(ctx, path, value, options);
+    }
+
+    static addError(ctx, path, message) {
+        if (ctx.errors.length >= MAX_ERRORS) {
+            ctx.truncated = true;
+            return;
+        }
+        ctx.errors.push({ path, message });
+    }
+
+    static buildResult(ctx) {
+        return {
+            valid: ctx.errors.length === 0,
+            errors: ctx.errors,
+            truncated: ctx.truncated
+        };
+    }
+
+    // Render an error as "position_data[212].time: not monotonic"
+    static formatError(error) {
+        return `${error.path}: ${error.message}`;
+    }
+
+    static isFiniteNumber(value) {
+        return typeof value === 'number' && Number.isFinite(value);
+    }
+
+    static isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+}
+
+module.exports = FlightDataValidator;
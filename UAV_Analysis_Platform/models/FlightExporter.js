@@ -0,0 +1,279 @@
+// Full time-series export of stored flights as CSV, NDJSON, KML or GeoJSON. The output is an async
+// generator of text chunks that loads one flight at a time, so a large selection streams to the client
+// without more than a single flight in memory. Flights with chunked point storage are read a chunk at a
+// time from their pointChunks (see FlightController.exportFlights), with every point rather than the sample.
+
+const FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+    kml: { contentType: 'application/vnd.google-earth.kml+xml; charset=utf-8', extension: 'kml' },
+    geojson: { contentType: 'application/geo+json; charset=utf-8', extension: 'geojson' }
+};
+const GEO_FORMATS = ['kml', 'geojson'];
+
+const CSV_COLUMNS = [
+    'flight_id', 'flight_name', 'index', 'time', 'x', 'y', 'z', 'target_x', 'target_y', 'target_z',
+    'error', 'error_xy', 'error_z', 'phase', 'stabilized', 'sequence_index', 'network_quality'
+];
+
+// Fields loaded per flight
+const EXPORT_FIELDS = 'flightName timestamp sequence pointStore positionData';
+const MAX_EXPORT_FLIGHTS = 100;
+const ROWS_PER_CHUNK = 500;
+// WGS84 equatorial radius; the local frame is small enough for a flat-earth offset from the origin
+const EARTH_RADIUS = 6378137;
+
+class FlightExporter {
+
+    static get FORMATS() {
+        return FORMATS;
+    }
+
+    static get EXPORT_FIELDS() {
+        return EXPORT_FIELDS;
+    }
+
+    static get MAX_EXPORT_FLIGHTS() {
+        return MAX_EXPORT_FLIGHTS;
+    }
+
+    /**
+     * Parse export options from a query string or body. KML and GeoJSON need the geo reference of the
+     * local origin: originLat, originLon, optional originAlt (metres above sea level) and heading, the
+     * compass bearing of the local +x axis (default 90, x east and y north).
+     * Returns { options, errors }.
+     */
+    static parseOptions(source = {}) {
+        const errors = [];
+        const format = String(source.format || 'csv').toLowerCase();
+        if (!FORMATS[format]) {
+            errors.push(`format must be one of ${Object.keys(FORMATS).join(', ')}`);
+        }
+
+        const number = (key, min, max) => {
+            const raw = source[key];
+            if (raw === undefined || raw === null || raw === '') return undefined;
+            const value = Number(raw);
+            if (!Number.isFinite(value) || value < min || value > max) {
+                errors.push(`${key} must be a number between ${min} and ${max}`);
+                return undefined;
+            }
+            return value;
+        };
+        const originLat = number('originLat', -90, 90);
+        const originLon = number('originLon', -180, 180);
+        const originAlt = number('originAlt', -500, 10000);
+        const heading = number('heading', 0, 360);
+
+        let geo = null;
+        if (originLat !== undefined && originLon !== undefined) {
+            geo = { originLat, originLon, originAlt, heading: heading ?? 90 };
+        } else if (GEO_FORMATS.includes(format)) {
+            errors.push(`${format} export needs originLat and originLon for the local origin`);
+        }
+
+        return { options: errors.length ? null : { format, geo }, errors };
+    }
+
+    /**
+     * Text chunks of the export. flights is a list of { _id } in output order and loadFlight(id)
+     * resolves with the flight's EXPORT_FIELDS as a plain object (null if it has gone), plus for a
+     * chunked flight pointChunks, an async iterable of its point arrays in order.
+     */
+    static async *generate(flights, options, loadFlight) {
+        const writer = {
+            csv: this.csvFlight,
+            ndjson: this.ndjsonFlight,
+            kml: this.kmlFlight,
+            geojson: this.geojsonFlight
+        }[options.format];
+
+        if (options.format === 'csv') yield CSV_COLUMNS.join(',') + '\n';
+        if (options.format === 'kml') yield this.kmlHeader(options.geo);
+        if (options.format === 'geojson') yield '{"type":"FeatureCollection","features":[\n';
+
+        const state = { firstFeature: true };
+        for (const { _id } of flights) {
+            const flight = await loadFlight(_id);
+            if (!flight) continue;
+            yield* writer.call(this, flight, options, state);
+        }
+
+        if (options.format === 'kml') yield '</Document>\n</kml>\n';
+        if (options.format === 'geojson') yield '\n]}\n';
+    }
+
+    static async *csvFlight(flight) {
+        const prefix = [flight._id, flight.flightName].map(v => this.csvValue(v)).join(',');
+        for await (const rows of this.rows(flight)) {
+            yield rows.map(({ point, index }) => prefix + ',' + [
+                index,
+                point.time,
+                point.x,
+                point.y,
+                point.z,
+                point.target?.x,
+                point.target?.y,
+                point.target?.z,
+                point.error,
+                point.error_xy,
+                point.error_z,
+                point.phase,
+                point.stabilized,
+                point.sequence_index,
+                point.networkQuality
+            ].map(v => this.csvValue(v)).join(',')).join('\n') + '\n';
+        }
+    }
+
+    static async *ndjsonFlight(flight) {
+        for await (const rows of this.rows(flight)) {
+            yield rows.map(({ point, index }) => JSON.stringify({
+                flightId: flight._id,
+                flightName: flight.flightName,
+                index,
+                time: point.time,
+                x: point.x,
+                y: point.y,
+                z: point.z,
+                target: point.target,
+                error: point.error,
+                error_xy: point.error_xy,
+                error_z: point.error_z,
+                phase: point.phase,
+                stabilized: point.stabilized,
+                sequence_index: point.sequence_index,
+                networkQuality: point.networkQuality
+            })).join('\n') + '\n';
+        }
+    }
+
+    static kmlHeader(geo) {
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            '<kml xmlns="http://www.opengis.net/kml/2.2">\n<Document>\n<name>UAV flights</name>\n' +
+            `<description>Local origin ${geo.originLat}, ${geo.originLon}` +
+            `${geo.originAlt !== undefined ? ` at ${geo.originAlt} m` : ''}, x axis bearing ${geo.heading} deg</description>\n` +
+            // KML colours are aabbggrr
+            '<Style id="flown"><LineStyle><color>fff39621</color><width>2</width></LineStyle></Style>\n' +
+            '<Style id="planned"><LineStyle><color>ff9e9e9e</color><width>1</width></LineStyle></Style>\n';
+    }
+
+    static async *kmlFlight(flight, { geo }) {
+        // Without an origin altitude the path is placed relative to the ground under it
+        const altitudeMode = geo.originAlt !== undefined ? 'absolute' : 'relativeToGround';
+        const coordinates = points => points.map(p => this.toGeo(p, geo).join(',')).join(' ');
+        const sequence = (flight.sequence || []).map(([x, y, z]) => ({ x, y, z }));
+
+        yield `<Folder>\n<name>${this.xmlEscape(flight.flightName)}</name>\n`;
+        if (this.pointCount(flight) > 1) {
+            yield '<Placemark><name>Flown path</name><styleUrl>#flown</styleUrl>' +
+                `<LineString><altitudeMode>${altitudeMode}</altitudeMode><coordinates>\n`;
+            for await (const rows of this.rows(flight)) {
+                yield coordinates(rows.map(r => r.point)) + '\n';
+            }
+            yield '</coordinates></LineString></Placemark>\n';
+        }
+        if (sequence.length > 1) {
+            yield '<Placemark><name>Planned path</name><styleUrl>#planned</styleUrl>' +
+                `<LineString><altitudeMode>${altitudeMode}</altitudeMode>` +
+                `<coordinates>${coordinates(sequence)}</coordinates></LineString></Placemark>\n`;
+        }
+        yield sequence.map((waypoint, i) => `<Placemark><name>Waypoint ${i}</name><Point>` +
+            `<altitudeMode>${altitudeMode}</altitudeMode><coordinates>${coordinates([waypoint])}</coordinates>` +
+            '</Point></Placemark>\n').join('');
+        yield '</Folder>\n';
+    }
+
+    static async *geojsonFlight(flight, { geo }, state) {
+        const positions = flight.positionData || [];
+        const pointStore = flight.pointChunks ? flight.pointStore : null;
+        const sequence = (flight.sequence || []).map(([x, y, z]) => ({ x, y, z }));
+        const properties = { flightId: flight._id, flightName: flight.flightName };
+        const separator = () => {
+            const text = state.firstFeature ? '' : ',\n';
+            state.firstFeature = false;
+            return text;
+        };
+        const feature = (props, geometry) => separator() +
+            JSON.stringify({ type: 'Feature', properties: { ...properties, ...props }, geometry });
+
+        if (this.pointCount(flight) > 1) {
+            const props = {
+                path: 'flown',
+                pointCount: this.pointCount(flight),
+                startTime: pointStore ? pointStore.startTime : positions[0].time,
+                endTime: pointStore ? pointStore.endTime : positions[positions.length - 1].time
+            };
+            // Written in pieces so the coordinate list streams
+            yield separator() + `{"type":"Feature","properties":${JSON.stringify({ ...properties, ...props })},` +
+                '"geometry":{"type":"LineString","coordinates":[';
+            let first = true;
+            for await (const rows of this.rows(flight)) {
+                yield (first ? '' : ',') + rows.map(r => JSON.stringify(this.toGeo(r.point, geo))).join(',');
+                first = false;
+            }
+            yield ']}}';
+        }
+        if (sequence.length > 1) {
+            yield feature({ path: 'planned' }, { type: 'LineString', coordinates: sequence.map(p => this.toGeo(p, geo)) });
+        }
+        for (const [i, waypoint] of sequence.entries()) {
+            yield feature({ path: 'waypoint', sequenceIndex: i }, { type: 'Point', coordinates: this.toGeo(waypoint, geo) });
+        }
+    }
+
+    /**
+     * [lon, lat, alt] of a local x/y/z point (metres) from the geo reference
+     */
+    static toGeo(point, geo) {
+        const bearing = geo.heading * Math.PI / 180;
+        const east = point.x * Math.sin(bearing) - point.y * Math.cos(bearing);
+        const north = point.x * Math.cos(bearing) + point.y * Math.sin(bearing);
+        const lat = geo.originLat + (north / EARTH_RADIUS) * 180 / Math.PI;
+        const lon = geo.originLon + (east / (EARTH_RADIUS * Math.cos(geo.originLat * Math.PI / 180))) * 180 / Math.PI;
+        return [
+            parseFloat(lon.toFixed(9)),
+            parseFloat(lat.toFixed(9)),
+            parseFloat(((geo.originAlt || 0) + (point.z || 0)).toFixed(3))
+        ];
+    }
+
+    // Points of a flight in runs of ROWS_PER_CHUNK, with their index in the flight
+    static async *rows(flight) {
+        if (!flight.pointChunks) {
+            yield* this.chunks(flight.positionData || []);
+            return;
+        }
+        let offset = 0;
+        for await (const points of flight.pointChunks) {
+            for (const rows of this.chunks(points)) {
+                yield rows.map(row => ({ point: row.point, index: offset + row.index }));
+            }
+            offset += points.length;
+        }
+    }
+
+    static *chunks(points) {
+        for (let start = 0; start < points.length; start += ROWS_PER_CHUNK) {
+            yield points.slice(start, start + ROWS_PER_CHUNK).map((point, i) => ({ point, index: start + i }));
+        }
+    }
+
+    static pointCount(flight) {
+        return flight.pointChunks ? flight.pointStore.pointCount : (flight.positionData || []).length;
+    }
+
+    static csvValue(value) {
+        if (value === undefined || value === null) return '';
+        const text = String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    static xmlEscape(value) {
+        return String(value ?? '').replace(/[<>&'"]/g, c => ({
+            '<': '&lt;', '>': '&gt;', '&': '&amp;', '\'': '&apos;', '"': '&quot;'
+        })[c]);
+    }
+}
+
+module.exports = FlightExporter;
@@ -0,0 +1,147 @@
+// Turns uploaded flight logs into the rf_test flight structure that UAVDataProcessor validates and
+// analyzes. Each format is an importer class in models/importers with id, label, extensions,
+// description, detect(head, fileName) and parse(text, options) -> { data, warnings, errors };
+// register() adds another one.
+const RfTestJsonImporter = require('./importers/RfTestJsonImporter');
+const Px4CsvImporter = require('./importers/Px4CsvImporter');
+const ArduPilotLogImporter = require('./importers/ArduPilotLogImporter');
+const CrazyflieCsvImporter = require('./importers/CrazyflieCsvImporter');
+const GenericCsvImporter = require('./importers/GenericCsvImporter');
+const FlightBuilder = require('./importers/FlightBuilder');
+const fs = require('fs');
+
+// Detection order: the more specific layouts first
+const importers = [RfTestJsonImporter, ArduPilotLogImporter, Px4CsvImporter, CrazyflieCsvImporter, GenericCsvImporter];
+// Characters of the file handed to detect()
+const DETECT_LENGTH = 4096;
+const MAX_ARRIVAL_RADIUS = 100;
+
+class FlightImporter {
+
+    static register(importer) {
+        if (this.find(importer.id)) {
+            throw new Error(`Importer ${importer.id} is already registered`);
+        }
+        importers.push(importer);
+    }
+
+    static find(id) {
+        return importers.find(importer => importer.id === id) || null;
+    }
+
+    // Importers for the API and the upload form
+    static list() {
+        return importers.map(importer => ({
+            id: importer.id,
+            label: importer.label,
+            extensions: importer.extensions,
+            description: importer.description,
+            needsColumnMapping: importer === GenericCsvImporter
+        }));
+    }
+
+    // File extensions accepted for upload
+    static acceptedExtensions() {
+        return [...new Set(importers.flatMap(importer => importer.extensions))];
+    }
+
+    /**
+     * Parse import options from an upload's form fields or query string: format (an importer id,
+     * detected when absent), columnMapping for generic-csv, startTime for logs that only record time
+     * since boot, and arrivalRadius, the distance in metres at which a setpoint counts as reached.
+     * Returns { options, errors }.
+     */
+    static parseOptions(source = {}) {
+        const errors = [];
+        const options = {};
+
+        if (source.format && source.format !== 'auto') {
+            if (!this.find(source.format)) {
+                errors.push(`format must be one of auto, ${importers.map(i => i.id).join(', ')}`);
+            }
+            options.format = source.format;
+        }
+        if (source.columnMapping) options.columnMapping = source.columnMapping;
+        if (source.startTime) {
+            if (Number.isNaN(new Date(source.startTime).getTime())) {
+                errors.push('startTime must be a date');
+            }
+            options.startTime = source.startTime;
+        }
+        if (source.arrivalRadius !== undefined && source.arrivalRadius !== '') {
+            const radius = Number(source.arrivalRadius);
+            if (!Number.isFinite(radius) || radius <= 0 || radius > MAX_ARRIVAL_RADIUS) {
+                errors.push(`arrivalRadius must be a number of metres between 0 and ${MAX_ARRIVAL_RADIUS}`);
+            }
+            options.arrivalRadius = radius;
+        }
+
+        return { options: errors.length ? null : options, errors };
+    }
+
+    /**
+     * Options that repeat an import from the same file: the format it was read with, its column mapping
+     * and arrival radius and, for converted logs, the start time they were placed at (to the millisecond),
+     * so a log with time since boot is not placed at the time of the re-import
+     */
+    static replayOptions(result, options = {}) {
+        const replay = { format: result.format };
+        if (options.columnMapping) {
+            replay.columnMapping = typeof options.columnMapping === 'string' ?
+                options.columnMapping : JSON.stringify(options.columnMapping);
+        }
+        if (options.arrivalRadius !== undefined) replay.arrivalRadius = options.arrivalRadius;
+        const first = result.data?.position_data?.[0];
+        if (result.format !== RfTestJsonImporter.id && typeof first?.time === 'number') {
+            replay.startTime = new Date(first.time * 1000).toISOString();
+        }
+        return replay;
+    }
+
+    /**
+     * The importer for a log: the format asked for, generic-csv when a column mapping is given, or
+     * the first importer that recognises the start of the file. Returns { importer } or { error }.
+     */
+    static resolve(head, { format, fileName = '', columnMapping } = {}) {
+        if (format) {
+            const importer = this.find(format);
+            return importer ? { importer } : { error: `Unknown import format: ${format}` };
+        }
+        if (columnMapping) return { importer: GenericCsvImporter };
+
+        const importer = importers.find(candidate => candidate.detect(head.slice(0, DETECT_LENGTH), fileName));
+        return importer ? { importer } : {
+            error: `Unrecognised log format; choose one of ${importers.map(i => i.id).join(', ')} or give a columnMapping`
+        };
+    }
+
+    // Id of the importer resolve picks for a file on disk, read no further than detection needs
+    static async formatOfFile(filePath, options = {}) {
+        const handle = await fs.promises.open(filePath, 'r');
+        try {
+            const { buffer, bytesRead } = await handle.read(Buffer.alloc(DETECT_LENGTH), 0, DETECT_LENGTH, 0);
+            return this.resolve(buffer.subarray(0, bytesRead).toString('utf8'), options).importer?.id || null;
+        } finally {
+            await handle.close();
+        }
+    }
+
+    /**
+     * Import a log with the importer resolve picks. Returns { data, format, warnings, errors }.
+     */
+    static import(text, { format, fileName = '', columnMapping, startTime, arrivalRadius } = {}) {
+        const { importer, error } = this.resolve(text, { format, fileName, columnMapping });
+        if (error) {
+            return { data: null, format: null, warnings: [], errors: [error] };
+        }
+
+        const result = importer.parse(text, {
+            columnMapping,
+            startTime,
+            arrivalRadius: arrivalRadius ?? FlightBuilder.DEFAULT_ARRIVAL_RADIUS
+        });
+        return { data: result.data, format: importer.id, warnings: result.warnings, errors: result.errors };
+    }
+}
+
+module.exports = FlightImporter;
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const FlightData = require('./FlightData');
+
+// Points per chunk: a few MB per document, well under MongoDB's 16 MB limit
+const CHUNK_SIZE = 5000;
+
+// A run of consecutive points of a flight stored in chunks (FlightData.pointStore). Chunks are written
+// under the ingest's generation, so a re-ingest can write a complete new set before the old one goes.
+const flightPointChunkSchema = new mongoose.Schema({
+    flightId: { type: mongoose.Schema.Types.ObjectId, ref: 'FlightData', required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    generation: { type: mongoose.Schema.Types.ObjectId, required: true },
+    chunkIndex: { type: Number, required: true },
+    startIndex: Number, // index of the first point in the flight
+    startTime: Number,
+    endTime: Number,
+    // Same fields as FlightData.positionData
+    points: [new mongoose.Schema(FlightData.schema.path('positionData').schema.obj, { _id: false })]
+}, {
+    timestamps: true
+});
+
+flightPointChunkSchema.index({ flightId: 1, generation: 1, chunkIndex: 1 }, { unique: true });
+
+flightPointChunkSchema.statics.CHUNK_SIZE = CHUNK_SIZE;
+
+// Points of one generation of a flight's chunks, a chunk at a time and in flight order
+flightPointChunkSchema.statics.iterate = async function* (flightId, generation) {
+    const cursor = this.find({ flightId, generation }).sort({ chunkIndex: 1 }).select('points').lean().cursor();
+    for await (const chunk of cursor) {
+        yield chunk.points;
+    }
+};
+
+/**
+ * Every point of a flight between from and to (either may be undefined), read from the chunks that overlap
+ * the window. Resolves with null instead when more than maxChunks chunks would have to be read.
+ */
+flightPointChunkSchema.statics.between = async function(flightId, generation, from, to, maxChunks = Infinity) {
+    const filter = { flightId, generation };
+    if (from !== undefined) filter.endTime = { $gte: from };
+    if (to !== undefined) filter.startTime = { $lte: to };
+    if (await this.countDocuments(filter) > maxChunks) return null;
+
+    const chunks = await this.find(filter).sort({ chunkIndex: 1 }).select('points').lean();
+    return chunks.flatMap(chunk => chunk.points)
+        .filter(point => (from === undefined || point.time >= from) && (to === undefined || point.time <= to));
+};
+
+// Delete a flight's chunks, except those of the generation it now uses
+flightPointChunkSchema.statics.prune = function(flightId, keepGeneration = null) {
+    const filter = { flightId };
+    if (keepGeneration) filter.generation = { $ne: keepGeneration };
+    return this.deleteMany(filter);
+};
+
+module.exports = mongoose.model('FlightPointChunk', flightPointChunkSchema);
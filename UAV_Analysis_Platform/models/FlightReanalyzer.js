@@ -0,0 +1,289 @@
+// Re-runs the current analysis pipeline on stored flights so algorithm changes reach old uploads.
+// Flights are loaded and processed one at a time, keeping memory bounded by a single flight.
+// Each flight starts again from its original upload in RawFileStore, imported and cleaned with the options
+// it was uploaded with; only flights uploaded before raw files were kept are rebuilt from their stored points.
+// Flights with chunked point storage are streamed from the raw file again by FlightStreamIngest.
+const FlightData = require('./FlightData');
+const FlightDataCleaner = require('./FlightDataCleaner');
+const FlightImporter = require('./FlightImporter');
+const FlightPointChunk = require('./FlightPointChunk');
+const FlightStreamIngest = require('./FlightStreamIngest');
+const RawFileStore = require('./RawFileStore');
+const ReanalysisJob = require('./ReanalysisJob');
+const ReanalysisResult = require('./ReanalysisResult');
+const ScoringProfile = require('./ScoringProfile');
+const UAVDataProcessor = require('./UAVDataProcessor');
+
+// Job currently running in this process, or RESERVED while one is being created; one at a time
+const RESERVED = 'reserved';
+let activeJobId = null;
+
+class FlightReanalyzer {
+
+    static isRunning() {
+        return activeJobId !== null;
+    }
+
+    /**
+     * Take the job slot before creating a job, synchronously so two requests cannot both get it.
+     * Returns false when a job is already running; release() gives the slot back if the job is not run.
+     */
+    static reserve() {
+        if (activeJobId !== null) return false;
+        activeJobId = RESERVED;
+        return true;
+    }
+
+    static release() {
+        if (activeJobId === RESERVED) activeJobId = null;
+    }
+
+    /**
+     * Mark jobs a restart interrupted as failed; nothing runs them any more. Called at startup.
+     * Resolves with the number of jobs marked.
+     */
+    static async recover() {
+        const { modifiedCount } = await ReanalysisJob.updateMany(
+            { status: { $in: ['queued', 'running'] } },
+            { $set: { status: 'failed', error: 'Interrupted by a server restart', finishedAt: new Date() } }
+        );
+        return modifiedCount;
+    }
+
+    // FlightData query for a job scope
+    static buildFilter(scope = {}) {
+        const filter = {};
+        if (!scope.allUsers) filter.userId = scope.userId;
+        if (scope.flightIds && scope.flightIds.length > 0) filter._id = { $in: scope.flightIds };
+        if (scope.staleOnly) {
+            filter.$or = [
+                { analysisVersion: { $lt: UAVDataProcessor.ANALYSIS_VERSION } },
+                { analysisVersion: { $exists: false } }
+            ];
+        }
+        if (scope.uploadedAfter || scope.uploadedBefore) {
+            filter.createdAt = {};
+            if (scope.uploadedAfter) filter.createdAt.$gte = scope.uploadedAfter;
+            if (scope.uploadedBefore) filter.createdAt.$lte = scope.uploadedBefore;
+        }
+        return filter;
+    }
+
+    /**
+     * Run a queued job to completion. Progress goes to the `reanalysis:<jobId>` socket.io room as
+     * reanalysisProgress events, followed by reanalysisComplete. Each flight's result is stored as a
+     * ReanalysisResult and counted in the job's summary; a flight that fails is recorded the same way
+     * and the job carries on with the next one.
+     */
+    static async run(job, io = null) {
+        activeJobId = String(job._id);
+        const emit = (event, payload) => io?.to(`reanalysis:${job._id}`).emit(event, { jobId: job._id, ...payload });
+
+        try {
+            const flights = await FlightData.find(this.buildFilter(job.scope)).select('_id').lean();
+            job.status = 'running';
+            job.startedAt = new Date();
+            job.total = flights.length;
+            job.analysisVersion = UAVDataProcessor.ANALYSIS_VERSION;
+            job.summary = this.summarize([]);
+            await job.save();
+
+            for (const { _id } of flights) {
+                let result;
+                try {
+                    result = await this.reanalyzeFlight(_id);
+                    job.succeeded += 1;
+                } catch (err) {
+                    result = { flightId: _id, error: err.message };
+                    job.failed += 1;
+                }
+                await ReanalysisResult.create({ jobId: job._id, ...result });
+                this.addToSummary(job.summary, result);
+                job.processed += 1;
+                await job.save();
+
+                emit('reanalysisProgress', {
+                    processed: job.processed,
+                    total: job.total,
+                    progress: Math.round((job.processed / job.total) * 100),
+                    flightId: _id,
+                    flightName: result.flightName,
+                    source: result.source,
+                    scoreChange: result.scoreChange ?? null,
+                    error: result.error
+                });
+            }
+
+            job.status = 'completed';
+        } catch (err) {
+            job.status = 'failed';
+            job.error = err.message;
+        } finally {
+            job.finishedAt = new Date();
+            activeJobId = null;
+        }
+
+        await job.save();
+        emit('reanalysisComplete', { status: job.status, summary: job.summary, error: job.error });
+        return job;
+    }
+
+    /**
+     * Reprocess one stored flight with the error options and scoring profile it was analyzed with,
+     * save the new results and return the before/after scores
+     */
+    static async reanalyzeFlight(flightId) {
+        const flight = await FlightData.findById(flightId);
+        if (!flight) throw new Error('Flight not found');
+
+        const before = this.snapshot(flight);
+        const storedOptions = flight.analysis?.errorOptions;
+        const errorOptions = typeof storedOptions?.heightWeight === 'number' ? {
+            heightWeight: storedOptions.heightWeight,
+            verticalMode: storedOptions.verticalMode,
+            excludeTransit: storedOptions.excludeTransit,
+            source: storedOptions.source
+        } : null;
+        // A deleted custom profile falls back to the default one
+        const profileId = flight.qualityAssessment?.profile?.id;
+        const scoringProfile = profileId ? await ScoringProfile.load(profileId) : null;
+
+        let processed;
+        let pointStore;
+        let source = 'raw';
+        if (flight.pointStore?.chunked) {
+            ({ processedData: processed, pointStore } = await this.reingest(flight, errorOptions, scoringProfile));
+        } else {
+            const input = await this.analysisInput(flight);
+            source = input.source;
+            processed = UAVDataProcessor.processFlightData(
+                input.data,
+                { flightName: flight.flightName, dataQuality: input.dataQuality },
+                errorOptions,
+                scoringProfile
+            );
+        }
+
+        await FlightData.updateOne({ _id: flight._id }, {
+            $set: {
+                analysisVersion: processed.analysisVersion,
+                analyzedAt: new Date(),
+                sequence: processed.sequence,
+                ...(pointStore ? { pointStore } : {}),
+                positionData: processed.positionData,
+                analysis: processed.analysis,
+                trajectoryAnalysis: processed.trajectoryAnalysis,
+                performanceMetrics: processed.performanceMetrics,
+                networkAnalysis: processed.networkAnalysis,
+                accuracyCheck: processed.accuracyCheck,
+                dataQuality: processed.dataQuality,
+                qualityAssessment: processed.qualityAssessment
+            }
+        });
+        // The previous chunks go once the flight points at the new ones
+        if (pointStore) await FlightPointChunk.prune(flight._id, pointStore.generation);
+
+        const after = this.snapshot(processed);
+        return {
+            flightId: flight._id,
+            flightName: flight.flightName,
+            source,
+            before,
+            after,
+            scoreChange: typeof before.overallScore === 'number' ?
+                after.overallScore - before.overallScore : null
+        };
+    }
+
+    /**
+     * rf_test input for a stored flight and where it came from: 'raw' when re-imported (and cleaned) from
+     * the original upload, with its dataQuality report, or 'stored' when rebuilt from the stored points of a
+     * flight without one. A flight whose raw
+     * file is gone or no longer imports fails rather than silently using its stored points.
+     */
+    static async analysisInput(flight) {
+        const { rawFile, importOptions = {} } = flight.toObject();
+        if (!rawFile?.checksum) {
+            return { data: UAVDataProcessor.buildAnalysisInput(flight), source: 'stored' };
+        }
+
+        let content;
+        try {
+            content = await RawFileStore.get(rawFile.checksum);
+        } catch (err) {
+            throw new Error(err.code === 'ENOENT' ? 'Raw file is missing from the store' : err.message);
+        }
+        const { cleaning, ...options } = importOptions;
+        const imported = FlightImporter.import(content.toString('utf8'), { ...options, fileName: rawFile.fileName });
+        if (imported.errors.length > 0) {
+            throw new Error('Raw file no longer imports: ' + imported.errors.join('; '));
+        }
+        const cleaned = FlightDataCleaner.clean(imported.data, cleaning?.mode ? cleaning : undefined);
+        const validation = UAVDataProcessor.validateFlightData(cleaned.data);
+        if (!validation.valid) {
+            throw new Error('Raw file no longer validates: ' + validation.error);
+        }
+        return { data: cleaned.data, source: 'raw', dataQuality: cleaned.report };
+    }
+
+    /**
+     * Stream a chunked flight's raw file through FlightStreamIngest into a new generation of chunks.
+     * Resolves with { processedData, pointStore }; the flight keeps its current chunks until it is updated.
+     */
+    static async reingest(flight, errorOptions, scoringProfile) {
+        const checksum = flight.rawFile?.checksum;
+        if (!checksum || !await RawFileStore.has(checksum)) throw new Error('Raw file is missing from the store');
+
+        const ingested = await FlightStreamIngest.ingest(() => RawFileStore.createReadStream(checksum), {
+            flightId: flight._id,
+            userId: flight.userId,
+            flightName: flight.flightName,
+            errorOptions,
+            scoringProfile
+        });
+        if (ingested.status === 'rejected') {
+            throw new Error('Raw file no longer validates: ' + ingested.message);
+        }
+        return ingested;
+    }
+
+    // Scores of a stored or freshly processed flight
+    static snapshot(flight) {
+        const accuracy = flight.analysis?.positionAccuracy;
+        const summary = accuracy?.valid?.count > 0 ? accuracy.valid : accuracy?.overall;
+        const quality = flight.qualityAssessment;
+        const breakdown = quality?.breakdown;
+
+        return {
+            analysisVersion: flight.analysisVersion ?? null,
+            overallScore: quality?.overallScore ?? null,
+            grade: quality?.grade || null,
+            averageError: summary?.average ?? null,
+            breakdown: {
+                accuracy: breakdown?.accuracy ?? null,
+                stability: breakdown?.stability ?? null,
+                efficiency: breakdown?.efficiency ?? null,
+                adaptability: breakdown?.adaptability ?? null
+            }
+        };
+    }
+
+    static summarize(results) {
+        return results.reduce((summary, result) => this.addToSummary(summary, result),
+            { improved: 0, worsened: 0, unchanged: 0, averageScoreChange: 0, gradeChanges: 0 });
+    }
+
+    // Count one flight's result into a summary, keeping the average score change running
+    static addToSummary(summary, result) {
+        if (typeof result.scoreChange === 'number') {
+            const key = result.scoreChange > 0 ? 'improved' : result.scoreChange < 0 ? 'worsened' : 'unchanged';
+            summary[key] += 1;
+            const scored = summary.improved + summary.worsened + summary.unchanged;
+            summary.averageScoreChange += (result.scoreChange - summary.averageScoreChange) / scored;
+        }
+        if (!result.error && result.before.grade !== result.after.grade) summary.gradeChanges += 1;
+        return summary;
+    }
+}
+
+module.exports = FlightReanalyzer;
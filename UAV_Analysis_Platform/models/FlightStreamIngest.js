@@ -0,0 +1,242 @@
+// Ingestion of rf_test logs too large to parse whole or to keep in one document. The file is streamed
+// twice: once for the top-level fields (the logger writes error_calculation and position_accuracy after
+// the points) and once for the points, which are validated, analyzed and written to FlightPointChunk a
+// chunk at a time, so memory stays bounded by a chunk whatever the flight length.
+// Error statistics and counts are computed from every point in one pass (StreamingStats). The trajectory,
+// performance and network analyses need the whole series, so they run on an evenly spaced sample of at
+// most SAMPLE_POINTS points, which is also stored as the flight's positionData. The data-quality report
+// (FlightDataCleaner) covers every point; streamed points are not repaired.
+const mongoose = require('mongoose');
+const FlightDataCleaner = require('./FlightDataCleaner');
+const FlightDataValidator = require('./FlightDataValidator');
+const FlightPointChunk = require('./FlightPointChunk');
+const FlightStreamParser = require('./FlightStreamParser');
+const PositionAccuracyChecker = require('./PositionAccuracyChecker');
+const RfTestJsonImporter = require('./importers/RfTestJsonImporter');
+const StreamingStats = require('./StreamingStats');
+const TrajectoryAnalyzer = require('./TrajectoryAnalyzer');
+const UAVDataProcessor = require('./UAVDataProcessor');
+
+// rf_test JSON uploads larger than this are streamed
+const STREAM_THRESHOLD = 16 * 1024 * 1024;
+const SAMPLE_POINTS = 10000;
+// Per-point values with one-pass statistics; scored is the error after the upload's error options
+const STAT_FIELDS = ['error', 'scored', 'error_xy', 'error_z'];
+const SUBSETS = ['all', 'waypoint', 'transit', 'stable'];
+
+class FlightStreamIngest {
+
+    static get STREAM_THRESHOLD() {
+        return STREAM_THRESHOLD;
+    }
+
+    static get SAMPLE_POINTS() {
+        return SAMPLE_POINTS;
+    }
+
+    // FlightImporter format of the logs that can be streamed
+    static get FORMAT() {
+        return RfTestJsonImporter.id;
+    }
+
+    /**
+     * Ingest the log open() returns a new readable stream of (it is called twice). Resolves with
+     * { status: 'accepted', processedData, fields, pointStore }, where processedData has the layout of
+     * UAVDataProcessor.processFlightData with the sample as positionData, or with { status: 'rejected',
+     * message, errors?, truncated? }. The chunks of a rejected or failed ingest are deleted.
+     */
+    static async ingest(open, { flightId, userId, flightName, errorOptions = null, scoringProfile = null }) {
+        let header;
+        try {
+            header = await this.readFields(open());
+        } catch (error) {
+            if (error instanceof SyntaxError) return { status: 'rejected', message: 'Invalid JSON: ' + error.message };
+            throw error;
+        }
+
+        const generation = new mongoose.Types.ObjectId();
+        try {
+            const result = await this.ingestPoints(open(), header, { flightId, userId, generation, errorOptions });
+            if (result.status === 'rejected') {
+                await FlightPointChunk.deleteMany({ flightId, generation });
+                return result;
+            }
+            return this.analyze(header.fields, result, { flightName, errorOptions, scoringProfile });
+        } catch (error) {
+            await FlightPointChunk.deleteMany({ flightId, generation });
+            if (error instanceof SyntaxError) return { status: 'rejected', message: 'Invalid JSON: ' + error.message };
+            throw error;
+        }
+    }
+
+    // First pass: the top-level fields and the number of points
+    static async readFields(stream) {
+        const parser = new FlightStreamParser({ countOnly: true });
+        for await (const chunk of stream) {
+            parser.write(chunk);
+        }
+        return { fields: parser.end(), pointCount: parser.pointCount };
+    }
+
+    // Second pass: validate and process every point, writing chunks and keeping the sample and the totals
+    static async ingestPoints(stream, { fields, pointCount }, { flightId, userId, generation, errorOptions }) {
+        const validator = FlightDataValidator.streamValidator(fields);
+        const inspector = FlightDataCleaner.inspector();
+        const sequence = Array.isArray(fields.sequence) ? fields.sequence : [];
+        const verticalMode = fields.error_calculation?.vertical_mode;
+        const resolvedOptions = errorOptions ? UAVDataProcessor.resolveErrorOptions(errorOptions, fields) : null;
+        const sampleStride = Math.max(1, Math.ceil(pointCount / SAMPLE_POINTS));
+
+        const totals = this.createTotals();
+        const sample = [];
+        let chunk = [];
+        let chunkCount = 0;
+        let index = 0;
+        const writeChunk = async () => {
+            await FlightPointChunk.create({
+                flightId,
+                userId,
+                generation,
+                chunkIndex: chunkCount,
+                startIndex: chunkCount * FlightPointChunk.CHUNK_SIZE,
+                startTime: chunk[0].time,
+                endTime: chunk[chunk.length - 1].time,
+                points: chunk
+            });
+            chunkCount++;
+            chunk = [];
+        };
+
+        const parser = new FlightStreamParser();
+        for await (const data of stream) {
+            for (const raw of parser.write(data)) {
+                validator.checkPoint(raw);
+                // After the first invalid point only validation carries on
+                if (validator.valid) {
+                    const point = UAVDataProcessor.processPoint(raw);
+                    // Logs without a per-point error get the deviation computed from the planned path
+                    if (point.error === undefined && sequence.length > 0) {
+                        point.error = TrajectoryAnalyzer.computePointDeviation(point, sequence, { verticalMode }).error;
+                        point.errorComputed = true;
+                    }
+                    const scored = resolvedOptions ?
+                        TrajectoryAnalyzer.applyErrorOptions([point], sequence, resolvedOptions)[0].error : point.error;
+                    this.addToTotals(totals, point, scored);
+                    inspector.add(raw);
+
+                    if (index % sampleStride === 0 || index === pointCount - 1) sample.push(raw);
+                    chunk.push(point);
+                    if (chunk.length >= FlightPointChunk.CHUNK_SIZE) await writeChunk();
+                }
+                index++;
+            }
+            if (validator.truncated) break;
+        }
+
+        if (!validator.truncated) {
+            parser.end();
+            if (index !== pointCount) throw new Error('The file changed while it was read');
+        }
+        const validation = UAVDataProcessor.summarizeValidation(validator.finish(pointCount));
+        if (!validation.valid) {
+            return {
+                status: 'rejected',
+                message: validation.error,
+                errors: validation.errors,
+                truncated: validation.truncated
+            };
+        }
+        if (chunk.length > 0) await writeChunk();
+
+        return {
+            status: 'accepted',
+            sample,
+            totals,
+            resolvedOptions,
+            dataQuality: inspector.finish(),
+            pointStore: {
+                chunked: true,
+                generation,
+                chunkCount,
+                pointCount,
+                sampleStride,
+                startTime: totals.startTime,
+                endTime: totals.endTime
+            }
+        };
+    }
+
+    // Run the full pipeline on the sample, then put in the statistics and checks of every point
+    static analyze(fields, { sample, totals, resolvedOptions, dataQuality, pointStore }, { flightName, errorOptions, scoringProfile }) {
+        const processedData = UAVDataProcessor.processFlightData(
+            { ...fields, position_data: sample },
+            { flightName: flightName || `Flight_${fields.timestamp}`, dataQuality },
+            errorOptions,
+            scoringProfile
+        );
+
+        // Keeps battery, commandStats, errorCalculation and errorOptions from the sample's analysis
+        Object.assign(processedData.analysis, this.basicAnalysis(totals, resolvedOptions));
+
+        const onboard = fields.position_accuracy || null;
+        processedData.accuracyCheck = PositionAccuracyChecker.checkRecomputed(
+            fields,
+            this.recomputedAccuracy(totals, onboard?.config, PositionAccuracyChecker.summaryBucket(onboard)),
+            undefined,
+            { median: StreamingStats.RELATIVE_ACCURACY }
+        );
+        processedData.qualityAssessment = UAVDataProcessor.calculateQualityScore(processedData, scoringProfile || undefined);
+
+        return { status: 'accepted', processedData, fields, pointStore };
+    }
+
+    static createTotals() {
+        const stats = {};
+        STAT_FIELDS.forEach(field => {
+            stats[field] = {};
+            SUBSETS.forEach(subset => {
+                stats[field][subset] = new StreamingStats();
+            });
+        });
+        return { counts: { all: 0, waypoint: 0, transit: 0, stable: 0 }, stats, startTime: null, endTime: null };
+    }
+
+    static addToTotals(totals, point, scored) {
+        const subsets = ['all', point.phase === 'waypoint' ? 'waypoint' : 'transit'];
+        if (point.stabilized) subsets.push('stable');
+        const values = { error: point.error, scored, error_xy: point.error_xy, error_z: point.error_z };
+
+        subsets.forEach(subset => {
+            totals.counts[subset]++;
+            STAT_FIELDS.forEach(field => totals.stats[field][subset].add(values[field]));
+        });
+        if (totals.startTime === null) totals.startTime = point.time;
+        totals.endTime = point.time;
+    }
+
+    // UAVDataProcessor.calculateBasicAnalysis of every point, from the totals
+    static basicAnalysis(totals, resolvedOptions) {
+        // Headline errors are the re-scored ones when error options were given
+        const statsFor = (subset, field) =>
+            totals.stats[field === 'error' && resolvedOptions ? 'scored' : field][subset].result();
+        const responseTime = totals.counts.all > 0 ? totals.endTime - totals.startTime : 0;
+        return UAVDataProcessor.assembleBasicAnalysis(statsFor, totals.counts, responseTime, resolvedOptions);
+    }
+
+    // PositionAccuracyChecker.recompute of every point, from the totals
+    static recomputedAccuracy(totals, config = {}, summaryBucket) {
+        const bucket = (subset, field) => {
+            const stats = totals.stats[field][subset].result();
+            return {
+                average: stats.average,
+                median: stats.median,
+                min: stats.min,
+                max: stats.max,
+                confidence_95: stats.confidence95
+            };
+        };
+        return PositionAccuracyChecker.assemble(bucket, totals.counts, config, summaryBucket);
+    }
+}
+
+module.exports = FlightStreamIngest;
@@ -0,0 +1,210 @@
+// Incremental parser for rf_test JSON logs too large to read whole. Text is fed in chunks with write(),
+// which returns the position_data points completed so far; every other top-level field is parsed as
+// soon as its value ends and is available from fields (so the sequence, which the logger writes before
+// position_data, is known while the points stream). Only the text of the value being read is buffered.
+// With countOnly the points are counted but not parsed, for a quick first pass over the top-level fields.
+const { StringDecoder } = require('string_decoder');
+
+const POINTS_FIELD = 'position_data';
+const WHITESPACE = new Set([' ', '\t', '\n', '\r']);
+
+class FlightStreamParser {
+
+    constructor({ countOnly = false } = {}) {
+        this.countOnly = countOnly;
+        this.decoder = new StringDecoder('utf8');
+        this.fields = {};
+        this.pointCount = 0;
+        // Bracket depth: 1 inside the flight object, 2 inside position_data
+        this.depth = 0;
+        this.inString = false;
+        this.escaped = false;
+        // Where the top-level object is: start, first/key (expecting a field), keyText, colon, value,
+        // reading (a value) or after (position_data, expecting a comma or the end)
+        this.state = 'start';
+        this.key = null;
+        this.inPoints = false;
+        this.pointState = null; // first/element (expecting a point) or reading, inside position_data
+        this.capture = null; // { text } of the value or point being read
+        this.done = false;
+    }
+
+    /**
+     * Feed the next chunk (Buffer or string). Returns the points of position_data completed in it.
+     * Throws a SyntaxError when the text is not an rf_test JSON object.
+     */
+    write(chunk) {
+        const text = typeof chunk === 'string' ? chunk : this.decoder.write(chunk);
+        const points = [];
+        let start = this.capture ? 0 : -1;
+
+        for (let i = 0; i < text.length; i++) {
+            const c = text[i];
+
+            if (this.inString) {
+                if (this.escaped) this.escaped = false;
+                else if (c === '\\') this.escaped = true;
+                else if (c === '"') this.inString = false;
+                continue;
+            }
+
+            if (this.done) {
+                if (!WHITESPACE.has(c)) this.fail('Unexpected data after the flight object');
+                continue;
+            }
+
+            // Inside a nested value: only track strings and brackets until it closes
+            if (this.depth > (this.inPoints ? 2 : 1)) {
+                if (c === '"') this.inString = true;
+                else if (c === '{' || c === '[') this.depth++;
+                else if (c === '}' || c === ']') this.depth--;
+                continue;
+            }
+
+            if (this.inPoints) {
+                if (this.pointState === 'element' || this.pointState === 'first') {
+                    if (WHITESPACE.has(c)) continue;
+                    if (c === ']' && this.pointState === 'first') {
+                        this.closePoints();
+                        continue;
+                    }
+                    if (c === ',' || c === ']') this.fail(`Expected a point in ${POINTS_FIELD}`);
+                    this.capture = { text: '' };
+                    start = i;
+                    this.pointState = 'reading';
+                    this.openValue(c);
+                } else if (c === ',' || c === ']') {
+                    if (!this.countOnly) {
+                        this.capture.text += text.slice(start, i);
+                        points.push(this.parseValue(this.capture.text, `${POINTS_FIELD}[${this.pointCount}]`));
+                    }
+                    this.pointCount++;
+                    this.capture = null;
+                    start = -1;
+                    if (c === ',') this.pointState = 'element';
+                    else this.closePoints();
+                } else {
+                    this.openValue(c);
+                }
+                continue;
+            }
+
+            switch (this.state) {
+            case 'start':
+                if (WHITESPACE.has(c)) break;
+                if (c !== '{') this.fail('Flight data must be a JSON object');
+                this.depth = 1;
+                this.state = 'first';
+                break;
+            case 'first':
+            case 'key':
+                if (WHITESPACE.has(c)) break;
+                if (c === '}' && this.state === 'first') {
+                    this.finish();
+                    break;
+                }
+                if (c !== '"') this.fail('Expected a field name');
+                this.capture = { text: '' };
+                start = i;
+                this.inString = true;
+                this.state = 'keyText';
+                break;
+            case 'keyText':
+                // The closing quote of the key was just passed
+                this.capture.text += text.slice(start, i);
+                this.key = this.parseValue(this.capture.text, 'field name');
+                this.capture = null;
+                start = -1;
+                this.state = 'colon';
+                i--;
+                break;
+            case 'colon':
+                if (WHITESPACE.has(c)) break;
+                if (c !== ':') this.fail(`Expected ':' after "${this.key}"`);
+                this.state = 'value';
+                break;
+            case 'value':
+                if (WHITESPACE.has(c)) break;
+                if (this.key === POINTS_FIELD) {
+                    if (c !== '[') this.fail(`${POINTS_FIELD} must be an array`);
+                    this.depth = 2;
+                    this.inPoints = true;
+                    this.pointState = 'first';
+                    this.fields[POINTS_FIELD] = true;
+                    break;
+                }
+                this.capture = { text: '' };
+                start = i;
+                this.state = 'reading';
+                this.openValue(c);
+                break;
+            case 'reading':
+                if (c === ',' || c === '}') {
+                    this.capture.text += text.slice(start, i);
+                    this.fields[this.key] = this.parseValue(this.capture.text, this.key);
+                    this.capture = null;
+                    start = -1;
+                    if (c === ',') this.state = 'key';
+                    else this.finish();
+                } else {
+                    this.openValue(c);
+                }
+                break;
+            case 'after':
+                if (WHITESPACE.has(c)) break;
+                if (c === ',') this.state = 'key';
+                else if (c === '}') this.finish();
+                else this.fail(`Expected ',' or '}' after ${POINTS_FIELD}`);
+                break;
+            }
+        }
+
+        // Keep the unfinished part of the value for the next chunk
+        if (this.capture && start >= 0 && !(this.countOnly && this.inPoints)) this.capture.text += text.slice(start);
+        return points;
+    }
+
+    /**
+     * The top-level fields once the whole text has been written; position_data is true when the
+     * log had one (its points came from write). Throws a SyntaxError for a truncated document.
+     */
+    end() {
+        const rest = this.decoder.end();
+        if (rest) this.write(rest);
+        if (!this.done) this.fail('Unexpected end of file');
+        return this.fields;
+    }
+
+    // A character of a value at the current level: strings and containers nest
+    openValue(c) {
+        if (c === '"') this.inString = true;
+        else if (c === '{' || c === '[') this.depth++;
+        else if (c === '}' || c === ']') this.fail('Unexpected closing bracket');
+    }
+
+    closePoints() {
+        this.inPoints = false;
+        this.pointState = null;
+        this.depth = 1;
+        this.state = 'after';
+    }
+
+    finish() {
+        this.depth = 0;
+        this.done = true;
+    }
+
+    parseValue(text, path) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            this.fail(`${path}: ${error.message}`);
+        }
+    }
+
+    fail(message) {
+        throw new SyntaxError(message);
+    }
+}
+
+module.exports = FlightStreamParser;
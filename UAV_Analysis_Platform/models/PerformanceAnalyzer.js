@@ -0,0 +1,344 @@
+// Link quality below this (0-100) counts as degraded
+const DEGRADED_QUALITY = 70;
+const HIGH_QUALITY = 90;
+
+class PerformanceAnalyzer {
+
+    /**
+     * Performance metrics from command_stats, response_time, first_command_time and rf_conditions
+     */
+    static calculatePerformanceMetrics(flightData, positions, networkAnalysis) {
+        const timeEfficiency = this.calculateTimeEfficiency(flightData, positions);
+        const communicationEfficiency = this.calculateCommunicationEfficiency(flightData, positions, timeEfficiency);
+
+        // Equal parts link reliability, time spent flying and resilience to degraded link
+        const impactPenalty = Math.min(100, Math.max(0, networkAnalysis.impactAssessment.performanceImpact));
+        const scoreParts = [timeEfficiency.efficiencyRatio * 100, 100 - impactPenalty];
+        if (communicationEfficiency.reliability !== null) {
+            scoreParts.push(communicationEfficiency.reliability);
+        }
+
+        return {
+            timeEfficiency,
+            communicationEfficiency,
+            overallPerformanceScore: Math.round(this.calculateMean(scoreParts) * 10) / 10
+        };
+    }
+
+    /**
+     * Split total time into the startup delay (first command to first position) and logged flight time
+     */
+    static calculateTimeEfficiency(flightData, positions) {
+        const activeFlightTime = positions.length > 1 ?
+            positions[positions.length - 1].time - positions[0].time : 0;
+
+        let idleTime = 0;
+        if (typeof flightData.response_time === 'number') {
+            idleTime = flightData.response_time;
+        } else if (typeof flightData.first_command_time === 'number' && positions.length > 0) {
+            idleTime = Math.max(0, positions[0].time - flightData.first_command_time);
+        }
+
+        const totalFlightTime = activeFlightTime + idleTime;
+
+        return {
+            totalFlightTime,
+            activeFlightTime,
+            idleTime,
+            efficiencyRatio: totalFlightTime > 0 ? activeFlightTime / totalFlightTime : 0
+        };
+    }
+
+    /**
+     * Command delivery statistics, discounted by simulated packet loss when rf_conditions sets one
+     */
+    static calculateCommunicationEfficiency(flightData, positions, timeEfficiency) {
+        const stats = flightData.command_stats;
+        const packetLossRate = flightData.rf_conditions?.packet_loss_rate;
+
+        if (!stats || !stats.total_attempts) {
+            return {
+                successRate: null,
+                dropRate: null,
+                reliability: null,
+                commandsSent: stats?.sent || 0,
+                commandsDropped: stats?.dropped || 0,
+                totalAttempts: stats?.total_attempts || 0,
+                commandRate: 0,
+                responseTime: timeEfficiency.idleTime
+            };
+        }
+
+        const successRate = (stats.sent / stats.total_attempts) * 100;
+        const dropRate = (stats.dropped / stats.total_attempts) * 100;
+        const reliability = typeof packetLossRate === 'number' ?
+            successRate * (1 - packetLossRate) : successRate;
+
+        return {
+            successRate,
+            dropRate,
+            reliability,
+            commandsSent: stats.sent,
+            commandsDropped: stats.dropped,
+            totalAttempts: stats.total_attempts,
+            commandRate: timeEfficiency.totalFlightTime > 0 ? stats.sent / timeEfficiency.totalFlightTime : 0,
+            responseTime: timeEfficiency.idleTime
+        };
+    }
+
+    /**
+     * Network analysis - per-point link quality, degradation and recovery events, impact on error
+     */
+    static analyzeNetwork(flightData, positions) {
+        const { qualities, source } = this.estimateLinkQuality(positions, flightData.rf_conditions);
+        const degradationEvents = this.detectDegradationEvents(positions, qualities);
+        const impactAssessment = this.assessImpact(positions, qualities);
+
+        const analysis = {
+            qualitySource: source,
+            rfConditions: this.extractRfConditions(flightData.rf_conditions),
+            qualityStats: this.calculateQualityStats(qualities),
+            degradationEvents,
+            recoveryMetrics: this.calculateRecoveryMetrics(positions, qualities, degradationEvents),
+            impactAssessment
+        };
+
+        analysis.recommendations = this.generateRecommendations(flightData, analysis);
+        return analysis;
+    }
+
+    /**
+     * Per-point link quality (0-100).
+     * Uses networkQuality when the log reports it, otherwise how late each position update arrived
+     * compared with the median update interval, scaled by the delivery rate when rf_conditions sets a
+     * packet_loss_rate. The logger pauses when it moves on to the next waypoint, so a late update at a
+     * change of sequence_index is not counted against the link.
+     */
+    static estimateLinkQuality(positions, rfConditions = null) {
+        if (positions.length > 0 && positions.every(p => typeof p.networkQuality === 'number')) {
+            return { qualities: positions.map(p => p.networkQuality), source: 'reported' };
+        }
+
+        const intervals = [];
+        for (let i = 1; i < positions.length; i++) {
+            intervals.push(positions[i].time - positions[i - 1].time);
+        }
+        const nominal = this.calculateMedian(intervals.filter(dt => dt > 0));
+        const packetLossRate = rfConditions?.packet_loss_rate;
+        const delivered = typeof packetLossRate === 'number' ? 100 * (1 - packetLossRate) : 100;
+
+        const qualities = positions.map((point, i) => {
+            if (i === 0 || !nominal) return delivered;
+            const dt = intervals[i - 1];
+            if (dt <= nominal || this.isWaypointChange(positions[i - 1], point)) return delivered;
+            return Math.max(0, Math.min(delivered, (nominal / dt) * delivered));
+        });
+
+        return { qualities, source: delivered < 100 ? 'rf-conditions' : 'sample-interval' };
+    }
+
+    static isWaypointChange(previous, point) {
+        return typeof point.sequence_index === 'number' && typeof previous.sequence_index === 'number' &&
+            point.sequence_index !== previous.sequence_index;
+    }
+
+    /**
+     * Group consecutive degraded points into events
+     */
+    static detectDegradationEvents(positions, qualities) {
+        const events = [];
+        let start = null;
+
+        for (let i = 0; i <= qualities.length; i++) {
+            const degraded = i < qualities.length && qualities[i] < DEGRADED_QUALITY;
+            if (degraded && start === null) {
+                start = i;
+            } else if (!degraded && start !== null) {
+                const end = i - 1;
+                const minQuality = this.calculateMin(qualities.slice(start, end + 1));
+                // A degraded point marks a late update, so the outage began at the previous sample
+                const startTime = start > 0 ? positions[start - 1].time : positions[start].time;
+
+                events.push({
+                    startIndex: start,
+                    endIndex: end,
+                    startTime,
+                    endTime: positions[end].time,
+                    duration: positions[end].time - startTime,
+                    minQuality,
+                    startPosition: this.toArray(positions[start]),
+                    endPosition: this.toArray(positions[end]),
+                    severity: minQuality < 30 ? 'high' : minQuality < 50 ? 'medium' : 'low'
+                });
+                start = null;
+            }
+        }
+
+        return events;
+    }
+
+    /**
+     * The first healthy point after each degradation event
+     */
+    static calculateRecoveryMetrics(positions, qualities, degradationEvents) {
+        const recoveryEvents = [];
+        const recoveryTimes = [];
+
+        degradationEvents.forEach(event => {
+            const index = event.endIndex + 1;
+            if (index >= positions.length) return;
+
+            recoveryEvents.push({
+                index,
+                time: positions[index].time,
+                fromQuality: event.minQuality,
+                toQuality: qualities[index],
+                improvement: qualities[index] - event.minQuality,
+                position: this.toArray(positions[index])
+            });
+            recoveryTimes.push(positions[index].time - event.startTime);
+        });
+
+        return {
+            totalRecoveries: recoveryEvents.length,
+            averageRecoveryTime: this.calculateMean(recoveryTimes),
+            recoveryEvents
+        };
+    }
+
+    /**
+     * Compare position error on high- and low-quality link.
+     * performanceImpact is the % increase of average error on degraded link.
+     */
+    static assessImpact(positions, qualities) {
+        const high = [];
+        const low = [];
+
+        positions.forEach((point, i) => {
+            if (point.error === undefined) return;
+            if (qualities[i] >= DEGRADED_QUALITY) high.push(point.error);
+            else low.push(point.error);
+        });
+
+        const total = high.length + low.length;
+        const highAverage = this.calculateMean(high);
+        const lowAverage = this.calculateMean(low);
+
+        return {
+            highQualityPerformance: {
+                count: high.length,
+                averageError: highAverage,
+                percentage: total > 0 ? (high.length / total) * 100 : 0
+            },
+            lowQualityPerformance: {
+                count: low.length,
+                averageError: lowAverage,
+                percentage: total > 0 ? (low.length / total) * 100 : 0
+            },
+            performanceImpact: low.length > 0 && highAverage > 0 ?
+                ((lowAverage - highAverage) / highAverage) * 100 : 0
+        };
+    }
+
+    static calculateQualityStats(qualities) {
+        if (qualities.length === 0) {
+            return { average: 0, median: 0, min: 0, max: 0 };
+        }
+        return {
+            average: this.calculateMean(qualities),
+            median: this.calculateMedian(qualities),
+            min: this.calculateMin(qualities),
+            max: this.calculateMax(qualities)
+        };
+    }
+
+    static extractRfConditions(rf) {
+        return {
+            bandwidthKbps: rf?.bandwidth_kbps ?? null,
+            latencyMs: rf?.latency_ms ?? null,
+            packetLossRate: rf?.packet_loss_rate ?? null
+        };
+    }
+
+    static generateRecommendations(flightData, analysis) {
+        const recommendations = [];
+        const stats = flightData.command_stats;
+        const { impactAssessment, degradationEvents, qualityStats } = analysis;
+
+        if (stats && stats.total_attempts > 0 && stats.dropped / stats.total_attempts > 0.01) {
+            recommendations.push({
+                type: 'command_loss',
+                severity: stats.dropped / stats.total_attempts > 0.05 ? 'high' : 'medium',
+                message: `${((stats.dropped / stats.total_attempts) * 100).toFixed(1)}% of commands were dropped`,
+                suggestion: 'Check radio channel interference and antenna placement'
+            });
+        }
+
+        if (typeof flightData.response_time === 'number' && flightData.response_time > 5) {
+            recommendations.push({
+                type: 'startup_latency',
+                severity: 'low',
+                message: `First position arrived ${flightData.response_time.toFixed(1)}s after the first command`,
+                suggestion: 'Review takeoff and logging startup to shorten the delay before tracking begins'
+            });
+        }
+
+        const severeEvents = degradationEvents.filter(e => e.severity === 'high').length;
+        if (severeEvents > 0) {
+            recommendations.push({
+                type: 'link_dropout',
+                severity: severeEvents > 3 ? 'high' : 'medium',
+                message: `${severeEvents} severe link dropout(s) detected during the flight`,
+                suggestion: 'Correlate dropouts with position to find dead zones in the flight area'
+            });
+        }
+
+        if (impactAssessment.lowQualityPerformance.count > 0 && impactAssessment.performanceImpact > 20) {
+            recommendations.push({
+                type: 'network_impact',
+                severity: impactAssessment.performanceImpact > 50 ? 'high' : 'medium',
+                message: `Position error is ${impactAssessment.performanceImpact.toFixed(1)}% higher while the link is degraded`,
+                suggestion: 'Consider slowing down or holding position when link quality drops'
+            });
+        }
+
+        if (qualityStats.average < HIGH_QUALITY && qualityStats.average > 0) {
+            recommendations.push({
+                type: 'link_quality',
+                severity: 'low',
+                message: `Average link quality was ${qualityStats.average.toFixed(1)}%`,
+                suggestion: 'Reduce distance to the radio or move away from interference sources'
+            });
+        }
+
+        return recommendations;
+    }
+
+    // Helper methods
+    static calculateMean(values) {
+        if (values.length === 0) return 0;
+        return values.reduce((sum, val) => sum + val, 0) / values.length;
+    }
+
+    // Loops rather than Math.max(...values), which overflows the call stack on long flights
+    static calculateMax(values) {
+        return values.reduce((max, val) => (val > max ? val : max), -Infinity);
+    }
+
+    static calculateMin(values) {
+        return values.reduce((min, val) => (val < min ? val : min), Infinity);
+    }
+
+    static calculateMedian(values) {
+        if (values.length === 0) return 0;
+        const sorted = values.slice().sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+    }
+
+    static toArray(point) {
+        return [point.x, point.y, point.z];
+    }
+}
+
+module.exports = PerformanceAnalyzer;
@@ -0,0 +1,182 @@
+// Cross-check of the position_accuracy block written by the onboard error calculator.
+// Recomputes the same buckets from the logged points so both versions can be stored side by side,
+// and flags every value where they disagree by more than the tolerance.
+
+// Metres; counts must match exactly
+const DEFAULT_TOLERANCE = 1e-6;
+const Z_95 = 1.96;
+const STAT_FIELDS = ['average', 'median', 'min', 'max', 'confidence_95', 'count', 'percentage'];
+const COUNT_FIELDS = ['total_points', 'waypoint_points', 'transit_points', 'valid_points', 'excluded_points'];
+// Top-level shortcuts the calculator writes for its headline bucket: valid_errors in versions that
+// have the valid_* buckets, overall in older ones
+const SUMMARY_SHORTCUTS = {
+    average_error: 'average',
+    median_error: 'median',
+    max_error: 'max',
+    min_error: 'min',
+    confidence_95: 'confidence_95'
+};
+
+class PositionAccuracyChecker {
+
+    /**
+     * Recompute position_accuracy from the points and compare it with the uploaded block.
+     * Buckets the uploaded block does not have (older calculator versions) are listed, not flagged.
+     */
+    static check(flightData, positions, tolerance = DEFAULT_TOLERANCE) {
+        const onboard = flightData.position_accuracy || null;
+        const recomputed = this.recompute(positions, onboard?.config, this.summaryBucket(onboard));
+        return this.checkRecomputed(flightData, recomputed, tolerance);
+    }
+
+    /**
+     * check for a recomputation made elsewhere, e.g. in one pass over a streamed log. relative gives
+     * the accuracy of approximate fields as a fraction of the value, e.g. { median: 0.001 }.
+     */
+    static checkRecomputed(flightData, recomputed, tolerance = DEFAULT_TOLERANCE, relative = {}) {
+        const onboard = flightData.position_accuracy || null;
+        const result = {
+            method: flightData.error_calculation?.method || null,
+            tolerance,
+            onboard,
+            recomputed,
+            checkedBuckets: [],
+            missingBuckets: [],
+            mismatches: [],
+            agrees: null
+        };
+        if (!onboard) return result;
+
+        this.compare(onboard, recomputed, tolerance, result, relative);
+        result.agrees = result.mismatches.length === 0;
+        return result;
+    }
+
+    // Bucket the summary shortcuts (average_error, ...) repeat
+    static summaryBucket(onboard) {
+        return onboard && !this.hasBucket(onboard.valid_errors) ? 'overall' : 'valid_errors';
+    }
+
+    /**
+     * position_accuracy in the onboard layout. With exclude_transit the "valid" buckets hold the
+     * waypoint-phase points only, otherwise every point.
+     */
+    static recompute(positions, config = {}, summaryBucket = 'valid_errors') {
+        const subsets = {
+            all: positions,
+            waypoint: positions.filter(p => p.phase === 'waypoint'),
+            transit: positions.filter(p => p.phase !== 'waypoint'),
+            stable: positions.filter(p => p.stabilized)
+        };
+        const bucket = (subset, field) =>
+            this.calculateBucket(subsets[subset].map(p => p[field]).filter(v => typeof v === 'number'));
+        const counts = {};
+        Object.entries(subsets).forEach(([subset, points]) => {
+            counts[subset] = points.length;
+        });
+        return this.assemble(bucket, counts, config, summaryBucket);
+    }
+
+    /**
+     * position_accuracy in the onboard layout from bucket(subset, field), the calculateBucket statistics of
+     * one error field over the points of a subset (all, waypoint, transit or stable), and the subset sizes
+     */
+    static assemble(bucket, counts, config, summaryBucket) {
+        const valid = config?.exclude_transit ? 'waypoint' : 'all';
+        const phases = field => ({
+            overall: bucket('all', field),
+            waypoint: bucket('waypoint', field),
+            transit: bucket('transit', field)
+        });
+
+        const accuracy = {
+            overall: bucket('all', 'error'),
+            waypoint_phase: bucket('waypoint', 'error'),
+            transit_phase: bucket('transit', 'error'),
+            valid_errors: bucket(valid, 'error'),
+            valid_xy: bucket(valid, 'error_xy'),
+            valid_height: bucket(valid, 'error_z'),
+            stable_phase: {
+                ...bucket('stable', 'error'),
+                count: counts.stable,
+                percentage: counts.all > 0 ? (counts.stable / counts.all) * 100 : 0
+            },
+            height: phases('error_z'),
+            xy_plane: phases('error_xy'),
+            total_points: counts.all,
+            waypoint_points: counts.waypoint,
+            transit_points: counts.transit,
+            valid_points: counts[valid],
+            excluded_points: counts.all - counts[valid]
+        };
+
+        Object.entries(SUMMARY_SHORTCUTS).forEach(([shortcut, field]) => {
+            accuracy[shortcut] = accuracy[summaryBucket][field];
+        });
+        if (config) accuracy.config = config;
+
+        return accuracy;
+    }
+
+    // Collect checked and missing buckets and every out-of-tolerance value into result
+    static compare(onboard, recomputed, tolerance, result, relative = {}) {
+        const compareValue = (bucket, field, onboardValue, serverValue, limit, statField = field) => {
+            if (typeof onboardValue !== 'number' || typeof serverValue !== 'number') return;
+            const difference = Math.abs(onboardValue - serverValue);
+            if (difference > Math.max(limit, (relative[statField] || 0) * Math.abs(serverValue))) {
+                result.mismatches.push({ bucket, field, onboard: onboardValue, server: serverValue, difference });
+            }
+        };
+        const compareBucket = (name, onboardBucket, serverBucket) => {
+            if (!this.hasBucket(onboardBucket)) {
+                result.missingBuckets.push(name);
+                return;
+            }
+            result.checkedBuckets.push(name);
+            STAT_FIELDS.forEach(field => {
+                const limit = field === 'count' ? 0 : tolerance;
+                compareValue(name, field, onboardBucket[field], serverBucket[field], limit);
+            });
+        };
+
+        ['overall', 'waypoint_phase', 'transit_phase', 'valid_errors', 'valid_xy', 'valid_height', 'stable_phase']
+            .forEach(name => compareBucket(name, onboard[name], recomputed[name]));
+        ['height', 'xy_plane'].forEach(group => {
+            ['overall', 'waypoint', 'transit'].forEach(key => {
+                compareBucket(`${group}.${key}`, onboard[group]?.[key], recomputed[group][key]);
+            });
+        });
+
+        COUNT_FIELDS.forEach(field => compareValue('counts', field, onboard[field], recomputed[field], 0));
+        Object.keys(SUMMARY_SHORTCUTS).forEach(field => {
+            compareValue('summary', field, onboard[field], recomputed[field], tolerance, SUMMARY_SHORTCUTS[field]);
+        });
+    }
+
+    // Stored documents come back with empty objects for buckets the upload did not have
+    static hasBucket(bucket) {
+        return !!bucket && typeof bucket.average === 'number';
+    }
+
+    // average/median/min/max plus the normal-approximation half-width, as the calculator reports them
+    static calculateBucket(values) {
+        if (values.length === 0) {
+            return { average: 0, median: 0, min: 0, max: 0, confidence_95: 0 };
+        }
+
+        const sorted = values.slice().sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        const average = values.reduce((sum, v) => sum + v, 0) / values.length;
+        const variance = values.reduce((sum, v) => sum + Math.pow(v - average, 2), 0) / values.length;
+
+        return {
+            average,
+            median: sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid],
+            min: sorted[0],
+            max: sorted[sorted.length - 1],
+            confidence_95: Z_95 * Math.sqrt(variance) / Math.sqrt(values.length)
+        };
+    }
+}
+
+module.exports = PositionAccuracyChecker;
@@ -0,0 +1,238 @@
+// Multi-factor flight quality scoring.
+// Each factor maps one metric linearly from its "poor" threshold (0 points) to its "good" threshold (100 points),
+// so a factor where lower is better simply has good < poor. The overall score is the weighted mean of the
+// factors whose metric the flight has; weights of missing factors are spread over the rest.
+
+const FACTORS = {
+    accuracy: { metric: 'averageError', unit: 'm' },
+    stability: { metric: 'errorStdDev', unit: 'm' },
+    efficiency: { metric: 'pathEfficiency', unit: 'ratio' },
+    adaptability: { metric: 'networkImpact', unit: '%' }
+};
+const GRADE_LETTERS = ['A', 'B', 'C', 'D'];
+const DEFAULT_GRADES = { A: 90, B: 80, C: 70, D: 60 };
+// Factors scoring below this get an improvement suggestion
+const DEFAULT_IMPROVEMENT_THRESHOLD = 70;
+
+// Thresholds are calibrated on the flights in Test_Data, which all grade between D and A under every profile:
+// typical average errors are 6-9 cm and path efficiencies 0.35-0.7, since hover jitter adds distance
+const BUILT_IN_PROFILES = {
+    default: {
+        name: 'Default',
+        description: 'Balanced scoring for mixed waypoint missions',
+        factors: {
+            accuracy: { weight: 0.4, good: 0.05, poor: 0.2 },
+            stability: { weight: 0.25, good: 0.02, poor: 0.1 },
+            efficiency: { weight: 0.2, good: 0.7, poor: 0.1 },
+            adaptability: { weight: 0.15, good: 0, poor: 50 }
+        }
+    },
+    'indoor-hover': {
+        name: 'Indoor hover',
+        description: 'Tight position hold; path efficiency barely matters',
+        factors: {
+            accuracy: { weight: 0.5, good: 0.04, poor: 0.18 },
+            stability: { weight: 0.35, good: 0.015, poor: 0.1 },
+            efficiency: { weight: 0.05, good: 0.7, poor: 0.1 },
+            adaptability: { weight: 0.1, good: 0, poor: 30 }
+        }
+    },
+    'square-pattern': {
+        name: 'Square pattern',
+        description: 'Corner-to-corner tracking where cutting or overshooting corners costs distance',
+        factors: {
+            accuracy: { weight: 0.35, good: 0.05, poor: 0.25 },
+            stability: { weight: 0.2, good: 0.02, poor: 0.12 },
+            efficiency: { weight: 0.3, good: 0.75, poor: 0.1 },
+            adaptability: { weight: 0.15, good: 0, poor: 50 }
+        }
+    }
+};
+
+const SUGGESTIONS = {
+    accuracy: value => `Average position error is ${value.toFixed(3)} m; tune the position controller gains ` +
+        'or check the tracking system calibration',
+    stability: value => `Position error varies by ${value.toFixed(3)} m (standard deviation); ` +
+        'look for oscillation around waypoints and reduce aggressive gains',
+    efficiency: value => `The flown path is ${(value * 100).toFixed(1)}% efficient against the planned route; ` +
+        'reduce corner overshoot and lateral drift between waypoints',
+    adaptability: value => `Position error rises ${value.toFixed(1)}% while the link is degraded; ` +
+        'hold position or slow down when link quality drops'
+};
+
+class QualityScorer {
+
+    static get DEFAULT_PROFILE_ID() {
+        return 'default';
+    }
+
+    static listBuiltInProfiles() {
+        return Object.keys(BUILT_IN_PROFILES).map(id => this.getBuiltInProfile(id));
+    }
+
+    static getBuiltInProfile(id) {
+        const profile = BUILT_IN_PROFILES[id];
+        if (!profile) return null;
+        return this.normalizeProfile({ id, builtIn: true, ...profile });
+    }
+
+    /**
+     * Validate a user-defined profile. Factors it leaves out keep the default thresholds with weight 0.
+     * Returns { profile, errors }.
+     */
+    static validateProfile(input) {
+        const errors = [];
+        if (!input || typeof input.name !== 'string' || input.name.trim() === '') {
+            errors.push('name is required');
+        }
+
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const factors = input?.factors ?? {};
+        if (!isObject(factors)) {
+            return { profile: null, errors: [...errors, 'factors must be an object'] };
+        }
+        Object.keys(factors).forEach(factor => {
+            if (!FACTORS[factor]) errors.push(`Unknown factor: ${factor}`);
+        });
+        Object.keys(FACTORS).forEach(factor => {
+            const settings = factors[factor];
+            if (settings === undefined) return;
+            if (!isObject(settings)) {
+                errors.push(`factors.${factor} must be an object`);
+                return;
+            }
+            ['weight', 'good', 'poor'].forEach(key => {
+                if (settings[key] !== undefined && !Number.isFinite(settings[key])) {
+                    errors.push(`factors.${factor}.${key} must be a number`);
+                }
+            });
+            if (settings.weight < 0) errors.push(`factors.${factor}.weight must not be negative`);
+            const merged = { ...BUILT_IN_PROFILES.default.factors[factor], ...settings };
+            if (merged.good === merged.poor) errors.push(`factors.${factor}.good and poor must differ`);
+        });
+        if (!Object.keys(FACTORS).some(factor => factors[factor]?.weight > 0)) {
+            errors.push('At least one factor needs a positive weight');
+        }
+
+        const grades = { ...DEFAULT_GRADES, ...input?.grades };
+        GRADE_LETTERS.forEach((letter, i) => {
+            const bound = grades[letter];
+            if (!Number.isFinite(bound) || bound < 0 || bound > 100) {
+                errors.push(`grades.${letter} must be a number between 0 and 100`);
+            } else if (i > 0 && bound >= grades[GRADE_LETTERS[i - 1]]) {
+                errors.push(`grades.${letter} must be below grades.${GRADE_LETTERS[i - 1]}`);
+            }
+        });
+
+        const threshold = input?.improvementThreshold;
+        if (threshold !== undefined && (!Number.isFinite(threshold) || threshold < 0 || threshold > 100)) {
+            errors.push('improvementThreshold must be a number between 0 and 100');
+        }
+
+        if (errors.length > 0) return { profile: null, errors };
+
+        const completeFactors = {};
+        Object.keys(FACTORS).forEach(factor => {
+            completeFactors[factor] = {
+                ...BUILT_IN_PROFILES.default.factors[factor],
+                weight: 0,
+                ...factors[factor]
+            };
+        });
+        return {
+            profile: this.normalizeProfile({ ...input, name: input.name.trim(), factors: completeFactors }),
+            errors
+        };
+    }
+
+    // Fill grade boundaries and the improvement threshold
+    static normalizeProfile(profile) {
+        return {
+            ...profile,
+            grades: { ...DEFAULT_GRADES, ...profile.grades },
+            improvementThreshold: profile.improvementThreshold ?? DEFAULT_IMPROVEMENT_THRESHOLD
+        };
+    }
+
+    /**
+     * Scoring inputs from a processed flight or a stored FlightData document.
+     * A metric the flight cannot provide is null and its factor is left out of the score.
+     */
+    static extractMetrics(flight) {
+        const accuracy = flight.analysis?.positionAccuracy;
+        const summary = accuracy?.valid?.count > 0 ? accuracy.valid : accuracy?.overall;
+        const efficiency = flight.trajectoryAnalysis?.detailed?.trajectoryEfficiency;
+        const impact = flight.networkAnalysis?.impactAssessment;
+        const number = value => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+        // Flights stored before the bucket counts were kept have no count
+        const hasErrors = !!summary && summary.count !== 0;
+
+        return {
+            averageError: hasErrors ? number(summary.average) : null,
+            errorStdDev: hasErrors ? number(summary.stdDev) : null,
+            // Without a planned route the efficiency ratio is a placeholder
+            pathEfficiency: efficiency?.idealDistance > 0 ? number(efficiency.efficiencyRatio) : null,
+            // No degraded-link points means there is nothing to measure
+            networkImpact: impact?.lowQualityPerformance?.count > 0 ? number(impact.performanceImpact) : null
+        };
+    }
+
+    /**
+     * Score metrics against a profile (the default profile when none is given)
+     */
+    static score(metrics, profile = this.getBuiltInProfile(this.DEFAULT_PROFILE_ID)) {
+        const factors = Object.entries(FACTORS).map(([factor, { metric, unit }]) => {
+            const settings = profile.factors[factor];
+            const value = metrics[metric];
+            return {
+                factor,
+                metric,
+                unit,
+                value,
+                weight: settings.weight,
+                score: value === null || value === undefined ? null : this.scoreFactor(value, settings)
+            };
+        });
+
+        const scored = factors.filter(f => f.score !== null && f.weight > 0);
+        const totalWeight = scored.reduce((sum, f) => sum + f.weight, 0);
+        // Graded as shown, so a flight shown at 90 is an A
+        const overallScore = totalWeight > 0 ?
+            Math.round(scored.reduce((sum, f) => sum + f.score * f.weight, 0) / totalWeight) : 0;
+
+        const breakdown = {};
+        factors.forEach(f => {
+            breakdown[f.factor] = f.score === null ? null : Math.round(f.score);
+        });
+
+        return {
+            overallScore,
+            breakdown,
+            grade: this.assignQualityGrade(overallScore, profile.grades),
+            improvements: this.generateImprovements(factors, profile),
+            profile: { id: profile.id ? String(profile.id) : null, name: profile.name },
+            factors,
+            gradedAt: new Date()
+        };
+    }
+
+    // Linear between the poor (0) and good (100) thresholds, clamped
+    static scoreFactor(value, { good, poor }) {
+        const score = ((value - poor) / (good - poor)) * 100;
+        return Math.max(0, Math.min(100, score));
+    }
+
+    static assignQualityGrade(score, grades = DEFAULT_GRADES) {
+        return GRADE_LETTERS.find(letter => score >= grades[letter]) || 'F';
+    }
+
+    // One suggestion per weighted factor below the threshold, the most points lost first
+    static generateImprovements(factors, profile) {
+        return factors
+            .filter(f => f.score !== null && f.weight > 0 && f.score < profile.improvementThreshold)
+            .sort((a, b) => (100 - b.score) * b.weight - (100 - a.score) * a.weight)
+            .map(f => SUGGESTIONS[f.factor](f.value));
+    }
+}
+
+module.exports = QualityScorer;
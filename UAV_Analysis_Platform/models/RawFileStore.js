@@ -0,0 +1,152 @@
+// Content-addressed store for the original bytes of uploaded flight files. A file is kept gzipped
+// under its SHA-256 (the flight's fingerprint), so the same file uploaded twice is stored once, and
+// is checked against that checksum when read back.
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { pipeline, Transform } = require('stream');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const DEFAULT_DIRECTORY = path.join(__dirname, '..', 'storage', 'raw');
+const CHECKSUM_PATTERN = /^[0-9a-f]{64}$/;
+
+class RawFileStore {
+
+    // RAW_STORE_DIR, or storage/raw in the application directory
+    static get directory() {
+        return process.env.RAW_STORE_DIR || DEFAULT_DIRECTORY;
+    }
+
+    static checksumOf(content) {
+        return crypto.createHash('sha256').update(content).digest('hex');
+    }
+
+    // <directory>/ab/<checksum>.gz, sharded by the first two hex digits
+    static pathFor(checksum) {
+        if (!CHECKSUM_PATTERN.test(checksum)) throw new Error(`Invalid checksum: ${checksum}`);
+        return path.join(this.directory, checksum.slice(0, 2), `${checksum}.gz`);
+    }
+
+    /**
+     * Store a file's bytes unless they are already stored. Resolves with { checksum, size, compressedSize }.
+     */
+    static async put(content) {
+        const checksum = this.checksumOf(content);
+        const target = this.pathFor(checksum);
+        try {
+            const { size } = await fs.promises.stat(target);
+            return { checksum, size: content.length, compressedSize: size };
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        const compressed = await gzip(content);
+        await fs.promises.mkdir(path.dirname(target), { recursive: true });
+        // Written aside and renamed, so a reader never sees a partial file
+        const partial = `${target}.${process.pid}.${Date.now()}.tmp`;
+        await fs.promises.writeFile(partial, compressed);
+        await fs.promises.rename(partial, target);
+        return { checksum, size: content.length, compressedSize: compressed.length };
+    }
+
+    /**
+     * put for a file on disk, streamed through the hash and gzip so a large upload is never held in memory
+     */
+    static async putFile(filePath) {
+        const hash = crypto.createHash('sha256');
+        let size = 0;
+        const measure = new Transform({
+            transform(chunk, encoding, callback) {
+                hash.update(chunk);
+                size += chunk.length;
+                callback(null, chunk);
+            }
+        });
+
+        // Compressed aside under a temporary name, since the checksum is only known at the end
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        const partial = path.join(this.directory, `upload.${process.pid}.${Date.now()}.tmp`);
+        try {
+            await promisify(pipeline)(fs.createReadStream(filePath), measure, zlib.createGzip(), fs.createWriteStream(partial));
+            const checksum = hash.digest('hex');
+            const target = this.pathFor(checksum);
+            const { size: compressedSize } = await fs.promises.stat(partial);
+            if (await this.has(checksum)) {
+                const existing = await fs.promises.stat(target);
+                return { checksum, size, compressedSize: existing.size };
+            }
+            await fs.promises.mkdir(path.dirname(target), { recursive: true });
+            await fs.promises.rename(partial, target);
+            return { checksum, size, compressedSize };
+        } finally {
+            await fs.promises.rm(partial, { force: true });
+        }
+    }
+
+    /**
+     * The original bytes of a stored file. Rejects with code ENOENT when it is not stored and
+     * ECHECKSUM when the stored copy no longer matches its checksum.
+     */
+    static async get(checksum) {
+        const damaged = () => Object.assign(
+            new Error(`Stored raw file ${checksum} does not match its checksum`), { code: 'ECHECKSUM' });
+        const compressed = await fs.promises.readFile(this.pathFor(checksum));
+        let content;
+        try {
+            content = await gunzip(compressed);
+        } catch {
+            throw damaged();
+        }
+        if (this.checksumOf(content) !== checksum) throw damaged();
+        return content;
+    }
+
+    /**
+     * Readable stream of a stored file's original bytes, for files too large for get. The stream fails
+     * with code ENOENT when the file is not stored and ECHECKSUM when it does not match its checksum,
+     * which can only be known once it has been read to the end; the last chunk is held back until then,
+     * so a damaged copy is never passed on whole.
+     */
+    static createReadStream(checksum) {
+        const hash = crypto.createHash('sha256');
+        const damaged = () => Object.assign(
+            new Error(`Stored raw file ${checksum} does not match its checksum`), { code: 'ECHECKSUM' });
+        let held = null;
+        const verify = new Transform({
+            transform(chunk, encoding, callback) {
+                hash.update(chunk);
+                const previous = held;
+                held = chunk;
+                callback(null, previous || undefined);
+            },
+            flush(callback) {
+                if (hash.digest('hex') !== checksum) return callback(damaged());
+                callback(null, held || undefined);
+            }
+        });
+        const gunzipStream = zlib.createGunzip();
+        gunzipStream.on('error', () => verify.destroy(damaged()));
+
+        return pipeline(fs.createReadStream(this.pathFor(checksum)), gunzipStream, verify, () => {});
+    }
+
+    static async has(checksum) {
+        try {
+            await fs.promises.access(this.pathFor(checksum));
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    // Delete a stored file; callers check that no flight still links to it
+    static async remove(checksum) {
+        await fs.promises.rm(this.pathFor(checksum), { force: true });
+    }
+}
+
+module.exports = RawFileStore;
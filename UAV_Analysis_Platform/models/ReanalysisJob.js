@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Bulk re-analysis of stored flights with the current pipeline (see FlightReanalyzer)
+const reanalysisJobSchema = new mongoose.Schema({
+    // User id, or the admin account id for jobs started from the admin dashboard
+    startedBy: { type: String, required: true },
+    scope: {
+        allUsers: Boolean,
+        userId: String,
+        flightIds: [String],
+        staleOnly: Boolean, // only flights analyzed with an older analysisVersion
+        uploadedAfter: Date,
+        uploadedBefore: Date
+    },
+    analysisVersion: Number, // version the flights are brought to
+    status: {
+        type: String,
+        enum: ['queued', 'running', 'completed', 'failed'],
+        default: 'queued'
+    },
+    total: { type: Number, default: 0 },
+    processed: { type: Number, default: 0 },
+    succeeded: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    startedAt: Date,
+    finishedAt: Date,
+    error: String,
+
+    // Totals of the per-flight score diffs, which are kept in ReanalysisResult
+    summary: {
+        improved: Number,
+        worsened: Number,
+        unchanged: Number,
+        averageScoreChange: Number,
+        gradeChanges: Number
+    }
+}, {
+    timestamps: true
+});
+
+reanalysisJobSchema.index({ startedBy: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ReanalysisJob', reanalysisJobSchema);
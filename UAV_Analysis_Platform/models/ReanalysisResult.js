@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Scores of one flight before or after re-analysis
+const scoreSnapshot = {
+    analysisVersion: Number,
+    overallScore: Number,
+    grade: String,
+    averageError: Number,
+    breakdown: {
+        accuracy: Number,
+        stability: Number,
+        efficiency: Number,
+        adaptability: Number
+    }
+};
+
+// Score diff of one flight in a re-analysis job, kept apart from the job so a run over every user's
+// flights does not grow one document without limit
+const reanalysisResultSchema = new mongoose.Schema({
+    jobId: { type: mongoose.Schema.Types.ObjectId, ref: 'ReanalysisJob', required: true },
+    flightId: { type: mongoose.Schema.Types.ObjectId, ref: 'FlightData' },
+    flightName: String,
+    source: { type: String, enum: ['raw', 'stored'] }, // what the flight was re-analyzed from
+    before: scoreSnapshot,
+    after: scoreSnapshot,
+    scoreChange: Number,
+    error: String
+}, {
+    timestamps: true
+});
+
+reanalysisResultSchema.index({ jobId: 1, _id: 1 });
+
+module.exports = mongoose.model('ReanalysisResult', reanalysisResultSchema);
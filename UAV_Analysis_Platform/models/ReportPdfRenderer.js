@@ -0,0 +1,511 @@
+// Engineering report PDF for analysis reports, drawn with pdfkit vector graphics so it renders on the
+// server without a browser. Metric pages come from the report snapshot; the trajectory, altitude and
+// error charts need the flight's points and are left out when the flight has been deleted.
+const PDFDocument = require('pdfkit');
+const AnalysisReport = require('./AnalysisReport');
+
+const COLORS = {
+    title: '#2196F3',
+    heading: '#4CAF50',
+    text: '#333333',
+    muted: '#777777',
+    grid: '#DDDDDD',
+    planned: '#9E9E9E',
+    actual: '#2196F3',
+    target: '#FF9800',
+    waypoint: '#F44336',
+    waypointPhase: '#C8E6C9',
+    bar: '#64B5F6'
+};
+// Points drawn per line; longer flights are thinned evenly
+const MAX_PLOT_POINTS = 1500;
+const HISTOGRAM_BINS = 20;
+
+class ReportPdfRenderer {
+
+    static createDocument(title) {
+        return new PDFDocument({
+            size: 'A4',
+            margin: 50,
+            autoFirstPage: false,
+            bufferPages: true, // page numbers are written once every page exists
+            info: { Title: title, Creator: 'UAV Flight Data Analysis Platform' }
+        });
+    }
+
+    /**
+     * Add one report: summary page, chart pages when the flight's points are given, and the per-waypoint table.
+     * flight is a lean FlightData with positionData and sequence, or null.
+     */
+    static renderReport(doc, report, flight) {
+        const positions = flight?.positionData || [];
+        const sequence = flight?.sequence || [];
+
+        doc.addPage();
+        this.renderSummary(doc, report, flight);
+
+        if (positions.length > 1) {
+            doc.addPage();
+            this.pageHeading(doc, 'Trajectory', report);
+            const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+            const left = doc.page.margins.left;
+            let top = doc.y + 5;
+            this.plotTrajectory(doc, { x: left, y: top, width, height: 380 }, positions, sequence);
+            this.plotAltitude(doc, { x: left, y: top + 400, width, height: 240 }, positions);
+
+            doc.addPage();
+            this.pageHeading(doc, 'Position Error', report);
+            top = doc.y + 5;
+            this.plotError(doc, { x: left, y: top, width, height: 300 }, positions);
+            this.plotHistogram(doc, { x: left, y: top + 320, width, height: 300 }, positions, report);
+        }
+
+        doc.addPage();
+        this.pageHeading(doc, 'Waypoints', report);
+        const segments = report.segments?.length ? report.segments :
+            flight?.trajectoryAnalysis?.detailed?.segmentAnalysis || [];
+        this.drawWaypointTable(doc, segments);
+    }
+
+    // "Page n of m" on every page; call before doc.end()
+    static addPageNumbers(doc) {
+        const range = doc.bufferedPageRange();
+        for (let i = range.start; i < range.start + range.count; i++) {
+            doc.switchToPage(i);
+            // Writing inside the bottom margin would otherwise start a new page
+            const bottom = doc.page.margins.bottom;
+            doc.page.margins.bottom = 0;
+            doc.font('Helvetica').fontSize(8).fillColor(COLORS.muted)
+                .text(`Page ${i + 1} of ${range.count}`, 0, doc.page.height - 30, { width: doc.page.width, align: 'center' });
+            doc.page.margins.bottom = bottom;
+        }
+    }
+
+    static pageHeading(doc, title, report) {
+        doc.font('Helvetica-Bold').fontSize(16).fillColor(COLORS.title)
+            .text(title, doc.page.margins.left, doc.page.margins.top);
+        doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted)
+            .text(report.flightName || 'Unnamed Flight');
+        doc.moveDown(0.5);
+    }
+
+    static renderSummary(doc, report, flight) {
+        const left = doc.page.margins.left;
+        const width = doc.page.width - left - doc.page.margins.right;
+        const fmt = this.formatValue;
+        const accuracy = report.accuracy || {};
+        const overall = accuracy.overall || {};
+        const phases = report.phases || {};
+        const efficiency = report.efficiency || {};
+        const stability = report.stability || {};
+        const communication = report.communication || {};
+        const battery = report.battery || {};
+        const quality = report.quality || {};
+        const parameters = report.parameters || {};
+        const errorOptions = parameters.errorOptions || {};
+
+        doc.font('Helvetica-Bold').fontSize(20).fillColor(COLORS.title)
+            .text('UAV Flight Analysis Report', left, doc.page.margins.top);
+        doc.font('Helvetica-Bold').fontSize(13).fillColor(COLORS.text).text(report.flightName || 'Unnamed Flight');
+        doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted)
+            .text(`Report ${report._id} | Flight ${report.flightId}`)
+            .text(`Generated ${report.createdAt ? new Date(report.createdAt).toISOString() : 'N/A'}` +
+                (report.source?.analysisVersion ? ` | Analysis version ${report.source.analysisVersion}` : ''));
+        if (!report.reportVersion) {
+            doc.text('Generated before report snapshots; only speed, duration and average error were recorded.');
+        }
+        if (!flight) {
+            doc.text('Flight data has been deleted; trajectory and error charts are omitted.');
+        }
+        doc.moveDown(1);
+
+        const columnWidth = (width - 20) / 2;
+        const top = doc.y;
+        let y = this.keyValueSection(doc, 'Flight', [
+            ['Duration', fmt(report.duration, 's', 0)],
+            ['Distance flown', fmt(report.distance, 'm', 2)],
+            ['Average speed', fmt(report.avgSpeed, 'm/s', 2)],
+            ['Maximum speed', fmt(report.maxSpeed, 'm/s', 2)],
+            ['Points', fmt(report.source?.pointCount)],
+            ['Waypoints', fmt(report.source?.waypointCount)]
+        ], left, top, columnWidth);
+        y = this.keyValueSection(doc, 'Position Accuracy', [
+            ['Average error', fmt(AnalysisReport.averageError(report), 'm', 3)],
+            ['Median', fmt(overall.median, 'm', 3)],
+            ['P90 / P95 / P99', [overall.p90, overall.p95, overall.p99].every(v => typeof v === 'number') ?
+                `${overall.p90.toFixed(3)} / ${overall.p95.toFixed(3)} / ${overall.p99.toFixed(3)} m` : 'N/A'],
+            ['Maximum', fmt(overall.max, 'm', 3)],
+            ['Std deviation', fmt(overall.stdDev, 'm', 3)],
+            ['RMS', fmt(overall.rms, 'm', 3)],
+            ['95% CI of mean', typeof overall.ci95Lower === 'number' ?
+                `${overall.ci95Lower.toFixed(3)} - ${overall.ci95Upper.toFixed(3)} m` : 'N/A'],
+            ['Horizontal / vertical', typeof accuracy.xyPlane?.average === 'number' ?
+                `${accuracy.xyPlane.average.toFixed(3)} / ${fmt(accuracy.height?.average, 'm', 3)}` : 'N/A']
+        ], left, y, columnWidth);
+        y = this.keyValueSection(doc, 'Flight Phases', [
+            ['Waypoint points', this.formatShare(phases.waypoint)],
+            ['Waypoint avg error', fmt(phases.waypoint?.averageError, 'm', 3)],
+            ['Average dwell time', fmt(phases.waypoint?.averageDwellTime, 's', 2)],
+            ['Transit points', this.formatShare(phases.transit)],
+            ['Transit avg error', fmt(phases.transit?.averageError, 'm', 3)],
+            ['Transit avg speed', fmt(phases.transit?.averageSpeed, 'm/s', 2)],
+            ['Phase transitions', fmt(phases.transitions?.count)]
+        ], left, y, columnWidth);
+
+        let right = this.keyValueSection(doc, 'Quality', [
+            ['Overall score', fmt(quality.overallScore, '', 1)],
+            ['Grade', quality.grade || 'N/A'],
+            ['Accuracy', fmt(quality.breakdown?.accuracy, '', 1)],
+            ['Stability', fmt(quality.breakdown?.stability, '', 1)],
+            ['Efficiency', fmt(quality.breakdown?.efficiency, '', 1)],
+            ['Adaptability', fmt(quality.breakdown?.adaptability, '', 1)],
+            ['Scoring profile', parameters.scoringProfile?.name || 'N/A']
+        ], left + columnWidth + 20, top, columnWidth);
+        right = this.keyValueSection(doc, 'Efficiency & Stability', [
+            ['Path efficiency', fmt(efficiency.efficiencyRatio, '', 3)],
+            ['Planned / flown', typeof efficiency.idealDistance === 'number' ?
+                `${efficiency.idealDistance.toFixed(2)} / ${fmt(efficiency.actualDistance, 'm', 2)}` : 'N/A'],
+            ['Active / idle time', typeof efficiency.activeFlightTime === 'number' ?
+                `${efficiency.activeFlightTime.toFixed(1)} / ${fmt(efficiency.idleTime, 's', 1)}` : 'N/A'],
+            ['Stability score', fmt(stability.overallScore, '', 1)],
+            ['Stabilization ratio', fmt(stability.stabilizationRatio, '', 3)],
+            ['Average jitter', fmt(stability.averageJitter, 'm', 4)],
+            ['Altitude stability', fmt(stability.altitudeStability, 'm', 3)],
+            ['Smoothness index', fmt(stability.smoothnessIndex, '', 3)]
+        ], left + columnWidth + 20, right, columnWidth);
+        right = this.keyValueSection(doc, 'Communication & Battery', [
+            ['Commands sent / dropped', typeof communication.commandsSent === 'number' ?
+                `${communication.commandsSent} / ${fmt(communication.commandsDropped)}` : 'N/A'],
+            ['Success rate', fmt(communication.successRate, '%', 1)],
+            ['Response time', fmt(communication.responseTime, 's', 3)],
+            ['Avg network quality', fmt(communication.averageNetworkQuality, '', 1)],
+            ['Degradation events', fmt(communication.degradationEvents)],
+            ['Start voltage', fmt(battery.startVoltage, 'V', 2)],
+            ['Battery utilization', fmt(battery.batteryUtilization, '%', 1) +
+                (battery.estimated && typeof battery.batteryUtilization === 'number' ? ' (estimated)' : '')]
+        ], left + columnWidth + 20, right, columnWidth);
+
+        this.keyValueSection(doc, 'Analysis Parameters', [
+            ['Error calculation', report.parameters?.errorCalculation?.method || 'N/A'],
+            ['Vertical mode', errorOptions.verticalMode || parameters.errorCalculation?.verticalMode || 'N/A'],
+            ['Height weight', fmt(errorOptions.heightWeight, '', 2)],
+            ['Transit excluded', typeof errorOptions.excludeTransit === 'boolean' ?
+                (errorOptions.excludeTransit ? 'Yes' : 'No') : 'N/A'],
+            ['Analyzed at', report.source?.analyzedAt ? new Date(report.source.analyzedAt).toISOString() : 'N/A']
+        ], left, Math.max(y, right), width);
+    }
+
+    // Heading and label/value rows; returns the y below the section
+    static keyValueSection(doc, title, rows, x, y, width) {
+        doc.font('Helvetica-Bold').fontSize(11).fillColor(COLORS.heading).text(title, x, y, { width });
+        let rowY = y + 16;
+        rows.forEach(([label, value]) => {
+            doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted).text(label, x, rowY, { width: width * 0.5 });
+            doc.fillColor(COLORS.text).text(String(value), x + width * 0.5, rowY, { width: width * 0.5 });
+            rowY += 13;
+        });
+        return rowY + 10;
+    }
+
+    static plotTrajectory(doc, region, positions, sequence) {
+        const points = this.decimate(positions);
+        const xs = points.map(p => p.x).concat(sequence.map(w => w[0]));
+        const ys = points.map(p => p.y).concat(sequence.map(w => w[1]));
+        const chart = this.drawAxes(doc, region, {
+            title: 'Top-down trajectory (XY)',
+            xLabel: 'X (m)',
+            yLabel: 'Y (m)',
+            xRange: [Math.min(...xs), Math.max(...xs)],
+            yRange: [Math.min(...ys), Math.max(...ys)],
+            equalAspect: true
+        });
+
+        if (sequence.length > 1) {
+            doc.save().dash(4, { space: 3 });
+            this.polyline(doc, sequence.map(w => [chart.toX(w[0]), chart.toY(w[1])]), COLORS.planned, 1.2);
+            doc.undash().restore();
+        }
+        this.polyline(doc, points.map(p => [chart.toX(p.x), chart.toY(p.y)]), COLORS.actual, 0.8);
+
+        sequence.forEach((w, i) => {
+            const [cx, cy] = [chart.toX(w[0]), chart.toY(w[1])];
+            doc.circle(cx, cy, 3).fillColor(COLORS.waypoint).fill();
+            doc.font('Helvetica').fontSize(7).fillColor(COLORS.text).text(String(i), cx + 4, cy - 9, { lineBreak: false });
+        });
+
+        this.legend(doc, chart.plot, [['Planned', COLORS.planned], ['Flown', COLORS.actual], ['Waypoint', COLORS.waypoint]]);
+    }
+
+    static plotAltitude(doc, region, positions) {
+        const points = this.decimate(positions);
+        const start = positions[0].time;
+        const targets = points.filter(p => typeof p.target?.z === 'number');
+        const zs = points.map(p => p.z).concat(targets.map(p => p.target.z));
+        const chart = this.drawAxes(doc, region, {
+            title: 'Altitude vs time',
+            xLabel: 'Time (s)',
+            yLabel: 'Altitude (m)',
+            xRange: [0, positions[positions.length - 1].time - start],
+            yRange: [Math.min(...zs), Math.max(...zs)]
+        });
+
+        if (targets.length > 1) {
+            doc.save().dash(4, { space: 3 });
+            this.polyline(doc, targets.map(p => [chart.toX(p.time - start), chart.toY(p.target.z)]), COLORS.target, 1);
+            doc.undash().restore();
+        }
+        this.polyline(doc, points.map(p => [chart.toX(p.time - start), chart.toY(p.z)]), COLORS.actual, 0.8);
+        this.legend(doc, chart.plot, [['Target', COLORS.target], ['Flown', COLORS.actual]]);
+    }
+
+    static plotError(doc, region, positions) {
+        const points = this.decimate(positions);
+        const start = positions[0].time;
+        const errors = points.map(p => p.error || 0);
+        const chart = this.drawAxes(doc, region, {
+            title: 'Position error over time',
+            xLabel: 'Time (s)',
+            yLabel: 'Error (m)',
+            xRange: [0, positions[positions.length - 1].time - start],
+            yRange: [0, positions.reduce((max, p) => Math.max(max, p.error || 0), 0)]
+        });
+
+        // Shade the waypoint holds behind the line
+        doc.save().fillOpacity(0.6);
+        this.phaseSpans(positions).filter(span => span.phase === 'waypoint').forEach(span => {
+            const x1 = chart.toX(span.start - start);
+            const x2 = chart.toX(span.end - start);
+            doc.rect(x1, chart.plot.y, Math.max(x2 - x1, 0.5), chart.plot.height).fillColor(COLORS.waypointPhase).fill();
+        });
+        doc.restore();
+
+        this.polyline(doc, points.map((p, i) => [chart.toX(p.time - start), chart.toY(errors[i])]), COLORS.actual, 0.8);
+        this.legend(doc, chart.plot, [['Waypoint hold', COLORS.waypointPhase], ['Error', COLORS.actual]]);
+    }
+
+    static plotHistogram(doc, region, positions, report) {
+        const errors = positions.map(p => p.error || 0);
+        const bins = this.histogram(errors, HISTOGRAM_BINS);
+        const chart = this.drawAxes(doc, region, {
+            title: 'Error distribution',
+            xLabel: 'Error (m)',
+            yLabel: 'Points',
+            xRange: [bins[0].start, bins[bins.length - 1].end],
+            yRange: [0, Math.max(...bins.map(b => b.count))]
+        });
+
+        bins.forEach(bin => {
+            const x1 = chart.toX(bin.start);
+            const x2 = chart.toX(bin.end);
+            const y = chart.toY(bin.count);
+            doc.rect(x1 + 0.5, y, Math.max(x2 - x1 - 1, 0.5), chart.plot.y + chart.plot.height - y).fillColor(COLORS.bar).fill();
+        });
+
+        // Mean and P95 markers from the snapshot, as used for the score
+        const overall = report.accuracy?.overall || {};
+        const markers = [['Mean', overall.average, COLORS.heading], ['P95', overall.p95, COLORS.waypoint]]
+            .filter(([, value]) => typeof value === 'number');
+        markers.forEach(([, value, color]) => {
+            const x = chart.toX(value);
+            doc.moveTo(x, chart.plot.y).lineTo(x, chart.plot.y + chart.plot.height).lineWidth(1).strokeColor(color).stroke();
+        });
+        this.legend(doc, chart.plot, [['Points', COLORS.bar], ...markers.map(([label, , color]) => [label, color])]);
+    }
+
+    static drawWaypointTable(doc, segments) {
+        const columns = [
+            ['Leg', 30, s => s.sequenceIndex],
+            ['Target (x, y, z)', 100, s => Array.isArray(s.to) && s.to.length ? s.to.map(v => v.toFixed(2)).join(', ') : 'N/A'],
+            ['Transit (s)', 50, s => this.formatValue(s.transitTime, '', 2)],
+            ['Hold (s)', 45, s => this.formatValue(s.holdTime, '', 2)],
+            ['Settle (s)', 45, s => this.formatValue(s.timeToStabilize, '', 2)],
+            ['Mean err (m)', 55, s => this.formatValue(s.holdMeanError, '', 3)],
+            ['Max err (m)', 55, s => this.formatValue(s.holdMaxError, '', 3)],
+            ['Overshoot (m)', 60, s => this.formatValue(s.overshoot, '', 3)],
+            ['Efficiency', 55, s => typeof s.pathEfficiency === 'number' ? `${(s.pathEfficiency * 100).toFixed(1)}%` : 'N/A']
+        ];
+        const left = doc.page.margins.left;
+        const rowHeight = 16;
+
+        if (segments.length === 0) {
+            doc.font('Helvetica').fontSize(10).fillColor(COLORS.muted).text('No per-waypoint data for this flight.', left);
+            return;
+        }
+
+        const header = y => {
+            let x = left;
+            doc.font('Helvetica-Bold').fontSize(8).fillColor(COLORS.text);
+            columns.forEach(([title, width]) => {
+                doc.text(title, x, y + 4, { width: width - 4, lineBreak: false });
+                x += width;
+            });
+            doc.moveTo(left, y + rowHeight).lineTo(x, y + rowHeight).lineWidth(0.75).strokeColor(COLORS.text).stroke();
+            return y + rowHeight;
+        };
+
+        let y = header(doc.y + 5);
+        segments.forEach((segment, i) => {
+            if (y + rowHeight > doc.page.height - doc.page.margins.bottom) {
+                doc.addPage();
+                y = header(doc.page.margins.top);
+            }
+            if (i % 2 === 1) {
+                doc.rect(left, y, columns.reduce((sum, c) => sum + c[1], 0), rowHeight).fillColor('#F5F5F5').fill();
+            }
+            let x = left;
+            doc.font('Helvetica').fontSize(8).fillColor(COLORS.text);
+            columns.forEach(([, width, value]) => {
+                doc.text(String(value(segment) ?? 'N/A'), x, y + 4, { width: width - 4, lineBreak: false });
+                x += width;
+            });
+            y += rowHeight;
+        });
+        doc.y = y + 10;
+    }
+
+    /**
+     * Title, grid, tick labels and frame for a chart in region {x, y, width, height}.
+     * Returns the inner plot rectangle and toX/toY to map data values onto it.
+     */
+    static drawAxes(doc, region, { title, xLabel, yLabel, xRange, yRange, equalAspect = false }) {
+        const plot = { x: region.x + 45, y: region.y + 20, width: region.width - 55, height: region.height - 55 };
+        let xScale = this.niceScale(xRange[0], xRange[1]);
+        let yScale = this.niceScale(yRange[0], yRange[1]);
+
+        if (equalAspect) {
+            // Same metres per point on both axes, centred on the data
+            const perPoint = Math.max((xScale.max - xScale.min) / plot.width, (yScale.max - yScale.min) / plot.height);
+            const fit = (scale, length) => {
+                const centre = (scale.min + scale.max) / 2;
+                const min = centre - (perPoint * length) / 2;
+                const max = centre + (perPoint * length) / 2;
+                return { min, max, ticks: this.niceScale(min, max).ticks.filter(t => t >= min && t <= max) };
+            };
+            xScale = fit(xScale, plot.width);
+            yScale = fit(yScale, plot.height);
+        }
+
+        const toX = v => plot.x + ((v - xScale.min) / (xScale.max - xScale.min)) * plot.width;
+        const toY = v => plot.y + plot.height - ((v - yScale.min) / (yScale.max - yScale.min)) * plot.height;
+
+        doc.font('Helvetica-Bold').fontSize(11).fillColor(COLORS.text).text(title, region.x, region.y, { width: region.width });
+        doc.font('Helvetica').fontSize(7).fillColor(COLORS.muted);
+        xScale.ticks.forEach(tick => {
+            const x = toX(tick);
+            doc.moveTo(x, plot.y).lineTo(x, plot.y + plot.height).lineWidth(0.25).strokeColor(COLORS.grid).stroke();
+            doc.text(this.formatTick(tick), x - 20, plot.y + plot.height + 3, { width: 40, align: 'center', lineBreak: false });
+        });
+        yScale.ticks.forEach(tick => {
+            const y = toY(tick);
+            doc.moveTo(plot.x, y).lineTo(plot.x + plot.width, y).lineWidth(0.25).strokeColor(COLORS.grid).stroke();
+            doc.text(this.formatTick(tick), plot.x - 36, y - 3, { width: 32, align: 'right', lineBreak: false });
+        });
+        doc.rect(plot.x, plot.y, plot.width, plot.height).lineWidth(0.75).strokeColor(COLORS.text).stroke();
+
+        doc.fontSize(8).fillColor(COLORS.text)
+            .text(xLabel, plot.x, plot.y + plot.height + 14, { width: plot.width, align: 'center', lineBreak: false });
+        // Rotate the y label about its own centre so it reads bottom to top
+        const centreX = region.x + 4;
+        const centreY = plot.y + plot.height / 2;
+        doc.save().rotate(-90, { origin: [centreX, centreY] })
+            .text(yLabel, centreX - plot.height / 2, centreY - 4, { width: plot.height, align: 'center', lineBreak: false })
+            .restore();
+
+        return { plot, toX, toY };
+    }
+
+    static polyline(doc, points, color, lineWidth) {
+        if (points.length < 2) return;
+        doc.moveTo(points[0][0], points[0][1]);
+        points.slice(1).forEach(([x, y]) => doc.lineTo(x, y));
+        doc.lineWidth(lineWidth).strokeColor(color).stroke();
+    }
+
+    // Colour key in the plot's top-right corner
+    static legend(doc, plot, entries) {
+        const width = 85;
+        const x = plot.x + plot.width - width - 5;
+        let y = plot.y + 5;
+        doc.save().fillOpacity(0.85).rect(x, y, width, entries.length * 11 + 4).fillColor('white').fill().restore();
+        doc.font('Helvetica').fontSize(7);
+        entries.forEach(([label, color]) => {
+            doc.rect(x + 4, y + 4, 10, 5).fillColor(color).fill();
+            doc.fillColor(COLORS.text).text(label, x + 18, y + 2, { width: width - 20, lineBreak: false });
+            y += 11;
+        });
+    }
+
+    // Axis range expanded to round tick steps of 1, 2, 2.5 or 5 x 10^n
+    static niceScale(min, max, tickCount = 5) {
+        if (!(max > min)) {
+            const pad = Math.abs(min) * 0.1 || 1;
+            min -= pad;
+            max += pad;
+        }
+        const rough = (max - min) / tickCount;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+        const step = [1, 2, 2.5, 5, 10].map(m => m * magnitude).find(s => s >= rough);
+        const niceMin = Math.floor(min / step) * step;
+        const niceMax = Math.ceil(max / step) * step;
+
+        const ticks = [];
+        for (let i = 0; niceMin + i * step <= niceMax + step / 2; i++) {
+            ticks.push(parseFloat((niceMin + i * step).toPrecision(12)));
+        }
+        return { min: niceMin, max: niceMax, step, ticks };
+    }
+
+    // Equal-width bins from 0 (or the smallest value, if negative) to the largest value
+    static histogram(values, binCount) {
+        const min = values.reduce((lowest, v) => Math.min(lowest, v), 0);
+        const max = values.reduce((highest, v) => Math.max(highest, v), min);
+        const width = max > min ? (max - min) / binCount : 1;
+        const bins = Array.from({ length: binCount }, (_, i) => ({ start: min + i * width, end: min + (i + 1) * width, count: 0 }));
+        values.forEach(value => {
+            bins[Math.min(Math.floor((value - min) / width), binCount - 1)].count += 1;
+        });
+        return bins;
+    }
+
+    // Consecutive runs of the same phase as { phase, start, end } times; a run ends where the next begins
+    static phaseSpans(positions) {
+        const spans = [];
+        positions.forEach(point => {
+            const last = spans[spans.length - 1];
+            if (last && last.phase === point.phase) {
+                last.end = point.time;
+            } else {
+                if (last) last.end = point.time;
+                spans.push({ phase: point.phase, start: point.time, end: point.time });
+            }
+        });
+        return spans;
+    }
+
+    // Every nth point so a line has at most MAX_PLOT_POINTS, always keeping the last one
+    static decimate(points, maxPoints = MAX_PLOT_POINTS) {
+        if (points.length <= maxPoints) return points;
+        const stride = Math.ceil(points.length / maxPoints);
+        const kept = points.filter((_, i) => i % stride === 0);
+        if (kept[kept.length - 1] !== points[points.length - 1]) kept.push(points[points.length - 1]);
+        return kept;
+    }
+
+    static formatValue(value, unit = '', digits = null) {
+        if (typeof value !== 'number' || Number.isNaN(value)) return 'N/A';
+        const text = digits === null ? String(value) : value.toFixed(digits);
+        if (unit === '%') return `${text}%`;
+        return unit ? `${text} ${unit}` : text;
+    }
+
+    static formatShare(phase) {
+        if (typeof phase?.count !== 'number') return 'N/A';
+        return typeof phase.percentage === 'number' ? `${phase.count} (${phase.percentage.toFixed(1)}%)` : String(phase.count);
+    }
+
+    static formatTick(value) {
+        return String(parseFloat(value.toPrecision(6)));
+    }
+}
+
+module.exports = ReportPdfRenderer;
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const QualityScorer = require('./QualityScorer');
+
+// Weight and thresholds for one scoring factor (see QualityScorer)
+const factorSettings = {
+    weight: Number,
+    good: Number, // metric value worth 100 points
+    poor: Number // metric value worth 0 points
+};
+
+// Team-defined quality scoring profile. Shared with every user of the same organization,
+// or private to its creator when the creator has no organization.
+const scoringProfileSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    description: String,
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    organization: String,
+    factors: {
+        accuracy: factorSettings,
+        stability: factorSettings,
+        efficiency: factorSettings,
+        adaptability: factorSettings
+    },
+    grades: {
+        A: Number,
+        B: Number,
+        C: Number,
+        D: Number
+    },
+    improvementThreshold: Number
+}, {
+    timestamps: true
+});
+
+scoringProfileSchema.index({ organization: 1, name: 1 });
+scoringProfileSchema.index({ createdBy: 1 });
+
+// Query matching the profiles a user can see
+scoringProfileSchema.statics.visibleTo = function(userId, organization) {
+    return organization ? { $or: [{ createdBy: userId }, { organization }] } : { createdBy: userId };
+};
+
+// Built-in profile by id, or a custom profile the user can see, in the shape QualityScorer.score expects
+scoringProfileSchema.statics.resolve = function(profileId, userId, organization) {
+    return this.load(profileId, this.visibleTo(userId, organization));
+};
+
+// Built-in or custom profile by id without a visibility check (re-grading with the profile a flight already has)
+scoringProfileSchema.statics.load = async function(profileId, filter = {}) {
+    const builtIn = QualityScorer.getBuiltInProfile(profileId);
+    if (builtIn) return builtIn;
+    if (!mongoose.Types.ObjectId.isValid(profileId)) return null;
+
+    const profile = await this.findOne({ _id: profileId, ...filter }).lean();
+    return profile ? QualityScorer.normalizeProfile({ ...profile, id: profile._id, builtIn: false }) : null;
+};
+
+module.exports = mongoose.model('ScoringProfile', scoringProfileSchema);
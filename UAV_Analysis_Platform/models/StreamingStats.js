@@ -0,0 +1,119 @@
+// One-pass error statistics for flights too long to hold in memory (see FlightStreamIngest).
+// Count, mean, standard deviation (Welford), RMS, min and max are exact; percentiles come from a
+// logarithmic histogram whose buckets are RELATIVE_ACCURACY wide, so the median and p90-p99 are within
+// 0.1% of the true value whatever the flight length. The result has the layout of
+// UAVDataProcessor.calculateStats, with the normal-approximation interval in place of the bootstrap one.
+
+const RELATIVE_ACCURACY = 0.001;
+const GAMMA = (1 + RELATIVE_ACCURACY) / (1 - RELATIVE_ACCURACY);
+const LOG_GAMMA = Math.log(GAMMA);
+const Z_95 = 1.96;
+
+class StreamingStats {
+
+    static get RELATIVE_ACCURACY() {
+        return RELATIVE_ACCURACY;
+    }
+
+    constructor() {
+        this.count = 0;
+        this.mean = 0;
+        this.m2 = 0; // sum of squared differences from the mean
+        this.sumSquares = 0;
+        this.min = Infinity;
+        this.max = -Infinity;
+        this.zeros = 0;
+        // bucket key -> count, for positive values and for the magnitude of negative ones
+        this.positive = new Map();
+        this.negative = new Map();
+    }
+
+    add(value) {
+        if (typeof value !== 'number' || !Number.isFinite(value)) return;
+
+        this.count += 1;
+        const delta = value - this.mean;
+        this.mean += delta / this.count;
+        this.m2 += delta * (value - this.mean);
+        this.sumSquares += value * value;
+        if (value < this.min) this.min = value;
+        if (value > this.max) this.max = value;
+
+        if (value === 0) {
+            this.zeros += 1;
+        } else {
+            const buckets = value > 0 ? this.positive : this.negative;
+            const key = Math.ceil(Math.log(Math.abs(value)) / LOG_GAMMA);
+            buckets.set(key, (buckets.get(key) || 0) + 1);
+        }
+    }
+
+    /**
+     * Percentile with the closest-ranks interpolation of UAVDataProcessor.calculatePercentile
+     */
+    percentile(percentile) {
+        if (this.count === 0) return 0;
+        const rank = (percentile / 100) * (this.count - 1);
+        const lower = this.valueAt(Math.floor(rank));
+        const upper = this.valueAt(Math.ceil(rank));
+        return lower + (upper - lower) * (rank - Math.floor(rank));
+    }
+
+    // Estimate of the value with the given 0-based rank in ascending order
+    valueAt(rank) {
+        if (rank <= 0) return this.min;
+        if (rank >= this.count - 1) return this.max;
+
+        // A bucket's representative value is within RELATIVE_ACCURACY of everything in it
+        const estimate = (key, sign) => sign * 2 * Math.pow(GAMMA, key) / (GAMMA + 1);
+        const clamp = value => Math.min(this.max, Math.max(this.min, value));
+
+        let seen = 0;
+        const negativeKeys = [...this.negative.keys()].sort((a, b) => b - a);
+        for (const key of negativeKeys) {
+            seen += this.negative.get(key);
+            if (rank < seen) return clamp(estimate(key, -1));
+        }
+        seen += this.zeros;
+        if (rank < seen) return 0;
+        const positiveKeys = [...this.positive.keys()].sort((a, b) => a - b);
+        for (const key of positiveKeys) {
+            seen += this.positive.get(key);
+            if (rank < seen) return clamp(estimate(key, 1));
+        }
+        return this.max;
+    }
+
+    result() {
+        if (this.count === 0) {
+            return {
+                count: 0, average: 0, median: 0, min: 0, max: 0, stdDev: 0, rms: 0,
+                p50: 0, p90: 0, p95: 0, p99: 0, confidence95: 0, ci95Lower: 0, ci95Upper: 0
+            };
+        }
+
+        const stdDev = Math.sqrt(this.m2 / this.count);
+        const confidence95 = Z_95 * stdDev / Math.sqrt(this.count);
+        const median = this.percentile(50);
+        return {
+            count: this.count,
+            average: this.mean,
+            median,
+            min: this.min,
+            max: this.max,
+            stdDev,
+            rms: Math.sqrt(this.sumSquares / this.count),
+            p50: median,
+            p90: this.percentile(90),
+            p95: this.percentile(95),
+            p99: this.percentile(99),
+            confidence95,
+            // Bootstrapping millions of points is too slow; for samples this large the bootstrap
+            // interval of the mean converges on the normal one
+            ci95Lower: this.mean - confidence95,
+            ci95Upper: this.mean + confidence95
+        };
+    }
+}
+
+module.exports = StreamingStats;
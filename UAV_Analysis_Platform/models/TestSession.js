@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Flights uploaded together in one batch (several files or a ZIP archive), with the outcome of every file
+const testSessionSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    name: { type: String, required: true },
+    // Span of the accepted flights' recorded times
+    startTime: Date,
+    endTime: Date,
+    flightCount: { type: Number, default: 0 },
+    fileCount: { type: Number, default: 0 },
+    accepted: { type: Number, default: 0 },
+    rejected: { type: Number, default: 0 },
+    duplicates: { type: Number, default: 0 },
+    merged: { type: Number, default: 0 },
+
+    // Per-file report, in upload order; archive members are named archive.zip/member
+    files: [{
+        fileName: String,
+        // duplicate: not stored (onDuplicate=reject); merged: stored into duplicateOf (onDuplicate=merge)
+        status: { type: String, enum: ['accepted', 'rejected', 'duplicate', 'merged'] },
+        flightId: { type: mongoose.Schema.Types.ObjectId, ref: 'FlightData' },
+        flightName: String,
+        format: String,
+        message: String,
+        // Schema problems by JSON path (errors is reserved on documents)
+        validationErrors: [{ path: String, message: String, _id: false }],
+        warnings: [String],
+        // Flight the upload duplicates, and whether by the same file or the same recording
+        duplicateOf: { type: mongoose.Schema.Types.ObjectId, ref: 'FlightData' },
+        matchedBy: { type: String, enum: ['fingerprint', 'identity'] }
+    }]
+}, {
+    timestamps: true
+});
+
+testSessionSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('TestSession', testSessionSchema);
@@ -0,0 +1,337 @@
+// Downsampling of a flight's time series for the 3D view and charts. A series is cut to a target number of
+// points with Largest-Triangle-Three-Buckets over (time, error), which suits charts, or with Douglas-Peucker
+// over the 3D path, which suits the trajectory. Whichever is used, the first and last points, the largest
+// error in each stretch of the flight and the waypoint transitions (changes of phase or sequence_index, up
+// to half the target) are always kept, so peaks and transitions survive any zoom level.
+
+const METHODS = ['lttb', 'dp'];
+const DEFAULT_POINTS = 5000;
+const MAX_POINTS = 20000;
+// Share of the target spent on error peaks: one per this many points
+const POINTS_PER_PEAK = 10;
+// Point fields a series can return, besides time; speed, acceleration and jerk are not stored but derived
+// from the points when asked for
+const SERIES_FIELDS = [
+    'x', 'y', 'z', 'error', 'error_xy', 'error_z', 'phase', 'stabilized', 'sequence_index', 'networkQuality',
+    'speed', 'acceleration', 'jerk'
+];
+
+class TimeSeriesDownsampler {
+
+    static get METHODS() {
+        return METHODS;
+    }
+
+    static get MAX_POINTS() {
+        return MAX_POINTS;
+    }
+
+    static get SERIES_FIELDS() {
+        return SERIES_FIELDS;
+    }
+
+    /**
+     * Parse downsampling options from a query string: points (target count, default 5000), from and to
+     * (time window, in the flights' Unix seconds), method (lttb or dp, default defaults.method) and
+     * fields (comma-separated SERIES_FIELDS, default error). Returns { options, errors }.
+     */
+    static parseOptions(source = {}, defaults = {}) {
+        const errors = [];
+
+        let points = defaults.points || DEFAULT_POINTS;
+        if (source.points !== undefined && source.points !== '') {
+            points = Number(source.points);
+            if (!Number.isInteger(points) || points < 2 || points > MAX_POINTS) {
+                errors.push(`points must be an integer between 2 and ${MAX_POINTS}`);
+            }
+        }
+
+        const time = key => {
+            if (source[key] === undefined || source[key] === '') return undefined;
+            const value = Number(source[key]);
+            if (!Number.isFinite(value)) errors.push(`${key} must be a time in seconds`);
+            return value;
+        };
+        const from = time('from');
+        const to = time('to');
+        if (Number.isFinite(from) && Number.isFinite(to) && from >= to) {
+            errors.push('from must be before to');
+        }
+
+        const method = String(source.method || defaults.method || 'lttb').toLowerCase();
+        if (!METHODS.includes(method)) {
+            errors.push(`method must be one of ${METHODS.join(', ')}`);
+        }
+
+        const fields = source.fields ? String(source.fields).split(',').map(f => f.trim()).filter(Boolean) : ['error'];
+        const unknown = fields.filter(f => !SERIES_FIELDS.includes(f));
+        if (unknown.length > 0) {
+            errors.push(`Unknown field${unknown.length > 1 ? 's' : ''} ${unknown.join(', ')}; fields are ${SERIES_FIELDS.join(', ')}`);
+        }
+
+        return { options: errors.length ? null : { points, from, to, method, fields }, errors };
+    }
+
+    /**
+     * Points of a time-ordered series between from and to (inclusive; either may be undefined)
+     */
+    static window(points, from, to) {
+        const start = from === undefined ? 0 : this.lowerBound(points, from);
+        const end = to === undefined ? points.length : this.lowerBound(points, to, true);
+        return start === 0 && end === points.length ? points : points.slice(start, end);
+    }
+
+    /**
+     * Downsample a time-ordered series to at most options.points points. Returns the kept points with
+     * { points, indices (into the input), method, sourcePoints }; a series already short enough is returned whole.
+     */
+    static downsample(points, { points: target = DEFAULT_POINTS, method = 'lttb' } = {}) {
+        const indices = this.select(points, target, method);
+        return {
+            points: indices.length === points.length ? points : indices.map(i => points[i]),
+            indices,
+            method,
+            sourcePoints: points.length
+        };
+    }
+
+    // Ascending indices of the points to keep
+    static select(points, target, method) {
+        const n = points.length;
+        if (n <= target) return points.map((_, i) => i);
+
+        const anchors = this.anchors(points, target);
+        return method === 'dp' ? this.douglasPeucker(points, anchors, target) : this.lttb(points, anchors, target);
+    }
+
+    /**
+     * Indices that are always kept: the ends, the largest error of each of target / POINTS_PER_PEAK equal
+     * stretches, and waypoint transitions, thinned evenly when they would take more than half the target
+     */
+    static anchors(points, target) {
+        const n = points.length;
+        const keep = new Set([0, n - 1]);
+
+        // At least one stretch, while leaving room for the ends
+        const stretches = Math.min(Math.max(1, Math.floor(target / POINTS_PER_PEAK)), target - 2);
+        for (let s = 0; s < stretches; s++) {
+            const start = Math.floor(s * n / stretches);
+            const end = Math.floor((s + 1) * n / stretches);
+            let peak = -1;
+            for (let i = start; i < end; i++) {
+                if (peak === -1 || errorOf(points[i]) > errorOf(points[peak])) peak = i;
+            }
+            if (peak !== -1) keep.add(peak);
+        }
+
+        // Both sides of each transition
+        const transitions = [];
+        for (let i = 1; i < n; i++) {
+            if (points[i].phase !== points[i - 1].phase || points[i].sequence_index !== points[i - 1].sequence_index) {
+                transitions.push(i - 1, i);
+            }
+        }
+        const room = Math.max(0, Math.floor(target / 2) - keep.size);
+        const step = transitions.length > room ? transitions.length / room : 1;
+        for (let k = 0; room > 0 && k < transitions.length; k += step) {
+            keep.add(transitions[Math.floor(k)]);
+        }
+
+        return [...keep].sort((a, b) => a - b);
+    }
+
+    /**
+     * Largest-Triangle-Three-Buckets between consecutive anchors, with the points left after the anchors
+     * shared out by the length of each gap. Each bucket keeps the point forming the largest triangle
+     * with the previous kept point and the average of the next bucket, on (time, error).
+     */
+    static lttb(points, anchors, target) {
+        const kept = [];
+        const shares = this.share(anchors, target - anchors.length);
+
+        for (let g = 0; g < anchors.length - 1; g++) {
+            const a = anchors[g];
+            const b = anchors[g + 1];
+            const buckets = shares[g];
+            kept.push(a);
+            if (buckets === 0) continue;
+
+            const size = (b - a - 1) / buckets;
+            let previous = a;
+            for (let j = 0; j < buckets; j++) {
+                const start = a + 1 + Math.floor(j * size);
+                const end = a + 1 + Math.floor((j + 1) * size);
+
+                // Average of the next bucket, or the closing anchor after the last one
+                let nextTime = points[b].time;
+                let nextError = errorOf(points[b]);
+                if (j < buckets - 1) {
+                    const nextEnd = a + 1 + Math.floor((j + 2) * size);
+                    nextTime = 0;
+                    nextError = 0;
+                    for (let i = end; i < nextEnd; i++) {
+                        nextTime += points[i].time;
+                        nextError += errorOf(points[i]);
+                    }
+                    nextTime /= nextEnd - end;
+                    nextError /= nextEnd - end;
+                }
+
+                let best = start;
+                let bestArea = -1;
+                const prevTime = points[previous].time;
+                const prevError = errorOf(points[previous]);
+                for (let i = start; i < end; i++) {
+                    const area = Math.abs((prevTime - nextTime) * (errorOf(points[i]) - prevError) -
+                        (prevTime - points[i].time) * (nextError - prevError));
+                    if (area > bestArea) {
+                        bestArea = area;
+                        best = i;
+                    }
+                }
+                kept.push(best);
+                previous = best;
+            }
+        }
+        kept.push(anchors[anchors.length - 1]);
+        return kept;
+    }
+
+    /**
+     * Douglas-Peucker in 3D to a point budget: starting from the anchors, the segment whose farthest point
+     * is farthest from it is split at that point until target points are kept or every remaining point
+     * lies on its segment
+     */
+    static douglasPeucker(points, anchors, target) {
+        const kept = [...anchors];
+        const heap = new SegmentHeap();
+        const push = (a, b) => {
+            if (b - a < 2) return;
+            let farthest = -1;
+            let distance = 0;
+            for (let i = a + 1; i < b; i++) {
+                const d = distanceToSegment(points[i], points[a], points[b]);
+                if (d > distance) {
+                    distance = d;
+                    farthest = i;
+                }
+            }
+            if (farthest !== -1) heap.push({ a, b, farthest, distance });
+        };
+
+        for (let g = 0; g < anchors.length - 1; g++) push(anchors[g], anchors[g + 1]);
+        while (kept.length < target && heap.size > 0) {
+            const { a, b, farthest } = heap.pop();
+            kept.push(farthest);
+            push(a, farthest);
+            push(farthest, b);
+        }
+        return kept.sort((x, y) => x - y);
+    }
+
+    // Split count points between the gaps of the anchors by how many points each gap holds
+    static share(anchors, count) {
+        const gaps = anchors.slice(1).map((b, g) => b - anchors[g] - 1);
+        const interior = gaps.reduce((sum, gap) => sum + gap, 0);
+        if (interior === 0 || count <= 0) return gaps.map(() => 0);
+
+        const exact = gaps.map(gap => Math.min(gap, count * gap / interior));
+        const shares = exact.map(Math.floor);
+        // Largest remainders take what rounding down left over
+        let left = Math.min(count, interior) - shares.reduce((sum, s) => sum + s, 0);
+        const order = exact.map((e, g) => g).sort((x, y) => (exact[y] - shares[y]) - (exact[x] - shares[x]));
+        for (const g of order) {
+            if (left <= 0) break;
+            if (shares[g] < gaps[g]) {
+                shares[g]++;
+                left--;
+            }
+        }
+        return shares;
+    }
+
+    /**
+     * Columns of the chosen fields for the points: { time: [...], error: [...], ... }
+     */
+    static columns(points, fields) {
+        const columns = { time: points.map(p => p.time) };
+        fields.forEach(field => {
+            columns[field] = points.map(p => p[field] ?? null);
+        });
+        return columns;
+    }
+
+    // First index whose time is at least time, or past it when after is set
+    static lowerBound(points, time, after = false) {
+        let low = 0;
+        let high = points.length;
+        while (low < high) {
+            const mid = (low + high) >>> 1;
+            if (points[mid].time < time || (after && points[mid].time === time)) low = mid + 1;
+            else high = mid;
+        }
+        return low;
+    }
+}
+
+function errorOf(point) {
+    return Number.isFinite(point.error) ? point.error : 0;
+}
+
+// Distance from p to the segment a-b in 3D
+function distanceToSegment(p, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const dz = b.z - a.z;
+    const lengthSquared = dx * dx + dy * dy + dz * dz;
+    let t = lengthSquared > 0 ? ((p.x - a.x) * dx + (p.y - a.y) * dy + (p.z - a.z) * dz) / lengthSquared : 0;
+    t = Math.max(0, Math.min(1, t));
+    return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy), p.z - (a.z + t * dz));
+}
+
+// Max-heap of segments by the distance of their farthest point
+class SegmentHeap {
+
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(item) {
+        const items = this.items;
+        items.push(item);
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >>> 1;
+            if (items[parent].distance >= items[i].distance) break;
+            [items[parent], items[i]] = [items[i], items[parent]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = 2 * i + 1;
+                const right = left + 1;
+                let largest = i;
+                if (left < items.length && items[left].distance > items[largest].distance) largest = left;
+                if (right < items.length && items[right].distance > items[largest].distance) largest = right;
+                if (largest === i) break;
+                [items[largest], items[i]] = [items[i], items[largest]];
+                i = largest;
+            }
+        }
+        return top;
+    }
+}
+
+module.exports = TimeSeriesDownsampler;
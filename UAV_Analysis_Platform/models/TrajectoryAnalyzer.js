@@ -1,17 +1,77 @@
+const PerformanceAnalyzer = require('./PerformanceAnalyzer');
+
+// Link quality bands (0-100) used to segment network impact
+const NETWORK_SEGMENTS = { excellent: 90, good: 70, fair: 50 };
+const CRITICAL_NETWORK_QUALITY = NETWORK_SEGMENTS.good;
+
+// Centered moving-average window (samples) applied to positions before differentiating
+const DEFAULT_SMOOTHING_WINDOW = 5;
+// RMS jerk (m/s^3) at which the smoothness index drops to 0.5
+const REFERENCE_JERK = 10;
+
+// Turn detection: headings are taken every TURN_SAMPLE_DISTANCE metres of horizontal travel,
+// skipping waypoint holds and samples slower than MIN_TURN_SPEED, so hover jitter (up to about
+// 0.4 m/s horizontally in the mocap logs, even after smoothing) does not read as turning
+const TURN_SAMPLE_DISTANCE = 0.1;
+const MIN_TURN_SPEED = 0.5;
+const MIN_BEARING_CHANGE = 10;
+const TURN_ANGLE = 30;
+const SHARP_TURN_ANGLE = 90;
+// Turns within this horizontal distance of a planned corner are attributed to it
+const CORNER_RADIUS = 0.15;
+
+// Altitude analysis: a vertical movement is at least VERTICAL_MOVE_THRESHOLD metres of climb or
+// descent between reversals; sequence steps smaller than MIN_ALTITUDE_STEP are not step responses
+const VERTICAL_MOVE_THRESHOLD = 0.1;
+const MIN_ALTITUDE_STEP = 0.05;
+// Settled once altitude stays within this fraction of the step size (but never tighter than
+// MIN_SETTLING_BAND metres) of the target
+const SETTLING_FRACTION = 0.05;
+const MIN_SETTLING_BAND = 0.02;
+
+// Path deviation: points more than HIGH_DEVIATION_SIGMA standard deviations above the mean are
+// reported (largest first, at most HIGH_DEVIATION_LIMIT); a fitted change over the flight of less
+// than TREND_THRESHOLD of the mean deviation is a stable trend
+const HIGH_DEVIATION_SIGMA = 2;
+const HIGH_DEVIATION_LIMIT = 20;
+const TREND_THRESHOLD = 0.1;
+// Computed and onboard errors within this many metres count as agreeing
+const ERROR_AGREEMENT_TOLERANCE = 0.01;
+const DEFAULT_HEIGHT_WEIGHT = 1;
+
 class TrajectoryAnalyzer {
 
     /**
      * Enhanced trajectory analysis - based on actual dataset structure
+     * options.smoothingWindow - samples averaged before velocity analysis (1 disables smoothing)
+     * options.errorOptions - { heightWeight, verticalMode, excludeTransit } to re-score every point
+     *   instead of using the logged error; excludeTransit limits path accuracy to waypoint holds
      */
-    static analyzeTrajectory(flightData) {
-        const positions = flightData.position_data;
+    static analyzeTrajectory(flightData, options = {}) {
+        const errorOptions = options.errorOptions || null;
+        const positions = this.applyErrorOptions(flightData.position_data, flightData.sequence, errorOptions);
+        const scoredPositions = errorOptions?.excludeTransit ?
+            positions.filter(p => p.phase === 'waypoint') : positions;
+        const { series, ...velocityAnalysis } = this.analyzeVelocity(positions, options);
 
         return {
-            pathAccuracy: this.calculatePathAccuracy(positions),
+            pathAccuracy: this.calculatePathAccuracy(scoredPositions),
+            // Compared against the logged errors, so this always uses the unscored points
+            pathDeviation: this.calculatePathDeviation(
+                flightData.position_data,
+                flightData.sequence,
+                errorOptions || { verticalMode: flightData.error_calculation?.vertical_mode }
+            ),
             basicStats: this.calculateBasicStats(positions),
-            phaseAnalysis: this.analyzePhases(positions),
+            phaseAnalysis: this.analyzePhases(positions, { ...velocityAnalysis, series }),
             stabilityMetrics: this.calculateStabilityMetrics(positions),
-            trajectoryEfficiency: this.calculateEfficiency(positions, flightData.sequence)
+            trajectoryEfficiency: this.calculateEfficiency(positions, flightData.sequence),
+            networkCorrelation: this.analyzeNetworkCorrelation(positions, flightData.rf_conditions),
+            // Summary only; the per-point series come from the flight's series endpoint
+            velocityAnalysis,
+            turnAnalysis: this.analyzeTurns(positions, flightData.sequence, options),
+            altitudeProfile: this.analyzeAltitudeProfile(positions, flightData.sequence),
+            segmentAnalysis: this.analyzeSegments(positions, flightData.sequence)
         };
     }
 
@@ -47,21 +107,219 @@ class TrajectoryAnalyzer {
         return {
             averageError: errors.length > 0 ? totalDeviation / errors.length : 0,
             maxError: maxDeviation,
-            minError: errors.length > 0 ? Math.min(...errors) : 0,
+            minError: errors.length > 0 ? this.calculateMin(errors) : 0,
             totalPoints: errors.length,
             xyPlaneAccuracy: {
                 average: xyErrors.length > 0 ? this.calculateMean(xyErrors) : 0,
-                max: xyErrors.length > 0 ? Math.max(...xyErrors) : 0,
-                min: xyErrors.length > 0 ? Math.min(...xyErrors) : 0
+                max: xyErrors.length > 0 ? this.calculateMax(xyErrors) : 0,
+                min: xyErrors.length > 0 ? this.calculateMin(xyErrors) : 0
             },
             altitudeAccuracy: {
                 average: zErrors.length > 0 ? this.calculateMean(zErrors) : 0,
-                max: zErrors.length > 0 ? Math.max(...zErrors) : 0,
-                min: zErrors.length > 0 ? Math.min(...zErrors) : 0
+                max: zErrors.length > 0 ? this.calculateMax(zErrors) : 0,
+                min: zErrors.length > 0 ? this.calculateMin(zErrors) : 0
             }
         };
     }
 
+    /**
+     * Deviation from the planned polyline in sequence, computed independently of the logged error.
+     * Mirrors the onboard TrajectoryAwareErrorCalculator3D: distance to the current leg while in
+     * transit, distance to the waypoint while holding.
+     */
+    static calculatePathDeviation(positions, sequence, errorOptions = {}) {
+        const empty = {
+            averageDeviation: 0,
+            maxDeviation: 0,
+            minDeviation: 0,
+            deviationStdDev: 0,
+            averageCrossTrack: 0,
+            maxCrossTrack: 0,
+            averageAlongTrackLag: 0,
+            averageDistanceToTarget: 0,
+            highDeviationPoints: [],
+            deviationTrend: 'stable',
+            onboardComparison: null
+        };
+        if (!sequence || sequence.length === 0 || positions.length === 0) return empty;
+
+        const deviations = positions.map(p => this.computePointDeviation(p, sequence, errorOptions));
+        const errors = deviations.map(d => d.error);
+        const crossTracks = deviations.map(d => d.crossTrack);
+        const averageDeviation = this.calculateMean(errors);
+        const deviationStdDev = this.calculateStandardDeviation(errors);
+
+        // Lag only means something while the vehicle is flying the leg
+        const transitLags = deviations.filter((d, i) => positions[i].phase !== 'waypoint').map(d => d.alongTrackLag);
+
+        const threshold = averageDeviation + HIGH_DEVIATION_SIGMA * deviationStdDev;
+        const highDeviationPoints = deviations
+            .map((d, index) => ({ d, index }))
+            .filter(({ d }) => d.error > threshold)
+            .sort((a, b) => b.d.error - a.d.error)
+            .slice(0, HIGH_DEVIATION_LIMIT)
+            .map(({ d, index }) => ({
+                index,
+                position: [positions[index].x, positions[index].y, positions[index].z],
+                target: d.target,
+                deviation: d.error,
+                crossTrack: d.crossTrack,
+                alongTrackLag: d.alongTrackLag,
+                phase: positions[index].phase
+            }));
+
+        return {
+            averageDeviation,
+            maxDeviation: this.calculateMax(errors),
+            minDeviation: this.calculateMin(errors),
+            deviationStdDev,
+            averageCrossTrack: this.calculateMean(crossTracks),
+            maxCrossTrack: this.calculateMax(crossTracks),
+            averageAlongTrackLag: this.calculateMean(transitLags),
+            averageDistanceToTarget: this.calculateMean(deviations.map(d => d.distanceToTarget)),
+            highDeviationPoints,
+            deviationTrend: this.classifyTrend(positions.map(p => p.time), errors, averageDeviation),
+            onboardComparison: this.compareWithOnboardError(positions, errors)
+        };
+    }
+
+    /**
+     * Deviation of one point from its leg of the planned path.
+     * crossTrack is the distance from the leg line, alongTrackLag the distance still to go along it
+     * (negative once past the waypoint). error is what the onboard calculator reports: in 'direct'
+     * vertical mode its transit distance to the leg is horizontal only, and heightWeight scales
+     * the vertical component of every distance.
+     */
+    static computePointDeviation(point, sequence, { verticalMode = 'path', heightWeight = DEFAULT_HEIGHT_WEIGHT } = {}) {
+        const leg = this.resolveLeg(point, sequence);
+        // Weighting height is the same as measuring in a space stretched along z
+        const weigh = p => [p[0], p[1], p[2] * heightWeight];
+        const position = weigh([point.x, point.y, point.z]);
+        const from = weigh(leg.from);
+        const to = weigh(leg.to);
+
+        const track = this.projectOntoLeg(position, from, to, [0, 1, 2]);
+        const pathError = verticalMode === 'direct' ?
+            this.projectOntoLeg(position, from, to, [0, 1]).segmentDistance : track.segmentDistance;
+
+        const distanceToTarget = Math.sqrt(
+            Math.pow(position[0] - to[0], 2) + Math.pow(position[1] - to[1], 2) + Math.pow(position[2] - to[2], 2)
+        );
+
+        return {
+            target: leg.to,
+            crossTrack: track.crossTrack,
+            alongTrack: track.alongTrack,
+            alongTrackLag: track.legLength - track.alongTrack,
+            pathError,
+            distanceToTarget,
+            error: point.phase === 'waypoint' ? distanceToTarget : pathError
+        };
+    }
+
+    // Split the offset of a position from a leg into along- and cross-track parts over the given axes
+    static projectOntoLeg(position, from, to, axes) {
+        const leg = axes.map(axis => to[axis] - from[axis]);
+        const offset = axes.map(axis => position[axis] - from[axis]);
+        const legLength = Math.sqrt(leg.reduce((sum, v) => sum + v * v, 0));
+        const offsetLength = Math.sqrt(offset.reduce((sum, v) => sum + v * v, 0));
+
+        if (legLength === 0) {
+            return { legLength, alongTrack: 0, crossTrack: offsetLength, segmentDistance: offsetLength };
+        }
+
+        const alongTrack = offset.reduce((sum, v, k) => sum + v * leg[k], 0) / legLength;
+        const crossTrack = Math.sqrt(Math.max(0, offsetLength * offsetLength - alongTrack * alongTrack));
+        // Past either end of the leg the distance is to the nearer waypoint
+        const clamped = Math.min(legLength, Math.max(0, alongTrack));
+
+        return {
+            legLength,
+            alongTrack,
+            crossTrack,
+            segmentDistance: Math.sqrt(crossTrack * crossTrack + Math.pow(alongTrack - clamped, 2))
+        };
+    }
+
+    /**
+     * Copies of the points with error recomputed under errorOptions, or the points unchanged
+     * when no options are given. Without a sequence only the logged components can be reweighted.
+     */
+    static applyErrorOptions(positions, sequence, errorOptions) {
+        if (!errorOptions) return positions;
+
+        return positions.map(point => {
+            if (sequence && sequence.length > 0) {
+                return { ...point, error: this.computePointDeviation(point, sequence, errorOptions).error };
+            }
+            if (typeof point.error_xy === 'number' && typeof point.error_z === 'number') {
+                const heightWeight = errorOptions.heightWeight ?? DEFAULT_HEIGHT_WEIGHT;
+                return { ...point, error: Math.sqrt(Math.pow(point.error_xy, 2) + Math.pow(point.error_z * heightWeight, 2)) };
+            }
+            return point;
+        });
+    }
+
+    // The leg a point is flying: from sequence_index when logged, otherwise the nearest leg
+    static resolveLeg(point, sequence) {
+        const index = point.sequence_index;
+        if (Number.isInteger(index) && index >= 0 && index < sequence.length) {
+            return { from: sequence[Math.max(0, index - 1)], to: sequence[index] };
+        }
+        if (sequence.length === 1) {
+            return { from: sequence[0], to: sequence[0] };
+        }
+
+        let best = null;
+        for (let i = 1; i < sequence.length; i++) {
+            const distance = this.projectOntoLeg(
+                [point.x, point.y, point.z], sequence[i - 1], sequence[i], [0, 1, 2]
+            ).segmentDistance;
+            if (!best || distance < best.distance) {
+                best = { from: sequence[i - 1], to: sequence[i], distance };
+            }
+        }
+        return { from: best.from, to: best.to };
+    }
+
+    // Fitted change of values over the flight, relative to their mean
+    static classifyTrend(times, values, mean) {
+        if (values.length < 2 || mean <= 0) return 'stable';
+
+        // Seconds into the flight: epoch times (~1.7e9 s) leave little precision for the fit
+        const elapsed = times.map(t => t - times[0]);
+        const slope = this.calculateCorrelation(elapsed, values) *
+            this.calculateStandardDeviation(values) / (this.calculateStandardDeviation(elapsed) || 1);
+        const change = slope * elapsed[elapsed.length - 1];
+
+        if (Math.abs(change) < TREND_THRESHOLD * mean) return 'stable';
+        return change > 0 ? 'increasing' : 'decreasing';
+    }
+
+    /**
+     * Agreement between the computed deviation and the error logged by the onboard calculator.
+     * Points whose error was filled in from the computed deviation are skipped.
+     */
+    static compareWithOnboardError(positions, computedErrors) {
+        const onboard = [];
+        const computed = [];
+        positions.forEach((p, i) => {
+            if (typeof p.error !== 'number' || p.errorComputed) return;
+            onboard.push(p.error);
+            computed.push(computedErrors[i]);
+        });
+        if (onboard.length === 0) return null;
+
+        const differences = onboard.map((e, i) => Math.abs(computed[i] - e));
+        return {
+            pointsCompared: onboard.length,
+            meanAbsDifference: this.calculateMean(differences),
+            maxAbsDifference: this.calculateMax(differences),
+            correlation: this.calculateCorrelation(onboard, computed),
+            agreementRate: differences.filter(d => d <= ERROR_AGREEMENT_TOLERANCE).length / differences.length
+        };
+    }
+
     /**
      * Calculate basic statistics
      */
@@ -78,34 +336,140 @@ class TrajectoryAnalyzer {
     }
 
     /**
-     * Analyze flight phases - based on actual phase data
+     * Analyze flight phases - based on actual phase data. Dwell time is the mean length of a run of
+     * waypoint points; transit speed and smoothness come from velocityAnalysis (analyzeVelocity of the
+     * same positions), averaged over the transit points.
      */
-    static analyzePhases(positions) {
+    static analyzePhases(positions, velocityAnalysis = this.analyzeVelocity(positions)) {
         const waypointPositions = positions.filter(p => p.phase === 'waypoint');
         const transitPositions = positions.filter(p => p.phase === 'transit');
+        const { speed, jerk } = velocityAnalysis.series;
+        const transitIndices = positions.map((p, i) => i).filter(i => positions[i].phase === 'transit' && i < speed.length);
+
+        const dwellTimes = [];
+        const transitionErrors = [];
+        let hold = null; // first point of the current waypoint hold
+        positions.forEach((p, i) => {
+            const previous = positions[i - 1];
+            if (previous && p.phase !== previous.phase) transitionErrors.push(p.error || 0);
+            if (hold && (p.phase !== 'waypoint' || p.sequence_index !== hold.sequence_index)) {
+                dwellTimes.push(previous.time - hold.time);
+                hold = null;
+            }
+            if (p.phase === 'waypoint' && !hold) hold = p;
+        });
+        if (hold) dwellTimes.push(positions[positions.length - 1].time - hold.time);
+        const transitRmsJerk = Math.sqrt(this.calculateMean(transitIndices.map(i => jerk[i] * jerk[i])));
 
         return {
-            waypoint: {
-                count: waypointPositions.length,
-                averageError: waypointPositions.length > 0 ?
-                    this.calculateMean(waypointPositions.map(p => p.error || 0)) : 0,
-                stabilizedCount: waypointPositions.filter(p => p.stabilized).length,
-                stabilizationRate: waypointPositions.length > 0 ?
-                    waypointPositions.filter(p => p.stabilized).length / waypointPositions.length : 0
+            waypointAnalysis: {
+                ...this.summarizePhase(waypointPositions),
+                averageDwellTime: this.calculateMean(dwellTimes)
             },
-            transit: {
-                count: transitPositions.length,
-                averageError: transitPositions.length > 0 ?
-                    this.calculateMean(transitPositions.map(p => p.error || 0)) : 0,
-                stabilizedCount: transitPositions.filter(p => p.stabilized).length,
-                stabilizationRate: transitPositions.length > 0 ?
-                    transitPositions.filter(p => p.stabilized).length / transitPositions.length : 0
+            transitAnalysis: {
+                ...this.summarizePhase(transitPositions),
+                averageSpeed: this.calculateMean(transitIndices.map(i => speed[i])),
+                smoothnessIndex: 1 / (1 + transitRmsJerk / REFERENCE_JERK)
+            },
+            phaseTransitions: {
+                totalTransitions: transitionErrors.length,
+                averageTransitionError: this.calculateMean(transitionErrors)
             }
         };
     }
 
+    static summarizePhase(points) {
+        const stabilized = points.filter(p => p.stabilized).length;
+        return {
+            count: points.length,
+            averageError: this.calculateMean(points.map(p => p.error || 0)),
+            stabilizationRate: points.length > 0 ? stabilized / points.length : 0
+        };
+    }
+
     /**
-     * Calculate stability metrics - based on stabilized field
+     * Per-leg breakdown. Leg i is the flight from sequence[i - 1] to sequence[i], i.e. every point
+     * logged with sequence_index i. Time between samples is credited to the phase of the earlier one.
+     */
+    static analyzeSegments(positions, sequence) {
+        if (!sequence || sequence.length < 2) return [];
+
+        const segments = [];
+        for (let i = 1; i < sequence.length; i++) {
+            const from = sequence[i - 1];
+            const to = sequence[i];
+            const idealDistance = Math.sqrt(
+                Math.pow(to[0] - from[0], 2) +
+                Math.pow(to[1] - from[1], 2) +
+                Math.pow(to[2] - from[2], 2)
+            );
+            const run = positions.filter(p => p.sequence_index === i);
+
+            const segment = {
+                sequenceIndex: i,
+                from,
+                to,
+                pointCount: run.length,
+                startTime: null,
+                transitTime: 0,
+                holdTime: 0,
+                timeToStabilize: null,
+                holdMeanError: null,
+                holdMaxError: null,
+                overshoot: 0,
+                overshootPercent: 0,
+                idealDistance,
+                actualDistance: 0,
+                pathEfficiency: null
+            };
+            segments.push(segment);
+            if (run.length === 0) continue;
+
+            // Close the last interval at the first point of the next leg, if there is one
+            const nextPoint = positions.find(p => p.time > run[run.length - 1].time && p.sequence_index !== i);
+            run.forEach((p, k) => {
+                const next = k < run.length - 1 ? run[k + 1] : nextPoint;
+                if (!next) return;
+                if (p.phase === 'waypoint') segment.holdTime += next.time - p.time;
+                else segment.transitTime += next.time - p.time;
+            });
+
+            segment.startTime = run[0].time;
+            const stabilized = run.find(p => p.stabilized);
+            segment.timeToStabilize = stabilized ? stabilized.time - run[0].time : null;
+
+            const holdErrors = run.filter(p => p.phase === 'waypoint').map(p => p.error || 0);
+            if (holdErrors.length > 0) {
+                segment.holdMeanError = this.calculateMean(holdErrors);
+                segment.holdMaxError = this.calculateMax(holdErrors);
+            }
+
+            // Distance travelled past the target along the leg direction
+            if (idealDistance > 0) {
+                const direction = [0, 1, 2].map(axis => (to[axis] - from[axis]) / idealDistance);
+                run.forEach(p => {
+                    const along = (p.x - to[0]) * direction[0] + (p.y - to[1]) * direction[1] + (p.z - to[2]) * direction[2];
+                    segment.overshoot = Math.max(segment.overshoot, along);
+                });
+                segment.overshootPercent = (segment.overshoot / idealDistance) * 100;
+            }
+
+            // Path efficiency covers the approach only - hover jitter during the hold is excluded
+            const arrival = run.findIndex(p => p.phase === 'waypoint');
+            const approach = run.slice(0, arrival === -1 ? run.length : arrival + 1);
+            segment.actualDistance = this.calculateActualDistance(approach);
+            if (idealDistance > 0 && segment.actualDistance > 0) {
+                segment.pathEfficiency = Math.min(1.0, idealDistance / segment.actualDistance);
+            }
+        }
+
+        return segments;
+    }
+
+    /**
+     * Calculate stability metrics - based on stabilized field. Jitter is the movement between
+     * consecutive samples while holding at a waypoint; jitterIndex is the RMS distance of the held
+     * positions from the mean position of their hold.
      */
     static calculateStabilityMetrics(positions) {
         const stabilizedCount = positions.filter(pos => pos.stabilized).length;
@@ -115,11 +479,37 @@ class TrajectoryAnalyzer {
         const errors = positions.map(p => p.error || 0);
         const errorVariance = this.calculateStandardDeviation(errors);
 
+        const steps = [];
+        const spreads = [];
+        let hold = [];
+        const closeHold = () => {
+            if (hold.length > 0) {
+                const center = ['x', 'y', 'z'].map(axis => this.calculateMean(hold.map(p => p[axis])));
+                hold.forEach(p => spreads.push(Math.hypot(p.x - center[0], p.y - center[1], p.z - center[2])));
+            }
+            hold = [];
+        };
+        positions.forEach(p => {
+            const previous = hold[hold.length - 1];
+            if (p.phase !== 'waypoint' || (previous && previous.sequence_index !== p.sequence_index)) closeHold();
+            if (p.phase !== 'waypoint') return;
+            if (hold.length > 0) steps.push(Math.hypot(p.x - previous.x, p.y - previous.y, p.z - previous.z));
+            hold.push(p);
+        });
+        closeHold();
+
         return {
             stabilizationRatio: stabilizationRatio,
             stabilizedPoints: stabilizedCount,
             unstabilizedPoints: positions.length - stabilizedCount,
             errorVariance: errorVariance,
+            jitterMetrics: {
+                averageJitter: this.calculateMean(steps),
+                maxJitter: steps.length > 0 ? this.calculateMax(steps) : 0,
+                jitterIndex: Math.sqrt(this.calculateMean(spreads.map(d => d * d)))
+            },
+            waypointStability: this.summarizePhase(positions.filter(p => p.phase === 'waypoint')),
+            transitStability: this.summarizePhase(positions.filter(p => p.phase === 'transit')),
             overallStabilityScore: Math.max(0, 100 - (errorVariance * 1000)) // Convert to 0-100 score
         };
     }
@@ -161,6 +551,499 @@ class TrajectoryAnalyzer {
         };
     }
 
+    /**
+     * Velocity, acceleration and jerk from timestamped positions.
+     * Derivatives use central differences on the (optionally smoothed) path, so uneven
+     * sample spacing is handled. Returns summary stats plus per-point magnitude series.
+     */
+    static analyzeVelocity(positions, options = {}) {
+        const smoothingWindow = options.smoothingWindow || DEFAULT_SMOOTHING_WINDOW;
+
+        if (positions.length < 3) {
+            return {
+                averageVelocity: 0, maxVelocity: 0, minVelocity: 0, velocityVariation: 0,
+                averageAcceleration: 0, maxAcceleration: 0,
+                averageJerk: 0, maxJerk: 0, rmsJerk: 0,
+                smoothnessIndex: 1,
+                smoothingWindow,
+                series: { speed: [], acceleration: [], jerk: [] }
+            };
+        }
+
+        const times = positions.map(p => p.time);
+        const path = this.smoothPositions(positions, smoothingWindow);
+        const velocity = this.differentiate(path, times);
+        const acceleration = this.differentiate(velocity, times);
+        const jerk = this.differentiate(acceleration, times);
+
+        const speed = velocity.map(v => this.magnitude(v));
+        const accelerationMagnitude = acceleration.map(a => this.magnitude(a));
+        const jerkMagnitude = jerk.map(j => this.magnitude(j));
+        const rmsJerk = Math.sqrt(this.calculateMean(jerkMagnitude.map(j => j * j)));
+
+        return {
+            averageVelocity: this.calculateMean(speed),
+            maxVelocity: this.calculateMax(speed),
+            minVelocity: this.calculateMin(speed),
+            velocityVariation: this.calculateStandardDeviation(speed),
+            averageAcceleration: this.calculateMean(accelerationMagnitude),
+            maxAcceleration: this.calculateMax(accelerationMagnitude),
+            averageJerk: this.calculateMean(jerkMagnitude),
+            maxJerk: this.calculateMax(jerkMagnitude),
+            rmsJerk,
+            smoothnessIndex: 1 / (1 + rmsJerk / REFERENCE_JERK),
+            smoothingWindow,
+            series: {
+                speed,
+                acceleration: accelerationMagnitude,
+                jerk: jerkMagnitude
+            }
+        };
+    }
+
+    /**
+     * Centered moving average over x/y/z.
+     * The window shrinks symmetrically at the ends so straight-line motion is not bent.
+     */
+    static smoothPositions(positions, window) {
+        const maxHalf = Math.floor(Math.max(1, window) / 2);
+
+        return positions.map((p, i) => {
+            const half = Math.min(maxHalf, i, positions.length - 1 - i);
+            const start = i - half;
+            const end = i + half;
+            const sum = [0, 0, 0];
+            for (let k = start; k <= end; k++) {
+                sum[0] += positions[k].x;
+                sum[1] += positions[k].y;
+                sum[2] += positions[k].z;
+            }
+            const count = end - start + 1;
+            return [sum[0] / count, sum[1] / count, sum[2] / count];
+        });
+    }
+
+    /**
+     * Time derivative of a series of [x, y, z] vectors.
+     * Central difference inside, one-sided at the ends; repeated timestamps give a zero vector.
+     */
+    static differentiate(vectors, times) {
+        const last = vectors.length - 1;
+
+        return vectors.map((v, i) => {
+            const before = Math.max(0, i - 1);
+            const after = Math.min(last, i + 1);
+            const dt = times[after] - times[before];
+            if (!(dt > 0)) return [0, 0, 0];
+            return [0, 1, 2].map(axis => (vectors[after][axis] - vectors[before][axis]) / dt);
+        });
+    }
+
+    static magnitude(vector) {
+        return Math.sqrt(vector[0] * vector[0] + vector[1] * vector[1] + vector[2] * vector[2]);
+    }
+
+    /**
+     * Bearing-change turn detection in the XY plane.
+     * Consecutive same-direction heading changes are grouped into one turn of at most 180 degrees; a
+     * group of at least TURN_ANGLE degrees counts, and anything tighter than a right angle is a sharp
+     * turn. Headings are only taken within a stretch of continuous movement: across a hold or a slow
+     * stretch the change is from the last heading before it to the first one after.
+     */
+    static analyzeTurns(positions, sequence, options = {}) {
+        const plannedCorners = this.findPlannedCorners(sequence);
+        const plannedTurning = plannedCorners.reduce((sum, c) => sum + Math.abs(c.plannedAngle), 0);
+        const empty = {
+            totalTurns: 0,
+            sharpTurns: 0,
+            averageTurnRate: 0,
+            maxTurnRate: 0,
+            pathSmoothness: 1,
+            totalHeadingChange: 0,
+            plannedHeadingChange: plannedTurning,
+            turns: [],
+            corners: []
+        };
+        if (positions.length < 3) return empty;
+
+        const path = this.smoothPositions(positions, options.smoothingWindow || DEFAULT_SMOOTHING_WINDOW);
+        const velocity = this.differentiate(path, positions.map(p => p.time));
+
+        // Segments between nodes sampled along each moving stretch of the path
+        const segments = [];
+        let last = null;
+        positions.forEach((p, i) => {
+            if (p.phase === 'waypoint' || Math.hypot(velocity[i][0], velocity[i][1]) < MIN_TURN_SPEED) {
+                last = null;
+                return;
+            }
+            if (last === null) {
+                last = i;
+            } else if (Math.hypot(path[i][0] - path[last][0], path[i][1] - path[last][1]) >= TURN_SAMPLE_DISTANCE) {
+                const bearing = Math.atan2(path[i][1] - path[last][1], path[i][0] - path[last][0]) * 180 / Math.PI;
+                segments.push({ from: last, to: i, bearing });
+                last = i;
+            }
+        });
+        if (segments.length < 2) return empty;
+
+        // changes[k] is the heading change from segments[k] to segments[k + 1]
+        const changes = [];
+        for (let k = 1; k < segments.length; k++) {
+            changes.push(this.wrapAngle(segments[k].bearing - segments[k - 1].bearing));
+        }
+        const totalHeadingChange = changes.reduce((sum, c) => sum + Math.abs(c), 0);
+
+        const turns = [];
+        let group = [];
+        const closeGroup = () => {
+            if (group.length > 0) {
+                const turn = this.buildTurn(group, changes, segments, positions);
+                if (Math.abs(turn.bearingChange) >= TURN_ANGLE) turns.push(turn);
+            }
+            group = [];
+        };
+        changes.forEach((change, k) => {
+            if (Math.abs(change) < MIN_BEARING_CHANGE) {
+                closeGroup();
+                return;
+            }
+            if (group.length > 0 && Math.sign(changes[group[group.length - 1]]) !== Math.sign(change)) {
+                closeGroup();
+            }
+            group.push(k);
+        });
+        closeGroup();
+
+        const turnRates = turns.map(t => t.turnRate);
+        // Each full revolution of heading change beyond what the plan requires halves the score
+        const excessTurning = Math.max(0, totalHeadingChange - plannedTurning);
+
+        return {
+            totalTurns: turns.length,
+            sharpTurns: turns.filter(t => Math.abs(t.bearingChange) > SHARP_TURN_ANGLE).length,
+            averageTurnRate: this.calculateMean(turnRates),
+            maxTurnRate: turnRates.length > 0 ? this.calculateMax(turnRates) : 0,
+            pathSmoothness: 1 / (1 + excessTurning / 360),
+            totalHeadingChange,
+            plannedHeadingChange: plannedTurning,
+            turns,
+            corners: this.matchCorners(plannedCorners, turns, positions)
+        };
+    }
+
+    static buildTurn(group, changes, segments, positions) {
+        // A change of heading is at most a reversal; a larger sum is jitter adding up in one direction
+        const bearingChange = Math.max(-180, Math.min(180, group.reduce((sum, k) => sum + changes[k], 0)));
+        const peak = group.reduce((best, k) => (Math.abs(changes[k]) > Math.abs(changes[best]) ? k : best), group[0]);
+        // The turn spans the segments before the first change and after the last one
+        const startIndex = segments[group[0]].from;
+        const endIndex = segments[group[group.length - 1] + 1].to;
+        const duration = positions[endIndex].time - positions[startIndex].time;
+        // The apex of the largest change: the point farthest from the chord of the segments around it,
+        // which for a change made across a hold is where the vehicle held
+        const index = this.findApex(positions, segments[peak].from, segments[peak + 1].to);
+        const point = positions[index];
+
+        return {
+            index,
+            startIndex,
+            endIndex,
+            position: [point.x, point.y, point.z],
+            bearingChange,
+            sharpness: Math.min(1, Math.abs(bearingChange) / 180),
+            duration,
+            turnRate: duration > 0 ? Math.abs(bearingChange) / duration : 0,
+            phase: point.phase
+        };
+    }
+
+    // Index between from and to farthest in XY from the line through both
+    static findApex(positions, from, to) {
+        const [a, b] = [positions[from], positions[to]];
+        const length = Math.hypot(b.x - a.x, b.y - a.y);
+        let apex = from;
+        let farthest = -1;
+        for (let i = from; i <= to; i++) {
+            const p = positions[i];
+            const distance = length > 0 ?
+                Math.abs((b.x - a.x) * (a.y - p.y) - (a.x - p.x) * (b.y - a.y)) / length :
+                Math.hypot(p.x - a.x, p.y - a.y);
+            if (distance > farthest) {
+                farthest = distance;
+                apex = i;
+            }
+        }
+        return apex;
+    }
+
+    /**
+     * Waypoints in the plan where the horizontal heading changes by at least TURN_ANGLE
+     */
+    static findPlannedCorners(sequence) {
+        if (!sequence || sequence.length < 3) return [];
+
+        const corners = [];
+        for (let i = 1; i < sequence.length - 1; i++) {
+            const [prev, curr, next] = [sequence[i - 1], sequence[i], sequence[i + 1]];
+            const inLength = Math.hypot(curr[0] - prev[0], curr[1] - prev[1]);
+            const outLength = Math.hypot(next[0] - curr[0], next[1] - curr[1]);
+            if (inLength < TURN_SAMPLE_DISTANCE || outLength < TURN_SAMPLE_DISTANCE) continue;
+
+            const plannedAngle = this.wrapAngle(
+                Math.atan2(next[1] - curr[1], next[0] - curr[0]) * 180 / Math.PI -
+                Math.atan2(curr[1] - prev[1], curr[0] - prev[0]) * 180 / Math.PI
+            );
+            if (Math.abs(plannedAngle) >= TURN_ANGLE) {
+                corners.push({ waypointIndex: i, waypoint: curr, plannedAngle });
+            }
+        }
+        return corners;
+    }
+
+    /**
+     * Attribute detected turns to the planned corners they happened at: those whose path from start to
+     * end passes the corner
+     */
+    static matchCorners(plannedCorners, turns, positions) {
+        return plannedCorners.map(corner => {
+            const nearby = turns.filter(t => positions.slice(t.startIndex, t.endIndex + 1).some(p =>
+                Math.hypot(p.x - corner.waypoint[0], p.y - corner.waypoint[1]) <= CORNER_RADIUS
+            ));
+            const actualAngle = nearby.reduce((sum, t) => sum + t.bearingChange, 0);
+
+            return {
+                waypointIndex: corner.waypointIndex,
+                position: corner.waypoint,
+                plannedAngle: corner.plannedAngle,
+                actualAngle,
+                angleError: nearby.length > 0 ? actualAngle - corner.plannedAngle : null,
+                turnCount: nearby.length
+            };
+        });
+    }
+
+    // Wrap an angle in degrees to (-180, 180]
+    static wrapAngle(angle) {
+        let wrapped = angle % 360;
+        if (wrapped > 180) wrapped -= 360;
+        if (wrapped <= -180) wrapped += 360;
+        return wrapped;
+    }
+
+    /**
+     * Altitude range, hold stability and the step response of each altitude change in the sequence
+     */
+    static analyzeAltitudeProfile(positions, sequence) {
+        if (positions.length === 0) {
+            return {
+                minAltitude: 0,
+                maxAltitude: 0,
+                averageAltitude: 0,
+                altitudeRange: 0,
+                altitudeStability: 0,
+                verticalMovements: 0,
+                holds: [],
+                stepResponses: []
+            };
+        }
+
+        const altitudes = positions.map(p => p.z);
+        const minAltitude = this.calculateMin(altitudes);
+        const maxAltitude = this.calculateMax(altitudes);
+
+        const holds = this.analyzeAltitudeHolds(positions);
+        const holdErrors = positions
+            .filter(p => p.phase === 'waypoint' && p.target)
+            .map(p => p.z - p.target.z);
+
+        return {
+            minAltitude,
+            maxAltitude,
+            averageAltitude: this.calculateMean(altitudes),
+            altitudeRange: maxAltitude - minAltitude,
+            // RMS altitude error (m) over all waypoint holds
+            altitudeStability: holdErrors.length > 0 ?
+                Math.sqrt(this.calculateMean(holdErrors.map(e => e * e))) : 0,
+            verticalMovements: this.countVerticalMovements(altitudes),
+            holds,
+            stepResponses: this.analyzeStepResponses(positions, sequence)
+        };
+    }
+
+    /**
+     * Altitude statistics for each contiguous waypoint-phase run
+     */
+    static analyzeAltitudeHolds(positions) {
+        const holds = [];
+        let start = null;
+
+        for (let i = 0; i <= positions.length; i++) {
+            const holding = i < positions.length && positions[i].phase === 'waypoint' &&
+                (start === null || positions[i].sequence_index === positions[start].sequence_index);
+            if (holding && start === null) {
+                start = i;
+                continue;
+            }
+            if (holding || start === null) continue;
+
+            const run = positions.slice(start, i);
+            const altitudes = run.map(p => p.z);
+            const targetAltitude = run[0].target ? run[0].target.z : null;
+            holds.push({
+                sequenceIndex: run[0].sequence_index ?? null,
+                startTime: run[0].time,
+                duration: run[run.length - 1].time - run[0].time,
+                targetAltitude,
+                meanAltitude: this.calculateMean(altitudes),
+                altitudeStdDev: this.calculateStandardDeviation(altitudes),
+                maxDeviation: targetAltitude === null ? null :
+                    this.calculateMax(altitudes.map(z => Math.abs(z - targetAltitude)))
+            });
+
+            start = null;
+            // The point that ended this run may start the next one
+            if (i < positions.length && positions[i].phase === 'waypoint') i--;
+        }
+
+        return holds;
+    }
+
+    // Climbs and descents of at least VERTICAL_MOVE_THRESHOLD between direction reversals
+    static countVerticalMovements(altitudes) {
+        let movements = 0;
+        let direction = 0;
+        // Running peak (climbing) or trough (descending); the start altitude until the first move
+        let extreme = altitudes[0];
+
+        altitudes.forEach(z => {
+            if (direction !== 1 && z - extreme >= VERTICAL_MOVE_THRESHOLD) {
+                movements++;
+                direction = 1;
+                extreme = z;
+            } else if (direction !== -1 && extreme - z >= VERTICAL_MOVE_THRESHOLD) {
+                movements++;
+                direction = -1;
+                extreme = z;
+            } else if ((direction === 1 && z > extreme) || (direction === -1 && z < extreme)) {
+                extreme = z;
+            }
+        });
+
+        return movements;
+    }
+
+    /**
+     * Rise time (10%-90%), overshoot and settling time for every altitude change in the sequence.
+     * A step starts with the first point logged for its sequence_index and ends with the last one.
+     */
+    static analyzeStepResponses(positions, sequence) {
+        if (!sequence || sequence.length < 2) return [];
+
+        const responses = [];
+        for (let i = 1; i < sequence.length; i++) {
+            const fromAltitude = sequence[i - 1][2];
+            const toAltitude = sequence[i][2];
+            const stepSize = toAltitude - fromAltitude;
+            if (Math.abs(stepSize) < MIN_ALTITUDE_STEP) continue;
+
+            const run = positions.filter(p => p.sequence_index === i);
+            if (run.length < 2) continue;
+
+            const startTime = run[0].time;
+            // Progress through the step: 0 at the previous waypoint, 1 at the target
+            const progress = run.map(p => (p.z - fromAltitude) / stepSize);
+            const crossing = fraction => {
+                const k = progress.findIndex(value => value >= fraction);
+                return k === -1 ? null : run[k].time;
+            };
+            const riseStart = crossing(0.1);
+            const riseEnd = crossing(0.9);
+
+            const band = Math.max(SETTLING_FRACTION * Math.abs(stepSize), MIN_SETTLING_BAND);
+            let lastOutside = -1;
+            run.forEach((p, k) => {
+                if (Math.abs(p.z - toAltitude) > band) lastOutside = k;
+            });
+            let settlingTime = null;
+            if (lastOutside === -1) {
+                settlingTime = 0;
+            } else if (lastOutside < run.length - 1) {
+                settlingTime = run[lastOutside + 1].time - startTime;
+            }
+
+            responses.push({
+                sequenceIndex: i,
+                fromAltitude,
+                toAltitude,
+                stepSize,
+                riseTime: riseStart !== null && riseEnd !== null ? riseEnd - riseStart : null,
+                overshoot: Math.max(0, this.calculateMax(progress) - 1) * 100,
+                peakAltitude: stepSize > 0
+                    ? this.calculateMax(run.map(p => p.z))
+                    : this.calculateMin(run.map(p => p.z)),
+                settlingTime,
+                settled: settlingTime !== null,
+                duration: run[run.length - 1].time - startTime,
+                finalError: run[run.length - 1].z - toAltitude
+            });
+        }
+
+        return responses;
+    }
+
+    /**
+     * Correlate link quality with position error.
+     * Link quality is the reported networkQuality or, for rf_test logs, estimated from update intervals
+     * and rf_conditions (see PerformanceAnalyzer.estimateLinkQuality).
+     */
+    static analyzeNetworkCorrelation(positions, rfConditions = null) {
+        const { qualities } = PerformanceAnalyzer.estimateLinkQuality(positions, rfConditions);
+        const errors = positions.map(p => p.error || 0);
+
+        const segments = { excellent: [], good: [], fair: [], poor: [] };
+        qualities.forEach((quality, i) => {
+            segments[this.classifyNetworkQuality(quality)].push(errors[i]);
+        });
+
+        const networkSegments = {};
+        Object.keys(segments).forEach(name => {
+            networkSegments[name] = {
+                count: segments[name].length,
+                avgError: this.calculateMean(segments[name])
+            };
+        });
+
+        // Point-biserial correlation of "below critical threshold" with error
+        const degradedFlags = qualities.map(q => (q < CRITICAL_NETWORK_QUALITY ? 1 : 0));
+        const healthyErrors = errors.filter((e, i) => !degradedFlags[i]);
+        const degradedErrors = errors.filter((e, i) => degradedFlags[i]);
+        const healthyAverage = this.calculateMean(healthyErrors);
+
+        return {
+            networkErrorCorrelation: this.calculateCorrelation(qualities, errors),
+            averageNetworkQuality: this.calculateMean(qualities),
+            networkQualityRange: {
+                min: qualities.length > 0 ? this.calculateMin(qualities) : 0,
+                max: qualities.length > 0 ? this.calculateMax(qualities) : 0
+            },
+            networkSegments,
+            degradationImpact: {
+                impactCorrelation: this.calculateCorrelation(degradedFlags, errors),
+                criticalThreshold: CRITICAL_NETWORK_QUALITY,
+                performanceDrop: degradedErrors.length > 0 && healthyAverage > 0 ?
+                    ((this.calculateMean(degradedErrors) - healthyAverage) / healthyAverage) * 100 : 0
+            }
+        };
+    }
+
+    static classifyNetworkQuality(quality) {
+        if (quality >= NETWORK_SEGMENTS.excellent) return 'excellent';
+        if (quality >= NETWORK_SEGMENTS.good) return 'good';
+        if (quality >= NETWORK_SEGMENTS.fair) return 'fair';
+        return 'poor';
+    }
+
     /**
      * Extract sequence information from positions
      */
@@ -171,7 +1054,7 @@ class TrajectoryAnalyzer {
                 sequenceIndices.add(pos.sequence_index);
             }
         });
-        return Array.from(sequenceIndices).sort();
+        return Array.from(sequenceIndices).sort((a, b) => a - b);
     }
 
     /**
@@ -194,8 +1077,8 @@ class TrajectoryAnalyzer {
     /**
      * Generate enhanced trajectory report
      */
-    static generateTrajectoryReport(flightData) {
-        const analysis = this.analyzeTrajectory(flightData);
+    static generateTrajectoryReport(flightData, options = {}) {
+        const analysis = this.analyzeTrajectory(flightData, options);
 
         return {
             summary: {
@@ -215,6 +1098,40 @@ class TrajectoryAnalyzer {
         return values.reduce((sum, val) => sum + val, 0) / values.length;
     }
 
+    // Loops rather than Math.max(...values), which overflows the call stack on long flights
+    static calculateMax(values) {
+        return values.reduce((max, val) => (val > max ? val : max), -Infinity);
+    }
+
+    static calculateMin(values) {
+        return values.reduce((min, val) => (val < min ? val : min), Infinity);
+    }
+
+    // Pearson correlation, 0 when either series is constant
+    static calculateCorrelation(x, y) {
+        const n = x.length;
+        if (n !== y.length || n === 0) return 0;
+
+        // Two passes, about the means, so large offsets (epoch times) do not cancel out the variation
+        const meanX = this.calculateMean(x);
+        const meanY = this.calculateMean(y);
+        let sumXY = 0;
+        let sumXX = 0;
+        let sumYY = 0;
+        for (let i = 0; i < n; i++) {
+            const dx = x[i] - meanX;
+            const dy = y[i] - meanY;
+            sumXY += dx * dy;
+            sumXX += dx * dx;
+            sumYY += dy * dy;
+        }
+
+        const numerator = sumXY;
+        const denominator = Math.sqrt(sumXX * sumYY);
+
+        return denominator === 0 || !Number.isFinite(denominator) ? 0 : numerator / denominator;
+    }
+
     static calculateStandardDeviation(values) {
         if (values.length === 0) return 0;
         const mean = this.calculateMean(values);
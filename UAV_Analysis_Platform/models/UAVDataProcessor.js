@@ -1,168 +1,418 @@
 const TrajectoryAnalyzer = require('./TrajectoryAnalyzer');
+const FlightDataCleaner = require('./FlightDataCleaner');
+const FlightDataValidator = require('./FlightDataValidator');
+const PerformanceAnalyzer = require('./PerformanceAnalyzer');
+const PositionAccuracyChecker = require('./PositionAccuracyChecker');
+const QualityScorer = require('./QualityScorer');
+
+// Version of the analysis pipeline stored with each flight. Bump it when a change to the analysis
+// should reach flights that were already uploaded (see FlightReanalyzer).
+const ANALYSIS_VERSION = 4;
+
+// Bootstrap confidence intervals: resample count and a fixed seed so re-analysis is reproducible
+const BOOTSTRAP_RESAMPLES = 1000;
+const BOOTSTRAP_SEED = 725;
+const Z_95 = 1.96;
+
+// Error calculation options, named as in position_accuracy.config
+const ERROR_OPTION_KEYS = {
+    heightWeight: 'height_weight',
+    verticalMode: 'vertical_mode',
+    excludeTransit: 'exclude_transit'
+};
+const VERTICAL_MODES = ['path', 'direct'];
+const MAX_HEIGHT_WEIGHT = 10;
 
 class UAVDataProcessor {
 
-    // Validate JSON data format - simplified version
+    static get ANALYSIS_VERSION() {
+        return ANALYSIS_VERSION;
+    }
+
+    // Validate JSON data against the full rf_test schema, collecting every error
     static validateFlightData(data) {
-        try {
-            // Check required fields
-            const required = ['timestamp', 'position_data'];
-            for (let field of required) {
-                if (!data[field]) {
-                    return { valid: false, error: `Missing required field: ${field}` };
-                }
-            }
+        return this.summarizeValidation(FlightDataValidator.validate(data));
+    }
 
-            // Check position_data format
-            if (!Array.isArray(data.position_data) || data.position_data.length === 0) {
-                return { valid: false, error: 'Position data must be a non-empty array' };
-            }
+    // FlightDataValidator result with a one-line summary of the first errors
+    static summarizeValidation(result) {
+        if (result.valid) {
+            return { valid: true, errors: [] };
+        }
 
-            // Validate position_data structure - only basic fields needed
-            const firstPoint = data.position_data[0];
-            const requiredPointFields = ['x', 'y', 'z', 'time'];
-            for (let field of requiredPointFields) {
-                if (firstPoint[field] === undefined) {
-                    return { valid: false, error: `Missing field '${field}' in position data` };
-                }
-            }
+        // Short summary for the toast, the full list goes in errors
+        const shown = result.errors.slice(0, 3).map(e => FlightDataValidator.formatError(e));
+        const remaining = result.errors.length - shown.length;
+        let summary = shown.join('; ');
+        if (remaining > 0) summary += ` (and ${remaining} more)`;
 
-            return { valid: true };
-        } catch (error) {
-            return { valid: false, error: 'Data format error: ' + error.message };
-        }
+        return {
+            valid: false,
+            error: summary,
+            errors: result.errors.map(e => ({ ...e, text: FlightDataValidator.formatError(e) })),
+            truncated: result.truncated
+        };
     }
 
     // Process flight data - simplified version, keeping all required fields for controller
-    static processFlightData(jsonData, metadata) {
+    // errorOptions (see selectErrorOptions) re-scores the points instead of using the logged errors;
+    // the stored points always keep the logged values so the flight can be re-scored later.
+    // scoringProfile (see QualityScorer) grades the flight; the default profile when not given.
+    // metadata.dataQuality is the FlightDataCleaner report of the points before cleaning; without one
+    // the points are inspected as they are.
+    static processFlightData(jsonData, metadata, errorOptions = null, scoringProfile = null) {
         const flightName = metadata.flightName || `Flight_${jsonData.timestamp}`;
 
-        // Extract and simplify position data
-        const processedPositions = jsonData.position_data.map(point => ({
-            x: point.x,
-            y: point.y,
-            z: point.z,
-            time: point.time,
-            error: point.error || 0, // Default value is 0
-            phase: point.phase || 'transit'
-        }));
+        // Keep the full point record so stored flights can be re-analyzed
+        const processedPositions = jsonData.position_data.map(point => this.processPoint(point));
+
+        const sequence = jsonData.sequence || [];
+        this.fillMissingErrors(processedPositions, sequence, jsonData.error_calculation?.vertical_mode);
+
+        const resolvedOptions = errorOptions ? this.resolveErrorOptions(errorOptions, jsonData) : null;
+        const scoredPositions = TrajectoryAnalyzer.applyErrorOptions(processedPositions, sequence, resolvedOptions);
 
         // Basic statistical analysis
-        const basicAnalysis = this.calculateBasicAnalysis(processedPositions);
+        const basicAnalysis = this.calculateBasicAnalysis(scoredPositions, resolvedOptions);
+        if (resolvedOptions) {
+            basicAnalysis.errorOptions = { ...resolvedOptions, source: errorOptions.source || 'query' };
+        }
+        if (jsonData.battery) {
+            basicAnalysis.battery = {
+                startVoltage: jsonData.battery.start_voltage,
+                minimumRequired: jsonData.battery.minimum_required
+            };
+        }
+        if (jsonData.command_stats) {
+            basicAnalysis.commandStats = {
+                sent: jsonData.command_stats.sent,
+                dropped: jsonData.command_stats.dropped,
+                totalAttempts: jsonData.command_stats.total_attempts
+            };
+        }
+        if (jsonData.error_calculation) {
+            basicAnalysis.errorCalculation = {
+                method: jsonData.error_calculation.method,
+                verticalMode: jsonData.error_calculation.vertical_mode
+            };
+        }
 
-        // Simplified trajectory analysis
-        const trajectoryReport = TrajectoryAnalyzer.generateTrajectoryReport(jsonData);
+        // Trajectory analysis runs on the processed points, exactly as a later re-analysis from the database would
+        const trajectoryReport = TrajectoryAnalyzer.generateTrajectoryReport({
+            ...jsonData,
+            position_data: processedPositions
+        }, { errorOptions: resolvedOptions });
 
-        return {
+        // Communication and network analysis from command_stats, timing and per-point data
+        const networkAnalysis = PerformanceAnalyzer.analyzeNetwork(jsonData, scoredPositions);
+        const performanceMetrics = PerformanceAnalyzer.calculatePerformanceMetrics(jsonData, scoredPositions, networkAnalysis);
+
+        const processed = {
             flightName,
+            analysisVersion: ANALYSIS_VERSION,
             timestamp: jsonData.timestamp,
             sequence: jsonData.sequence || [],
             positionData: processedPositions,
             analysis: basicAnalysis,
             trajectoryAnalysis: trajectoryReport,
-            performanceMetrics: this.createMockPerformanceMetrics(),
-            networkAnalysis: this.createMockNetworkAnalysis(),
-            qualityAssessment: this.calculateSimpleQualityScore(basicAnalysis)
+            performanceMetrics,
+            networkAnalysis,
+            // Uploaded position_accuracy next to the server's recomputation of it
+            accuracyCheck: PositionAccuracyChecker.check(jsonData, processedPositions),
+            dataQuality: metadata.dataQuality || FlightDataCleaner.inspect(jsonData.position_data)
         };
+        processed.qualityAssessment = this.calculateQualityScore(processed, scoringProfile || undefined);
+
+        return processed;
     }
 
-    // Calculate basic analysis data - keep only necessary statistics
-    static calculateBasicAnalysis(positions) {
-        const errors = positions.map(p => p.error).filter(e => e !== undefined);
-        const waypointPositions = positions.filter(p => p.phase === 'waypoint');
+    // Logs without a per-point error get the deviation computed from the planned path; without a
+    // plan the error stays unknown, so the flight is not graded on accuracy or stability
+    static fillMissingErrors(positions, sequence, verticalMode) {
+        if (!sequence || sequence.length === 0) return;
+        positions.forEach(point => {
+            if (point.error !== undefined) return;
+            point.error = TrajectoryAnalyzer.computePointDeviation(point, sequence, { verticalMode }).error;
+            point.errorComputed = true;
+        });
+    }
 
-        // Calculate statistics
-        const overallStats = this.calculateStats(errors);
-        const waypointErrors = waypointPositions.map(p => p.error).filter(e => e !== undefined);
-        const waypointStats = this.calculateStats(waypointErrors);
+    // Parse error calculation options from a query string or profile, accepting camelCase or
+    // position_accuracy.config names. Returns { options, errors }; options is null when none are set.
+    static parseErrorOptions(source) {
+        const options = {};
+        const errors = [];
+        if (!source) return { options: null, errors };
+
+        Object.entries(ERROR_OPTION_KEYS).forEach(([key, configKey]) => {
+            const raw = source[key] !== undefined ? source[key] : source[configKey];
+            if (raw === undefined || raw === null || raw === '') return;
+
+            if (key === 'heightWeight') {
+                const value = Number(raw);
+                if (!Number.isFinite(value) || value < 0 || value > MAX_HEIGHT_WEIGHT) {
+                    errors.push(`${key} must be a number between 0 and ${MAX_HEIGHT_WEIGHT}`);
+                } else {
+                    options.heightWeight = value;
+                }
+            } else if (key === 'verticalMode') {
+                if (!VERTICAL_MODES.includes(raw)) {
+                    errors.push(`${key} must be one of: ${VERTICAL_MODES.join(', ')}`);
+                } else {
+                    options.verticalMode = raw;
+                }
+            } else if (raw === true || raw === 'true') {
+                options.excludeTransit = true;
+            } else if (raw === false || raw === 'false') {
+                options.excludeTransit = false;
+            } else {
+                errors.push(`${key} must be true or false`);
+            }
+        });
 
-        // Calculate response time (flight duration)
-        const responseTime = positions.length > 0 ?
-            positions[positions.length - 1].time - positions[0].time : 0;
+        return { options: Object.keys(options).length > 0 ? options : null, errors };
+    }
 
-        return {
-            totalPoints: positions.length,
-            waypointPoints: waypointPositions.length,
-            transitPoints: positions.length - waypointPositions.length,
-            responseTime: responseTime,
+    // Query parameters override the saved profile settings; neither means the logged errors are used
+    static selectErrorOptions(query, profileSettings) {
+        const fromQuery = this.parseErrorOptions(query);
+        if (fromQuery.errors.length > 0) return { options: null, errors: fromQuery.errors };
 
-            positionAccuracy: {
-                overall: overallStats,
-                waypoint: {
-                    ...waypointStats,
-                    count: waypointPositions.length,
-                    percentage: (waypointPositions.length / positions.length) * 100
-                }
-            }
+        const fromProfile = this.parseErrorOptions(profileSettings);
+        if (fromQuery.options) {
+            return { options: { ...fromProfile.options, ...fromQuery.options, source: 'query' }, errors: [] };
+        }
+        if (fromProfile.options) {
+            return { options: { ...fromProfile.options, source: 'profile' }, errors: [] };
+        }
+        return { options: null, errors: [] };
+    }
+
+    // Fill unset options with the defaults: unweighted height, the flight's own vertical mode, all points
+    static resolveErrorOptions(errorOptions, flightData) {
+        return {
+            heightWeight: errorOptions.heightWeight ?? 1,
+            verticalMode: errorOptions.verticalMode || flightData.error_calculation?.vertical_mode || 'path',
+            excludeTransit: errorOptions.excludeTransit ?? false
         };
     }
 
-    // Calculate simple quality score
-    static calculateSimpleQualityScore(analysis) {
-        // Calculate simple score based on accuracy (0-100)
-        const avgError = analysis.positionAccuracy.overall.average;
+    // Normalize a raw rf_test point into the stored positionData shape
+    static processPoint(point) {
+        const processed = {
+            x: point.x,
+            y: point.y,
+            z: point.z,
+            time: point.time,
+            phase: point.phase || 'transit'
+        };
+
+        // Missing errors are filled in from the planned path by processFlightData
+        if (typeof point.error === 'number') {
+            processed.error = point.error;
+        }
+
+        if (point.target) {
+            processed.target = { x: point.target.x, y: point.target.y, z: point.target.z };
+        }
+
+        // Optional per-point fields, copied only when the log has them
+        const optionalFields = ['error_xy', 'error_z', 'stabilized', 'sequence_index', 'position_index', 'transition_progress', 'networkQuality'];
+        optionalFields.forEach(field => {
+            if (point[field] !== undefined && point[field] !== null) {
+                processed[field] = point[field];
+            }
+        });
+
+        return processed;
+    }
 
-        // Convert error to score: smaller error = higher score
-        // Assume 0.01m error = 100 points, 0.1m error = 50 points
-        let accuracyScore = Math.max(0, 100 - (avgError * 1000));
-        accuracyScore = Math.min(100, accuracyScore);
+    // Rebuild the raw rf_test layout from a stored flight for TrajectoryAnalyzer
+    static buildAnalysisInput(flight) {
+        const positions = (flight.positionData || []).map(point => {
+            const plain = typeof point.toObject === 'function' ? point.toObject() : { ...point };
+            // Errors the server filled in are recomputed with the current pipeline
+            if (plain.errorComputed) {
+                delete plain.error;
+                delete plain.errorComputed;
+            }
+            return plain;
+        });
+        const rf = flight.networkAnalysis?.rfConditions;
 
         return {
-            overallScore: Math.round(accuracyScore),
-            breakdown: {
-                accuracy: Math.round(accuracyScore)
-            },
-            grade: this.assignQualityGrade(accuracyScore)
+            timestamp: flight.timestamp,
+            position_data: positions,
+            sequence: flight.sequence || [],
+            // analysis.responseTime is the flight duration; the upload's response_time is the startup delay
+            response_time: flight.performanceMetrics?.timeEfficiency?.idleTime ?? undefined,
+            rf_conditions: rf && [rf.bandwidthKbps, rf.latencyMs, rf.packetLossRate].some(v => typeof v === 'number') ? {
+                bandwidth_kbps: rf.bandwidthKbps ?? undefined,
+                latency_ms: rf.latencyMs ?? undefined,
+                packet_loss_rate: rf.packetLossRate ?? undefined
+            } : undefined,
+            battery: typeof flight.analysis?.battery?.startVoltage === 'number' ? {
+                start_voltage: flight.analysis.battery.startVoltage,
+                minimum_required: flight.analysis.battery.minimumRequired
+            } : undefined,
+            command_stats: typeof flight.analysis?.commandStats?.totalAttempts === 'number' ? {
+                sent: flight.analysis.commandStats.sent,
+                dropped: flight.analysis.commandStats.dropped,
+                total_attempts: flight.analysis.commandStats.totalAttempts
+            } : undefined,
+            position_accuracy: flight.accuracyCheck?.onboard || undefined,
+            error_calculation: flight.analysis?.errorCalculation ? {
+                method: flight.analysis.errorCalculation.method,
+                vertical_mode: flight.analysis.errorCalculation.verticalMode
+            } : undefined
         };
     }
 
-    // Create mock performance metrics to avoid controller errors
-    static createMockPerformanceMetrics() {
-        return {
-            communicationEfficiency: {
-                reliability: 95.0
-            }
+    // Calculate basic analysis data - keep only necessary statistics
+    static calculateBasicAnalysis(positions, errorOptions = null) {
+        const subsets = {
+            all: positions,
+            waypoint: positions.filter(p => p.phase === 'waypoint'),
+            transit: positions.filter(p => p.phase !== 'waypoint')
         };
+        // Statistics for one error field over a set of points
+        const statsFor = (subset, field) =>
+            this.calculateStats(subsets[subset].map(p => p[field]).filter(e => typeof e === 'number'));
+
+        // Calculate response time (flight duration)
+        const responseTime = positions.length > 0 ?
+            positions[positions.length - 1].time - positions[0].time : 0;
+
+        return this.assembleBasicAnalysis(statsFor, {
+            all: positions.length,
+            waypoint: subsets.waypoint.length
+        }, responseTime, errorOptions);
     }
 
-    // Create mock network analysis to avoid controller errors
-    static createMockNetworkAnalysis() {
+    /**
+     * The analysis block from statsFor(subset, field), the calculateStats of one error field over the points
+     * of a subset (all, waypoint or transit), and the point counts, so one-pass statistics of a streamed
+     * flight (see FlightStreamIngest) fill the same layout
+     */
+    static assembleBasicAnalysis(statsFor, counts, responseTime, errorOptions = null) {
+        // The points that count towards the headline score, as in the onboard valid_errors bucket
+        const valid = errorOptions?.excludeTransit ? 'waypoint' : 'all';
+        const phaseStats = field => ({
+            overall: statsFor('all', field),
+            waypoint: statsFor('waypoint', field),
+            transit: statsFor('transit', field)
+        });
+
         return {
-            impactAssessment: {
-                performanceImpact: 5.0
+            totalPoints: counts.all,
+            waypointPoints: counts.waypoint,
+            transitPoints: counts.all - counts.waypoint,
+            responseTime: responseTime,
+
+            positionAccuracy: {
+                overall: statsFor('all', 'error'),
+                waypoint: {
+                    ...statsFor('waypoint', 'error'),
+                    percentage: (counts.waypoint / counts.all) * 100
+                },
+                transit: {
+                    ...statsFor('transit', 'error'),
+                    percentage: ((counts.all - counts.waypoint) / counts.all) * 100
+                },
+                valid: statsFor(valid, 'error'),
+                xyPlane: phaseStats('error_xy'),
+                height: phaseStats('error_z')
             }
         };
     }
 
-    // Assign quality grade
-    static assignQualityGrade(score) {
-        if (score >= 90) return 'A';
-        if (score >= 80) return 'B';
-        if (score >= 70) return 'C';
-        if (score >= 60) return 'D';
-        return 'F';
+    // Multi-factor quality score of a processed flight or stored document against a scoring profile
+    static calculateQualityScore(flight, profile) {
+        return QualityScorer.score(QualityScorer.extractMetrics(flight), profile);
     }
 
     // Helper method: calculate statistics
+    // confidence95 is the normal-approximation half-width, as in the rf_test confidence_95 fields;
+    // ci95Lower/ci95Upper are a percentile bootstrap interval for the mean
     static calculateStats(values) {
         if (!values || values.length === 0) {
-            return { average: 0, median: 0, min: 0, max: 0 };
+            return {
+                count: 0, average: 0, median: 0, min: 0, max: 0, stdDev: 0, rms: 0,
+                p50: 0, p90: 0, p95: 0, p99: 0, confidence95: 0, ci95Lower: 0, ci95Upper: 0
+            };
         }
 
         const sorted = values.slice().sort((a, b) => a - b);
-        const sum = values.reduce((a, b) => a + b, 0);
+        const count = values.length;
+        const average = values.reduce((a, b) => a + b, 0) / count;
+        const stdDev = Math.sqrt(values.reduce((sum, v) => sum + Math.pow(v - average, 2), 0) / count);
+        const ci = this.bootstrapMeanCI(values);
 
         return {
-            average: sum / values.length,
-            median: sorted[Math.floor(sorted.length / 2)],
+            count,
+            average,
+            median: this.calculatePercentile(sorted, 50),
             min: sorted[0],
-            max: sorted[sorted.length - 1]
+            max: sorted[count - 1],
+            stdDev,
+            rms: Math.sqrt(values.reduce((sum, v) => sum + v * v, 0) / count),
+            p50: this.calculatePercentile(sorted, 50),
+            p90: this.calculatePercentile(sorted, 90),
+            p95: this.calculatePercentile(sorted, 95),
+            p99: this.calculatePercentile(sorted, 99),
+            confidence95: Z_95 * stdDev / Math.sqrt(count),
+            ci95Lower: ci.lower,
+            ci95Upper: ci.upper
+        };
+    }
+
+    // Percentile of an ascending array, interpolating between the closest ranks
+    static calculatePercentile(sorted, percentile) {
+        if (sorted.length === 0) return 0;
+        const rank = (percentile / 100) * (sorted.length - 1);
+        const lower = Math.floor(rank);
+        const upper = Math.ceil(rank);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+    }
+
+    // Percentile bootstrap 95% interval for the mean
+    static bootstrapMeanCI(values, resamples = BOOTSTRAP_RESAMPLES) {
+        const random = this.createRandom(BOOTSTRAP_SEED);
+        const means = [];
+
+        for (let r = 0; r < resamples; r++) {
+            let sum = 0;
+            for (let i = 0; i < values.length; i++) {
+                sum += values[Math.floor(random() * values.length)];
+            }
+            means.push(sum / values.length);
+        }
+
+        means.sort((a, b) => a - b);
+        return {
+            lower: this.calculatePercentile(means, 2.5),
+            upper: this.calculatePercentile(means, 97.5)
         };
     }
 
-    // Generate 3D visualization data - simplified version
-    static generate3DVisualizationData(flightData) {
-        const trajectory = flightData.positionData.map((point, index) => ({
+    // Seeded PRNG (mulberry32) returning floats in [0, 1)
+    static createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * 3D visualization data of a flight. positions are the points to draw, by default every stored point;
+     * downsampling describes how they were chosen (see TimeSeriesDownsampler) and is passed through.
+     */
+    static generate3DVisualizationData(flightData, positions = flightData.positionData, downsampling = null) {
+        const trajectory = positions.map(point => ({
             position: [point.x, point.y, point.z],
             time: point.time,
             error: point.error,
@@ -173,7 +423,7 @@ class UAVDataProcessor {
         const avgError = flightData.analysis.positionAccuracy.overall.average;
         const errorThreshold = avgError * 1.5;
 
-        const errorIndicators = flightData.positionData
+        const errorIndicators = positions
             .filter(point => point.error > errorThreshold)
             .map(point => ({
                 position: [point.x, point.y, point.z],
@@ -187,8 +437,9 @@ class UAVDataProcessor {
             sequence: flightData.sequence || [],
             flightName: flightData.flightName,
             metadata: {
-                totalPoints: flightData.positionData.length,
-                averageAccuracy: flightData.analysis.positionAccuracy.overall.average
+                totalPoints: flightData.analysis.totalPoints ?? flightData.positionData.length,
+                averageAccuracy: flightData.analysis.positionAccuracy.overall.average,
+                downsampling
             }
         };
     }
@@ -226,43 +477,172 @@ class UAVDataProcessor {
                 waypointPercentage: `${((analysis.waypointPoints / analysis.totalPoints) * 100).toFixed(1)}%`
             },
 
-            dataQuality: {
-                completeness: `${((analysis.totalPoints - 0) / analysis.totalPoints * 100).toFixed(1)}%`,
-                reliability: 'High',
-                processingTime: new Date().toISOString()
-            }
+            dataQuality: this.reportDataQuality(flightData)
+        };
+    }
+
+    // dataQuality section of generateReport, from the flight's FlightDataCleaner report (flights stored
+    // before there was one are inspected from their points)
+    static reportDataQuality(flightData) {
+        const summary = FlightDataCleaner.summarize(
+            flightData.dataQuality?.pointCount ? flightData.dataQuality : FlightDataCleaner.inspect(flightData.positionData)
+        );
+        const suspect = summary.spikes + summary.duplicateTimes + summary.backwardsTimes + summary.nonFinite;
+        let reliability = 'High';
+        if (summary.completeness < 0.8 || suspect > 0.05 * flightData.analysis.totalPoints) reliability = 'Low';
+        else if (summary.completeness < 0.95 || suspect > 0 || summary.gaps > 0) reliability = 'Medium';
+
+        return {
+            completeness: `${(summary.completeness * 100).toFixed(1)}%`,
+            reliability,
+            sampleRate: summary.nominalRate !== null ? `${summary.nominalRate.toFixed(1)} Hz` : 'N/A',
+            gaps: summary.gaps,
+            gapDuration: `${summary.gapDuration.toFixed(2)}s`,
+            spikes: summary.spikes,
+            positionJumps: summary.jumps,
+            duplicateTimestamps: summary.duplicateTimes,
+            backwardsTimestamps: summary.backwardsTimes,
+            invalidPoints: summary.nonFinite,
+            removedPoints: summary.removed,
+            resampledTo: summary.resampleRate ? `${summary.resampleRate} Hz` : null,
+            processingTime: new Date().toISOString()
         };
     }
 
     // Generate simple analysis result for socket.io
     static generateSimpleAnalysisResult(flightData) {
-        const analysis = flightData.analysis;
         const positions = flightData.positionData;
 
         // Calculate flight duration
         const duration = positions.length > 0 ?
             positions[positions.length - 1].time - positions[0].time : 0;
 
-        // Calculate simple speed statistics
-        let totalDistance = 0;
-        for (let i = 1; i < positions.length; i++) {
-            const curr = positions[i];
-            const prev = positions[i - 1];
-            totalDistance += Math.sqrt(
-                Math.pow(curr.x - prev.x, 2) +
-                Math.pow(curr.y - prev.y, 2) +
-                Math.pow(curr.z - prev.z, 2)
-            );
-        }
-
+        // Average speed over the whole flight, max speed measured from the smoothed velocity series
+        const totalDistance = TrajectoryAnalyzer.calculateActualDistance(positions);
         const avgSpeed = duration > 0 ? totalDistance / duration : 0;
-        const maxSpeed = avgSpeed * 1.5; // Estimate max speed
+        const maxSpeed = TrajectoryAnalyzer.analyzeVelocity(positions).maxVelocity;
 
         return {
             avgSpeed: parseFloat(avgSpeed.toFixed(2)),
             maxSpeed: parseFloat(maxSpeed.toFixed(2)),
             duration: Math.round(duration),
-            errorRate: parseFloat((analysis.positionAccuracy.overall.average * 100).toFixed(2)) // Convert error to percentage
+            distance: parseFloat(totalDistance.toFixed(2))
+        };
+    }
+
+    // Copy of a stored flight's analysis for an AnalysisReport, so the report keeps its numbers
+    // after the flight is re-analyzed or deleted. Values the flight has no data for are left out.
+    static buildReportSnapshot(flight) {
+        const data = typeof flight.toObject === 'function' ? flight.toObject() : flight;
+        const accuracy = data.analysis?.positionAccuracy || {};
+        const detailed = data.trajectoryAnalysis?.detailed || {};
+        const phases = detailed.phaseAnalysis || {};
+        const stability = detailed.stabilityMetrics || {};
+        const efficiency = detailed.trajectoryEfficiency || {};
+        const time = data.performanceMetrics?.timeEfficiency || {};
+        const energy = data.performanceMetrics?.energyEfficiency || {};
+        const communication = data.performanceMetrics?.communicationEfficiency || {};
+        const network = data.networkAnalysis || {};
+        const quality = data.qualityAssessment || {};
+
+        return {
+            source: {
+                timestamp: data.timestamp,
+                analysisVersion: data.analysisVersion,
+                analyzedAt: data.analyzedAt || data.createdAt,
+                pointCount: (data.positionData || []).length,
+                waypointCount: (data.sequence || []).length
+            },
+            parameters: {
+                errorOptions: data.analysis?.errorOptions,
+                errorCalculation: data.analysis?.errorCalculation,
+                scoringProfile: quality.profile
+            },
+            accuracy: {
+                overall: accuracy.overall,
+                waypoint: accuracy.waypoint,
+                transit: accuracy.transit,
+                valid: accuracy.valid,
+                xyPlane: accuracy.xyPlane?.overall,
+                height: accuracy.height?.overall
+            },
+            phases: {
+                waypoint: {
+                    count: phases.waypointAnalysis?.count,
+                    percentage: accuracy.waypoint?.percentage,
+                    averageError: phases.waypointAnalysis?.averageError,
+                    averageDwellTime: phases.waypointAnalysis?.averageDwellTime,
+                    stabilizationRate: phases.waypointAnalysis?.stabilizationRate
+                },
+                transit: {
+                    count: phases.transitAnalysis?.count,
+                    percentage: accuracy.transit?.percentage,
+                    averageError: phases.transitAnalysis?.averageError,
+                    averageSpeed: phases.transitAnalysis?.averageSpeed,
+                    smoothnessIndex: phases.transitAnalysis?.smoothnessIndex
+                },
+                transitions: {
+                    count: phases.phaseTransitions?.totalTransitions,
+                    averageError: phases.phaseTransitions?.averageTransitionError
+                }
+            },
+            segments: (detailed.segmentAnalysis || []).map(segment => ({
+                sequenceIndex: segment.sequenceIndex,
+                from: segment.from,
+                to: segment.to,
+                transitTime: segment.transitTime,
+                holdTime: segment.holdTime,
+                timeToStabilize: segment.timeToStabilize,
+                holdMeanError: segment.holdMeanError,
+                holdMaxError: segment.holdMaxError,
+                overshoot: segment.overshoot,
+                pathEfficiency: segment.pathEfficiency
+            })),
+            efficiency: {
+                actualDistance: efficiency.actualDistance,
+                idealDistance: efficiency.idealDistance,
+                efficiencyRatio: efficiency.efficiencyRatio,
+                excessDistance: efficiency.excessDistance,
+                totalFlightTime: time.totalFlightTime,
+                activeFlightTime: time.activeFlightTime,
+                idleTime: time.idleTime,
+                timeEfficiency: time.efficiencyRatio
+            },
+            stability: {
+                overallScore: stability.overallStabilityScore,
+                stabilizationRatio: stability.stabilizationRatio,
+                averageJitter: stability.jitterMetrics?.averageJitter,
+                maxJitter: stability.jitterMetrics?.maxJitter,
+                altitudeStability: detailed.altitudeProfile?.altitudeStability,
+                smoothnessIndex: detailed.velocityAnalysis?.smoothnessIndex,
+                pathSmoothness: detailed.turnAnalysis?.pathSmoothness
+            },
+            communication: {
+                commandsSent: communication.commandsSent,
+                commandsDropped: communication.commandsDropped,
+                totalAttempts: communication.totalAttempts,
+                successRate: communication.successRate,
+                dropRate: communication.dropRate,
+                commandRate: communication.commandRate,
+                responseTime: communication.responseTime,
+                averageNetworkQuality: network.qualityStats?.average,
+                qualitySource: network.qualitySource,
+                degradationEvents: (network.degradationEvents || []).length,
+                performanceImpact: network.impactAssessment?.performanceImpact
+            },
+            battery: {
+                startVoltage: data.analysis?.battery?.startVoltage,
+                minimumRequired: data.analysis?.battery?.minimumRequired,
+                estimated: energy.estimated,
+                batteryUtilization: energy.batteryUtilization,
+                energyPerMeter: energy.energyPerMeter,
+                projectedFlightTime: energy.projectedFlightTime
+            },
+            quality: {
+                overallScore: quality.overallScore,
+                grade: quality.grade,
+                breakdown: quality.breakdown
+            }
         };
     }
 }
@@ -0,0 +1,75 @@
+// Reads the members of a ZIP archive uploaded for a batch upload
+const path = require('path');
+const yauzl = require('yauzl');
+
+const MAX_ARCHIVE_FILES = 200;
+// Per member, the same as the single-file upload limit
+const MAX_MEMBER_BYTES = 50 * 1024 * 1024;
+// Whole archive once unpacked, so a small upload cannot expand without bound
+const MAX_UNCOMPRESSED_BYTES = 200 * 1024 * 1024;
+
+class UploadArchive {
+
+    static isArchive(fileName) {
+        return path.extname(fileName).toLowerCase() === '.zip';
+    }
+
+    // Folder entries and the metadata macOS adds when compressing
+    static isSkipped(name) {
+        const base = path.posix.basename(name);
+        return name.endsWith('/') || name.startsWith('__MACOSX/') || base.startsWith('._') || base === '.DS_Store';
+    }
+
+    /**
+     * Members of the archive at filePath in archive order, as { name, content: Buffer } or, for a member
+     * that cannot be read, { name, error }. Rejects when the archive itself is unreadable or over the limits.
+     */
+    static read(filePath) {
+        return new Promise((resolve, reject) => {
+            yauzl.open(filePath, { lazyEntries: true }, (openError, zipfile) => {
+                if (openError) return reject(new Error('Invalid ZIP archive: ' + openError.message));
+
+                const members = [];
+                let totalBytes = 0;
+                const fail = message => {
+                    zipfile.close();
+                    reject(new Error(message));
+                };
+                const next = member => {
+                    if (member) members.push(member);
+                    zipfile.readEntry();
+                };
+
+                zipfile.on('error', error => fail('Invalid ZIP archive: ' + error.message));
+                zipfile.on('end', () => resolve(members));
+                zipfile.on('entry', entry => {
+                    const name = entry.fileName;
+                    if (this.isSkipped(name)) return next();
+                    if (members.length >= MAX_ARCHIVE_FILES) {
+                        return fail(`The archive has more than ${MAX_ARCHIVE_FILES} files`);
+                    }
+                    if (entry.isEncrypted()) return next({ name, error: 'Encrypted archive members are not supported' });
+                    if (entry.uncompressedSize > MAX_MEMBER_BYTES) {
+                        return next({ name, error: `File is larger than ${MAX_MEMBER_BYTES / 1024 / 1024} MB` });
+                    }
+                    // yauzl checks the stream against the declared size, so the total can be trusted
+                    totalBytes += entry.uncompressedSize;
+                    if (totalBytes > MAX_UNCOMPRESSED_BYTES) {
+                        return fail(`The archive unpacks to more than ${MAX_UNCOMPRESSED_BYTES / 1024 / 1024} MB`);
+                    }
+
+                    zipfile.openReadStream(entry, (streamError, stream) => {
+                        if (streamError) return next({ name, error: streamError.message });
+                        const chunks = [];
+                        stream.on('data', chunk => chunks.push(chunk));
+                        stream.on('error', error => next({ name, error: error.message }));
+                        stream.on('end', () => next({ name, content: Buffer.concat(chunks) }));
+                    });
+                });
+                zipfile.readEntry();
+            });
+        });
+    }
+}
+
+module.exports = UploadArchive;
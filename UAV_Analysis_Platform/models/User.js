@@ -26,7 +26,13 @@ const userSchema = new mongoose.Schema({
         preferences: {
             theme: { type: String, default: 'light' },
             units: { type: String, default: 'metric' },
-            notifications: { type: Boolean, default: true }
+            notifications: { type: Boolean, default: true },
+            // Default error calculation options for analysis runs (see UAVDataProcessor.selectErrorOptions)
+            errorCalculation: {
+                heightWeight: Number,
+                verticalMode: String,
+                excludeTransit: Boolean
+            }
         }
     }
 }, {
@@ -45,4 +51,16 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
     return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Saved error calculation options, or null for users who never set them
+userSchema.statics.getErrorCalculationSettings = async function(userId) {
+    const user = await this.findById(userId).select('profile.preferences.errorCalculation');
+    return user?.profile?.preferences?.errorCalculation || null;
+};
+
+// Organization the user shares scoring profiles with, or null
+userSchema.statics.getOrganization = async function(userId) {
+    const user = await this.findById(userId).select('profile.organization');
+    return user?.profile?.organization || null;
+};
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -0,0 +1,134 @@
+// ArduPilot dataflash logs in text form (mavlogdump.py, MAVExplorer or Mission Planner "convert to
+// text"): comma-separated messages whose columns are declared by FMT lines. Position is the EKF3
+// (XKF1) or EKF2 (NKF1) primary core's north/east/down, the setpoint comes from the position
+// controller messages PSCN/PSCE/PSCD, and GPS week time gives the flight its start time.
+const FlightBuilder = require('./FlightBuilder');
+
+const EKF_MESSAGES = ['XKF1', 'NKF1'];
+const TARGET_MESSAGES = { PSCN: 'north', PSCE: 'east', PSCD: 'down' };
+const TARGET_FIELDS = { PSCN: 'TPN', PSCE: 'TPE', PSCD: 'TPD' };
+// GPS time starts 1980-01-06 and does not count leap seconds
+const GPS_EPOCH = 315964800;
+const GPS_LEAP_SECONDS = 18;
+const SECONDS_PER_WEEK = 604800;
+const GPS_FIX_3D = 3;
+const EARTH_RADIUS = 6378137;
+
+class ArduPilotLogImporter {
+
+    static get id() {
+        return 'ardupilot-log';
+    }
+
+    static get label() {
+        return 'ArduPilot dataflash (text)';
+    }
+
+    static get extensions() {
+        return ['.log', '.txt', '.csv'];
+    }
+
+    static get description() {
+        return 'Dataflash logs converted to text, with FMT, XKF1/NKF1, PSCN/PSCE/PSCD, BAT and GPS messages';
+    }
+
+    static detect(head) {
+        return /^FMT,/m.test(head);
+    }
+
+    static parse(text, options = {}) {
+        const warnings = [];
+        const formats = {};
+        const ekf = [];
+        const gps = [];
+        const target = {};
+        let voltage = null;
+        let clock = null;
+
+        text.split(/\r?\n/).forEach(line => {
+            const parts = line.split(',').map(part => part.trim());
+            if (parts.length < 2) return;
+            if (parts[0] === 'FMT') {
+                // FMT, Type, Length, Name, Format, Columns...
+                if (parts[3]) formats[parts[3]] = parts.slice(5);
+                return;
+            }
+            const columns = formats[parts[0]];
+            if (!columns) return;
+            const field = name => {
+                const index = columns.indexOf(name);
+                if (index === -1 || parts[index + 1] === undefined || parts[index + 1] === '') return null;
+                const value = Number(parts[index + 1]);
+                return Number.isFinite(value) ? value : null;
+            };
+            const timeUs = field('TimeUS');
+            if (timeUs === null) return;
+            const time = timeUs / 1e6;
+            const message = parts[0];
+
+            if (EKF_MESSAGES.includes(message)) {
+                // Only the primary core; logs from before multi-core EKF have no C column
+                if ((field('C') ?? 0) !== 0) return;
+                ekf.push({
+                    time,
+                    ...FlightBuilder.fromNed(field('PN'), field('PE'), field('PD')),
+                    target: this.currentTarget(target),
+                    voltage
+                });
+            } else if (TARGET_MESSAGES[message]) {
+                target[TARGET_MESSAGES[message]] = field(TARGET_FIELDS[message]);
+            } else if (message === 'BAT') {
+                voltage = field('Volt') ?? voltage;
+            } else if (message === 'POS') {
+                gps.push({ time, lat: field('Lat'), lng: field('Lng'), alt: field('Alt'), voltage });
+            } else if (message === 'GPS' && clock === null) {
+                const week = field('GWk');
+                const ms = field('GMS');
+                if ((field('Status') ?? 0) >= GPS_FIX_3D && week > 0 && ms !== null) {
+                    clock = GPS_EPOCH + week * SECONDS_PER_WEEK + ms / 1000 - GPS_LEAP_SECONDS - time;
+                }
+            }
+        });
+
+        let samples = ekf;
+        if (samples.length === 0 && gps.length > 0) {
+            // EKF origin unknown, so setpoints cannot be placed against these positions
+            warnings.push('The log has no XKF1/NKF1 position; using POS relative to the first fix, without setpoints');
+            samples = this.fromGlobal(gps);
+        }
+        if (samples.length === 0) {
+            return { data: null, warnings, errors: ['The log has no XKF1, NKF1 or POS position messages'] };
+        }
+
+        // Boot-relative times become UTC when the log has a GPS fix and no start time was given
+        if (clock !== null && !options.startTime) {
+            samples = samples.map(sample => ({ ...sample, time: sample.time + clock }));
+        }
+
+        const result = FlightBuilder.build(samples, options);
+        return { ...result, warnings: [...warnings, ...result.warnings] };
+    }
+
+    // Setpoint in the platform frame once all three axes have been logged
+    static currentTarget(target) {
+        if ([target.north, target.east, target.down].some(v => v === null || v === undefined)) return null;
+        return FlightBuilder.fromNed(target.north, target.east, target.down);
+    }
+
+    // Flat-earth offsets of POS fixes from the first complete one
+    static fromGlobal(fixes) {
+        const origin = fixes.find(f => [f.lat, f.lng, f.alt].every(v => v !== null));
+        if (!origin) return [];
+        const toRadians = Math.PI / 180;
+        return fixes.map(fix => ({
+            time: fix.time,
+            x: fix.lng === null ? null : (fix.lng - origin.lng) * toRadians * EARTH_RADIUS * Math.cos(origin.lat * toRadians),
+            y: fix.lat === null ? null : (fix.lat - origin.lat) * toRadians * EARTH_RADIUS,
+            z: fix.alt === null ? null : fix.alt - origin.alt,
+            target: null,
+            voltage: fix.voltage
+        }));
+    }
+}
+
+module.exports = ArduPilotLogImporter;
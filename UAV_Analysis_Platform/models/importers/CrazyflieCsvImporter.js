@@ -0,0 +1,47 @@
+// Crazyflie log blocks saved as CSV by the cfclient logger or cflib: a millisecond timestamp and
+// dotted variable names such as stateEstimate.x. Positions are already x/y/z with z up.
+const CsvLog = require('./CsvLog');
+const FlightBuilder = require('./FlightBuilder');
+
+const COLUMNS = {
+    time: ['timestamp', 'Timestamp', 'time'],
+    x: ['stateEstimate.x', 'kalman.stateX'],
+    y: ['stateEstimate.y', 'kalman.stateY'],
+    z: ['stateEstimate.z', 'kalman.stateZ'],
+    targetX: ['ctrltarget.x', 'posCtl.targetX'],
+    targetY: ['ctrltarget.y', 'posCtl.targetY'],
+    targetZ: ['ctrltarget.z', 'posCtl.targetZ'],
+    voltage: ['pm.vbat']
+};
+
+class CrazyflieCsvImporter {
+
+    static get id() {
+        return 'crazyflie-csv';
+    }
+
+    static get label() {
+        return 'Crazyflie CSV';
+    }
+
+    static get extensions() {
+        return ['.csv'];
+    }
+
+    static get description() {
+        return 'stateEstimate (or kalman) position, ctrltarget setpoint and pm.vbat logged by cfclient or cflib';
+    }
+
+    static detect(head) {
+        const columns = CsvLog.parse(CsvLog.headerLine(head)).columns;
+        return CsvLog.findColumn(columns, COLUMNS.x) !== -1;
+    }
+
+    static parse(text, options = {}) {
+        const { samples, errors } = CsvLog.readSamples(CsvLog.parse(text), { ...COLUMNS, timeScale: 1e-3 });
+        if (errors.length > 0) return { data: null, warnings: [], errors };
+        return FlightBuilder.build(samples, options);
+    }
+}
+
+module.exports = CrazyflieCsvImporter;
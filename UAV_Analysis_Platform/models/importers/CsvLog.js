@@ -0,0 +1,141 @@
+// Comma-separated log parsing shared by the CSV importers
+const FlightBuilder = require('./FlightBuilder');
+
+class CsvLog {
+
+    /**
+     * Parse CSV text with a header row. Quoted fields may contain commas, quotes ("") and newlines;
+     * blank lines and lines starting with # are skipped. Returns { columns, rows } with rows as string arrays.
+     */
+    static parse(text) {
+        const records = this.records(text);
+        const columns = (records.shift() || []).map(name => name.trim());
+        return { columns, rows: records };
+    }
+
+    static records(text) {
+        const records = [];
+        let record = [];
+        let field = '';
+        let quoted = false;
+        let lineStart = true;
+
+        for (let i = 0; i < text.length; i++) {
+            const c = text[i];
+            if (quoted) {
+                if (c === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (c === '"') {
+                    quoted = false;
+                } else {
+                    field += c;
+                }
+                continue;
+            }
+
+            if (lineStart && c === '#') {
+                // Comment line
+                while (i < text.length && text[i] !== '\n') i++;
+                continue;
+            }
+            lineStart = false;
+
+            if (c === '"') {
+                quoted = true;
+            } else if (c === ',') {
+                record.push(field);
+                field = '';
+            } else if (c === '\n' || c === '\r') {
+                if (c === '\r' && text[i + 1] === '\n') i++;
+                record.push(field);
+                if (record.length > 1 || record[0].trim() !== '') records.push(record);
+                record = [];
+                field = '';
+                lineStart = true;
+            } else {
+                field += c;
+            }
+        }
+        record.push(field);
+        if (record.length > 1 || record[0].trim() !== '') records.push(record);
+        return records;
+    }
+
+    /**
+     * Index of the first column matching one of the names, compared case-insensitively with
+     * "/" and "." treated alike and leading separators ignored; -1 when none matches
+     */
+    static findColumn(columns, names) {
+        const normalize = name => name.trim().toLowerCase().replace(/\./g, '/').replace(/^\/+/, '');
+        const normalized = columns.map(normalize);
+        for (const name of names) {
+            const index = normalized.indexOf(normalize(name));
+            if (index !== -1) return index;
+        }
+        return -1;
+    }
+
+    /**
+     * Position samples for FlightBuilder from a parsed log. spec lists candidate column names per field:
+     * time, x, y, z (required), targetX/targetY/targetZ, voltage and phase (optional), plus timeScale
+     * (seconds per time unit), scale (metres per position unit) and ned for north/east/down columns
+     * (x north, y east, z down). Rows with a blank position belong to other topics of a merged log;
+     * their setpoint and voltage still carry forward. Returns { samples, errors }.
+     */
+    static readSamples({ columns, rows }, spec) {
+        const index = {};
+        const missing = [];
+        ['time', 'x', 'y', 'z', 'targetX', 'targetY', 'targetZ', 'voltage', 'phase'].forEach(field => {
+            index[field] = spec[field] ? this.findColumn(columns, spec[field]) : -1;
+            if (['time', 'x', 'y', 'z'].includes(field) && index[field] === -1) missing.push(spec[field][0]);
+        });
+        if (missing.length > 0) {
+            return { samples: [], errors: [`Missing column${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}`] };
+        }
+
+        const timeScale = spec.timeScale || 1;
+        const scale = spec.scale || 1;
+        const toFrame = (a, b, c) => {
+            const values = [a, b, c].map(v => v === null ? null : v * scale);
+            return spec.ned ? FlightBuilder.fromNed(...values) : { x: values[0], y: values[1], z: values[2] };
+        };
+
+        const samples = [];
+        let target = null;
+        let voltage = null;
+        rows.forEach(row => {
+            const setpoint = ['targetX', 'targetY', 'targetZ'].map(field => this.number(row, index[field]));
+            if (setpoint.every(v => v !== null)) target = toFrame(...setpoint);
+            voltage = this.number(row, index.voltage) ?? voltage;
+
+            if (index.x >= 0 && (row[index.x] === undefined || row[index.x].trim() === '')) return;
+            const time = this.number(row, index.time);
+            samples.push({
+                time: time === null ? null : time * timeScale,
+                ...toFrame(this.number(row, index.x), this.number(row, index.y), this.number(row, index.z)),
+                target,
+                voltage,
+                phase: index.phase >= 0 ? (row[index.phase] || '').trim().toLowerCase() : undefined
+            });
+        });
+        return { samples, errors: [] };
+    }
+
+    // Number in a cell, or null for blanks and values that are not finite numbers (e.g. "nan")
+    static number(row, index) {
+        if (index < 0 || row[index] === undefined) return null;
+        const text = row[index].trim();
+        if (text === '') return null;
+        const value = Number(text);
+        return Number.isFinite(value) ? value : null;
+    }
+
+    // First line of the text, for format detection
+    static headerLine(text) {
+        const end = text.search(/\r?\n/);
+        return end === -1 ? text : text.slice(0, end);
+    }
+}
+
+module.exports = CsvLog;
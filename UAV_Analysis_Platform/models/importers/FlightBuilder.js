@@ -0,0 +1,100 @@
+// Builds an rf_test flight document from position samples read out of another log format.
+// Logs of other autopilots record a position setpoint rather than our waypoint plan, so the plan is
+// rebuilt from the setpoints: each change of setpoint starts a new waypoint, and the vehicle is in
+// transit towards it until it first comes within the arrival radius, then holding at it.
+
+const DEFAULT_ARRIVAL_RADIUS = 0.1; // metres
+// Setpoints closer than this to the current waypoint are the same waypoint
+const WAYPOINT_TOLERANCE = 0.01;
+// Sample times above this are Unix epoch seconds rather than time since boot
+const EPOCH_THRESHOLD = 1e9;
+
+class FlightBuilder {
+
+    static get DEFAULT_ARRIVAL_RADIUS() {
+        return DEFAULT_ARRIVAL_RADIUS;
+    }
+
+    /**
+     * samples: [{ time (s), x, y, z, target: { x, y, z } | null, voltage?, phase? }] in the platform's
+     * x/y/z frame (z up). options: { startTime, arrivalRadius }.
+     * Returns { data, warnings, errors }.
+     */
+    static build(samples, { startTime = null, arrivalRadius = DEFAULT_ARRIVAL_RADIUS } = {}) {
+        const warnings = [];
+        const valid = samples.filter(s => [s.time, s.x, s.y, s.z].every(Number.isFinite));
+        if (valid.length < samples.length) {
+            warnings.push(`Skipped ${samples.length - valid.length} samples without a complete position and time`);
+        }
+        if (valid.length === 0) {
+            return { data: null, warnings, errors: ['The log has no position samples'] };
+        }
+        // Stable sort keeps samples logged at the same time in file order
+        valid.sort((a, b) => a.time - b.time);
+
+        // Times since boot are placed at the start time; epoch times are kept
+        const firstTime = valid[0].time;
+        const absolute = firstTime > EPOCH_THRESHOLD;
+        const startEpoch = absolute ? firstTime :
+            (startTime ? new Date(startTime).getTime() : Date.now()) / 1000;
+        const toEpoch = time => absolute ? time : startEpoch + (time - firstTime);
+
+        const sequence = [];
+        let phase = 'transit';
+        const positionData = valid.map((sample, i) => {
+            const point = { x: sample.x, y: sample.y, z: sample.z, time: toEpoch(sample.time), position_index: i };
+            const target = sample.target && [sample.target.x, sample.target.y, sample.target.z].every(Number.isFinite) ?
+                sample.target : null;
+
+            if (target) {
+                const current = sequence[sequence.length - 1];
+                if (!current || this.distance(current, [target.x, target.y, target.z]) > WAYPOINT_TOLERANCE) {
+                    sequence.push([target.x, target.y, target.z]);
+                    phase = 'transit';
+                }
+                const waypoint = sequence[sequence.length - 1];
+                if (phase === 'transit' && this.distance(waypoint, [sample.x, sample.y, sample.z]) <= arrivalRadius) {
+                    phase = 'waypoint';
+                }
+                point.target = { x: waypoint[0], y: waypoint[1], z: waypoint[2] };
+                point.sequence_index = sequence.length - 1;
+                point.phase = phase;
+            }
+            // A phase logged by the source wins over the derived one
+            if (sample.phase === 'waypoint' || sample.phase === 'transit') point.phase = sample.phase;
+            return point;
+        });
+
+        if (sequence.length === 0) {
+            warnings.push('The log has no position setpoints, so position error cannot be measured');
+        }
+
+        const data = {
+            timestamp: this.formatTimestamp(startEpoch),
+            position_data: positionData
+        };
+        if (sequence.length > 0) data.sequence = sequence;
+
+        const voltage = valid.find(s => Number.isFinite(s.voltage));
+        if (voltage) data.battery = { start_voltage: voltage.voltage };
+
+        return { data, warnings, errors: [] };
+    }
+
+    // rf_test YYYYMMDD_HHMMSS timestamp (UTC) of epoch seconds
+    static formatTimestamp(epochSeconds) {
+        const iso = new Date(epochSeconds * 1000).toISOString();
+        return `${iso.slice(0, 10).replace(/-/g, '')}_${iso.slice(11, 19).replace(/:/g, '')}`;
+    }
+
+    static distance(a, b) {
+        return Math.sqrt(Math.pow(a[0] - b[0], 2) + Math.pow(a[1] - b[1], 2) + Math.pow(a[2] - b[2], 2));
+    }
+
+    // North-east-down position (PX4, ArduPilot) in the platform frame: x east, y north, z up
+    static fromNed(north, east, down) {
+        return { x: east, y: north, z: down === null ? null : -down };
+    }
+}
+
+module.exports = FlightBuilder;
@@ -0,0 +1,108 @@
+// Any CSV with one row per position sample, read through a column mapping supplied with the upload:
+//   { "time": "t", "x": "pos_x", "y": "pos_y", "z": "pos_z",
+//     "targetX": "sp_x", "targetY": "sp_y", "targetZ": "sp_z", "phase": "mode", "voltage": "vbat",
+//     "timeUnit": "ms", "scale": 0.001, "frame": "ned" }
+// time, x, y and z are required; the setpoint columns go together.
+const CsvLog = require('./CsvLog');
+const FlightBuilder = require('./FlightBuilder');
+
+const COLUMN_KEYS = ['time', 'x', 'y', 'z', 'targetX', 'targetY', 'targetZ', 'phase', 'voltage'];
+const REQUIRED_KEYS = ['time', 'x', 'y', 'z'];
+const TARGET_KEYS = ['targetX', 'targetY', 'targetZ'];
+// Seconds per unit
+const TIME_UNITS = { s: 1, ms: 1e-3, us: 1e-6, ns: 1e-9 };
+const FRAMES = ['enu', 'ned'];
+
+class GenericCsvImporter {
+
+    static get id() {
+        return 'generic-csv';
+    }
+
+    static get label() {
+        return 'Generic CSV';
+    }
+
+    static get extensions() {
+        return ['.csv', '.txt'];
+    }
+
+    static get description() {
+        return 'Any CSV log, read through a column mapping (time, x, y, z and optional setpoint, phase and voltage columns)';
+    }
+
+    // Needs a mapping, so it is only used when chosen or when a mapping is given
+    static detect() {
+        return false;
+    }
+
+    /**
+     * Validate a column mapping given as an object or JSON text. Returns { spec, errors } with spec
+     * ready for CsvLog.readSamples.
+     */
+    static parseMapping(mapping) {
+        let source = mapping;
+        if (typeof source === 'string') {
+            try {
+                source = JSON.parse(source);
+            } catch (parseError) {
+                return { spec: null, errors: ['columnMapping is not valid JSON: ' + parseError.message] };
+            }
+        }
+        if (!source || typeof source !== 'object' || Array.isArray(source)) {
+            return { spec: null, errors: ['columnMapping must be an object naming the time, x, y and z columns'] };
+        }
+
+        const errors = [];
+        const spec = {};
+        COLUMN_KEYS.forEach(key => {
+            const column = source[key];
+            if (column === undefined || column === null || column === '') return;
+            if (typeof column !== 'string') {
+                errors.push(`columnMapping.${key} must be a column name`);
+            } else {
+                spec[key] = [column];
+            }
+        });
+        const missing = REQUIRED_KEYS.filter(key => !spec[key]);
+        if (missing.length > 0) errors.push(`columnMapping needs ${missing.join(', ')}`);
+        const targets = TARGET_KEYS.filter(key => spec[key]).length;
+        if (targets > 0 && targets < TARGET_KEYS.length) {
+            errors.push('columnMapping needs all of targetX, targetY and targetZ, or none');
+        }
+
+        const timeUnit = source.timeUnit || 's';
+        if (!TIME_UNITS[timeUnit]) {
+            errors.push(`columnMapping.timeUnit must be one of ${Object.keys(TIME_UNITS).join(', ')}`);
+        }
+        spec.timeScale = TIME_UNITS[timeUnit];
+
+        const scale = source.scale === undefined ? 1 : Number(source.scale);
+        if (!Number.isFinite(scale) || scale <= 0) {
+            errors.push('columnMapping.scale must be a positive number');
+        }
+        spec.scale = scale;
+
+        const frame = String(source.frame || 'enu').toLowerCase();
+        if (!FRAMES.includes(frame)) {
+            errors.push(`columnMapping.frame must be one of ${FRAMES.join(', ')}`);
+        }
+        spec.ned = frame === 'ned';
+
+        return { spec: errors.length ? null : spec, errors };
+    }
+
+    static parse(text, options = {}) {
+        if (!options.columnMapping) {
+            return { data: null, warnings: [], errors: ['The generic CSV importer needs a columnMapping'] };
+        }
+        const mapping = this.parseMapping(options.columnMapping);
+        if (mapping.errors.length > 0) return { data: null, warnings: [], errors: mapping.errors };
+
+        const { samples, errors } = CsvLog.readSamples(CsvLog.parse(text), mapping.spec);
+        if (errors.length > 0) return { data: null, warnings: [], errors };
+        return FlightBuilder.build(samples, options);
+    }
+}
+
+module.exports = GenericCsvImporter;
@@ -0,0 +1,57 @@
+// PX4 ulog topics converted to CSV: either a single vehicle_local_position topic from ulog2csv, or a
+// merged export (PlotJuggler, pyulog) with topic-prefixed columns such as vehicle_local_position/x.
+// PX4 positions are north/east/down.
+const CsvLog = require('./CsvLog');
+const FlightBuilder = require('./FlightBuilder');
+
+const COLUMNS = {
+    x: ['vehicle_local_position/x', 'x'],
+    y: ['vehicle_local_position/y', 'y'],
+    z: ['vehicle_local_position/z', 'z'],
+    targetX: ['trajectory_setpoint/position[0]', 'trajectory_setpoint/x', 'vehicle_local_position_setpoint/x'],
+    targetY: ['trajectory_setpoint/position[1]', 'trajectory_setpoint/y', 'vehicle_local_position_setpoint/y'],
+    targetZ: ['trajectory_setpoint/position[2]', 'trajectory_setpoint/z', 'vehicle_local_position_setpoint/z'],
+    voltage: ['battery_status/voltage_v', 'battery_status/voltage_filtered_v']
+};
+
+class Px4CsvImporter {
+
+    static get id() {
+        return 'px4-csv';
+    }
+
+    static get label() {
+        return 'PX4 ulog CSV';
+    }
+
+    static get extensions() {
+        return ['.csv'];
+    }
+
+    static get description() {
+        return 'vehicle_local_position (plus trajectory_setpoint and battery_status) exported from a PX4 ulog';
+    }
+
+    static detect(head) {
+        const columns = CsvLog.parse(CsvLog.headerLine(head)).columns;
+        const has = name => CsvLog.findColumn(columns, [name]) !== -1;
+        return has('vehicle_local_position/x') ||
+            (has('timestamp') && has('x') && has('y') && has('z') && has('xy_valid'));
+    }
+
+    static parse(text, options = {}) {
+        const table = CsvLog.parse(text);
+        // ulog2csv writes microseconds since boot; merged exports a __time column in seconds
+        const micros = CsvLog.findColumn(table.columns, ['timestamp', 'vehicle_local_position/timestamp']) !== -1;
+        const { samples, errors } = CsvLog.readSamples(table, {
+            ...COLUMNS,
+            time: micros ? ['timestamp', 'vehicle_local_position/timestamp'] : ['__time'],
+            timeScale: micros ? 1e-6 : 1,
+            ned: true
+        });
+        if (errors.length > 0) return { data: null, warnings: [], errors };
+        return FlightBuilder.build(samples, options);
+    }
+}
+
+module.exports = Px4CsvImporter;
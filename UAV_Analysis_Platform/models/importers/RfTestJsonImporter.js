@@ -0,0 +1,34 @@
+// The platform's own rf_test JSON layout, passed through unchanged for validateFlightData
+
+class RfTestJsonImporter {
+
+    static get id() {
+        return 'rf-test-json';
+    }
+
+    static get label() {
+        return 'rf_test JSON';
+    }
+
+    static get extensions() {
+        return ['.json'];
+    }
+
+    static get description() {
+        return 'Flight logs recorded by the platform\'s own test harness';
+    }
+
+    static detect(head, fileName = '') {
+        return fileName.toLowerCase().endsWith('.json') || /^\s*[{[]/.test(head);
+    }
+
+    static parse(text) {
+        try {
+            return { data: JSON.parse(text), warnings: [], errors: [] };
+        } catch (parseError) {
+            return { data: null, warnings: [], errors: ['Invalid JSON: ' + parseError.message] };
+        }
+    }
+}
+
+module.exports = RfTestJsonImporter;
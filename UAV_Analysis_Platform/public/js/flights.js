@@ -126,6 +126,9 @@ function renderFlights(flights) {
                     <a class="btn-small green waves-effect" href="/analysis?flightId=${flightId}">
                         <i class="material-icons left">analytics</i>Analyze
                     </a>
+                    ${f.hasRawFile ? `<button class="btn-small grey darken-1 waves-effect" onclick="downloadRawFile('${flightId}')">
+                        <i class="material-icons left">file_download</i>Original
+                    </button>` : ''}
                     <button class="btn-small orange waves-effect" onclick="editFlight('${flightId}', '${safeFlightName}')">
                         <i class="material-icons left">edit</i>Edit
                     </button>
@@ -325,45 +328,79 @@ async function bulkDelete() {
     $('#selectAll').prop('checked', false);
 }
 
-// Enhanced bulk export with better CSV formatting
-function bulkExport() {
+// Export the selected flights' full time series from the server
+async function bulkExport() {
     const selectedIds = $('.select-flight:checked').map((_, el) => $(el).data('id')).get();
-    const selectedFlights = flightsCache.filter(f => selectedIds.includes(f.id || f._id));
-
-    if (!selectedFlights.length) {
+    if (!selectedIds.length) {
         M.toast({ html: 'Please select at least one flight to export', classes: 'orange' });
         return;
     }
 
-    // Enhanced CSV with more data columns
-    let csv = "Flight Name,Upload Date,Total Points,Average Error (m),Response Time (s)\n";
-
-    selectedFlights.forEach(f => {
-        const flightName = (f.flightName || 'Unnamed').replace(/"/g, '""'); // Escape quotes
-        const uploadDate = new Date(f.uploadDate || f.createdAt || new Date()).toISOString().split('T')[0];
-        const totalPoints = f.totalPoints || 0;
-        const avgError = (f.averageError || f.avgAccuracy || 0).toFixed(4);
-        const responseTime = ((f.responseTime || 0) / 1000).toFixed(2);
-
-        csv += `"${flightName}","${uploadDate}",${totalPoints},"${avgError}","${responseTime}"\n`;
-    });
+    const format = $('#exportFormat').val();
+    const params = new URLSearchParams({ ids: selectedIds.join(','), format });
+    if (format === 'kml' || format === 'geojson') {
+        const originLat = $('#originLat').val();
+        const originLon = $('#originLon').val();
+        if (originLat === '' || originLon === '') {
+            M.toast({ html: 'Enter the latitude and longitude of the flight area origin', classes: 'orange' });
+            return;
+        }
+        params.set('originLat', originLat);
+        params.set('originLon', originLon);
+    }
 
-    // Create and download file
     try {
-        const blob = new Blob([csv], { type: 'text/csv;charset=utf-8' });
+        const res = await fetch(`/api/flights/export?${params}`, {
+            headers: { Authorization: 'Bearer ' + getToken() }
+        });
+        if (!res.ok) {
+            const data = await res.json().catch(() => ({}));
+            throw new Error(data.message || `HTTP ${res.status}`);
+        }
+
+        const disposition = res.headers.get('Content-Disposition') || '';
+        const match = disposition.match(/filename="([^"]+)"/);
+        const blob = await res.blob();
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = `uav_flights_export_${new Date().toISOString().split('T')[0]}.csv`;
+        a.download = match ? match[1] : `uav_flights_export.${format}`;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
         URL.revokeObjectURL(url);
 
-        M.toast({ html: `${selectedFlights.length} flight(s) exported successfully`, classes: 'green' });
+        M.toast({ html: `${selectedIds.length} flight(s) exported successfully`, classes: 'green' });
     } catch (error) {
         console.error('Export error:', error);
-        M.toast({ html: 'Export failed', classes: 'red' });
+        M.toast({ html: `Export failed: ${error.message}`, classes: 'red' });
+    }
+}
+
+// Download the file a flight was uploaded from
+async function downloadRawFile(id) {
+    try {
+        const res = await fetch(`/api/flights/${id}/raw`, {
+            headers: { Authorization: 'Bearer ' + getToken() }
+        });
+        if (!res.ok) {
+            const data = await res.json().catch(() => ({}));
+            throw new Error(data.message || `HTTP ${res.status}`);
+        }
+
+        const disposition = res.headers.get('Content-Disposition') || '';
+        const match = disposition.match(/filename="([^"]+)"/);
+        const url = URL.createObjectURL(await res.blob());
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = match ? match[1] : 'flight.json';
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        console.error('Raw file download error:', error);
+        M.toast({ html: `Download failed: ${error.message}`, classes: 'red' });
     }
 }
 
@@ -450,4 +487,7 @@ $(document).ready(function() {
     // Bind bulk action buttons
     $(document).on('click', '#bulkDeleteBtn', bulkDelete);
     $(document).on('click', '#bulkExportBtn', bulkExport);
+    $(document).on('change', '#exportFormat', function() {
+        $('#exportOrigin').toggle(this.value === 'kml' || this.value === 'geojson');
+    });
 });
\ No newline at end of file
@@ -31,7 +31,7 @@ $(document).ready(function() {
             return;
         }
 
-        // Only JSON supported
+        // The server detects the log format
         processJSONFile(files[0])
             .then(() => uploadBtn.html(originalText).prop('disabled', false))
             .catch(error => {
@@ -94,7 +94,7 @@ async function processJSONFile(file) {
     try {
         const formData = new FormData();
         formData.append('flightData', file);
-        formData.append('flightName', file.name.replace('.json', ''));
+        formData.append('flightName', file.name.replace(/\.[^.]+$/, ''));
 
         const response = await fetch('/api/flights/upload', {
             method: 'POST',
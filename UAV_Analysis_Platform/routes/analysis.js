@@ -11,11 +11,35 @@ router.use(authenticateToken);
  */
 router.get('/start/:flightId', AnalysisController.startAnalysis);
 
+/**
+ * Analysis jobs
+ *   POST /jobs                 body: { flightId }
+ *   GET  /jobs                 ?flightId=&active=true
+ *   GET  /jobs/:jobId
+ *   POST /jobs/:jobId/cancel
+ *   POST /jobs/:jobId/retry
+ */
+router.post('/jobs', AnalysisController.createJob);
+router.get('/jobs', AnalysisController.listJobs);
+router.get('/jobs/:jobId', AnalysisController.getJob);
+router.post('/jobs/:jobId/cancel', AnalysisController.cancelJob);
+router.post('/jobs/:jobId/retry', AnalysisController.retryJob);
+
 /**
  * List all analysis reports for the current user
  */
 router.get('/reports', AnalysisController.listReports);
 
+/**
+ * Export multiple selected reports as a single PDF
+ * (registered before /reports/:reportId so "pdf" is not taken as a report ID)
+ * Example:
+ *   /reports/pdf?ids=reportId1,reportId2,reportId3
+ */
+router.get('/reports/pdf', AnalysisController.exportSelectedReportsPdf);
+
+router.post('/reports/pdf', AnalysisController.exportSelectedReportsPdf);
+
 /**
  * Get a single report by ID
  */
@@ -34,13 +58,4 @@ router.get('/export/:reportId', AnalysisController.exportReport);
  */
 router.delete('/reports/:reportId', AnalysisController.deleteReport);
 
-/**
- * Export multiple selected reports as a single PDF
- * Example:
- *   /reports/pdf?ids=reportId1,reportId2,reportId3
- */
-router.get('/reports/pdf', AnalysisController.exportSelectedReportsPdf);
-
-router.post('/reports/pdf', AnalysisController.exportSelectedReportsPdf);
-
 module.exports = router;
@@ -14,15 +14,41 @@ router.post('/upload',
     (req, res) => flightController.uploadFlightData(req, res)
 );
 
+// Upload several files or ZIP archives as one test session
+router.post('/upload/batch',
+    flightController.batchUpload.array('flightData'),
+    (req, res) => flightController.uploadBatch(req, res)
+);
+
+// Log formats accepted by /upload (before /:flightId)
+router.get('/importers', (req, res) => flightController.listImporters(req, res));
+
 // Get flight history
 router.get('/', (req, res) => flightController.getFlightHistory(req, res));
 
+// Export the full time series of selected flights, ?ids=a,b&format=csv|ndjson|kml|geojson
+// (before /:flightId so "export" is not taken as a flight ID)
+router.get('/export', (req, res) => flightController.exportFlights(req, res));
+router.post('/export', (req, res) => flightController.exportFlights(req, res));
+
 // Get specific flight details
 router.get('/:flightId', (req, res) => flightController.getFlightDetails(req, res));
 
 // Get 3D visualization data
 router.get('/:flightId/visualization', (req, res) => flightController.getVisualizationData(req, res));
 
+// Get downsampled point series for charts
+router.get('/:flightId/series', (req, res) => flightController.getFlightSeries(req, res));
+
+// Get per-waypoint segment breakdown
+router.get('/:flightId/segments', (req, res) => flightController.getSegmentAnalysis(req, res));
+
+// Download the file a flight was uploaded from
+router.get('/:flightId/raw', (req, res) => flightController.downloadRawFile(req, res));
+
+// Export one flight's full time series
+router.get('/:flightId/export', (req, res) => flightController.exportFlights(req, res));
+
 // Generate report
 router.get('/:flightId/report', (req, res) => flightController.generateReport(req, res));
 
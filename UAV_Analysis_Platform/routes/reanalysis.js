@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const ReanalysisController = require('../controllers/ReanalysisController');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+/**
+ * Re-analyze stored flights with the current pipeline
+ * Body: { flightIds?: [...], staleOnly?: true, uploadedAfter?, uploadedBefore?, allUsers? (admin) }
+ */
+router.post('/', ReanalysisController.startReanalysis);
+
+/**
+ * List recent re-analysis jobs
+ */
+router.get('/', ReanalysisController.listJobs);
+
+/**
+ * Get a job with the before/after score diff
+ */
+router.get('/:jobId', ReanalysisController.getJob);
+
+module.exports = router;
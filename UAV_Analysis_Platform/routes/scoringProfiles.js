@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const ScoringProfileController = require('../controllers/ScoringProfileController');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+/**
+ * List built-in and custom quality scoring profiles
+ */
+router.get('/', ScoringProfileController.listProfiles);
+
+/**
+ * Create a custom profile
+ * Body: { name, description, factors: { accuracy: { weight, good, poor }, ... }, grades, improvementThreshold }
+ */
+router.post('/', ScoringProfileController.createProfile);
+
+/**
+ * Delete a custom profile
+ */
+router.delete('/:profileId', ScoringProfileController.deleteProfile);
+
+/**
+ * Re-grade stored flights against a profile
+ * Body: { flightIds?: [...], dryRun?: true }
+ */
+router.post('/:profileId/regrade', ScoringProfileController.regradeFlights);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const TestSessionController = require('../controllers/TestSessionController');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+/**
+ * List test sessions created by batch uploads
+ */
+router.get('/', TestSessionController.listSessions);
+
+/**
+ * Get a session with its per-file upload report and flights
+ */
+router.get('/:sessionId', TestSessionController.getSession);
+
+/**
+ * Rename a session
+ * Body: { name }
+ */
+router.put('/:sessionId', TestSessionController.renameSession);
+
+/**
+ * Delete a session, keeping its flights
+ */
+router.delete('/:sessionId', TestSessionController.deleteSession);
+
+module.exports = router;
@@ -1,6 +1,9 @@
 const express = require('express');
 const FlightData = require('../models/FlightData');
+const User = require('../models/User');
 const TrajectoryAnalyzer = require('../models/TrajectoryAnalyzer');
+const UAVDataProcessor = require('../models/UAVDataProcessor');
+const PerformanceAnalyzer = require('../models/PerformanceAnalyzer');
 const { authenticateToken } = require('../middleware/auth');
 
 const router = express.Router();
@@ -9,10 +12,22 @@ const router = express.Router();
 router.use(authenticateToken);
 
 // Get detailed trajectory analysis for a specific flight
+// ?heightWeight=&verticalMode=&excludeTransit= re-score the stored points (defaults from the user's profile)
 router.get('/:flightId/analysis', async (req, res) => {
     try {
         const { flightId } = req.params;
-        
+
+        const errorSelection = UAVDataProcessor.selectErrorOptions(
+            req.query,
+            await User.getErrorCalculationSettings(req.user.userId)
+        );
+        if (errorSelection.errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: errorSelection.errors.join('; ')
+            });
+        }
+
         const flight = await FlightData.findOne({
             _id: flightId,
             userId: req.user.userId
@@ -26,21 +41,20 @@ router.get('/:flightId/analysis', async (req, res) => {
         }
 
         // Generate comprehensive trajectory analysis
-        const flightDataForAnalysis = {
-            timestamp: flight.timestamp,
-            position_data: flight.positionData,
-            sequence: flight.sequence,
-            response_time: flight.analysis.responseTime,
-            battery: flight.analysis.battery,
-            command_stats: flight.analysis.commandStats
-        };
+        const flightDataForAnalysis = UAVDataProcessor.buildAnalysisInput(flight);
+
+        const errorOptions = errorSelection.options ? {
+            ...UAVDataProcessor.resolveErrorOptions(errorSelection.options, flightDataForAnalysis),
+            source: errorSelection.options.source
+        } : null;
 
-        const trajectoryReport = TrajectoryAnalyzer.generateTrajectoryReport(flightDataForAnalysis);
+        const trajectoryReport = TrajectoryAnalyzer.generateTrajectoryReport(flightDataForAnalysis, { errorOptions });
 
         res.json({
             success: true,
             flightId: flight._id,
             flightName: flight.flightName,
+            errorOptions,
             analysis: trajectoryReport
         });
 
@@ -56,9 +70,9 @@ router.get('/:flightId/analysis', async (req, res) => {
 // Compare trajectory analysis between multiple flights
 router.post('/compare', async (req, res) => {
     try {
-        const { flightIds } = req.body;
+        const flightIds = Array.isArray(req.body.flightIds) ? [...new Set(req.body.flightIds.map(String))] : null;
 
-        if (!flightIds || !Array.isArray(flightIds) || flightIds.length < 2) {
+        if (!flightIds || flightIds.length < 2) {
             return res.status(400).json({
                 success: false,
                 message: 'Please provide at least 2 flight IDs for comparison'
@@ -81,14 +95,7 @@ router.post('/compare', async (req, res) => {
         const comparisons = [];
         
         for (const flight of flights) {
-            const flightDataForAnalysis = {
-                timestamp: flight.timestamp,
-                position_data: flight.positionData,
-                sequence: flight.sequence,
-                response_time: flight.analysis.responseTime,
-                battery: flight.analysis.battery,
-                command_stats: flight.analysis.commandStats
-            };
+            const flightDataForAnalysis = UAVDataProcessor.buildAnalysisInput(flight);
 
             const analysis = TrajectoryAnalyzer.analyzeTrajectory(flightDataForAnalysis);
             
@@ -101,8 +108,9 @@ router.post('/compare', async (req, res) => {
                     efficiencyRatio: analysis.trajectoryEfficiency.efficiencyRatio,
                     pathSmoothness: analysis.turnAnalysis.pathSmoothness,
                     networkCorrelation: analysis.networkCorrelation.networkErrorCorrelation,
-                    averageError: flight.analysis.positionAccuracy.overall.average,
+                    averageError: analysis.pathAccuracy.averageError,
                     totalTurns: analysis.turnAnalysis.totalTurns,
+                    sharpTurns: analysis.turnAnalysis.sharpTurns,
                     stabilizationRatio: analysis.stabilityMetrics.stabilizationRatio
                 }
             });
@@ -170,8 +178,8 @@ router.get('/patterns', async (req, res) => {
             });
         }
 
-        // Analyze patterns across flights
-        const patterns = analyzeFlightPatterns(flights);
+        // Analyze patterns across flights, oldest first so trends read forward in time
+        const patterns = analyzeFlightPatterns(flights.slice().reverse());
 
         res.json({
             success: true,
@@ -193,7 +201,14 @@ router.get('/patterns', async (req, res) => {
 router.get('/performance-trends', async (req, res) => {
     try {
         const { metric = 'accuracy', period = 'daily' } = req.query;
-        
+
+        if (!TREND_METRICS[metric]) {
+            return res.status(400).json({
+                success: false,
+                message: `Unknown metric '${metric}'. Use one of: ${Object.keys(TREND_METRICS).join(', ')}`
+            });
+        }
+
         const flights = await FlightData.find({
             userId: req.user.userId
         }).sort({ createdAt: 1 });
@@ -213,7 +228,7 @@ router.get('/performance-trends', async (req, res) => {
             metric: metric,
             period: period,
             trends: trends,
-            summary: calculateTrendSummary(trends)
+            summary: calculateTrendSummary(trends, TREND_METRICS[metric].lowerIsBetter)
         });
 
     } catch (error) {
@@ -242,8 +257,10 @@ router.get('/:flightId/network-impact', async (req, res) => {
             });
         }
 
-        // Analyze network impact on trajectory
-        const networkImpact = analyzeNetworkImpact(flight.positionData);
+        // Analyze network impact on trajectory, with the errors and link estimate of the stored analysis
+        const input = UAVDataProcessor.buildAnalysisInput(flight);
+        UAVDataProcessor.fillMissingErrors(input.position_data, input.sequence, input.error_calculation?.vertical_mode);
+        const networkImpact = analyzeNetworkImpact(input.position_data, input.rf_conditions);
 
         res.json({
             success: true,
@@ -263,6 +280,22 @@ router.get('/:flightId/network-impact', async (req, res) => {
 
 // Helper functions
 
+// Per-flight metric extractors for trends; errors and times improve as they go down
+const TREND_METRICS = {
+    accuracy: {
+        value: flight => flight.analysis?.positionAccuracy?.overall?.average || 0,
+        lowerIsBetter: true
+    },
+    stability: {
+        value: flight => flight.trajectoryAnalysis?.detailed?.stabilityMetrics?.overallStabilityScore || 0,
+        lowerIsBetter: false
+    },
+    response_time: {
+        value: flight => flight.analysis?.responseTime || 0,
+        lowerIsBetter: true
+    }
+};
+
 function generateComparativeInsights(comparisons) {
     const insights = [];
     
@@ -347,18 +380,18 @@ function analyzeFlightPatterns(flights) {
     // Analyze accuracy trends
     const accuracyTrend = flights.map(flight => ({
         date: flight.createdAt,
-        value: flight.analysis.positionAccuracy.overall.average
+        value: TREND_METRICS.accuracy.value(flight)
     }));
 
-    patterns.trends.accuracy = calculateTrendDirection(accuracyTrend);
+    patterns.trends.accuracy = calculateTrendDirection(accuracyTrend, TREND_METRICS.accuracy.lowerIsBetter);
 
     // Analyze stability trends
     const stabilityTrend = flights.map(flight => ({
         date: flight.createdAt,
-        value: flight.analysis.positionAccuracy.waypoint.percentage
+        value: TREND_METRICS.stability.value(flight)
     }));
 
-    patterns.trends.stability = calculateTrendDirection(stabilityTrend);
+    patterns.trends.stability = calculateTrendDirection(stabilityTrend, TREND_METRICS.stability.lowerIsBetter);
 
     // Generate insights
     if (patterns.trends.accuracy === 'improving') {
@@ -375,7 +408,7 @@ function analyzeFlightPatterns(flights) {
     return patterns;
 }
 
-function calculateTrendDirection(dataPoints) {
+function calculateTrendDirection(dataPoints, lowerIsBetter = false) {
     if (dataPoints.length < 2) return 'insufficient_data';
 
     const firstHalf = dataPoints.slice(0, Math.floor(dataPoints.length / 2));
@@ -384,7 +417,8 @@ function calculateTrendDirection(dataPoints) {
     const firstAvg = firstHalf.reduce((sum, point) => sum + point.value, 0) / firstHalf.length;
     const secondAvg = secondHalf.reduce((sum, point) => sum + point.value, 0) / secondHalf.length;
 
-    const changePercent = ((secondAvg - firstAvg) / firstAvg) * 100;
+    if (firstAvg === 0) return 'stable';
+    const changePercent = ((secondAvg - firstAvg) / firstAvg) * 100 * (lowerIsBetter ? -1 : 1);
 
     if (changePercent > 10) return 'improving';
     if (changePercent < -10) return 'declining';
@@ -395,21 +429,20 @@ function identifyCommonIssues(flights) {
     const issues = [];
 
     // Check for consistent high error rates
-    const highErrorFlights = flights.filter(flight => 
-        flight.analysis.positionAccuracy.overall.average > 0.1
+    const highErrorFlights = flights.filter(flight =>
+        TREND_METRICS.accuracy.value(flight) > 0.1
     );
 
     if (highErrorFlights.length > flights.length * 0.5) {
         issues.push('More than 50% of flights show high positioning errors (>10cm)');
     }
 
-    // Check for battery issues
-    const lowBatteryFlights = flights.filter(flight => 
-        flight.analysis.battery.startVoltage < 3.9
-    );
+    // Check for battery issues, only flights whose log recorded the battery count
+    const batteryFlights = flights.filter(flight => typeof flight.analysis?.battery?.startVoltage === 'number');
+    const lowBatteryFlights = batteryFlights.filter(flight => flight.analysis.battery.startVoltage < 3.9);
 
-    if (lowBatteryFlights.length > flights.length * 0.3) {
-        issues.push('30% of flights started with low battery voltage (<3.9V)');
+    if (batteryFlights.length > 0 && lowBatteryFlights.length > batteryFlights.length * 0.3) {
+        issues.push(`${lowBatteryFlights.length} of ${batteryFlights.length} flights started with low battery voltage (<3.9V)`);
     }
 
     return issues;
@@ -422,23 +455,8 @@ function generatePerformanceTrends(flights, metric, period) {
     return Object.keys(groupedData).map(periodKey => {
         const periodFlights = groupedData[periodKey];
         
-        let value;
-        switch (metric) {
-            case 'accuracy':
-                value = periodFlights.reduce((sum, flight) => 
-                    sum + flight.analysis.positionAccuracy.overall.average, 0) / periodFlights.length;
-                break;
-            case 'stability':
-                value = periodFlights.reduce((sum, flight) => 
-                    sum + flight.analysis.positionAccuracy.waypoint.percentage, 0) / periodFlights.length;
-                break;
-            case 'response_time':
-                value = periodFlights.reduce((sum, flight) => 
-                    sum + flight.analysis.responseTime, 0) / periodFlights.length;
-                break;
-            default:
-                value = 0;
-        }
+        const value = periodFlights.reduce((sum, flight) =>
+            sum + TREND_METRICS[metric].value(flight), 0) / periodFlights.length;
 
         return {
             period: periodKey,
@@ -481,52 +499,56 @@ function groupFlightsByPeriod(flights, period) {
     return grouped;
 }
 
-function calculateTrendSummary(trends) {
+function calculateTrendSummary(trends, lowerIsBetter = false) {
     if (trends.length < 2) {
         return { message: 'Insufficient data for trend analysis' };
     }
 
     const firstValue = trends[0].value;
     const lastValue = trends[trends.length - 1].value;
-    const change = ((lastValue - firstValue) / firstValue) * 100;
+    const change = firstValue !== 0 ? ((lastValue - firstValue) / firstValue) * 100 : 0;
+    const improvement = lowerIsBetter ? -change : change;
 
     return {
         totalDataPoints: trends.length,
         overallChange: change.toFixed(2) + '%',
-        trend: change > 5 ? 'improving' : change < -5 ? 'declining' : 'stable',
+        trend: improvement > 5 ? 'improving' : improvement < -5 ? 'declining' : 'stable',
         averageValue: (trends.reduce((sum, trend) => sum + trend.value, 0) / trends.length).toFixed(3)
     };
 }
 
-function analyzeNetworkImpact(positionData) {
-    const networkQualities = positionData.map(p => p.networkQuality || 100);
-    const errors = positionData.map(p => p.error);
+function analyzeNetworkImpact(positionData, rfConditions = null) {
+    // rf_test logs carry no networkQuality, so fall back to the update-interval and packet loss estimate
+    const { qualities: networkQualities, source } = PerformanceAnalyzer.estimateLinkQuality(positionData, rfConditions);
+    // Points whose error is unknown (no planned path) count towards the link split but not the errors
+    const known = positionData.map((p, i) => i).filter(i => typeof positionData[i].error === 'number');
 
     // Segment analysis by network quality
-    const segments = {
-        excellent: positionData.filter(p => (p.networkQuality || 100) >= 90),
-        good: positionData.filter(p => (p.networkQuality || 100) >= 70 && (p.networkQuality || 100) < 90),
-        fair: positionData.filter(p => (p.networkQuality || 100) >= 50 && (p.networkQuality || 100) < 70),
-        poor: positionData.filter(p => (p.networkQuality || 100) < 50)
-    };
+    const segments = { excellent: [], good: [], fair: [], poor: [] };
+    positionData.forEach((p, i) => {
+        segments[TrajectoryAnalyzer.classifyNetworkQuality(networkQualities[i])].push(p);
+    });
 
     const analysis = {};
     Object.keys(segments).forEach(segment => {
         const data = segments[segment];
         if (data.length > 0) {
+            const errors = data.filter(p => typeof p.error === 'number').map(p => p.error);
             analysis[segment] = {
                 count: data.length,
                 percentage: (data.length / positionData.length * 100).toFixed(1) + '%',
-                averageError: (data.reduce((sum, p) => sum + p.error, 0) / data.length).toFixed(3) + 'm',
+                averageError: errors.length > 0 ? TrajectoryAnalyzer.calculateMean(errors).toFixed(3) + 'm' : null,
                 stabilizationRate: (data.filter(p => p.stabilized).length / data.length * 100).toFixed(1) + '%'
             };
         }
     });
 
     // Calculate correlation
-    const correlation = calculateCorrelation(networkQualities, errors);
+    const correlation = TrajectoryAnalyzer.calculateCorrelation(
+        known.map(i => networkQualities[i]), known.map(i => positionData[i].error));
 
     return {
+        qualitySource: source,
         segmentAnalysis: analysis,
         correlation: {
             coefficient: correlation.toFixed(3),
@@ -539,22 +561,6 @@ function analyzeNetworkImpact(positionData) {
     };
 }
 
-function calculateCorrelation(x, y) {
-    const n = x.length;
-    if (n !== y.length || n === 0) return 0;
-
-    const sumX = x.reduce((sum, val) => sum + val, 0);
-    const sumY = y.reduce((sum, val) => sum + val, 0);
-    const sumXY = x.reduce((sum, val, i) => sum + val * y[i], 0);
-    const sumXX = x.reduce((sum, val) => sum + val * val, 0);
-    const sumYY = y.reduce((sum, val) => sum + val * val, 0);
-
-    const numerator = n * sumXY - sumX * sumY;
-    const denominator = Math.sqrt((n * sumXX - sumX * sumX) * (n * sumYY - sumY * sumY));
-
-    return denominator === 0 ? 0 : numerator / denominator;
-}
-
 function generateNetworkRecommendations(analysis, correlation) {
     const recommendations = [];
 
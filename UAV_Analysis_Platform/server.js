@@ -7,33 +7,54 @@ const fs = require('fs');
 const jwt = require('jsonwebtoken'); // Add this import for admin functionality
 const cookieParser = require('cookie-parser');
 const connectDB = require('./config/database');
-const FlightData = require('./models/FlightData');
 const mongoose = require('mongoose');
-const AnalysisReport = require('./models/AnalysisReport');
-const UAVDataProcessor = require('./models/UAVDataProcessor');
+const ReanalysisJob = require('./models/ReanalysisJob');
+const AnalysisJobQueue = require('./models/AnalysisJobQueue');
+const FlightReanalyzer = require('./models/FlightReanalyzer');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const flightRoutes = require('./routes/flights');
 const dashboardRoutes = require('./routes/dashboard');
 const analysisRoutes = require('./routes/analysis');
+const trajectoryRoutes = require('./routes/trajectoryAnalysis');
+const scoringProfileRoutes = require('./routes/scoringProfiles');
+const reanalysisRoutes = require('./routes/reanalysis');
+const sessionRoutes = require('./routes/sessions');
+const ReanalysisController = require('./controllers/ReanalysisController');
 
 require('dotenv').config();
 
 const app = express();
 const server = http.createServer(app);
 const io = socketIo(server, { cors: { origin: "*", methods: ["GET", "POST"] } });
+// Controllers that report progress reach socket.io through req.app.get('io')
+app.set('io', io);
+AnalysisJobQueue.setSocketServer(io);
 
 const PORT = process.env.PORT || 3000;
 
 // Connect DB
-if (process.env.NODE_ENV !== 'test') connectDB();
+if (process.env.NODE_ENV !== 'test') {
+    connectDB()
+        .then(() => AnalysisJobQueue.recover())
+        .then(count => {
+            if (count > 0) console.log(`Resuming ${count} queued analysis job(s)`);
+        })
+        .catch(err => console.error('Analysis job recovery error:', err))
+        .then(() => FlightReanalyzer.recover())
+        .then(count => {
+            if (count > 0) console.log(`Marked ${count} interrupted re-analysis job(s) as failed`);
+        })
+        .catch(err => console.error('Re-analysis job recovery error:', err));
+}
 
 // Middleware
 app.use(cors());
 app.use(cookieParser());
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+// Flight logs arrive as multipart file uploads, so request bodies only carry options and ids
+app.use(express.json({ limit: '1mb' }));
+app.use(express.urlencoded({ extended: true, limit: '1mb' }));
 
 // Static files
 app.use('/public', express.static(path.join(__dirname, 'public')));
@@ -44,6 +65,10 @@ app.use('/api/auth', authRoutes);
 app.use('/api/flights', flightRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/analysis', analysisRoutes);
+app.use('/api/trajectory', trajectoryRoutes);
+app.use('/api/scoring-profiles', scoringProfileRoutes);
+app.use('/api/reanalysis', reanalysisRoutes);
+app.use('/api/sessions', sessionRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -93,6 +118,13 @@ function requireAuthJWT(req, res, next) {
     });
 }
 
+function requireAdmin(req, res, next) {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ success: false, message: 'Admin access required' });
+    }
+    next();
+}
+
 // Admin login endpoint (separate from your user system)
 app.post('/api/auth/admin-login', (req, res) => {
     const { email, password } = req.body || {};
@@ -253,6 +285,13 @@ registerMockUserRoutes('/api/admin');
 registerMockFlightRoutes('/api/mock');
 registerMockFlightRoutes('/api/admin');
 
+// Admin re-analysis of every user's flights (the dashboard authenticates with the authToken cookie)
+app.post('/api/admin/reanalysis', requireAuthJWT, requireAdmin, (req, res) => {
+    req.body = { ...req.body, allUsers: true };
+    ReanalysisController.startReanalysis(req, res);
+});
+app.get('/api/admin/reanalysis/:jobId', requireAuthJWT, requireAdmin, ReanalysisController.getJob);
+
 // Admin dashboard route
 app.get('/admin', requireAuthJWT, (req, res) => {
     if (req.user.role !== 'admin') {
@@ -301,56 +340,61 @@ app.use((req, res) => {
     res.status(404).send('HTML file not found');
 });
 
-// ==================== SOCKET.IO (unchanged) ====================
+// ==================== SOCKET.IO ====================
+
+// Sockets authenticate with the same JWT as the API: handshake auth.token, or the authToken cookie
+io.use((socket, next) => {
+    const cookieToken = /(?:^|;\s*)authToken=([^;]+)/.exec(socket.handshake.headers.cookie || '');
+    const token = socket.handshake.auth?.token || (cookieToken && decodeURIComponent(cookieToken[1]));
+    if (!token) return next(new Error('Authentication required'));
+
+    jwt.verify(token, process.env.JWT_SECRET || 'uav-secret-key', (err, decoded) => {
+        if (err) return next(new Error('Invalid or expired token'));
+        socket.data.user = decoded;
+        next();
+    });
+});
 
 io.on('connection', (socket) => {
+    const { userId } = socket.data.user;
     console.log('Client connected:', socket.id);
 
-    socket.on('startAnalysis', async ({ flightId, userId }) => {
-        console.log('Start analysis for flight:', flightId);
-
-        let progress = 0;
-        const interval = setInterval(async () => {
-            progress += 10;
-            if (progress < 100) {
-                socket.emit('analysisProgress', {
-                    progress,
-                    message: `Processing... ${progress}%`
-                });
-            } else {
-                clearInterval(interval);
-                try {
-                    const flightData = await FlightData.findOne({
-                        _id: flightId,
-                        userId: userId
-                    });
-
-                    if (!flightData) {
-                        throw new Error('Flight data not found');
-                    }
-
-                    const analysisResult = UAVDataProcessor.generateSimpleAnalysisResult(flightData);
-
-                    const result = {
-                        flightId: new mongoose.Types.ObjectId(flightId),
-                        userId: new mongoose.Types.ObjectId(userId),
-                        flightName: flightData.flightName,
-                        avgSpeed: analysisResult.avgSpeed,
-                        maxSpeed: analysisResult.maxSpeed,
-                        duration: analysisResult.duration,
-                        errorRate: analysisResult.errorRate
-                    };
-
-                    const report = new AnalysisReport(result);
-                    const saved = await report.save();
-
-                    socket.emit('analysisComplete', { success: true, report: saved });
-                } catch (err) {
-                    console.error('Analysis error:', err);
-                    socket.emit('analysisComplete', { success: false, message: err.message });
-                }
+    // Job progress for all of the user's tabs, including ones that reconnect mid-job
+    socket.join(`user:${userId}`);
+
+    // Queue an analysis job; progress arrives as analysisProgress / analysisComplete
+    socket.on('startAnalysis', async ({ flightId } = {}) => {
+        try {
+            const { job, error } = await AnalysisJobQueue.submit(userId, flightId);
+            if (error) {
+                socket.emit('analysisComplete', { success: false, flightId, message: error.message });
+                return;
+            }
+            socket.emit('analysisQueued', { jobId: job._id, flightId, status: job.status, progress: job.progress });
+        } catch (err) {
+            console.error('Analysis error:', err);
+            socket.emit('analysisComplete', { success: false, flightId, message: err.message });
+        }
+    });
+
+    // Join the room a re-analysis job reports progress to
+    socket.on('watchReanalysis', async ({ jobId } = {}) => {
+        if (!mongoose.Types.ObjectId.isValid(jobId)) return;
+
+        try {
+            const job = await ReanalysisJob.findOne({ _id: jobId, startedBy: String(userId) })
+                .select('status summary error')
+                .lean();
+            if (!job) return;
+            socket.join(`reanalysis:${jobId}`);
+
+            // A job that finished before the client joined reports straight away
+            if (job.status === 'completed' || job.status === 'failed') {
+                socket.emit('reanalysisComplete', { jobId, status: job.status, summary: job.summary, error: job.error });
             }
-        }, 500);
+        } catch (err) {
+            console.error('Re-analysis watch error:', err);
+        }
     });
 
     socket.on('disconnect', () => {
@@ -94,6 +94,30 @@ describe('User workflow E2E', () => {
             const points = flight.positionData || flight.position_data || [];
             expect(uploadResponse.body.success).toBe(true);
 
+            // Step 5b: Trajectory analysis API
+            const trajectoryResponse = await request(app)
+                .get(`/api/trajectory/${flightId}/analysis`)
+                .set('Authorization', `Bearer ${authToken}`)
+                .expect(200);
+
+            expect(trajectoryResponse.body.analysis.detailed.networkCorrelation.averageNetworkQuality).toBeCloseTo(89.5);
+
+            const networkResponse = await request(app)
+                .get(`/api/trajectory/${flightId}/network-impact`)
+                .set('Authorization', `Bearer ${authToken}`)
+                .expect(200);
+
+            expect(networkResponse.body.networkImpact.qualitySource).toBe('reported');
+
+            const segmentsResponse = await request(app)
+                .get(`/api/flights/${flightId}/segments`)
+                .set('Authorization', `Bearer ${authToken}`)
+                .expect(200);
+
+            // One leg; the points carry no sequence_index so nothing is attributed to it
+            expect(segmentsResponse.body.segments).toHaveLength(1);
+            expect(segmentsResponse.body.segments[0].pointCount).toBe(0);
+
             // Step 6: Generate 3D Visualization Data
             const vizResponse = await request(app)
                 .get(`/api/flights/${flightId}/visualization`)
@@ -162,6 +186,7 @@ describe('User workflow E2E', () => {
 
             expect(response.body.success).toBe(false);
             expect(response.body.message).toContain('Missing required field');
+            expect(response.body.errors.map(e => e.path)).toEqual(['timestamp', 'position_data']);
         } finally {
             if (fs.existsSync(testFilePath)) {
                 fs.unlinkSync(testFilePath);
@@ -0,0 +1,104 @@
+const path = require('path');
+const fs = require('fs');
+const mongoose = require('mongoose');
+const AnalysisJob = require('../../models/AnalysisJob');
+const AnalysisJobQueue = require('../../models/AnalysisJobQueue');
+const AnalysisReport = require('../../models/AnalysisReport');
+const FlightData = require('../../models/FlightData');
+const UAVDataProcessor = require('../../models/UAVDataProcessor');
+
+const TEST_DATA_DIR = path.join(__dirname, '../../../Test_Data');
+
+describe('AnalysisJobQueue', () => {
+    const userId = new mongoose.Types.ObjectId();
+    let flight;
+    let jobs;
+    let events;
+
+    // Resolves with the analysisComplete payload of the next job to finish
+    const nextCompletion = () => new Promise(resolve => {
+        AnalysisJobQueue.setSocketServer({
+            to: room => ({
+                emit: (event, payload) => {
+                    events.push({ room, event, payload });
+                    if (event === 'analysisComplete') resolve(payload);
+                }
+            })
+        });
+    });
+
+    beforeAll(() => {
+        const raw = JSON.parse(fs.readFileSync(path.join(TEST_DATA_DIR, 'rf_test_20250514_104755.json'), 'utf8'));
+        flight = new FlightData({ userId, ...UAVDataProcessor.processFlightData(raw, { flightName: 'Square' }) });
+    });
+
+    beforeEach(() => {
+        jobs = new Map();
+        events = [];
+        jest.spyOn(AnalysisJob.prototype, 'save').mockImplementation(function() {
+            jobs.set(String(this._id), this);
+            return Promise.resolve(this);
+        });
+        jest.spyOn(AnalysisJob, 'create').mockImplementation(data => new AnalysisJob(data).save());
+        jest.spyOn(AnalysisJob, 'findById').mockImplementation(id => Promise.resolve(jobs.get(String(id)) || null));
+        jest.spyOn(AnalysisJob, 'findOne').mockImplementation(filter => Promise.resolve(
+            [...jobs.values()].find(job => filter._id ? String(job._id) === String(filter._id) :
+                filter.status.$in.includes(job.status)) || null
+        ));
+        jest.spyOn(FlightData, 'exists').mockImplementation(filter => Promise.resolve(
+            String(filter._id) === String(flight._id) ? { _id: flight._id } : null
+        ));
+        jest.spyOn(FlightData, 'findOne').mockResolvedValue(flight);
+        jest.spyOn(AnalysisReport, 'create').mockImplementation(data => Promise.resolve(new AnalysisReport(data)));
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    test('runs the stages in order and reports progress from the work done', async () => {
+        const completion = nextCompletion();
+        const { job } = await AnalysisJobQueue.submit(String(userId), String(flight._id));
+        const complete = await completion;
+
+        const progress = events.filter(e => e.event === 'analysisProgress').map(e => [e.payload.stage, e.payload.progress]);
+        expect(progress).toEqual([['load', 0], ['kinematics', 30], ['snapshot', 60], ['save', 80]]);
+        expect(events.every(e => e.room === `user:${userId}`)).toBe(true);
+
+        expect(complete).toMatchObject({ success: true, status: 'completed', progress: 100 });
+        expect(complete.report.flightName).toBe('Square');
+        expect(complete.report.duration).toBeGreaterThan(0);
+
+        const stored = jobs.get(String(job._id));
+        expect(stored.reportId).toEqual(complete.report._id);
+        expect(stored.stages.map(s => s.name)).toEqual(['load', 'kinematics', 'snapshot', 'save']);
+        expect(stored.attempts).toBe(1);
+    });
+
+    test('rejects flights the user does not own', async () => {
+        const result = await AnalysisJobQueue.submit(String(userId), String(new mongoose.Types.ObjectId()));
+        expect(result.error).toEqual({ status: 404, message: 'Flight data not found' });
+        expect((await AnalysisJobQueue.submit('demo-user-id', String(flight._id))).error.status).toBe(400);
+    });
+
+    test('cancels a running job at the next stage and retries it from the start', async () => {
+        // Cancel while the flight is loading
+        FlightData.findOne.mockImplementation(() => {
+            const [running] = jobs.values();
+            return AnalysisJobQueue.cancel(String(userId), String(running._id)).then(() => flight);
+        });
+
+        let completion = nextCompletion();
+        const { job } = await AnalysisJobQueue.submit(String(userId), String(flight._id));
+        expect(await completion).toMatchObject({ success: false, status: 'cancelled', progress: 30 });
+        expect(AnalysisReport.create).not.toHaveBeenCalled();
+
+        const finished = await AnalysisJobQueue.cancel(String(userId), String(job._id));
+        expect(finished.error).toEqual({ status: 409, message: 'Job is already cancelled' });
+
+        FlightData.findOne.mockResolvedValue(flight);
+        completion = nextCompletion();
+        const retried = await AnalysisJobQueue.retry(String(userId), String(job._id));
+        expect(retried.job.status).toBe('queued');
+        expect(await completion).toMatchObject({ success: true, status: 'completed' });
+        expect(jobs.get(String(job._id)).attempts).toBe(2);
+    });
+});
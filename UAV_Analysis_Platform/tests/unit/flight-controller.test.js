@@ -0,0 +1,136 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const FlightController = require('../../controllers/FlightController');
+const FlightData = require('../../models/FlightData');
+const FlightDataCleaner = require('../../models/FlightDataCleaner');
+const FlightImporter = require('../../models/FlightImporter');
+const RawFileStore = require('../../models/RawFileStore');
+const User = require('../../models/User');
+
+const TEST_DATA_DIR = path.join(__dirname, '../../../Test_Data');
+
+function loadSample(name = 'rf_test_20250514_104755.json') {
+    return JSON.parse(fs.readFileSync(path.join(TEST_DATA_DIR, name), 'utf8'));
+}
+
+// Upload context as uploadContext builds it from a query string
+function contextFor(query = {}) {
+    return {
+        userId: new mongoose.Types.ObjectId(),
+        importOptions: FlightImporter.parseOptions(query).options,
+        cleaning: FlightDataCleaner.parseOptions(query).options,
+        onDuplicate: 'reject',
+        errorOptions: null,
+        scoringProfile: null
+    };
+}
+
+// Response double recording the status and JSON body
+function mockResponse() {
+    const res = { statusCode: 200 };
+    res.status = code => { res.statusCode = code; return res; };
+    res.json = body => { res.body = body; return res; };
+    return res;
+}
+
+describe('FlightController', () => {
+    const controller = new FlightController();
+    let previousDirectory;
+
+    beforeEach(() => {
+        previousDirectory = process.env.RAW_STORE_DIR;
+        process.env.RAW_STORE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'raw-store-'));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(process.env.RAW_STORE_DIR, { recursive: true, force: true });
+        if (previousDirectory === undefined) delete process.env.RAW_STORE_DIR;
+        else process.env.RAW_STORE_DIR = previousDirectory;
+    });
+
+    describe('ingestFile', () => {
+        // The sample flown back to back until the log has more points than one document keeps
+        const longLog = () => {
+            const log = loadSample();
+            const points = log.position_data;
+            const span = points[points.length - 1].time - points[0].time + 0.05;
+            log.position_data = Array.from({ length: 161 }, (_, lap) =>
+                points.map(point => ({ ...point, time: point.time + lap * span }))).flat();
+            return Buffer.from(JSON.stringify(log));
+        };
+
+        test('refuses a log with more points than one document keeps unless it is resampled', () => {
+            const content = longLog();
+
+            const rejected = controller.ingestFile(content, 'long.json', contextFor(), 'Long');
+            expect(rejected).toMatchObject({ status: 'rejected', overPointLimit: true, format: 'rf-test-json' });
+            expect(rejected.message).toMatch(/over the 40000 a flight can keep/);
+
+            const resampled = controller.ingestFile(content, 'long.json', contextFor({ resampleRate: '1' }), 'Long');
+            expect(resampled.status).toBe('accepted');
+            expect(resampled.flight.positionData.length).toBeLessThan(3000);
+        });
+    });
+
+    describe('uploadBatch', () => {
+        test('keeps no raw file for a flight that fails to save', async () => {
+            const names = ['rf_test_20250513_193752.json', 'rf_test_20250514_104755.json'];
+            const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+            const uploads = names.map(name => {
+                const upload = { originalname: name, path: path.join(uploadDir, name) };
+                fs.copyFileSync(path.join(TEST_DATA_DIR, name), upload.path);
+                return upload;
+            });
+            const [kept, failed] = names.map(name =>
+                RawFileStore.checksumOf(fs.readFileSync(path.join(TEST_DATA_DIR, name))));
+
+            jest.spyOn(User, 'getErrorCalculationSettings').mockResolvedValue(null);
+            jest.spyOn(FlightData, 'findDuplicate').mockResolvedValue(null);
+            jest.spyOn(FlightData, 'exists').mockResolvedValue(null);
+            jest.spyOn(FlightData.prototype, 'save')
+                .mockResolvedValueOnce(undefined)
+                .mockRejectedValueOnce(new Error('write failed'));
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            const res = mockResponse();
+            await controller.uploadBatch({ files: uploads, user: { userId: 'user' }, query: {}, body: {} }, res);
+
+            expect(res.statusCode).toBe(500);
+            expect(await RawFileStore.has(kept)).toBe(true);
+            expect(await RawFileStore.has(failed)).toBe(false);
+            expect(uploads.some(upload => fs.existsSync(upload.path))).toBe(false);
+            fs.rmSync(uploadDir, { recursive: true, force: true });
+        });
+    });
+
+    describe('deleteFlight', () => {
+        test('makes the oldest kept copy of a deleted original the new original', async () => {
+            const original = { _id: new mongoose.Types.ObjectId(), rawFile: { checksum: 'abc' } };
+            const oldestCopy = { _id: new mongoose.Types.ObjectId() };
+            jest.spyOn(FlightData, 'findOneAndDelete').mockResolvedValue(original);
+            const query = { select: () => query, sort: jest.fn(() => query), lean: () => Promise.resolve(oldestCopy) };
+            const findOne = jest.spyOn(FlightData, 'findOne').mockReturnValue(query);
+            const updateOne = jest.spyOn(FlightData, 'updateOne').mockResolvedValue({});
+            const updateMany = jest.spyOn(FlightData, 'updateMany').mockResolvedValue({});
+            jest.spyOn(FlightData, 'exists').mockResolvedValue({ _id: oldestCopy._id });
+
+            const res = mockResponse();
+            await controller.deleteFlight({ params: { flightId: String(original._id) }, user: { userId: 'user' } }, res);
+
+            expect(res.body.success).toBe(true);
+            expect(findOne).toHaveBeenCalledWith({ duplicateOf: original._id });
+            expect(query.sort).toHaveBeenCalledWith({ createdAt: 1, _id: 1 });
+            expect(updateOne).toHaveBeenCalledWith({ _id: oldestCopy._id }, { $unset: { duplicateOf: 1 } });
+            expect(updateMany).toHaveBeenCalledWith({ duplicateOf: original._id }, { $set: { duplicateOf: oldestCopy._id } });
+
+            // Deleting a copy leaves the others pointing at their original
+            findOne.mockClear();
+            FlightData.findOneAndDelete.mockResolvedValue({ ...oldestCopy, duplicateOf: original._id });
+            await controller.deleteFlight({ params: { flightId: String(oldestCopy._id) }, user: { userId: 'user' } }, res);
+            expect(findOne).not.toHaveBeenCalled();
+        });
+    });
+});
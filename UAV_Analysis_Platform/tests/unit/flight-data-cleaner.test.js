@@ -0,0 +1,148 @@
+const path = require('path');
+const fs = require('fs');
+const FlightDataCleaner = require('../../models/FlightDataCleaner');
+const UAVDataProcessor = require('../../models/UAVDataProcessor');
+
+const TEST_DATA_DIR = path.join(__dirname, '../../../Test_Data');
+
+function loadFlight(name = 'rf_test_20250514_104755.json') {
+    return JSON.parse(fs.readFileSync(path.join(TEST_DATA_DIR, name), 'utf8'));
+}
+
+// A straight 10 Hz flight along x at 0.5 m/s
+function line(count, start = 1000) {
+    return Array.from({ length: count }, (_, i) => ({
+        time: start + i * 0.1, x: i * 0.05, y: 0, z: 1, error: 0.01, phase: 'transit', sequence_index: 0
+    }));
+}
+
+describe('FlightDataCleaner', () => {
+    test('parses options and reports every invalid one', () => {
+        expect(FlightDataCleaner.parseOptions({}).options).toEqual({ mode: 'report', resampleRate: null, maxSpeed: 20 });
+        expect(FlightDataCleaner.parseOptions({ resampleRate: '50', maxSpeed: '5' }).options)
+            .toEqual({ mode: 'repair', resampleRate: 50, maxSpeed: 5 });
+
+        const { options, errors } = FlightDataCleaner.parseOptions({ clean: 'scrub', resampleRate: '-1', maxSpeed: 'fast' });
+        expect(options).toBeNull();
+        expect(errors).toEqual([
+            'clean must be one of report, repair',
+            'resampleRate must be a number between 0 and 1000',
+            'maxSpeed must be a number between 0 and 1000'
+        ]);
+    });
+
+    test('finds nothing wrong in a clean flight', () => {
+        const report = FlightDataCleaner.inspect(line(100));
+
+        expect(report.pointCount).toBe(100);
+        expect(report.completeness).toBe(1);
+        expect(report.nominalRate).toBeCloseTo(10);
+        expect(report.gaps.count).toBe(0);
+        Object.values(report.issues).forEach(issue => expect(issue.count).toBe(0));
+    });
+
+    test('flags non-finite points, repeated and backwards times, spikes and jumps', () => {
+        const points = line(100);
+        points[10] = { ...points[10], x: NaN };
+        points[20] = { ...points[20], time: points[19].time };
+        points[30] = { ...points[30], time: points[28].time - 0.05 };
+        points[40] = { ...points[40], z: 30 };
+        // Re-lock: everything after point 60 is shifted 5 m
+        for (let i = 60; i < 100; i++) points[i] = { ...points[i], y: 5 };
+
+        const { issues } = FlightDataCleaner.inspect(points);
+        expect(issues.nonFinite).toEqual({ count: 1, indices: [10] });
+        expect(issues.duplicateTimes).toEqual({ count: 1, indices: [20] });
+        expect(issues.backwardsTimes).toEqual({ count: 1, indices: [30] });
+        expect(issues.spikes).toEqual({ count: 1, indices: [40] });
+        expect(issues.jumps).toEqual({ count: 1, indices: [60] });
+    });
+
+    test('measures gaps and completeness against the nominal rate', () => {
+        // 2 s without data after point 49
+        const points = line(100).map((p, i) => (i < 50 ? p : { ...p, time: p.time + 2 }));
+
+        const report = FlightDataCleaner.inspect(points);
+        expect(report.gaps.count).toBe(1);
+        expect(report.gaps.list[0]).toMatchObject({ index: 50, missingPoints: 20 });
+        expect(report.gaps.list[0].duration).toBeCloseTo(2.1);
+        expect(report.expectedPoints).toBe(120);
+        expect(report.completeness).toBeCloseTo(100 / 120);
+    });
+
+    test('does not count the logger\'s pause at each waypoint change as missing data', () => {
+        // The bundled logs pause about 0.6 s whenever sequence_index changes
+        fs.readdirSync(TEST_DATA_DIR).filter(name => name.endsWith('.json')).forEach(name => {
+            const report = FlightDataCleaner.inspect(loadFlight(name).position_data);
+            expect({ name, gaps: report.gaps.count, completeness: report.completeness })
+                .toEqual({ name, gaps: 0, completeness: 1 });
+            expect(report.nominalInterval).toBeCloseTo(0.05, 2);
+        });
+
+        // Points lost inside a leg still are, with the pauses left out of the expected count
+        const points = loadFlight().position_data;
+        const expected = FlightDataCleaner.inspect(points).expectedPoints;
+        points.splice(100, 30);
+        const report = FlightDataCleaner.inspect(points);
+        expect(report.gaps.count).toBe(1);
+        expect(report.gaps.list[0]).toMatchObject({ index: 100, missingPoints: 30 });
+        expect(report.expectedPoints).toBe(expected);
+        expect(report.completeness).toBeCloseTo((expected - 30) / expected);
+    });
+
+    test('repair drops the flagged points so a log that failed validation passes', () => {
+        const data = loadFlight();
+        data.position_data[5] = { ...data.position_data[5], time: data.position_data[4].time };
+        data.position_data[8] = { ...data.position_data[8], x: null };
+        expect(UAVDataProcessor.validateFlightData(data).valid).toBe(false);
+
+        const reported = FlightDataCleaner.clean(data);
+        expect(reported.data).toBe(data);
+        expect(reported.report.cleaning).toMatchObject({ mode: 'report', removed: 0 });
+
+        const { data: repaired, report } = FlightDataCleaner.clean(data, { mode: 'repair' });
+        expect(report.cleaning).toMatchObject({ mode: 'repair', removed: 2 });
+        expect(repaired.position_data).toHaveLength(data.position_data.length - 2);
+        expect(UAVDataProcessor.validateFlightData(repaired).valid).toBe(true);
+        // The upload itself is left alone
+        expect(data.position_data[8].x).toBeNull();
+    });
+
+    test('resamples to a uniform rate without filling gaps', () => {
+        const points = line(100).map((p, i) => (i < 50 ? p : { ...p, time: p.time + 2 }));
+
+        const { data, report } = FlightDataCleaner.clean({ position_data: points }, { mode: 'repair', resampleRate: 20 });
+        const resampled = data.position_data;
+        expect(report.cleaning).toMatchObject({ resampleRate: 20, resampledPoints: resampled.length });
+        // 98 steps of 0.05 s on each side of the gap, nothing inside it
+        expect(resampled).toHaveLength(2 * 99);
+        expect(resampled.some(p => p.time > points[49].time && p.time < points[50].time)).toBe(false);
+        expect(resampled[1].time - resampled[0].time).toBeCloseTo(0.05);
+        expect(resampled[1].x).toBeCloseTo(0.025);
+        expect(resampled[resampled.length - 1].time).toBe(points[99].time);
+    });
+
+    test('generateReport states the measured data quality', () => {
+        const report = data => UAVDataProcessor.generateReport(UAVDataProcessor.processFlightData(data, {
+            flightName: 'Square',
+            dataQuality: FlightDataCleaner.clean(data).report
+        })).dataQuality;
+        const original = report(loadFlight());
+        // The logger's pauses at waypoint changes are not gaps
+        expect(original).toMatchObject({ gaps: 0, completeness: '100.0%', reliability: 'High' });
+        expect(original.sampleRate).toBe('20.0 Hz');
+
+        const data = loadFlight();
+        data.position_data.splice(100, 30);
+        const dataQuality = report(data);
+        expect(dataQuality.gaps).toBe(original.gaps + 1);
+        expect(parseFloat(dataQuality.completeness)).toBeLessThan(parseFloat(original.completeness));
+        // 30 of 251 points lost: about 88% complete
+        expect(dataQuality.reliability).toBe('Medium');
+
+        // Flights stored before the report existed are inspected from their points
+        const processed = UAVDataProcessor.processFlightData(data, { flightName: 'Square' });
+        delete processed.dataQuality;
+        expect(UAVDataProcessor.generateReport(processed).dataQuality.gaps).toBe(dataQuality.gaps);
+    });
+});
@@ -0,0 +1,77 @@
+const path = require('path');
+const fs = require('fs');
+const FlightDataValidator = require('../../models/FlightDataValidator');
+
+const TEST_DATA_DIR = path.join(__dirname, '../../../Test_Data');
+
+function loadSample(name = 'rf_test_20250514_104755.json') {
+    return JSON.parse(fs.readFileSync(path.join(TEST_DATA_DIR, name), 'utf8'));
+}
+
+describe('FlightDataValidator', () => {
+    test('accepts every rf_test file in Test_Data', () => {
+        fs.readdirSync(TEST_DATA_DIR).filter(f => f.endsWith('.json')).forEach(file => {
+            const result = FlightDataValidator.validate(loadSample(file));
+            expect(result.errors).toEqual([]);
+            expect(result.valid).toBe(true);
+        });
+    });
+
+    test('reports every problem with its JSON path', () => {
+        const data = loadSample();
+        delete data.timestamp;
+        data.position_data[5].x = 'abc';
+        data.position_data[212].time = data.position_data[211].time - 1;
+        data.command_stats.dropped = data.command_stats.total_attempts + 1;
+        data.battery.start_voltage = -1;
+
+        const result = FlightDataValidator.validate(data);
+        const paths = result.errors.map(e => e.path);
+
+        expect(result.valid).toBe(false);
+        expect(paths).toEqual(expect.arrayContaining([
+            'timestamp',
+            'position_data[5].x',
+            'position_data[212].time',
+            'command_stats.dropped',
+            'battery.start_voltage'
+        ]));
+        expect(result.errors.find(e => e.path === 'position_data[212].time').message).toMatch(/monotonic/i);
+    });
+
+    test('checks position_accuracy buckets and rf_conditions', () => {
+        const data = loadSample();
+        data.position_accuracy.waypoint_phase.min = 1;
+        data.position_accuracy.config.vertical_mode = 'sideways';
+        data.rf_conditions.packet_loss_rate = 3;
+
+        const paths = FlightDataValidator.validate(data).errors.map(e => e.path);
+
+        expect(paths).toEqual(expect.arrayContaining([
+            'position_accuracy.waypoint_phase',
+            'position_accuracy.config.vertical_mode',
+            'rf_conditions.packet_loss_rate'
+        ]));
+    });
+
+    test('reports the same errors point by point as for the whole document', () => {
+        const data = loadSample();
+        delete data.timestamp;
+        data.position_data[5].x = 'abc';
+        data.position_data[212].time = data.position_data[211].time - 1;
+        data.battery.start_voltage = -1;
+
+        const { position_data: positions, ...fields } = data;
+        const validator = FlightDataValidator.streamValidator({ ...fields, position_data: true });
+        positions.forEach(point => validator.checkPoint(point));
+
+        expect(validator.valid).toBe(false);
+        expect(validator.finish(positions.length)).toEqual(FlightDataValidator.validate(data));
+    });
+
+    test('rejects a non-object document', () => {
+        const result = FlightDataValidator.validate([]);
+        expect(result.valid).toBe(false);
+        expect(FlightDataValidator.formatError(result.errors[0])).toBe('$: Flight data must be a JSON object');
+    });
+});
@@ -0,0 +1,60 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const FlightData = require('../../models/FlightData');
+
+const TEST_DATA_DIR = path.join(__dirname, '../../../Test_Data');
+
+describe('FlightData duplicate detection', () => {
+    const raw = fs.readFileSync(path.join(TEST_DATA_DIR, 'rf_test_20250513_193752.json'));
+    const json = JSON.parse(raw);
+    const upload = {
+        fingerprint: FlightData.fingerprintOf(raw),
+        timestamp: json.timestamp,
+        firstCommandTime: json.first_command_time
+    };
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('fingerprints the file bytes', () => {
+        expect(upload.fingerprint).toMatch(/^[0-9a-f]{64}$/);
+        expect(FlightData.fingerprintOf(Buffer.from(raw))).toBe(upload.fingerprint);
+        // Same recording, re-serialized: a different file
+        expect(FlightData.fingerprintOf(JSON.stringify(json))).not.toBe(upload.fingerprint);
+    });
+
+    test('matches the same file or the same recording', () => {
+        const reexported = { ...upload, fingerprint: FlightData.fingerprintOf(JSON.stringify(json)) };
+
+        expect(FlightData.duplicateMatch(upload, { ...upload })).toBe('fingerprint');
+        expect(FlightData.duplicateMatch(upload, reexported)).toBe('identity');
+        expect(FlightData.duplicateMatch(upload, { ...reexported, firstCommandTime: json.first_command_time + 1 })).toBeNull();
+        expect(FlightData.duplicateMatch(upload, { ...reexported, timestamp: '20250513_193753' })).toBeNull();
+        // Logs without first_command_time only match by fingerprint
+        const log = { fingerprint: 'a', timestamp: '20250513_193752' };
+        expect(FlightData.duplicateMatch(log, { ...log, fingerprint: 'b' })).toBeNull();
+    });
+
+    test('looks up the original stored flight by fingerprint or identity', async () => {
+        const userId = new mongoose.Types.ObjectId();
+        const stored = { _id: new mongoose.Types.ObjectId(), flightName: 'Hover', ...upload, fingerprint: 'other', createdAt: new Date() };
+        const query = { select: () => query, sort: () => query, lean: () => Promise.resolve(stored) };
+        const findOne = jest.spyOn(FlightData, 'findOne').mockReturnValue(query);
+
+        await expect(FlightData.findDuplicate(userId, upload)).resolves.toEqual({ flight: stored, matchedBy: 'identity' });
+        expect(findOne).toHaveBeenCalledWith({
+            userId,
+            duplicateOf: { $exists: false },
+            $or: [
+                { fingerprint: upload.fingerprint },
+                { timestamp: upload.timestamp, firstCommandTime: upload.firstCommandTime }
+            ]
+        });
+
+        // No first_command_time: fingerprint only
+        await FlightData.findDuplicate(userId, { fingerprint: 'abc', timestamp: upload.timestamp });
+        expect(findOne.mock.calls[1][0].$or).toEqual([{ fingerprint: 'abc' }]);
+    });
+});
@@ -0,0 +1,117 @@
+const path = require('path');
+const fs = require('fs');
+const mongoose = require('mongoose');
+const FlightData = require('../../models/FlightData');
+const FlightExporter = require('../../models/FlightExporter');
+const UAVDataProcessor = require('../../models/UAVDataProcessor');
+
+const TEST_DATA_DIR = path.join(__dirname, '../../../Test_Data');
+
+describe('FlightExporter', () => {
+    let flights;
+
+    // Collect the whole export for a set of stored flights
+    const exportText = async (format, extra = {}) => {
+        const { options, errors } = FlightExporter.parseOptions({ format, ...extra });
+        expect(errors).toEqual([]);
+        const byId = new Map(flights.map(f => [String(f._id), f]));
+        let text = '';
+        for await (const chunk of FlightExporter.generate(flights, options, id => Promise.resolve(byId.get(String(id))))) {
+            text += chunk;
+        }
+        return text;
+    };
+
+    beforeAll(() => {
+        const names = ['rf_test_20250514_104755.json', 'rf_test_20250513_193752.json'];
+        flights = names.map((name, i) => {
+            const raw = JSON.parse(fs.readFileSync(path.join(TEST_DATA_DIR, name), 'utf8'));
+            const flightName = i === 0 ? 'Square, "north" field' : 'Square';
+            return new FlightData({
+                userId: new mongoose.Types.ObjectId(),
+                ...UAVDataProcessor.processFlightData(raw, { flightName })
+            }).toObject();
+        });
+    });
+
+    test('exports every point of every flight as CSV', async () => {
+        const lines = (await exportText('csv')).trim().split('\n');
+        const total = flights.reduce((sum, f) => sum + f.positionData.length, 0);
+
+        expect(lines).toHaveLength(total + 1);
+        expect(lines[0].split(',')).toContain('error_xy');
+
+        const point = flights[0].positionData[5];
+        expect(lines[6]).toBe([
+            flights[0]._id, '"Square, ""north"" field"', 5, point.time, point.x, point.y, point.z,
+            point.target.x, point.target.y, point.target.z, point.error, point.error_xy, point.error_z,
+            point.phase, point.stabilized, point.sequence_index, ''
+        ].join(','));
+    });
+
+    test('exports one JSON record per point as NDJSON', async () => {
+        const records = (await exportText('ndjson')).trim().split('\n').map(line => JSON.parse(line));
+        const last = flights[1].positionData[flights[1].positionData.length - 1];
+
+        expect(records).toHaveLength(flights[0].positionData.length + flights[1].positionData.length);
+        expect(records[records.length - 1]).toMatchObject({
+            flightName: 'Square',
+            index: flights[1].positionData.length - 1,
+            time: last.time,
+            target: last.target,
+            sequence_index: last.sequence_index
+        });
+    });
+
+    test('exports flown and planned paths as GeoJSON around the origin', async () => {
+        const collection = JSON.parse(await exportText('geojson', { originLat: '51.5', originLon: '-0.12', originAlt: '20' }));
+        const flown = collection.features.filter(f => f.properties.path === 'flown');
+        const planned = collection.features.find(f => f.properties.path === 'planned');
+
+        expect(collection.type).toBe('FeatureCollection');
+        expect(flown).toHaveLength(2);
+        expect(flown[0].geometry.coordinates).toHaveLength(flights[0].positionData.length);
+        expect(planned.geometry.coordinates).toHaveLength(flights[0].sequence.length);
+        expect(collection.features.filter(f => f.properties.path === 'waypoint'))
+            .toHaveLength(flights[0].sequence.length + flights[1].sequence.length);
+
+        const [lon, lat, alt] = flown[0].geometry.coordinates[0];
+        expect(lat).toBeCloseTo(51.5, 3);
+        expect(lon).toBeCloseTo(-0.12, 3);
+        expect(alt).toBeCloseTo(20 + flights[0].positionData[0].z, 3);
+    });
+
+    test('exports a KML folder per flight', async () => {
+        const kml = await exportText('kml', { originLat: 51.5, originLon: -0.12 });
+
+        expect(kml.startsWith('<?xml')).toBe(true);
+        expect(kml.trim().endsWith('</kml>')).toBe(true);
+        expect(kml.match(/<Folder>/g)).toHaveLength(2);
+        expect(kml).toContain('<name>Square, &quot;north&quot; field</name>');
+        // No origin altitude, so heights are above the ground
+        expect(kml).toContain('<altitudeMode>relativeToGround</altitudeMode>');
+        expect(kml).not.toContain('NaN');
+    });
+
+    test('places local coordinates with the origin and heading', () => {
+        const geo = { originLat: 0, originLon: 0, originAlt: 100, heading: 90 };
+        const metresPerDegree = 6378137 * Math.PI / 180;
+
+        expect(FlightExporter.toGeo({ x: 0, y: 0, z: 1 }, geo)).toEqual([0, 0, 101]);
+        // Default heading: x east, y north
+        expect(FlightExporter.toGeo({ x: metresPerDegree, y: 0, z: 0 }, geo)[0]).toBeCloseTo(1, 9);
+        expect(FlightExporter.toGeo({ x: 0, y: metresPerDegree, z: 0 }, geo)[1]).toBeCloseTo(1, 9);
+        // x pointing north, so y points west
+        const [lon, lat] = FlightExporter.toGeo({ x: 0, y: metresPerDegree, z: 0 }, { ...geo, heading: 0 });
+        expect(lon).toBeCloseTo(-1, 9);
+        expect(lat).toBeCloseTo(0, 9);
+    });
+
+    test('validates the format and geo reference', () => {
+        expect(FlightExporter.parseOptions({}).options).toEqual({ format: 'csv', geo: null });
+        expect(FlightExporter.parseOptions({ format: 'parquet' }).errors[0]).toMatch(/format must be one of/);
+        expect(FlightExporter.parseOptions({ format: 'kml' }).errors).toEqual(['kml export needs originLat and originLon for the local origin']);
+        expect(FlightExporter.parseOptions({ format: 'geojson', originLat: 95, originLon: 0 }).errors)
+            .toContain('originLat must be a number between -90 and 90');
+    });
+});
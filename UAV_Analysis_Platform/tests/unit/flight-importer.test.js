@@ -0,0 +1,176 @@
+const FlightImporter = require('../../models/FlightImporter');
+const UAVDataProcessor = require('../../models/UAVDataProcessor');
+const CsvLog = require('../../models/importers/CsvLog');
+const GenericCsvImporter = require('../../models/importers/GenericCsvImporter');
+
+// A 1 m square at 1 m height, sampled at 10 Hz: one second to each waypoint, then one second holding it
+const WAYPOINTS = [[0, 0, 1], [1, 0, 1], [1, 1, 1], [0, 1, 1]];
+const SAMPLES = [];
+WAYPOINTS.forEach((waypoint, i) => {
+    const from = WAYPOINTS[i - 1] || [0, 0, 0];
+    for (let k = 1; k <= 20; k++) {
+        const f = Math.min(1, k / 10);
+        SAMPLES.push({
+            time: SAMPLES.length / 10,
+            position: from.map((v, axis) => v + (waypoint[axis] - v) * f),
+            waypoint
+        });
+    }
+});
+const START_TIME = '2025-05-14T10:47:55Z';
+
+const lines = (header, row) => [header, ...SAMPLES.map(row)].join('\n');
+// Platform x/y/z (z up) as north/east/down
+const ned = ([x, y, z]) => [y, x, -z];
+
+describe('FlightImporter', () => {
+    // Import, validate and analyze like the upload endpoint
+    const importAndProcess = (text, options) => {
+        const imported = FlightImporter.import(text, { startTime: START_TIME, ...options });
+        expect(imported.errors).toEqual([]);
+        expect(UAVDataProcessor.validateFlightData(imported.data).valid).toBe(true);
+        return { imported, processed: UAVDataProcessor.processFlightData(imported.data, { flightName: 'Imported' }) };
+    };
+
+    const expectSquare = ({ imported, processed }, format) => {
+        expect(imported.format).toBe(format);
+        expect(imported.data.timestamp).toBe('20250514_104755');
+        expect(imported.data.sequence).toEqual(WAYPOINTS);
+        expect(processed.positionData).toHaveLength(SAMPLES.length);
+        // In transit until within the 0.1 m arrival radius of the waypoint, then holding
+        expect(processed.positionData.slice(0, 20).map(p => p.phase[0]).join('')).toBe('t'.repeat(8) + 'w'.repeat(12));
+        expect(processed.positionData[15].target).toMatchObject({ x: 0, y: 0, z: 1 });
+    };
+
+    test('detects and imports a merged PX4 ulog CSV', () => {
+        const header = '__time,vehicle_local_position/x,vehicle_local_position/y,vehicle_local_position/z,' +
+            'trajectory_setpoint/position[0],trajectory_setpoint/position[1],trajectory_setpoint/position[2],battery_status/voltage_v';
+        // Setpoint and battery topics are logged on their own rows just before each position
+        const text = [header, ...SAMPLES.flatMap(s => [
+            [s.time, '', '', '', ...ned(s.waypoint), 12.4].join(','),
+            [s.time, ...ned(s.position), '', '', '', ''].join(',')
+        ])].join('\n');
+
+        const result = importAndProcess(text, { fileName: 'log_12.csv' });
+        expectSquare(result, 'px4-csv');
+        expect(result.imported.data.battery).toEqual({ start_voltage: 12.4 });
+        expect(result.imported.data.position_data[0]).toMatchObject({ x: 0, y: 0, z: 0.1 });
+    });
+
+    test('imports a single-topic ulog2csv file and warns that it has no setpoints', () => {
+        const text = lines('timestamp,x,y,z,vx,vy,vz,xy_valid', s => [Math.round(s.time * 1e6) + 5e6, ...ned(s.position), 0, 0, 0, 1].join(','));
+        const imported = FlightImporter.import(text, { fileName: 'vehicle_local_position_0.csv', startTime: START_TIME });
+
+        expect(imported.format).toBe('px4-csv');
+        expect(imported.data.sequence).toBeUndefined();
+        expect(imported.warnings).toEqual(['The log has no position setpoints, so position error cannot be measured']);
+        expect(imported.data.position_data[10].time - imported.data.position_data[0].time).toBeCloseTo(1, 6);
+
+        // Without setpoints the error is unknown, so neither accuracy nor stability is scored
+        const processed = UAVDataProcessor.processFlightData(imported.data, { flightName: 'Imported' });
+        expect(processed.positionData.every(p => p.error === undefined)).toBe(true);
+        expect(processed.analysis.positionAccuracy.valid.count).toBe(0);
+        const factors = Object.fromEntries(processed.qualityAssessment.factors.map(f => [f.factor, f]));
+        expect(factors.accuracy).toMatchObject({ value: null, score: null });
+        expect(factors.stability).toMatchObject({ value: null, score: null });
+    });
+
+    test('imports an ArduPilot text log with EKF position, setpoints and GPS time', () => {
+        const text = [
+            'FMT, 128, 89, FMT, BBnNZ, Type,Length,Name,Format,Columns',
+            'FMT, 1, 0, XKF1, QBccCfffffffccce, TimeUS,C,Roll,Pitch,Yaw,VN,VE,VD,dPD,PN,PE,PD,GX,GY,GZ,OH',
+            'FMT, 2, 0, PSCN, Qffffffff, TimeUS,TPN,PN,DVN,TVN,VN,DAN,TAN,AN',
+            'FMT, 3, 0, PSCE, Qffffffff, TimeUS,TPE,PE,DVE,TVE,VE,DAE,TAE,AE',
+            'FMT, 4, 0, PSCD, Qffffffff, TimeUS,TPD,PD,DVD,TVD,VD,DAD,TAD,AD',
+            'FMT, 5, 0, BAT, QBfff, TimeUS,Inst,Volt,VoltR,Curr',
+            'FMT, 6, 0, GPS, QBBIH, TimeUS,I,Status,GMS,GWk',
+            'GPS, 1000, 0, 3, 200000000, 2300',
+            ...SAMPLES.flatMap(s => {
+                const us = Math.round(s.time * 1e6) + 2000;
+                const [north, east, down] = ned(s.waypoint);
+                return [
+                    `PSCN, ${us}, ${north}, 0, 0, 0, 0, 0, 0, 0`,
+                    `PSCE, ${us}, ${east}, 0, 0, 0, 0, 0, 0, 0`,
+                    `PSCD, ${us}, ${down}, 0, 0, 0, 0, 0, 0, 0`,
+                    `BAT, ${us}, 0, 15.1, 15.1, 2`,
+                    `XKF1, ${us}, 0, 0, 0, 0, 0, 0, 0, 0, ${ned(s.position).join(', ')}, 0, 0, 0, 0`,
+                    // Secondary EKF core, ignored
+                    `XKF1, ${us}, 1, 0, 0, 0, 0, 0, 0, 0, 9, 9, 9, 0, 0, 0, 0`
+                ];
+            })
+        ].join('\n');
+
+        expectSquare(importAndProcess(text, { fileName: '00000012.log' }), 'ardupilot-log');
+
+        // Without a start time the GPS week time places the flight
+        const imported = FlightImporter.import(text, { fileName: '00000012.log' });
+        expect(imported.data.timestamp).toBe('20240206_073302');
+        expect(imported.data.battery).toEqual({ start_voltage: 15.1 });
+    });
+
+    test('detects and imports a Crazyflie CSV log', () => {
+        const text = lines('Timestamp,stateEstimate.x,stateEstimate.y,stateEstimate.z,ctrltarget.x,ctrltarget.y,ctrltarget.z,pm.vbat',
+            s => [Math.round(s.time * 1000), ...s.position, ...s.waypoint, 3.9].join(','));
+        expectSquare(importAndProcess(text, { fileName: 'cf_log.csv' }), 'crazyflie-csv');
+    });
+
+    test('imports a generic CSV through a column mapping', () => {
+        const text = lines('t_ms,"pos x (mm)",pos_y,pos_z,sp_x,sp_y,sp_z', s => [
+            Math.round(s.time * 1000), ...s.position.map(v => v * 1000), ...s.waypoint.map(v => v * 1000)
+        ].join(','));
+        const columnMapping = JSON.stringify({
+            time: 't_ms', x: 'pos x (mm)', y: 'pos_y', z: 'pos_z', targetX: 'sp_x', targetY: 'sp_y', targetZ: 'sp_z',
+            timeUnit: 'ms', scale: 0.001
+        });
+
+        expectSquare(importAndProcess(text, { fileName: 'flight.csv', columnMapping }), 'generic-csv');
+        // Without a mapping nothing recognises the layout
+        expect(FlightImporter.import(text, { fileName: 'flight.csv' }).errors[0]).toMatch(/^Unrecognised log format/);
+    });
+
+    test('validates column mappings', () => {
+        expect(GenericCsvImporter.parseMapping('{').errors[0]).toMatch(/^columnMapping is not valid JSON/);
+        expect(GenericCsvImporter.parseMapping({ time: 't', x: 'x', targetX: 'sx', timeUnit: 'min', frame: 'nwu' }).errors).toEqual([
+            'columnMapping needs y, z',
+            'columnMapping needs all of targetX, targetY and targetZ, or none',
+            'columnMapping.timeUnit must be one of s, ms, us, ns',
+            'columnMapping.frame must be one of enu, ned'
+        ]);
+        expect(FlightImporter.import('t,a\n0,1', { format: 'generic-csv', columnMapping: { time: 't', x: 'a', y: 'b', z: 'c' } }).errors)
+            .toEqual(['Missing columns: b, c']);
+    });
+
+    test('passes rf_test JSON through and reports invalid JSON', () => {
+        const flight = { timestamp: '20250514_104755', position_data: [] };
+        expect(FlightImporter.import(JSON.stringify(flight), { fileName: 'rf_test.json' })).toMatchObject({ format: 'rf-test-json', data: flight });
+        expect(FlightImporter.import('{"timestamp":', { fileName: 'rf_test.json' }).errors[0]).toMatch(/^Invalid JSON/);
+    });
+
+    test('records options that re-import a log at the same time', () => {
+        const text = lines('Timestamp,stateEstimate.x,stateEstimate.y,stateEstimate.z', s => [Math.round(s.time * 1000), ...s.position].join(','));
+        const first = FlightImporter.import(text, { fileName: 'cf.csv', arrivalRadius: 0.2 });
+        const replay = FlightImporter.replayOptions(first, { arrivalRadius: 0.2 });
+
+        expect(replay).toMatchObject({ format: 'crazyflie-csv', arrivalRadius: 0.2 });
+        const again = FlightImporter.import(text, replay);
+        expect(again.data.timestamp).toBe(first.data.timestamp);
+        expect(again.data.position_data[5].time).toBeCloseTo(first.data.position_data[5].time, 2);
+
+        const json = FlightImporter.import('{"timestamp":"20250513_193752","position_data":[]}', { fileName: 'a.json' });
+        expect(FlightImporter.replayOptions(json)).toEqual({ format: 'rf-test-json' });
+    });
+
+    test('parses upload options and lists the importers', () => {
+        expect(FlightImporter.parseOptions({ format: 'auto', arrivalRadius: '0.25' })).toEqual({ options: { arrivalRadius: 0.25 }, errors: [] });
+        expect(FlightImporter.parseOptions({ format: 'ulog', startTime: 'yesterday', arrivalRadius: '-1' }).errors).toHaveLength(3);
+        expect(FlightImporter.list().map(i => i.id)).toEqual(['rf-test-json', 'ardupilot-log', 'px4-csv', 'crazyflie-csv', 'generic-csv']);
+        expect(FlightImporter.acceptedExtensions()).toEqual(['.json', '.log', '.txt', '.csv']);
+    });
+
+    test('reads quoted CSV fields and skips comments', () => {
+        const { columns, rows } = CsvLog.parse('# exported by logger\na,"b, c"\r\n1,"say ""hi""\nthere"\n\n2,nan\n');
+        expect(columns).toEqual(['a', 'b, c']);
+        expect(rows).toEqual([['1', 'say "hi"\nthere'], ['2', 'nan']]);
+        expect(CsvLog.number(rows[1], 1)).toBeNull();
+    });
+});
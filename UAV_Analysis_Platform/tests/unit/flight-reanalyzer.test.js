@@ -0,0 +1,187 @@
+const path = require('path');
+const fs = require('fs');
+const { Readable } = require('stream');
+const mongoose = require('mongoose');
+const FlightData = require('../../models/FlightData');
+const FlightPointChunk = require('../../models/FlightPointChunk');
+const FlightReanalyzer = require('../../models/FlightReanalyzer');
+const ReanalysisController = require('../../controllers/ReanalysisController');
+const ReanalysisJob = require('../../models/ReanalysisJob');
+const ReanalysisResult = require('../../models/ReanalysisResult');
+const RawFileStore = require('../../models/RawFileStore');
+const UAVDataProcessor = require('../../models/UAVDataProcessor');
+
+const TEST_DATA_DIR = path.join(__dirname, '../../../Test_Data');
+
+function loadSample(name = 'rf_test_20250514_104755.json') {
+    return JSON.parse(fs.readFileSync(path.join(TEST_DATA_DIR, name), 'utf8'));
+}
+
+describe('FlightReanalyzer', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    test('selects stale flights of one user, or everyone for admin jobs', () => {
+        const userId = String(new mongoose.Types.ObjectId());
+        const filter = FlightReanalyzer.buildFilter({
+            userId,
+            staleOnly: true,
+            uploadedAfter: new Date('2025-05-01')
+        });
+
+        expect(filter.userId).toBe(userId);
+        expect(filter.$or).toEqual([
+            { analysisVersion: { $lt: UAVDataProcessor.ANALYSIS_VERSION } },
+            { analysisVersion: { $exists: false } }
+        ]);
+        expect(filter.createdAt).toEqual({ $gte: new Date('2025-05-01') });
+        expect(FlightReanalyzer.buildFilter({ allUsers: true, userId })).toEqual({});
+    });
+
+    test('re-analyzes a stored flight with its options and records the score change', async () => {
+        const processed = UAVDataProcessor.processFlightData(loadSample(), { flightName: 'Square' },
+            { excludeTransit: true, source: 'query' });
+        const stored = new FlightData({ userId: new mongoose.Types.ObjectId(), ...processed });
+        // An older version that scored the flight differently
+        stored.analysisVersion = undefined;
+        stored.qualityAssessment.overallScore = 10;
+        stored.qualityAssessment.grade = 'F';
+
+        jest.spyOn(FlightData, 'findById').mockResolvedValue(stored);
+        const update = jest.spyOn(FlightData, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+        const result = await FlightReanalyzer.reanalyzeFlight(stored._id);
+        const saved = update.mock.calls[0][1].$set;
+
+        expect(saved.analysisVersion).toBe(UAVDataProcessor.ANALYSIS_VERSION);
+        expect(saved.analysis.errorOptions).toMatchObject({ excludeTransit: true, source: 'query' });
+        expect(result.before).toMatchObject({ analysisVersion: null, overallScore: 10, grade: 'F' });
+        expect(result.after.overallScore).toBe(processed.qualityAssessment.overallScore);
+        expect(result.scoreChange).toBe(processed.qualityAssessment.overallScore - 10);
+
+        expect(FlightReanalyzer.summarize([result, { flightId: stored._id, error: 'Flight not found' }]))
+            .toEqual({ improved: 1, worsened: 0, unchanged: 0, averageScoreChange: result.scoreChange, gradeChanges: 1 });
+    });
+
+    test('starts from the raw upload when the flight has one', async () => {
+        const raw = fs.readFileSync(path.join(TEST_DATA_DIR, 'rf_test_20250514_104755.json'));
+        const processed = UAVDataProcessor.processFlightData(loadSample(), { flightName: 'Square' });
+        const stored = new FlightData({
+            userId: new mongoose.Types.ObjectId(),
+            ...processed,
+            rawFile: { checksum: RawFileStore.checksumOf(raw), fileName: 'rf_test_20250514_104755.json', size: raw.length },
+            importOptions: { format: 'rf-test-json' }
+        });
+        // Stored points that no longer match the upload
+        stored.positionData = stored.positionData.slice(0, 10);
+
+        jest.spyOn(FlightData, 'findById').mockResolvedValue(stored);
+        const get = jest.spyOn(RawFileStore, 'get').mockResolvedValue(raw);
+        const update = jest.spyOn(FlightData, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+        const result = await FlightReanalyzer.reanalyzeFlight(stored._id);
+
+        expect(get).toHaveBeenCalledWith(stored.rawFile.checksum);
+        expect(result.source).toBe('raw');
+        expect(update.mock.calls[0][1].$set.positionData).toHaveLength(processed.positionData.length);
+
+        // A raw file that has gone fails the flight instead of falling back to the stored points
+        get.mockRejectedValue(Object.assign(new Error('gone'), { code: 'ENOENT' }));
+        await expect(FlightReanalyzer.reanalyzeFlight(stored._id)).rejects.toThrow('Raw file is missing from the store');
+    });
+
+    test('streams a chunked flight from its raw file into a new generation of chunks', async () => {
+        const raw = fs.readFileSync(path.join(TEST_DATA_DIR, 'rf_test_20250514_104755.json'));
+        const processed = UAVDataProcessor.processFlightData(loadSample(), { flightName: 'Long' });
+        const oldGeneration = new mongoose.Types.ObjectId();
+        const stored = new FlightData({
+            userId: new mongoose.Types.ObjectId(),
+            ...processed,
+            rawFile: { checksum: RawFileStore.checksumOf(raw), fileName: 'long.json', size: raw.length },
+            importOptions: { format: 'rf-test-json' },
+            pointStore: { chunked: true, generation: oldGeneration, chunkCount: 1, pointCount: processed.positionData.length }
+        });
+
+        jest.spyOn(FlightData, 'findById').mockResolvedValue(stored);
+        jest.spyOn(RawFileStore, 'has').mockResolvedValue(true);
+        jest.spyOn(RawFileStore, 'createReadStream').mockImplementation(() => Readable.from([raw]));
+        const create = jest.spyOn(FlightPointChunk, 'create').mockResolvedValue({});
+        const prune = jest.spyOn(FlightPointChunk, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+        const update = jest.spyOn(FlightData, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+        const result = await FlightReanalyzer.reanalyzeFlight(stored._id);
+        const saved = update.mock.calls[0][1].$set;
+
+        expect(result.source).toBe('raw');
+        expect(create).toHaveBeenCalled();
+        expect(saved.pointStore.generation).not.toEqual(oldGeneration);
+        expect(prune).toHaveBeenCalledWith({ flightId: stored._id, generation: { $ne: saved.pointStore.generation } });
+        expect(result.after.overallScore).toBe(processed.qualityAssessment.overallScore);
+    });
+
+    test('starts one job for requests that arrive together, and frees the slot when creating it fails', async () => {
+        const respond = () => {
+            const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+            return res;
+        };
+        const request = () => ({
+            body: {},
+            user: { userId: String(new mongoose.Types.ObjectId()) },
+            app: { get: () => null }
+        });
+        // run() would take over the reserved slot and free it when the job ends
+        jest.spyOn(FlightReanalyzer, 'run').mockResolvedValue();
+        jest.spyOn(ReanalysisJob, 'create').mockImplementation(async fields => new ReanalysisJob(fields));
+
+        const [first, second] = [respond(), respond()];
+        await Promise.all([
+            ReanalysisController.startReanalysis(request(), first),
+            ReanalysisController.startReanalysis(request(), second)
+        ]);
+        expect(first.status).toHaveBeenCalledWith(202);
+        expect(second.status).toHaveBeenCalledWith(409);
+        expect(FlightReanalyzer.run).toHaveBeenCalledTimes(1);
+        FlightReanalyzer.release();
+        expect(FlightReanalyzer.isRunning()).toBe(false);
+
+        ReanalysisJob.create.mockRejectedValue(new Error('database down'));
+        const failed = respond();
+        await ReanalysisController.startReanalysis(request(), failed);
+        expect(failed.status).toHaveBeenCalledWith(500);
+        expect(FlightReanalyzer.isRunning()).toBe(false);
+    });
+
+    test('keeps per-flight results out of the job document', async () => {
+        const ok = new mongoose.Types.ObjectId();
+        const missing = new mongoose.Types.ObjectId();
+        const job = new ReanalysisJob({ startedBy: 'admin', scope: { allUsers: true } });
+        const flights = [{ _id: ok }, { _id: missing }];
+        jest.spyOn(FlightData, 'find').mockReturnValue({ select: () => ({ lean: async () => flights }) });
+        jest.spyOn(FlightReanalyzer, 'reanalyzeFlight').mockImplementation(async id => {
+            if (id === missing) throw new Error('Flight not found');
+            return { flightId: id, before: { grade: 'C' }, after: { grade: 'B' }, scoreChange: 12 };
+        });
+        const created = jest.spyOn(ReanalysisResult, 'create').mockResolvedValue({});
+        const saved = jest.spyOn(job, 'save').mockResolvedValue(job);
+
+        await FlightReanalyzer.run(job);
+
+        expect(created.mock.calls.map(([result]) => result)).toEqual([
+            expect.objectContaining({ jobId: job._id, flightId: ok, scoreChange: 12 }),
+            { jobId: job._id, flightId: missing, error: 'Flight not found' }
+        ]);
+        expect(job.toObject().results).toBeUndefined();
+        expect(job).toMatchObject({ status: 'completed', processed: 2, succeeded: 1, failed: 1 });
+        expect(job.summary.toObject())
+            .toEqual({ improved: 1, worsened: 0, unchanged: 0, averageScoreChange: 12, gradeChanges: 1 });
+        expect(saved).toHaveBeenCalledTimes(4);
+        expect(FlightReanalyzer.isRunning()).toBe(false);
+    });
+
+    test('fails jobs a restart interrupted', async () => {
+        const update = jest.spyOn(ReanalysisJob, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+
+        expect(await FlightReanalyzer.recover()).toBe(2);
+        expect(update.mock.calls[0][0]).toEqual({ status: { $in: ['queued', 'running'] } });
+        expect(update.mock.calls[0][1].$set).toMatchObject({ status: 'failed', error: 'Interrupted by a server restart' });
+    });
+});
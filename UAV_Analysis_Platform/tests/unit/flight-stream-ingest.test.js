@@ -0,0 +1,79 @@
+const path = require('path');
+const fs = require('fs');
+const { Readable } = require('stream');
+const mongoose = require('mongoose');
+const FlightPointChunk = require('../../models/FlightPointChunk');
+const FlightStreamIngest = require('../../models/FlightStreamIngest');
+const StreamingStats = require('../../models/StreamingStats');
+const UAVDataProcessor = require('../../models/UAVDataProcessor');
+
+const TEST_DATA_DIR = path.join(__dirname, '../../../Test_Data');
+
+function loadSample(name = 'rf_test_20250514_104755.json') {
+    return JSON.parse(fs.readFileSync(path.join(TEST_DATA_DIR, name), 'utf8'));
+}
+
+// open() for FlightStreamIngest.ingest, yielding the log in small pieces
+function opener(data) {
+    const bytes = Buffer.from(JSON.stringify(data));
+    return () => Readable.from((function* () {
+        for (let start = 0; start < bytes.length; start += 1000) yield bytes.subarray(start, start + 1000);
+    })());
+}
+
+describe('FlightStreamIngest', () => {
+    const ids = { flightId: new mongoose.Types.ObjectId(), userId: new mongoose.Types.ObjectId() };
+    let chunks;
+
+    beforeEach(() => {
+        chunks = [];
+        jest.replaceProperty(FlightPointChunk, 'CHUNK_SIZE', 100);
+        jest.spyOn(FlightPointChunk, 'create').mockImplementation(async chunk => chunks.push(chunk));
+        jest.spyOn(FlightPointChunk, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    test('writes every point to chunks and matches the in-memory analysis', async () => {
+        const data = loadSample();
+        const errorOptions = { excludeTransit: true, source: 'query' };
+        const result = await FlightStreamIngest.ingest(opener(data), { ...ids, flightName: 'Square', errorOptions });
+        const expected = UAVDataProcessor.processFlightData(loadSample(), { flightName: 'Square' }, errorOptions);
+
+        expect(result.status).toBe('accepted');
+        expect(chunks.map(c => c.chunkIndex)).toEqual([0, 1, 2]);
+        expect(chunks.map(c => c.startIndex)).toEqual([0, 100, 200]);
+        expect(chunks.flatMap(c => c.points).map(p => p.time)).toEqual(data.position_data.map(p => p.time));
+        expect(result.pointStore).toMatchObject({
+            chunked: true,
+            chunkCount: 3,
+            pointCount: data.position_data.length,
+            sampleStride: 1,
+            startTime: data.position_data[0].time
+        });
+
+        const { analysis } = result.processedData;
+        expect(analysis.totalPoints).toBe(expected.analysis.totalPoints);
+        expect(analysis.waypointPoints).toBe(expected.analysis.waypointPoints);
+        expect(analysis.positionAccuracy.overall.average).toBeCloseTo(expected.analysis.positionAccuracy.overall.average, 9);
+        expect(analysis.positionAccuracy.overall.max).toBe(expected.analysis.positionAccuracy.overall.max);
+        const median = expected.analysis.positionAccuracy.overall.median;
+        expect(Math.abs(analysis.positionAccuracy.overall.median - median))
+            .toBeLessThanOrEqual(median * StreamingStats.RELATIVE_ACCURACY);
+        expect(result.processedData.accuracyCheck.agrees).toBe(expected.accuracyCheck.agrees);
+        expect(result.processedData.positionData).toHaveLength(data.position_data.length);
+    });
+
+    test('rejects invalid logs and deletes the chunks written so far', async () => {
+        const data = loadSample();
+        data.position_data[150].x = 'abc';
+        const invalid = await FlightStreamIngest.ingest(opener(data), ids);
+
+        expect(invalid.status).toBe('rejected');
+        expect(invalid.errors.map(e => e.path)).toContain('position_data[150].x');
+        expect(FlightPointChunk.deleteMany).toHaveBeenCalledWith(expect.objectContaining({ flightId: ids.flightId }));
+
+        const truncated = await FlightStreamIngest.ingest(() => Readable.from(['{"timestamp": 1, "position_data": [']), ids);
+        expect(truncated).toEqual({ status: 'rejected', message: 'Invalid JSON: Unexpected end of file' });
+    });
+});
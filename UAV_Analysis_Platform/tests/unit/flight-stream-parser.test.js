@@ -0,0 +1,64 @@
+const path = require('path');
+const fs = require('fs');
+const FlightStreamParser = require('../../models/FlightStreamParser');
+
+const TEST_DATA_DIR = path.join(__dirname, '../../../Test_Data');
+
+function parseInPieces(text, size, options) {
+    const parser = new FlightStreamParser(options);
+    const bytes = Buffer.from(text);
+    const points = [];
+    for (let start = 0; start < bytes.length; start += size) {
+        points.push(...parser.write(bytes.subarray(start, start + size)));
+    }
+    return { fields: parser.end(), points, pointCount: parser.pointCount };
+}
+
+describe('FlightStreamParser', () => {
+    const text = fs.readFileSync(path.join(TEST_DATA_DIR, 'rf_test_20250514_104755.json'), 'utf8');
+    const data = JSON.parse(text);
+
+    test('gives the same fields and points as JSON.parse whatever the chunk boundaries', () => {
+        const { position_data: positions, ...fields } = data;
+        [1, 7, 4096, text.length].forEach(size => {
+            const result = parseInPieces(text, size);
+            expect(result.points).toEqual(positions);
+            expect(result.pointCount).toBe(positions.length);
+            expect(result.fields).toEqual({ ...fields, position_data: true });
+        });
+    });
+
+    test('counts points without parsing them in countOnly mode', () => {
+        const result = parseInPieces(text, 1000, { countOnly: true });
+        expect(result.points).toEqual([]);
+        expect(result.pointCount).toBe(data.position_data.length);
+        expect(result.fields.sequence).toEqual(data.sequence);
+    });
+
+    test('keeps strings with brackets, commas and escapes intact across chunks', () => {
+        const doc = JSON.stringify({
+            note: 'a "quoted", {braced} [text] \\ end',
+            position_data: [{ time: 1, label: ']},' }, { time: 2, nested: { list: [1, [2]] } }],
+            after: { ok: true }
+        });
+        const result = parseInPieces(doc, 3);
+        expect(result.fields.note).toBe('a "quoted", {braced} [text] \\ end');
+        expect(result.fields.after).toEqual({ ok: true });
+        expect(result.points).toEqual([{ time: 1, label: ']},' }, { time: 2, nested: { list: [1, [2]] } }]);
+    });
+
+    test('throws a SyntaxError for malformed or truncated logs', () => {
+        const cases = [
+            ['[1, 2]', 'Flight data must be a JSON object'],
+            ['{"position_data": {}}', 'position_data must be an array'],
+            ['{"position_data": [{"time": 1},, {"time": 2}]}', 'Expected a point in position_data'],
+            ['{"position_data": [{"time": }]}', 'position_data[0]'],
+            ['{"timestamp": 1} extra', 'Unexpected data after the flight object'],
+            [text.slice(0, text.length / 2), 'Unexpected end of file']
+        ];
+        cases.forEach(([doc, message]) => {
+            expect(() => parseInPieces(doc, 5)).toThrow(SyntaxError);
+            expect(() => parseInPieces(doc, 5)).toThrow(message);
+        });
+    });
+});
@@ -0,0 +1,62 @@
+const path = require('path');
+const fs = require('fs');
+const PositionAccuracyChecker = require('../../models/PositionAccuracyChecker');
+
+const TEST_DATA_DIR = path.join(__dirname, '../../../Test_Data');
+
+function loadSample(name = 'rf_test_20250514_104755.json') {
+    return JSON.parse(fs.readFileSync(path.join(TEST_DATA_DIR, name), 'utf8'));
+}
+
+describe('PositionAccuracyChecker', () => {
+    test('reproduces position_accuracy for every rf_test file in Test_Data', () => {
+        fs.readdirSync(TEST_DATA_DIR).filter(f => f.endsWith('.json')).forEach(file => {
+            const data = loadSample(file);
+            const result = PositionAccuracyChecker.check(data, data.position_data);
+
+            expect(result.mismatches).toEqual([]);
+            expect(result.agrees).toBe(true);
+            expect(result.method).toBe('TrajectoryAwareErrorCalculator3D');
+        });
+    });
+
+    test('lists buckets that older calculator versions do not write', () => {
+        // The 2025-05-14 files predate the valid_* buckets
+        const data = loadSample();
+        const result = PositionAccuracyChecker.check(data, data.position_data);
+
+        expect(result.missingBuckets).toEqual(['valid_errors', 'valid_xy', 'valid_height']);
+        expect(result.recomputed.average_error).toBe(result.recomputed.overall.average);
+
+        // Newer files report the summary for the waypoint-only valid bucket
+        const vertical = loadSample('rf_test_20250513_193752.json');
+        const recomputed = PositionAccuracyChecker.check(vertical, vertical.position_data).recomputed;
+        expect(recomputed.valid_points).toBe(recomputed.waypoint_points);
+        expect(recomputed.average_error).toBe(recomputed.valid_errors.average);
+    });
+
+    test('flags buckets that disagree beyond the tolerance', () => {
+        const data = loadSample();
+        data.position_accuracy.waypoint_phase.average += 0.002;
+        data.position_accuracy.height.transit.max += 1e-7;
+        data.position_accuracy.total_points += 1;
+
+        const result = PositionAccuracyChecker.check(data, data.position_data);
+
+        expect(result.agrees).toBe(false);
+        expect(result.mismatches.map(m => `${m.bucket}.${m.field}`)).toEqual([
+            'waypoint_phase.average',
+            'counts.total_points'
+        ]);
+        expect(result.mismatches[0].difference).toBeCloseTo(0.002, 9);
+    });
+
+    test('leaves agreement unset when the upload has no position_accuracy', () => {
+        const data = loadSample();
+        delete data.position_accuracy;
+        const result = PositionAccuracyChecker.check(data, data.position_data);
+
+        expect(result.agrees).toBeNull();
+        expect(result.recomputed.overall.average).toBeGreaterThan(0);
+    });
+});
@@ -0,0 +1,107 @@
+const path = require('path');
+const fs = require('fs');
+const mongoose = require('mongoose');
+const FlightData = require('../../models/FlightData');
+const QualityScorer = require('../../models/QualityScorer');
+const UAVDataProcessor = require('../../models/UAVDataProcessor');
+
+const TEST_DATA_DIR = path.join(__dirname, '../../../Test_Data');
+
+function loadSample(name = 'rf_test_20250514_104755.json') {
+    return JSON.parse(fs.readFileSync(path.join(TEST_DATA_DIR, name), 'utf8'));
+}
+
+describe('QualityScorer', () => {
+    const profile = QualityScorer.validateProfile({
+        name: 'Test',
+        factors: {
+            accuracy: { weight: 3, good: 0, poor: 0.1 },
+            efficiency: { weight: 1, good: 1, poor: 0.5 }
+        },
+        grades: { A: 80, B: 60, C: 40, D: 20 },
+        improvementThreshold: 90
+    }).profile;
+
+    test('scores factors linearly between the thresholds and weights them', () => {
+        const result = QualityScorer.score({ averageError: 0.02, pathEfficiency: 0.75, errorStdDev: 0.5 }, profile);
+
+        expect(result.breakdown).toEqual({ accuracy: 80, stability: 0, efficiency: 50, adaptability: null });
+        // Stability has weight 0 in this profile, adaptability has no metric
+        expect(result.overallScore).toBe(Math.round((80 * 3 + 50) / 4));
+        expect(result.grade).toBe('B');
+        expect(result.profile).toEqual({ id: null, name: 'Test' });
+
+        // Suggestions only for weighted factors below the threshold, the most points lost first
+        expect(result.improvements).toHaveLength(2);
+        expect(result.improvements[0]).toMatch(/position error/);
+        expect(result.improvements[1]).toMatch(/efficient/);
+    });
+
+    test('grades the score as shown', () => {
+        // Accuracy alone at 79.6, shown as 80: an A in this profile
+        const result = QualityScorer.score({ averageError: 0.0204 }, profile);
+
+        expect(result.overallScore).toBe(80);
+        expect(result.grade).toBe('A');
+    });
+
+    test('leaves factors without a metric out of the score', () => {
+        const result = QualityScorer.score({ averageError: 0.02, pathEfficiency: null }, profile);
+
+        expect(result.breakdown.efficiency).toBeNull();
+        expect(result.overallScore).toBe(80);
+        expect(QualityScorer.score({}, profile).overallScore).toBe(0);
+    });
+
+    test('rejects invalid profiles with every problem listed', () => {
+        const { profile: invalid, errors } = QualityScorer.validateProfile({
+            name: '',
+            factors: { accuracy: { weight: -1, good: 0.1, poor: 0.1 }, speed: { weight: 1 } },
+            grades: { C: 85 }
+        });
+
+        expect(invalid).toBeNull();
+        expect(errors).toEqual(expect.arrayContaining([
+            'name is required',
+            'Unknown factor: speed',
+            'factors.accuracy.weight must not be negative',
+            'factors.accuracy.good and poor must differ',
+            'At least one factor needs a positive weight',
+            'grades.C must be below grades.B'
+        ]));
+    });
+
+    test('rejects factor settings that are not objects', () => {
+        expect(QualityScorer.validateProfile({ name: 'Broken', factors: { accuracy: null, stability: 3 } }).errors)
+            .toEqual(['factors.accuracy must be an object', 'factors.stability must be an object',
+                'At least one factor needs a positive weight']);
+        expect(QualityScorer.validateProfile({ name: 'Broken', factors: [] }).errors).toEqual(['factors must be an object']);
+    });
+
+    test('grades every bundled flight D or better under each built-in profile', () => {
+        const flights = fs.readdirSync(TEST_DATA_DIR).filter(name => name.endsWith('.json'))
+            .map(name => UAVDataProcessor.processFlightData(loadSample(name), { flightName: name }));
+        expect(flights.length).toBeGreaterThan(0);
+
+        QualityScorer.listBuiltInProfiles().forEach(profile => {
+            flights.forEach(flight => {
+                const { grade } = UAVDataProcessor.calculateQualityScore(flight, profile);
+                expect(`${profile.id} ${flight.flightName} ${grade}`).not.toMatch(/ F$/);
+            });
+        });
+    });
+
+    test('grades a stored flight the same as the freshly processed one', () => {
+        const processed = UAVDataProcessor.processFlightData(loadSample(), { flightName: 'Square' });
+        const stored = new FlightData({ userId: new mongoose.Types.ObjectId(), ...processed });
+        const hover = QualityScorer.getBuiltInProfile('indoor-hover');
+
+        expect(QualityScorer.extractMetrics(stored)).toEqual(QualityScorer.extractMetrics(processed));
+        expect(processed.qualityAssessment.profile.id).toBe('default');
+        expect(stored.validateSync()).toBeUndefined();
+
+        const regraded = UAVDataProcessor.calculateQualityScore(stored, hover);
+        expect(regraded.profile).toEqual({ id: 'indoor-hover', name: 'Indoor hover' });
+        expect(regraded.overallScore).not.toBe(processed.qualityAssessment.overallScore);
+    });
+});
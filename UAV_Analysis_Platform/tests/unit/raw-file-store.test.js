@@ -0,0 +1,123 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const FlightController = require('../../controllers/FlightController');
+const FlightData = require('../../models/FlightData');
+const RawFileStore = require('../../models/RawFileStore');
+
+const TEST_DATA_DIR = path.join(__dirname, '../../../Test_Data');
+
+describe('RawFileStore', () => {
+    const raw = fs.readFileSync(path.join(TEST_DATA_DIR, 'rf_test_20250513_193752.json'));
+    let previousDirectory;
+
+    beforeEach(() => {
+        previousDirectory = process.env.RAW_STORE_DIR;
+        process.env.RAW_STORE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'raw-store-'));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(process.env.RAW_STORE_DIR, { recursive: true, force: true });
+        if (previousDirectory === undefined) delete process.env.RAW_STORE_DIR;
+        else process.env.RAW_STORE_DIR = previousDirectory;
+    });
+
+    test('stores a file compressed under its checksum and returns the original bytes', async () => {
+        const stored = await RawFileStore.put(raw);
+
+        expect(stored.checksum).toBe(RawFileStore.checksumOf(raw));
+        expect(stored.size).toBe(raw.length);
+        expect(stored.compressedSize).toBeLessThan(raw.length / 2);
+        expect(RawFileStore.pathFor(stored.checksum))
+            .toBe(path.join(process.env.RAW_STORE_DIR, stored.checksum.slice(0, 2), `${stored.checksum}.gz`));
+        expect((await RawFileStore.get(stored.checksum)).equals(raw)).toBe(true);
+    });
+
+    test('keeps one copy of a file stored twice', async () => {
+        const first = await RawFileStore.put(raw);
+        const second = await RawFileStore.put(Buffer.from(raw));
+        const files = fs.readdirSync(path.dirname(RawFileStore.pathFor(first.checksum)));
+
+        expect(second).toEqual(first);
+        expect(files).toEqual([`${first.checksum}.gz`]);
+    });
+
+    test('streams a file on disk into the store and back out', async () => {
+        const file = path.join(process.env.RAW_STORE_DIR, 'upload.json');
+        fs.writeFileSync(file, raw);
+        const stored = await RawFileStore.putFile(file);
+
+        expect(stored).toEqual(await RawFileStore.put(raw));
+        const chunks = [];
+        for await (const chunk of RawFileStore.createReadStream(stored.checksum)) chunks.push(chunk);
+        expect(Buffer.concat(chunks).equals(raw)).toBe(true);
+
+        fs.writeFileSync(RawFileStore.pathFor(stored.checksum), require('zlib').gzipSync('tampered'));
+        await expect((async () => {
+            for await (const chunk of RawFileStore.createReadStream(stored.checksum)) chunks.push(chunk);
+        })()).rejects.toMatchObject({ code: 'ECHECKSUM' });
+    });
+
+    test('refuses a stored copy that no longer matches its checksum', async () => {
+        const { checksum } = await RawFileStore.put(raw);
+        fs.writeFileSync(RawFileStore.pathFor(checksum), require('zlib').gzipSync('tampered'));
+
+        await expect(RawFileStore.get(checksum)).rejects.toMatchObject({ code: 'ECHECKSUM' });
+        fs.writeFileSync(RawFileStore.pathFor(checksum), 'not gzip');
+        await expect(RawFileStore.get(checksum)).rejects.toMatchObject({ code: 'ECHECKSUM' });
+    });
+
+    test('removes files and rejects unknown checksums', async () => {
+        const { checksum } = await RawFileStore.put(raw);
+        await RawFileStore.remove(checksum);
+
+        expect(await RawFileStore.has(checksum)).toBe(false);
+        await expect(RawFileStore.get(checksum)).rejects.toMatchObject({ code: 'ENOENT' });
+        expect(() => RawFileStore.pathFor('../../etc/passwd')).toThrow('Invalid checksum');
+    });
+
+    test('streams the raw file of a flight and cuts a damaged copy short', async () => {
+        const stored = await RawFileStore.put(raw);
+        const flight = { _id: new mongoose.Types.ObjectId(), flightName: 'Hover', rawFile: { ...stored, fileName: 'hover log.json' } };
+        const query = { select: () => query, lean: () => Promise.resolve(flight) };
+        jest.spyOn(FlightData, 'findOne').mockReturnValue(query);
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const controller = new FlightController();
+        const app = express();
+        app.get('/:flightId/raw', (req, res) => {
+            req.user = { userId: 'user' };
+            controller.downloadRawFile(req, res);
+        });
+        const download = () => request(app).get(`/${flight._id}/raw`).buffer(true).parse((res, callback) => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => callback(null, Buffer.concat(chunks)));
+        });
+
+        const response = await download();
+        expect(response.status).toBe(200);
+        expect(response.headers).toMatchObject({
+            'content-type': 'application/json; charset=utf-8',
+            'content-length': String(raw.length),
+            'content-disposition': 'attachment; filename="hover_log.json"',
+            'x-checksum-sha256': stored.checksum
+        });
+        expect(response.body.equals(raw)).toBe(true);
+
+        // Damage is only found at the end of the file, after the headers went out
+        const tampered = Buffer.from(raw);
+        tampered[tampered.length - 2] ^= 1;
+        fs.writeFileSync(RawFileStore.pathFor(stored.checksum), require('zlib').gzipSync(tampered));
+        await expect(download()).rejects.toThrow();
+
+        await RawFileStore.remove(stored.checksum);
+        const missing = await request(app).get(`/${flight._id}/raw`);
+        expect(missing.status).toBe(410);
+        expect(missing.headers['content-disposition']).toBeUndefined();
+        expect(missing.body).toMatchObject({ success: false });
+    });
+});
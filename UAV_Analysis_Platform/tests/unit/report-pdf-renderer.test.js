@@ -0,0 +1,134 @@
+const path = require('path');
+const fs = require('fs');
+const { PassThrough } = require('stream');
+const mongoose = require('mongoose');
+const AnalysisController = require('../../controllers/AnalysisController');
+const AnalysisReport = require('../../models/AnalysisReport');
+const FlightData = require('../../models/FlightData');
+const ReportPdfRenderer = require('../../models/ReportPdfRenderer');
+const UAVDataProcessor = require('../../models/UAVDataProcessor');
+
+const TEST_DATA_DIR = path.join(__dirname, '../../../Test_Data');
+
+// Render reports into a PDF; resolves with the page count and the file contents
+function render(entries) {
+    const doc = ReportPdfRenderer.createDocument('Test');
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+
+    entries.forEach(([report, flight]) => ReportPdfRenderer.renderReport(doc, report, flight));
+    ReportPdfRenderer.addPageNumbers(doc);
+    const pages = doc.bufferedPageRange().count;
+
+    return new Promise(resolve => {
+        doc.on('end', () => resolve({ pages, pdf: Buffer.concat(chunks).toString('latin1') }));
+        doc.end();
+    });
+}
+
+// A response stream that, like Express, counts its headers as sent once the body starts
+function mockResponse() {
+    const res = new PassThrough();
+    res.headersSent = false;
+    res.setHeader = jest.fn();
+    res.writeHead = jest.fn(() => { res.headersSent = true; });
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    res.on('data', () => { res.headersSent = true; });
+    jest.spyOn(res, 'destroy');
+    return res;
+}
+
+describe('ReportPdfRenderer', () => {
+    let flight;
+    let report;
+
+    beforeAll(() => {
+        const raw = JSON.parse(fs.readFileSync(path.join(TEST_DATA_DIR, 'rf_test_20250514_104755.json'), 'utf8'));
+        const stored = new FlightData({ userId: new mongoose.Types.ObjectId(), ...UAVDataProcessor.processFlightData(raw, { flightName: 'Square' }) });
+        flight = stored.toObject();
+        report = new AnalysisReport({
+            flightId: stored._id,
+            userId: stored.userId,
+            flightName: 'Square',
+            reportVersion: AnalysisReport.REPORT_VERSION,
+            ...UAVDataProcessor.generateSimpleAnalysisResult(stored),
+            ...UAVDataProcessor.buildReportSnapshot(stored)
+        }).toObject();
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    test('renders summary, trajectory, error and waypoint pages', async () => {
+        const { pages, pdf } = await render([[report, flight]]);
+
+        expect(pdf.startsWith('%PDF')).toBe(true);
+        expect(pages).toBe(4);
+        // Every buffered page made it into the file
+        expect((pdf.match(/\/Type \/Page\b/g) || []).length).toBe(4);
+    });
+
+    test('keeps the snapshot pages when the flight was deleted', async () => {
+        const { pages } = await render([[report, null], [{ ...report, segments: [] }, null]]);
+        expect(pages).toBe(4);
+    });
+
+    test('renders reports from before snapshots', async () => {
+        const legacy = { _id: report._id, flightId: report.flightId, avgSpeed: 0.3, maxSpeed: 0.7, duration: 9, errorRate: 8.3 };
+        const { pages } = await render([[legacy, flight]]);
+        expect(pages).toBe(4);
+    });
+
+    test('splits the flight into phase runs and bins the errors', () => {
+        const spans = ReportPdfRenderer.phaseSpans(flight.positionData);
+        expect(spans[0].start).toBe(flight.positionData[0].time);
+        expect(spans[spans.length - 1].end).toBe(flight.positionData[flight.positionData.length - 1].time);
+        spans.slice(1).forEach((span, i) => {
+            expect(span.phase).not.toBe(spans[i].phase);
+            expect(span.start).toBe(spans[i].end);
+        });
+
+        const errors = flight.positionData.map(p => p.error);
+        const bins = ReportPdfRenderer.histogram(errors, 20);
+        expect(bins).toHaveLength(20);
+        expect(bins.reduce((sum, b) => sum + b.count, 0)).toBe(errors.length);
+        expect(bins[19].end).toBeCloseTo(Math.max(...errors), 9);
+    });
+
+    test('picks round axis ticks covering the data', () => {
+        expect(ReportPdfRenderer.niceScale(0, 0.93)).toMatchObject({ min: 0, max: 1, ticks: [0, 0.2, 0.4, 0.6, 0.8, 1] });
+        expect(ReportPdfRenderer.niceScale(-1.2, 3.7).ticks).toEqual([-2, -1, 0, 1, 2, 3, 4]);
+        // A flat series still gets a usable range
+        expect(ReportPdfRenderer.niceScale(0.5, 0.5).ticks.length).toBeGreaterThan(1);
+    });
+
+    test('answers a failed single report export with JSON before any PDF is sent', async () => {
+        jest.spyOn(AnalysisReport, 'findOne').mockReturnValue({ lean: async () => report });
+        jest.spyOn(AnalysisController, 'loadReportFlight').mockResolvedValue(flight);
+        jest.spyOn(ReportPdfRenderer, 'renderReport').mockImplementation(() => { throw new Error('render failed'); });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const res = mockResponse();
+
+        await AnalysisController.exportReport({ params: { reportId: report._id }, query: { format: 'pdf' }, user: { userId: report.userId } }, res);
+
+        expect(res.setHeader).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(500);
+        expect(res.json).toHaveBeenCalledWith({ success: false, message: 'render failed' });
+    });
+
+    test('aborts a multi-report export that fails after the PDF started streaming', async () => {
+        jest.spyOn(AnalysisReport, 'find').mockReturnValue({ lean: async () => [report, { ...report, _id: new mongoose.Types.ObjectId() }] });
+        const failure = new Error('connection lost');
+        jest.spyOn(AnalysisController, 'loadReportFlight').mockResolvedValueOnce(flight).mockRejectedValueOnce(failure);
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        const res = mockResponse();
+        res.on('error', () => {});
+
+        await AnalysisController.exportSelectedReportsPdf({ method: 'GET', query: { ids: 'a,b' }, body: {}, user: { userId: report.userId } }, res);
+
+        expect(res.headersSent).toBe(true);
+        expect(res.status).not.toHaveBeenCalled();
+        expect(res.destroy).toHaveBeenCalledWith(failure);
+    });
+});
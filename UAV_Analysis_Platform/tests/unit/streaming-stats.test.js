@@ -0,0 +1,30 @@
+const StreamingStats = require('../../models/StreamingStats');
+const UAVDataProcessor = require('../../models/UAVDataProcessor');
+
+describe('StreamingStats', () => {
+    test('matches calculateStats, with percentiles within the relative accuracy', () => {
+        // Deterministic spread of errors, including zeros and a long tail
+        const values = Array.from({ length: 5000 }, (_, i) => i % 50 === 0 ? 0 : Math.pow((i * 7919) % 1000 / 100, 2));
+        const stats = new StreamingStats();
+        values.forEach(v => stats.add(v));
+
+        const streamed = stats.result();
+        const exact = UAVDataProcessor.calculateStats(values);
+        ['count', 'min', 'max'].forEach(key => expect(streamed[key]).toBe(exact[key]));
+        ['average', 'stdDev', 'rms', 'confidence95'].forEach(key => expect(streamed[key]).toBeCloseTo(exact[key], 9));
+        ['median', 'p90', 'p95', 'p99'].forEach(key => {
+            expect(Math.abs(streamed[key] - exact[key])).toBeLessThanOrEqual(exact[key] * StreamingStats.RELATIVE_ACCURACY);
+        });
+        expect(streamed.ci95Lower).toBeCloseTo(streamed.average - streamed.confidence95, 9);
+    });
+
+    test('handles negative values, skips non-numbers and is all zeros when empty', () => {
+        const stats = new StreamingStats();
+        expect(stats.result()).toMatchObject({ count: 0, average: 0, median: 0, max: 0 });
+
+        [-3, -1, 'x', null, NaN, 2, 4].forEach(v => stats.add(v));
+        const result = stats.result();
+        expect(result).toMatchObject({ count: 4, min: -3, max: 4, average: 0.5 });
+        expect(Math.abs(result.median - 0.5)).toBeLessThan(0.01);
+    });
+});
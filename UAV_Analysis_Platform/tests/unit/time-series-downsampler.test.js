@@ -0,0 +1,132 @@
+const path = require('path');
+const fs = require('fs');
+const FlightController = require('../../controllers/FlightController');
+const FlightData = require('../../models/FlightData');
+const TimeSeriesDownsampler = require('../../models/TimeSeriesDownsampler');
+const TrajectoryAnalyzer = require('../../models/TrajectoryAnalyzer');
+const UAVDataProcessor = require('../../models/UAVDataProcessor');
+
+const TEST_DATA_DIR = path.join(__dirname, '../../../Test_Data');
+
+function loadPoints(name = 'rf_test_20250514_104755.json') {
+    const data = JSON.parse(fs.readFileSync(path.join(TEST_DATA_DIR, name), 'utf8'));
+    return UAVDataProcessor.processFlightData(data, { flightName: 'Square' }).positionData;
+}
+
+// The sample flight repeated back to back, for a series much longer than the target
+function longFlight(repeats) {
+    const base = loadPoints();
+    const span = base[base.length - 1].time - base[0].time + 0.05;
+    const points = [];
+    for (let k = 0; k < repeats; k++) base.forEach(p => points.push({ ...p, time: p.time + k * span }));
+    return points;
+}
+
+describe('TimeSeriesDownsampler', () => {
+    test('parses options and reports every invalid one', () => {
+        expect(TimeSeriesDownsampler.parseOptions({ points: '300', from: '10', fields: 'error,z' }, { method: 'dp' }).options)
+            .toEqual({ points: 300, from: 10, to: undefined, method: 'dp', fields: ['error', 'z'] });
+        expect(TimeSeriesDownsampler.parseOptions({}).options).toMatchObject({ points: 5000, method: 'lttb', fields: ['error'] });
+
+        const { options, errors } = TimeSeriesDownsampler.parseOptions({
+            points: '1', from: '20', to: '10', method: 'average', fields: 'error,colour'
+        });
+        expect(options).toBeNull();
+        expect(errors).toEqual([
+            `points must be an integer between 2 and ${TimeSeriesDownsampler.MAX_POINTS}`,
+            'from must be before to',
+            'method must be one of lttb, dp',
+            `Unknown field colour; fields are ${TimeSeriesDownsampler.SERIES_FIELDS.join(', ')}`
+        ]);
+    });
+
+    test('returns short series whole and cuts a time window', () => {
+        const points = loadPoints();
+        const result = TimeSeriesDownsampler.downsample(points, { points: 5000 });
+        expect(result.points).toBe(points);
+
+        const from = points[10].time;
+        const to = points[20].time;
+        expect(TimeSeriesDownsampler.window(points, from, to)).toEqual(points.slice(10, 21));
+        expect(TimeSeriesDownsampler.window(points, undefined, to)).toEqual(points.slice(0, 21));
+        expect(TimeSeriesDownsampler.window(points, to + 1e6)).toEqual([]);
+    });
+
+    test.each(['lttb', 'dp'])('%s keeps the target count, the ends, transitions and error peaks', method => {
+        const points = longFlight(20);
+        const target = 1000;
+        const { points: kept, indices } = TimeSeriesDownsampler.downsample(points, { points: target, method });
+
+        expect(kept.length).toBeLessThanOrEqual(target);
+        expect(kept.length).toBeGreaterThan(target * 0.9);
+        expect(indices).toEqual([...indices].sort((a, b) => a - b));
+        expect(new Set(indices).size).toBe(indices.length);
+        expect(indices[0]).toBe(0);
+        expect(indices[indices.length - 1]).toBe(points.length - 1);
+
+        const transitions = [];
+        for (let i = 1; i < points.length; i++) {
+            if (points[i].phase !== points[i - 1].phase) transitions.push(i - 1, i);
+        }
+        expect(indices).toEqual(expect.arrayContaining(transitions));
+        const worst = points.reduce((max, p, i) => p.error > points[max].error ? i : max, 0);
+        expect(indices).toContain(worst);
+    });
+
+    test('Douglas-Peucker follows the 3D path more closely than even thinning', () => {
+        const points = longFlight(4);
+        const target = 200;
+        const kept = TimeSeriesDownsampler.downsample(points, { points: target, method: 'dp' }).indices;
+        const even = Array.from({ length: target }, (_, i) => Math.round(i * (points.length - 1) / (target - 1)));
+
+        // Largest distance from a dropped point to the segment between the kept points around it
+        const deviation = indices => {
+            let max = 0;
+            for (let k = 0; k < indices.length - 1; k++) {
+                const a = points[indices[k]];
+                const b = points[indices[k + 1]];
+                const d = [b.x - a.x, b.y - a.y, b.z - a.z];
+                const length = d[0] * d[0] + d[1] * d[1] + d[2] * d[2] || 1;
+                for (let i = indices[k] + 1; i < indices[k + 1]; i++) {
+                    const p = points[i];
+                    const t = Math.max(0, Math.min(1, ((p.x - a.x) * d[0] + (p.y - a.y) * d[1] + (p.z - a.z) * d[2]) / length));
+                    max = Math.max(max, Math.hypot(p.x - a.x - t * d[0], p.y - a.y - t * d[1], p.z - a.z - t * d[2]));
+                }
+            }
+            return max;
+        };
+        expect(deviation(kept)).toBeLessThan(deviation(even));
+    });
+
+    test('returns the chosen fields as columns', () => {
+        const points = loadPoints().slice(0, 3);
+        expect(TimeSeriesDownsampler.columns(points, ['error', 'phase'])).toEqual({
+            time: points.map(p => p.time),
+            error: points.map(p => p.error),
+            phase: points.map(p => p.phase)
+        });
+    });
+
+    test('derives speed, acceleration and jerk for the series instead of storing them', async () => {
+        const data = JSON.parse(fs.readFileSync(path.join(TEST_DATA_DIR, 'rf_test_20250514_104755.json'), 'utf8'));
+        const processed = UAVDataProcessor.processFlightData(data, { flightName: 'Square' });
+        const flight = new FlightData({ userId: '6650a7e2c4b1f2a3d4e5f601', ...processed }).toObject();
+        const stored = flight.trajectoryAnalysis.detailed.velocityAnalysis;
+        expect(stored.series).toBeUndefined();
+        expect(stored.maxVelocity).toBeGreaterThan(0);
+
+        jest.spyOn(FlightData, 'findOne').mockReturnValue({ lean: async () => flight });
+        const res = { status: jest.fn(() => res), json: jest.fn() };
+        await new FlightController().getFlightSeries({
+            params: { flightId: String(flight._id) }, query: { fields: 'speed,jerk' }, user: { userId: flight.userId }
+        }, res);
+        jest.restoreAllMocks();
+
+        const { series } = res.json.mock.calls[0][0];
+        const expected = TrajectoryAnalyzer.analyzeVelocity(flight.positionData).series;
+        expect(series.time).toHaveLength(flight.positionData.length);
+        expect(series.speed).toEqual(expected.speed);
+        expect(series.jerk).toEqual(expected.jerk);
+        expect(Math.max(...series.speed)).toBeCloseTo(stored.maxVelocity, 9);
+    });
+});
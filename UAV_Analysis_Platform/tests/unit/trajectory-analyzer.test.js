@@ -0,0 +1,309 @@
+const path = require('path');
+const fs = require('fs');
+const TrajectoryAnalyzer = require('../../models/TrajectoryAnalyzer');
+
+const TEST_DATA_DIR = path.join(__dirname, '../../../Test_Data');
+
+function loadSample(name) {
+    return JSON.parse(fs.readFileSync(path.join(TEST_DATA_DIR, name), 'utf8'));
+}
+
+// Points sampled at 20 Hz from a position function of time
+function samplePath(positionAt, duration, rate = 20) {
+    const points = [];
+    for (let i = 0; i <= duration * rate; i++) {
+        const t = i / rate;
+        const [x, y, z] = positionAt(t);
+        points.push({ x, y, z, time: 1000 + t });
+    }
+    return points;
+}
+
+describe('TrajectoryAnalyzer', () => {
+    describe('analyzeVelocity', () => {
+        test('measures a constant velocity with no acceleration or jerk', () => {
+            const points = samplePath(t => [0.5 * t, 0, 0.5], 4);
+            const velocity = TrajectoryAnalyzer.analyzeVelocity(points, { smoothingWindow: 1 });
+
+            expect(velocity.maxVelocity).toBeCloseTo(0.5);
+            expect(velocity.minVelocity).toBeCloseTo(0.5);
+            expect(velocity.maxAcceleration).toBeCloseTo(0);
+            expect(velocity.rmsJerk).toBeCloseTo(0);
+            expect(velocity.smoothnessIndex).toBeCloseTo(1);
+            expect(velocity.series.speed).toHaveLength(points.length);
+        });
+
+        test('measures a constant acceleration away from the series ends', () => {
+            const points = samplePath(t => [0, 0, 0.3 + 0.1 * t * t], 4);
+            const velocity = TrajectoryAnalyzer.analyzeVelocity(points, { smoothingWindow: 1 });
+            const middle = Math.floor(points.length / 2);
+
+            expect(velocity.series.speed[middle]).toBeCloseTo(0.2 * 2, 3);
+            expect(velocity.series.acceleration[middle]).toBeCloseTo(0.2, 3);
+            expect(velocity.maxVelocity).toBeCloseTo(0.8, 1);
+        });
+
+        test('smoothing suppresses jerk from sample noise', () => {
+            // Deterministic +/-2 mm mocap-style noise
+            let seed = 42;
+            const noise = () => {
+                seed = (seed * 1103515245 + 12345) % 2147483648;
+                return (seed / 2147483648 - 0.5) * 0.004;
+            };
+            const points = samplePath(t => [0.5 * t + noise(), noise(), 0.5 + noise()], 4);
+            const raw = TrajectoryAnalyzer.analyzeVelocity(points, { smoothingWindow: 1 });
+            const smoothed = TrajectoryAnalyzer.analyzeVelocity(points, { smoothingWindow: 5 });
+
+            expect(smoothed.rmsJerk).toBeLessThan(raw.rmsJerk);
+            expect(smoothed.smoothnessIndex).toBeGreaterThan(raw.smoothnessIndex);
+        });
+
+        test('summarises a series too long to spread into Math.max', () => {
+            // About three hours at 20 Hz; spreading 150k values overflows the call stack
+            const points = samplePath(t => [Math.sin(t / 60), 0, 0.5 + 0.001 * t], 10000);
+            const velocity = TrajectoryAnalyzer.analyzeVelocity(points, { smoothingWindow: 1 });
+            expect(velocity.maxVelocity).toBeCloseTo(1 / 60, 3);
+            expect(velocity.minVelocity).toBeGreaterThanOrEqual(0);
+
+            const profile = TrajectoryAnalyzer.analyzeAltitudeProfile(points, []);
+            expect(profile.minAltitude).toBeCloseTo(0.5);
+            expect(profile.maxAltitude).toBeCloseTo(10.5);
+        });
+
+        test('handles repeated timestamps without producing NaN', () => {
+            const points = samplePath(t => [t, 0, 0.5], 1);
+            points[5].time = points[4].time;
+            const velocity = TrajectoryAnalyzer.analyzeVelocity(points);
+
+            expect(Number.isFinite(velocity.maxVelocity)).toBe(true);
+            expect(velocity.series.jerk.every(Number.isFinite)).toBe(true);
+        });
+    });
+
+    describe('analyzeTurns', () => {
+        const square = [[0, 0, 0.5], [1, 0, 0.5], [1, 1, 0.5], [0, 1, 0.5]];
+
+        // Fly each leg at 1 m/s, hovering for a second at every waypoint
+        function flySequence(sequence) {
+            const points = [];
+            let time = 0;
+            const push = (x, y, z) => {
+                points.push({ x, y, z, time: 1000 + time, phase: 'transit' });
+                time += 0.05;
+            };
+            for (let leg = 1; leg < sequence.length; leg++) {
+                const [from, to] = [sequence[leg - 1], sequence[leg]];
+                const steps = Math.round(Math.hypot(to[0] - from[0], to[1] - from[1]) / 1 / 0.05);
+                for (let i = 0; i < steps; i++) {
+                    const f = i / steps;
+                    push(from[0] + (to[0] - from[0]) * f, from[1] + (to[1] - from[1]) * f, 0.5);
+                }
+                for (let i = 0; i < 20; i++) push(to[0], to[1], 0.5);
+            }
+            return points;
+        }
+
+        test('finds one left turn per square corner', () => {
+            const turns = TrajectoryAnalyzer.analyzeTurns(flySequence(square), square);
+
+            expect(turns.totalTurns).toBe(2);
+            expect(turns.sharpTurns).toBe(0);
+            // Smoothing rounds the corner, so a few degrees land in sub-threshold heading changes
+            turns.turns.forEach(turn => {
+                expect(turn.bearingChange).toBeGreaterThan(75);
+                expect(turn.bearingChange).toBeLessThanOrEqual(90);
+            });
+            expect(turns.totalHeadingChange).toBeCloseTo(180, 0);
+            expect(turns.corners.map(c => c.turnCount)).toEqual([1, 1]);
+            expect(turns.corners.map(c => c.plannedAngle)).toEqual([90, 90]);
+            expect(turns.pathSmoothness).toBeCloseTo(1, 1);
+        });
+
+        test('reports zero turns for a straight line', () => {
+            const line = [[0, 0, 0.5], [1, 0, 0.5]];
+            const turns = TrajectoryAnalyzer.analyzeTurns(flySequence(line), line);
+
+            expect(turns.totalTurns).toBe(0);
+            expect(turns.corners).toEqual([]);
+            expect(turns.pathSmoothness).toBe(1);
+        });
+
+        test('does not read hover jitter on a vertical-only flight as turns', () => {
+            const log = loadSample('rf_test_20250513_193752.json');
+            const turns = TrajectoryAnalyzer.analyzeTurns(log.position_data, log.sequence);
+
+            expect(turns.plannedHeadingChange).toBe(0);
+            expect(turns.totalTurns).toBe(0);
+            expect(turns.pathSmoothness).toBe(1);
+        });
+
+        test('finds the planned corners of a flown square', () => {
+            const log = loadSample('rf_test_20250514_104755.json');
+            const turns = TrajectoryAnalyzer.analyzeTurns(log.position_data, log.sequence);
+
+            expect(turns.corners.map(c => c.plannedAngle)).toEqual([135, 90, 90, 135]);
+            expect(turns.corners.map(c => c.turnCount)).toEqual([1, 1, 1, 1]);
+            turns.corners.forEach(corner => expect(Math.abs(corner.angleError)).toBeLessThan(20));
+            // One small correction on the way home besides the corners
+            expect(turns.totalTurns).toBe(5);
+            turns.turns.forEach(turn => expect(Math.abs(turn.bearingChange)).toBeLessThanOrEqual(180));
+        });
+
+        test('wraps bearing differences across +/-180 degrees', () => {
+            expect(TrajectoryAnalyzer.wrapAngle(190)).toBe(-170);
+            expect(TrajectoryAnalyzer.wrapAngle(-270)).toBe(90);
+            expect(TrajectoryAnalyzer.wrapAngle(180)).toBe(180);
+        });
+    });
+
+    describe('analyzeAltitudeProfile', () => {
+        const sequence = [[0, 0, 0.3], [0, 0, 0.6], [0, 0, 0.6]];
+
+        // Linear climb from 0.3 to 0.66 m over 1.2 s, then back down to 0.6 m and hold
+        function stepFlight() {
+            const points = [];
+            for (let i = 0; i <= 80; i++) {
+                const t = i * 0.05;
+                let z;
+                if (t <= 1.2) z = 0.3 + 0.3 * t;
+                else if (t <= 1.5) z = 0.66 - 0.2 * (t - 1.2);
+                else z = 0.6;
+                points.push({
+                    x: 0, y: 0, z, time: 100 + t,
+                    target: { x: 0, y: 0, z: 0.6 },
+                    phase: t > 1.5 ? 'waypoint' : 'transit',
+                    sequence_index: 1
+                });
+            }
+            return points;
+        }
+
+        test('measures rise time, overshoot and settling of an altitude step', () => {
+            const profile = TrajectoryAnalyzer.analyzeAltitudeProfile(stepFlight(), sequence);
+
+            expect(profile.minAltitude).toBeCloseTo(0.3, 5);
+            expect(profile.maxAltitude).toBeCloseTo(0.66, 5);
+            expect(profile.verticalMovements).toBe(1);
+            expect(profile.altitudeStability).toBeCloseTo(0, 5);
+            expect(profile.holds).toHaveLength(1);
+
+            // Only the 0.3 -> 0.6 change is a step; the last waypoint holds altitude
+            expect(profile.stepResponses).toHaveLength(1);
+            const step = profile.stepResponses[0];
+            // 10% to 90% of a 0.3 m/s climb is 0.8 s, resolved to one 0.05 s sample
+            expect(Math.abs(step.riseTime - 0.8)).toBeLessThanOrEqual(0.05 + 1e-9);
+            expect(step.overshoot).toBeCloseTo(20, 5);
+            expect(step.peakAltitude).toBeCloseTo(0.66, 5);
+            // Inside the 0.02 m band once the descent reaches 0.62 m at 1.4 s
+            expect(Math.abs(step.settlingTime - 1.4)).toBeLessThanOrEqual(0.05 + 1e-9);
+            expect(step.settled).toBe(true);
+        });
+
+        test('leaves settling time empty when the step never settles', () => {
+            const points = stepFlight().filter(p => p.time - 100 <= 1.2);
+            const step = TrajectoryAnalyzer.analyzeAltitudeProfile(points, sequence).stepResponses[0];
+
+            expect(step.settlingTime).toBeNull();
+            expect(step.settled).toBe(false);
+        });
+    });
+
+    describe('analyzeSegments', () => {
+        test('splits the flight into one entry per sequence leg', () => {
+            const sequence = [[0, 0, 0.5], [1, 0, 0.5], [1, 1, 0.5]];
+            const points = [];
+            let time = 0;
+            const push = (x, y, sequenceIndex, phase, extra = {}) => {
+                points.push({ x, y, z: 0.5, time, phase, sequence_index: sequenceIndex, error: 0, ...extra });
+                time += 0.5;
+            };
+            // Leg 1: straight approach that overshoots by 0.1 m, then a two-sample hold
+            [0, 0.25, 0.5, 0.75, 1.1].forEach(x => push(x, 0, 1, 'transit'));
+            push(1, 0, 1, 'waypoint', { stabilized: true, error: 0.02 });
+            push(1, 0, 1, 'waypoint', { stabilized: true, error: 0.04 });
+            // Leg 2: never reaches the waypoint
+            [0.25, 0.5].forEach(y => push(1, y, 2, 'transit'));
+
+            const [leg1, leg2] = TrajectoryAnalyzer.analyzeSegments(points, sequence);
+
+            expect(leg1.pointCount).toBe(7);
+            expect(leg1.transitTime).toBeCloseTo(2.5, 5);
+            // The last hold sample runs until leg 2 starts
+            expect(leg1.holdTime).toBeCloseTo(1.0, 5);
+            expect(leg1.timeToStabilize).toBeCloseTo(2.5, 5);
+            expect(leg1.holdMeanError).toBeCloseTo(0.03, 5);
+            expect(leg1.holdMaxError).toBeCloseTo(0.04, 5);
+            expect(leg1.overshoot).toBeCloseTo(0.1, 5);
+            expect(leg1.overshootPercent).toBeCloseTo(10, 5);
+            // 1 m planned against 1.1 m out plus 0.1 m back
+            expect(leg1.pathEfficiency).toBeCloseTo(1 / 1.2, 5);
+
+            expect(leg2.holdTime).toBe(0);
+            expect(leg2.timeToStabilize).toBeNull();
+            expect(leg2.holdMeanError).toBeNull();
+        });
+    });
+
+    describe('calculatePathDeviation', () => {
+        const sequence = [[0, 0, 0.5], [1, 0, 0.5]];
+        const point = (x, y, z, phase = 'transit') => ({ x, y, z, time: x, phase, sequence_index: 1 });
+
+        test('splits deviation into cross-track and along-track parts', () => {
+            const beside = TrajectoryAnalyzer.computePointDeviation(point(0.4, 0.1, 0.5), sequence);
+            expect(beside.crossTrack).toBeCloseTo(0.1, 9);
+            expect(beside.alongTrackLag).toBeCloseTo(0.6, 9);
+            expect(beside.error).toBeCloseTo(0.1, 9);
+
+            // Past the waypoint the lag goes negative and the error is the distance to it
+            const past = TrajectoryAnalyzer.computePointDeviation(point(1.2, 0, 0.6), sequence);
+            expect(past.alongTrackLag).toBeCloseTo(-0.2, 9);
+            expect(past.error).toBeCloseTo(Math.hypot(0.2, 0.1), 9);
+
+            // Holding, the error is the distance to the waypoint; 'direct' ignores height in transit
+            expect(TrajectoryAnalyzer.computePointDeviation(point(0.9, 0, 0.5, 'waypoint'), sequence).error)
+                .toBeCloseTo(0.1, 9);
+            expect(TrajectoryAnalyzer.computePointDeviation(point(0.5, 0, 0.8), sequence, { verticalMode: 'direct' }).error)
+                .toBeCloseTo(0, 9);
+
+            // heightWeight scales the vertical part before the distance is taken
+            const high = point(0.9, 0, 0.9, 'waypoint');
+            expect(TrajectoryAnalyzer.computePointDeviation(high, sequence, { heightWeight: 0 }).error).toBeCloseTo(0.1, 9);
+            expect(TrajectoryAnalyzer.computePointDeviation(high, sequence, { heightWeight: 0.5 }).error)
+                .toBeCloseTo(Math.hypot(0.1, 0.2), 9);
+        });
+
+        test('summarises deviation, outliers and trend, and checks the onboard error', () => {
+            const positions = [];
+            for (let i = 0; i <= 20; i++) {
+                positions.push({ ...point(i * 0.05, 0.01 * i, 0.5), error: 0.01 * i });
+            }
+            const deviation = TrajectoryAnalyzer.calculatePathDeviation(positions, sequence);
+
+            expect(deviation.maxDeviation).toBeCloseTo(0.2, 9);
+            expect(deviation.averageCrossTrack).toBeCloseTo(0.1, 9);
+            expect(deviation.deviationTrend).toBe('increasing');
+            expect(deviation.onboardComparison.agreementRate).toBe(1);
+            expect(deviation.onboardComparison.pointsCompared).toBe(21);
+
+            // A single spike stands out from an otherwise flat path
+            positions.forEach(p => { p.y = 0.01; });
+            positions[10].y = 0.3;
+            const spiked = TrajectoryAnalyzer.calculatePathDeviation(positions, sequence);
+            expect(spiked.highDeviationPoints.map(p => p.index)).toEqual([10]);
+            expect(spiked.deviationTrend).toBe('stable');
+        });
+
+        test('fits the trend on epoch timestamps', () => {
+            const ramp = Array.from({ length: 200 }, (_, i) => ({ time: 1747183659.09 + i * 0.05, error: 0.05 + i * 0.0002 }));
+            const times = ramp.map(p => p.time);
+            const errors = ramp.map(p => p.error);
+            expect(TrajectoryAnalyzer.calculateCorrelation(times, errors)).toBeCloseTo(1, 6);
+            expect(TrajectoryAnalyzer.classifyTrend(times, errors, 0.07)).toBe('increasing');
+
+            // The square flight drifts from about 6 cm to 9 cm of deviation between its halves
+            const log = loadSample('rf_test_20250514_104755.json');
+            const deviation = TrajectoryAnalyzer.calculatePathDeviation(log.position_data, log.sequence);
+            expect(deviation.deviationTrend).toBe('increasing');
+        });
+    });
+});
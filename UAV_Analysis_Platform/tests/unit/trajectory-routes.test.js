@@ -0,0 +1,60 @@
+const path = require('path');
+const fs = require('fs');
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const FlightData = require('../../models/FlightData');
+const UAVDataProcessor = require('../../models/UAVDataProcessor');
+const trajectoryRoutes = require('../../routes/trajectoryAnalysis');
+
+const TEST_DATA_DIR = path.join(__dirname, '../../../Test_Data');
+
+function loadSample(name = 'rf_test_20250514_104755.json') {
+    return JSON.parse(fs.readFileSync(path.join(TEST_DATA_DIR, name), 'utf8'));
+}
+
+describe('trajectory routes', () => {
+    const userId = String(new mongoose.Types.ObjectId());
+    const token = jwt.sign({ userId }, process.env.JWT_SECRET || 'uav-secret-key');
+    const app = express();
+    app.use('/api/trajectory', trajectoryRoutes);
+
+    const store = raw => {
+        const flight = new FlightData({ userId, ...UAVDataProcessor.processFlightData(raw, { flightName: 'Square' }) });
+        jest.spyOn(FlightData, 'findOne').mockResolvedValue(flight);
+        return flight;
+    };
+    const networkImpact = async flight => (await request(app)
+        .get(`/api/trajectory/${flight._id}/network-impact`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200)).body.networkImpact;
+
+    afterEach(() => jest.restoreAllMocks());
+
+    test('network impact estimates the link like the stored analysis', async () => {
+        const raw = loadSample();
+        raw.rf_conditions.packet_loss_rate = 0.2;
+        const flight = store(raw);
+
+        const impact = await networkImpact(flight);
+        expect(flight.networkAnalysis.qualitySource).toBe('rf-conditions');
+        expect(impact.qualitySource).toBe('rf-conditions');
+        // At most 80% of packets delivered, so no point has an excellent link
+        expect(flight.networkAnalysis.qualityStats.max).toBe(80);
+        expect(impact.segmentAnalysis.excellent).toBeUndefined();
+        const counts = Object.values(impact.segmentAnalysis).map(segment => segment.count);
+        expect(counts.reduce((sum, count) => sum + count, 0)).toBe(flight.positionData.length);
+    });
+
+    test('network impact leaves out errors that cannot be measured', async () => {
+        const raw = loadSample();
+        delete raw.sequence;
+        raw.position_data.forEach(point => delete point.error);
+        const flight = store(raw);
+
+        const impact = await networkImpact(flight);
+        Object.values(impact.segmentAnalysis).forEach(segment => expect(segment.averageError).toBeNull());
+        expect(impact.correlation.coefficient).toBe('0.000');
+    });
+});
@@ -0,0 +1,230 @@
+const path = require('path');
+const fs = require('fs');
+const mongoose = require('mongoose');
+const AnalysisReport = require('../../models/AnalysisReport');
+const FlightData = require('../../models/FlightData');
+const TrajectoryAnalyzer = require('../../models/TrajectoryAnalyzer');
+const UAVDataProcessor = require('../../models/UAVDataProcessor');
+
+const TEST_DATA_DIR = path.join(__dirname, '../../../Test_Data');
+
+function loadSample(name = 'rf_test_20250514_104755.json') {
+    return JSON.parse(fs.readFileSync(path.join(TEST_DATA_DIR, name), 'utf8'));
+}
+
+describe('UAVDataProcessor', () => {
+    test('keeps the full rf_test point record', () => {
+        const raw = loadSample();
+        const processed = UAVDataProcessor.processFlightData(raw, { flightName: 'Square' });
+        const point = processed.positionData[10];
+        const source = raw.position_data[10];
+
+        expect(point).toMatchObject({
+            target: source.target,
+            stabilized: source.stabilized,
+            error_xy: source.error_xy,
+            error_z: source.error_z,
+            sequence_index: source.sequence_index,
+            position_index: source.position_index,
+            transition_progress: source.transition_progress
+        });
+    });
+
+    test('re-analysis of a stored flight matches analysis of the raw file', () => {
+        const raw = loadSample();
+        const processed = UAVDataProcessor.processFlightData(raw, { flightName: 'Square' });
+        const stored = new FlightData({ userId: new mongoose.Types.ObjectId(), ...processed });
+
+        const reanalyzed = TrajectoryAnalyzer.generateTrajectoryReport(UAVDataProcessor.buildAnalysisInput(stored));
+
+        expect(reanalyzed).toEqual(processed.trajectoryAnalysis);
+        expect(reanalyzed.detailed.basicStats.sequenceIndices).toEqual([1, 2, 3, 4, 5]);
+        expect(reanalyzed.detailed.pathAccuracy.xyPlaneAccuracy.average).toBeGreaterThan(0);
+        expect(reanalyzed.detailed.stabilityMetrics.stabilizedPoints).toBeGreaterThan(0);
+    });
+
+    test('re-processing a stored flight reproduces every upload result', () => {
+        const processed = UAVDataProcessor.processFlightData(loadSample(), { flightName: 'Square' });
+        const stored = new FlightData({ userId: new mongoose.Types.ObjectId(), ...processed });
+        const plain = value => JSON.parse(JSON.stringify(value));
+
+        const reprocessed = UAVDataProcessor.processFlightData(
+            UAVDataProcessor.buildAnalysisInput(stored), { flightName: 'Square' }
+        );
+
+        ['analysis', 'trajectoryAnalysis', 'performanceMetrics', 'networkAnalysis'].forEach(key => {
+            expect(plain(reprocessed[key])).toEqual(plain(processed[key]));
+        });
+        expect(reprocessed.analysisVersion).toBe(UAVDataProcessor.ANALYSIS_VERSION);
+        expect(reprocessed.qualityAssessment.overallScore).toBe(processed.qualityAssessment.overallScore);
+    });
+
+    test('derives communication and network metrics from the log instead of fixed values', () => {
+        const raw = loadSample();
+        raw.command_stats = { sent: 950, dropped: 50, total_attempts: 1000 };
+        const processed = UAVDataProcessor.processFlightData(raw, { flightName: 'Square' });
+        const comms = processed.performanceMetrics.communicationEfficiency;
+
+        expect(comms.successRate).toBeCloseTo(95);
+        expect(comms.dropRate).toBeCloseTo(5);
+        expect(comms.responseTime).toBeCloseTo(raw.response_time);
+        expect(processed.performanceMetrics.timeEfficiency.idleTime).toBeCloseTo(raw.response_time);
+
+        // The sample files' ~0.55s gaps are the logger pausing between waypoints, not link dropouts
+        expect(processed.networkAnalysis.qualitySource).toBe('sample-interval');
+        expect(processed.networkAnalysis.degradationEvents).toHaveLength(0);
+        expect(processed.networkAnalysis.impactAssessment.lowQualityPerformance.count).toBe(0);
+        expect(processed.networkAnalysis.recommendations.map(r => r.type)).toContain('command_loss');
+
+        const stored = new FlightData({ userId: new mongoose.Types.ObjectId(), ...processed });
+        expect(stored.validateSync()).toBeUndefined();
+    });
+
+    test('estimates link quality from late updates within a leg and from rf_conditions', () => {
+        const raw = loadSample();
+        // A 0.6s gap in the middle of the second leg
+        const index = raw.position_data.findIndex((p, i) => i > 0 && p.sequence_index === 3 &&
+            raw.position_data[i - 1].sequence_index === 3);
+        raw.position_data.slice(index + 1).forEach(point => {
+            point.time += 0.6;
+        });
+        let network = UAVDataProcessor.processFlightData(raw, { flightName: 'Gap' }).networkAnalysis;
+        expect(network.degradationEvents).toHaveLength(1);
+        expect(network.degradationEvents[0].startIndex).toBe(index + 1);
+        expect(network.recoveryMetrics.totalRecoveries).toBe(1);
+
+        raw.rf_conditions.packet_loss_rate = 0.2;
+        network = UAVDataProcessor.processFlightData(raw, { flightName: 'Lossy' }).networkAnalysis;
+        expect(network.qualitySource).toBe('rf-conditions');
+        expect(network.qualityStats.max).toBeCloseTo(80);
+        expect(network.rfConditions.packetLossRate).toBe(0.2);
+    });
+
+    test('computes the deviation for logs without a per-point error', () => {
+        const raw = loadSample();
+        const onboard = UAVDataProcessor.processFlightData(raw, { flightName: 'Square' });
+        raw.position_data.forEach(point => delete point.error);
+        const processed = UAVDataProcessor.processFlightData(raw, { flightName: 'No error' });
+
+        expect(processed.positionData.every(p => p.errorComputed)).toBe(true);
+        // The square flights use the same rule as the onboard calculator, so the numbers agree
+        expect(processed.analysis.positionAccuracy.overall.average)
+            .toBeCloseTo(onboard.analysis.positionAccuracy.overall.average, 6);
+        expect(onboard.trajectoryAnalysis.detailed.pathDeviation.onboardComparison.agreementRate).toBe(1);
+        expect(processed.trajectoryAnalysis.detailed.pathDeviation.onboardComparison).toBeNull();
+    });
+
+    test('report snapshots keep the analysis they were generated from', () => {
+        const processed = UAVDataProcessor.processFlightData(loadSample(), { flightName: 'Square' }, { heightWeight: 0.5 });
+        const stored = new FlightData({ userId: new mongoose.Types.ObjectId(), ...processed });
+        const report = new AnalysisReport({
+            flightId: stored._id,
+            userId: stored.userId,
+            ...UAVDataProcessor.generateSimpleAnalysisResult(stored),
+            ...UAVDataProcessor.buildReportSnapshot(stored)
+        });
+        expect(report.validateSync()).toBeUndefined();
+
+        const accuracy = processed.analysis.positionAccuracy;
+        expect(report.accuracy.overall.p95).toBe(accuracy.overall.p95);
+        expect(report.accuracy.height.average).toBe(accuracy.height.overall.average);
+        expect(report.phases.waypoint.percentage).toBe(accuracy.waypoint.percentage);
+        // Phase and jitter figures survive the flight's schema
+        const waypoints = processed.positionData.filter(p => p.phase === 'waypoint');
+        expect(report.phases.waypoint.count).toBe(waypoints.length);
+        // The errors re-scored with heightWeight, like the accuracy figures
+        expect(report.phases.waypoint.averageError).toBeCloseTo(accuracy.waypoint.average, 9);
+        expect(report.phases.waypoint.averageDwellTime).toBeGreaterThan(0);
+        expect(report.phases.transit.count).toBe(processed.positionData.length - waypoints.length);
+        expect(report.phases.transit.averageSpeed).toBeGreaterThan(0);
+        expect(report.phases.transitions.count).toBeGreaterThan(0);
+        expect(report.stability.averageJitter).toBeGreaterThan(0);
+        expect(report.stability.maxJitter).toBeGreaterThanOrEqual(report.stability.averageJitter);
+        expect(report.segments).toHaveLength(processed.trajectoryAnalysis.detailed.segmentAnalysis.length);
+        expect(report.communication.degradationEvents).toBe(processed.networkAnalysis.degradationEvents.length);
+        expect(report.parameters.errorOptions.heightWeight).toBe(0.5);
+        expect(report.parameters.scoringProfile.id).toBe('default');
+        expect(report.source).toMatchObject({ analysisVersion: UAVDataProcessor.ANALYSIS_VERSION, pointCount: processed.positionData.length });
+        expect(AnalysisReport.averageError(report)).toBe(accuracy.overall.average);
+
+        // Re-analyzing the flight does not change the report
+        stored.analysis.positionAccuracy.overall.p95 = 99;
+        stored.trajectoryAnalysis.detailed.segmentAnalysis[0].holdMeanError = 99;
+        expect(report.accuracy.overall.p95).toBe(accuracy.overall.p95);
+        expect(report.segments[0].holdMeanError).not.toBe(99);
+
+        // Reports from before snapshots stored the average error in centimetres
+        expect(AnalysisReport.averageError({ errorRate: 4.2 })).toBeCloseTo(0.042, 9);
+        expect(AnalysisReport.averageError({})).toBeNull();
+    });
+
+    describe('error calculation options', () => {
+        test('validates options and lets query parameters override the profile', () => {
+            expect(UAVDataProcessor.parseErrorOptions({ heightWeight: '-1', excludeTransit: 'maybe' }).errors)
+                .toHaveLength(2);
+            expect(UAVDataProcessor.selectErrorOptions({}, {})).toEqual({ options: null, errors: [] });
+
+            const profile = { heightWeight: 0, excludeTransit: true };
+            expect(UAVDataProcessor.selectErrorOptions({}, profile).options)
+                .toEqual({ heightWeight: 0, excludeTransit: true, source: 'profile' });
+            expect(UAVDataProcessor.selectErrorOptions({ heightWeight: '0.5', verticalMode: 'direct' }, profile).options)
+                .toEqual({ heightWeight: 0.5, verticalMode: 'direct', excludeTransit: true, source: 'query' });
+        });
+
+        test('re-scores the analysis and records the options, leaving the stored points as logged', () => {
+            const raw = loadSample();
+            const logged = UAVDataProcessor.processFlightData(raw, { flightName: 'Square' });
+            const processed = UAVDataProcessor.processFlightData(raw, { flightName: 'Square' },
+                { heightWeight: 0, excludeTransit: true, source: 'profile' });
+            const accuracy = processed.analysis.positionAccuracy;
+
+            expect(processed.analysis.errorOptions)
+                .toEqual({ heightWeight: 0, verticalMode: 'path', excludeTransit: true, source: 'profile' });
+            expect(accuracy.valid.count).toBe(accuracy.waypoint.count);
+            expect(accuracy.overall.average).toBeLessThan(logged.analysis.positionAccuracy.overall.average);
+            expect(processed.qualityAssessment.overallScore)
+                .toBeGreaterThan(logged.qualityAssessment.overallScore);
+            expect(processed.positionData.map(p => p.error)).toEqual(logged.positionData.map(p => p.error));
+
+            const stored = new FlightData({ userId: new mongoose.Types.ObjectId(), ...processed });
+            expect(stored.validateSync()).toBeUndefined();
+            expect(stored.analysis.errorOptions.source).toBe('profile');
+        });
+    });
+
+    describe('calculateStats', () => {
+        test('takes the mean of the middle pair as the median of an even-length array', () => {
+            const stats = UAVDataProcessor.calculateStats([4, 1, 3, 2]);
+
+            expect(stats.median).toBe(2.5);
+            expect(stats.p50).toBe(2.5);
+            expect(stats.count).toBe(4);
+        });
+
+        test('reports spread, percentiles and a reproducible bootstrap interval', () => {
+            const values = Array.from({ length: 101 }, (_, i) => i / 100);
+            const stats = UAVDataProcessor.calculateStats(values);
+
+            expect(stats.p90).toBeCloseTo(0.9, 9);
+            expect(stats.p99).toBeCloseTo(0.99, 9);
+            expect(stats.rms).toBeCloseTo(Math.sqrt(values.reduce((s, v) => s + v * v, 0) / 101), 9);
+            expect(stats.ci95Lower).toBeLessThan(stats.average);
+            expect(stats.ci95Upper).toBeGreaterThan(stats.average);
+            // The bootstrap and normal-approximation intervals roughly agree for a uniform sample
+            expect((stats.ci95Upper - stats.ci95Lower) / 2).toBeCloseTo(stats.confidence95, 2);
+            expect(UAVDataProcessor.calculateStats(values)).toEqual(stats);
+        });
+
+        test('reproduces the accuracy buckets the rf_test file reports', () => {
+            const raw = loadSample();
+            const accuracy = UAVDataProcessor.processFlightData(raw, { flightName: 'Square' }).analysis.positionAccuracy;
+
+            expect(accuracy.overall.median).toBeCloseTo(raw.position_accuracy.overall.median, 9);
+            expect(accuracy.overall.confidence95).toBeCloseTo(raw.position_accuracy.overall.confidence_95, 9);
+            expect(accuracy.transit.average).toBeCloseTo(raw.position_accuracy.transit_phase.average, 9);
+            expect(accuracy.xyPlane.overall.average).toBeCloseTo(raw.position_accuracy.xy_plane.overall.average, 9);
+            expect(accuracy.height.waypoint.confidence95)
+                .toBeCloseTo(raw.position_accuracy.height.waypoint.confidence_95, 9);
+        });
+    });
+});
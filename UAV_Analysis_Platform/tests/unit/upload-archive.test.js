@@ -0,0 +1,113 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const UploadArchive = require('../../models/UploadArchive');
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+const crc32 = buffer => (buffer.reduce((c, byte) => CRC_TABLE[(c ^ byte) & 0xFF] ^ (c >>> 8), 0xFFFFFFFF) ^ 0xFFFFFFFF) >>> 0;
+
+// Minimal ZIP writer: entries are { name, content, store?, encrypted? }
+function zip(entries) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+    entries.forEach(({ name, content = '', store = false, encrypted = false }) => {
+        const data = Buffer.from(content);
+        const packed = store ? data : zlib.deflateRawSync(data);
+        const fileName = Buffer.from(name);
+        const fields = header => {
+            header.writeUInt16LE(encrypted ? 1 : 0, 6);
+            header.writeUInt16LE(store ? 0 : 8, 8);
+            header.writeUInt32LE(crc32(data), 14);
+            header.writeUInt32LE(packed.length, 18);
+            header.writeUInt32LE(data.length, 22);
+            header.writeUInt16LE(fileName.length, 26);
+        };
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        fields(local);
+        local.writeUInt16LE(0x21, 10); // DOS date/time 1980-01-01
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        fields(central.subarray(2));
+        central.writeUInt16LE(0x21, 12);
+        central.writeUInt32LE(offset, 42);
+
+        locals.push(local, fileName, packed);
+        centrals.push(central, fileName);
+        offset += local.length + fileName.length + packed.length;
+    });
+
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, directory, end]);
+}
+
+describe('UploadArchive', () => {
+    let dir;
+    const write = (name, buffer) => {
+        const file = path.join(dir, name);
+        fs.writeFileSync(file, buffer);
+        return file;
+    };
+
+    beforeAll(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-archive-'));
+    });
+
+    afterAll(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('reads the members in archive order, skipping folders and macOS metadata', async () => {
+        const flight = JSON.stringify({ timestamp: '20250513_193752', position_data: [] });
+        const file = write('session.zip', zip([
+            { name: 'session/' },
+            { name: 'session/rf_test_20250513_193752.json', content: flight },
+            { name: '__MACOSX/session/._rf_test_20250513_193752.json', content: 'meta' },
+            { name: 'session/.DS_Store', content: 'meta' },
+            { name: 'session/notes.txt', content: 'hover test', store: true }
+        ]));
+
+        const members = await UploadArchive.read(file);
+        expect(members.map(m => m.name)).toEqual(['session/rf_test_20250513_193752.json', 'session/notes.txt']);
+        expect(members[0].content.toString()).toBe(flight);
+        expect(members[1].content.toString()).toBe('hover test');
+    });
+
+    test('reports encrypted members on their own', async () => {
+        const file = write('locked.zip', zip([
+            { name: 'a.json', content: '{}', encrypted: true },
+            { name: 'b.json', content: '[]' }
+        ]));
+
+        expect(await UploadArchive.read(file)).toEqual([
+            { name: 'a.json', error: 'Encrypted archive members are not supported' },
+            { name: 'b.json', content: Buffer.from('[]') }
+        ]);
+    });
+
+    test('rejects files that are not ZIP archives', async () => {
+        const file = write('fake.zip', Buffer.from('{"timestamp": "20250513_193752"}'));
+        await expect(UploadArchive.read(file)).rejects.toThrow(/^Invalid ZIP archive/);
+    });
+
+    test('recognises archives by extension', () => {
+        expect(UploadArchive.isArchive('Test_Data.ZIP')).toBe(true);
+        expect(UploadArchive.isArchive('rf_test.json')).toBe(false);
+    });
+});